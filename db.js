@@ -9,15 +9,249 @@ const VISIT_COLS = [
   'utm_source', 'utm_medium', 'utm_campaign', 'utm_content', 'utm_term',
   'ip', 'country', 'region', 'city', 'isp', 'lat', 'lon', 'geo_tz',
   'ua', 'browser', 'browser_ver', 'os', 'os_ver', 'device',
-  'screen_w', 'screen_h', 'lang', 'client_tz',
+  'screen_w', 'screen_h', 'lang', 'client_tz', 'visitor_id',
 ];
 
 const EVENT_COLS = [
   'id', 'session_id', 'ts', 'type',
   'asset_id', 'asset_title', 'asset_category', 'page',
-  'utm_source', 'utm_campaign', 'utm_term',
+  'utm_source', 'utm_campaign', 'utm_term', 'visitor_id',
 ];
 
+// One row per download the server actually served (or redirected to a signed URL)
+const SERVER_DOWNLOAD_COLS = [
+  'id', 'session_id', 'ts', 'via',
+  'asset_id', 'variant_id', 'asset_title', 'asset_category',
+  'status', 'range_start', 'bytes_sent', 'total_bytes', 'completed', 'counted',
+];
+
+// Download attempts the counting policy refused to credit to the unlock meter
+const REJECTED_EVENT_COLS = [
+  'id', 'ts', 'source', 'reason', 'session_id', 'ip', 'ua',
+  'asset_id', 'asset_title', 'asset_category',
+];
+
+const ADMIN_USER_COLS = ['id', 'username', 'password_hash', 'role', 'created_at', 'updated_at', 'last_login_at'];
+const ADMIN_USER_MUTABLE = ['password_hash', 'role', 'updated_at', 'last_login_at'];
+const ADMIN_SESSION_COLS = ['id', 'user_id', 'created_at', 'expires_at', 'ip', 'ua'];
+const API_TOKEN_COLS = [
+  'id', 'name', 'token_hash', 'prefix', 'scopes', 'created_by',
+  'created_at', 'last_used_at', 'expires_at', 'revoked_at',
+];
+// Everything except the hash, for listings
+const API_TOKEN_PUBLIC_COLS = API_TOKEN_COLS.filter((c) => c !== 'token_hash');
+
+// Append-only record of admin mutations; diff is JSON { field: { from, to } }
+const AUDIT_COLS = [
+  'id', 'ts', 'actor_id', 'actor_name', 'actor_kind', 'action',
+  'target_type', 'target_id', 'method', 'path', 'status', 'ip', 'diff',
+];
+
+// Outbound webhooks and one delivery row per event and target per webhook; payload is the JSON body sent.
+// A row being sent is 'sending'; one left there longer than the caller's staleBefore was abandoned.
+const WEBHOOK_COLS = ['id', 'name', 'url', 'kind', 'enabled', 'created_at', 'created_by'];
+const WEBHOOK_MUTABLE = ['name', 'url', 'kind', 'enabled'];
+const WEBHOOK_DELIVERY_COLS = [
+  'id', 'webhook_id', 'event', 'target_id', 'occurrence', 'payload', 'status', 'attempts',
+  'response_status', 'last_error', 'next_attempt_at', 'created_at', 'updated_at',
+];
+const WEBHOOK_DELIVERY_MUTABLE = ['status', 'attempts', 'response_status', 'last_error', 'next_attempt_at', 'updated_at'];
+
+// filters: { from, to, actor, action, targetType, targetId, cursor: 'ts|id' }
+// param(n) renders the nth placeholder for the driver.
+function buildAuditWhere(filters, param) {
+  const clauses = [];
+  const params = [];
+  const add = (sql, ...values) => {
+    clauses.push(sql.replace(/\?/g, () => { params.push(values.shift()); return param(params.length); }));
+  };
+  if (filters.from) add('ts >= ?', filters.from);
+  if (filters.to) add('ts < ?', filters.to);
+  if (filters.actor) add('actor_name = ?', filters.actor);
+  if (filters.action) add('action = ?', filters.action);
+  if (filters.targetType) add('target_type = ?', filters.targetType);
+  if (filters.targetId) add('target_id = ?', filters.targetId);
+  if (filters.cursor) {
+    const [ts, id] = String(filters.cursor).split('|');
+    add('(ts < ? OR (ts = ? AND id < ?))', ts, ts, id || '');
+  }
+  return { where: clauses.length ? 'WHERE ' + clauses.join(' AND ') : '', params };
+}
+
+// The asset catalogue: one row per asset plus ordered variants and tags.
+// Category-specific fields (format, chapter, ...) ride along in extra as JSON.
+const ASSET_COLS = [
+  'id', 'title', 'description', 'category', 'thumbnail_url', 'visible',
+  'unlock_threshold', 'sort_order', 'created_at', 'updated_at', 'extra', 'version',
+  'publish_at', 'unpublish_at', 'unlock_rule',
+];
+const ASSET_VARIANT_COLS = ['asset_id', 'id', 'position', 'name', 'resolution', 'file_size', 'download_url'];
+const ASSET_CORE_FIELDS = [
+  'id', 'title', 'description', 'category', 'thumbnailUrl', 'visible',
+  'unlockThreshold', 'createdAt', 'updatedAt', 'version', 'tags', 'variants',
+  'publishAt', 'unpublishAt', 'unlockRule',
+];
+
+function toAssetDbRow(asset, sortOrder) {
+  const extra = {};
+  Object.keys(asset).forEach((k) => {
+    if (!ASSET_CORE_FIELDS.includes(k) && asset[k] !== undefined) extra[k] = asset[k];
+  });
+  const threshold = Math.floor(Number(asset.unlockThreshold));
+  return {
+    id: asset.id,
+    title: asset.title || '',
+    description: asset.description || '',
+    category: asset.category || '',
+    thumbnail_url: asset.thumbnailUrl || '',
+    visible: asset.visible !== false ? 1 : 0,
+    unlock_threshold: Number.isFinite(threshold) && threshold > 0 ? threshold : 0,
+    sort_order: sortOrder,
+    created_at: asset.createdAt || new Date().toISOString(),
+    updated_at: asset.updatedAt || null,
+    extra: Object.keys(extra).length ? JSON.stringify(extra) : null,
+    version: Number(asset.version) || 1,
+    publish_at: asset.publishAt || null,
+    unpublish_at: asset.unpublishAt || null,
+    unlock_rule: asset.unlockRule ? JSON.stringify(asset.unlockRule) : null,
+  };
+}
+
+function toVariantDbRows(asset) {
+  return (Array.isArray(asset.variants) ? asset.variants : []).map((v, position) => ({
+    asset_id: asset.id,
+    id: v.id,
+    position,
+    name: v.name || 'Download',
+    resolution: v.resolution || '',
+    file_size: v.fileSize || '',
+    download_url: v.downloadUrl || '#',
+  }));
+}
+
+function toTagList(asset) {
+  return Array.from(new Set((Array.isArray(asset.tags) ? asset.tags : []).map((t) => String(t)).filter(Boolean)));
+}
+
+// Rows come back ordered by sort_order / position so assembly keeps catalogue order.
+function mapAssetRows(assetRows, variantRows, tagRows) {
+  const byId = new Map();
+  const list = (assetRows || []).map((row) => {
+    let extra = {};
+    try { extra = row.extra ? JSON.parse(row.extra) : {}; } catch (_) {}
+    let unlockRule = null;
+    try { unlockRule = row.unlock_rule ? JSON.parse(row.unlock_rule) : null; } catch (_) {}
+    const asset = {
+      id: row.id,
+      title: row.title || '',
+      description: row.description || '',
+      category: row.category || '',
+      thumbnailUrl: row.thumbnail_url || '',
+      visible: row.visible !== false && row.visible !== 0,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at || null,
+      version: Number(row.version || 1),
+      publishAt: row.publish_at || null,
+      unpublishAt: row.unpublish_at || null,
+      tags: [],
+      unlockThreshold: Number(row.unlock_threshold || 0),
+      unlockRule,
+      ...extra,
+      variants: [],
+    };
+    byId.set(asset.id, asset);
+    return asset;
+  });
+  (variantRows || []).forEach((v) => {
+    const asset = byId.get(v.asset_id);
+    if (!asset) return;
+    asset.variants.push({
+      id: v.id,
+      name: v.name || 'Download',
+      resolution: v.resolution || '',
+      fileSize: v.file_size || '',
+      downloadUrl: v.download_url || '#',
+    });
+  });
+  (tagRows || []).forEach((t) => {
+    const asset = byId.get(t.asset_id);
+    if (asset) asset.tags.push(t.tag);
+  });
+  return list;
+}
+
+// Prior states of an asset, one per replaced version, and deleted assets awaiting purge
+const ASSET_REVISION_COLS = ['asset_id', 'version', 'saved_at', 'replaced_at', 'replaced_by', 'reason', 'snapshot'];
+const ASSET_TRASH_COLS = ['asset_id', 'title', 'category', 'deleted_at', 'deleted_by', 'purge_after', 'snapshot'];
+
+function parseSnapshot(raw) {
+  try {
+    return raw ? JSON.parse(raw) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function mapRevisionRow(row, withSnapshot) {
+  const out = {
+    asset_id: row.asset_id,
+    version: Number(row.version),
+    saved_at: row.saved_at,
+    replaced_at: row.replaced_at,
+    replaced_by: row.replaced_by || null,
+    reason: row.reason,
+  };
+  if (withSnapshot) out.asset = parseSnapshot(row.snapshot);
+  return out;
+}
+
+function mapTrashRow(row) {
+  return {
+    asset_id: row.asset_id,
+    title: row.title || '',
+    category: row.category || '',
+    deleted_at: row.deleted_at,
+    deleted_by: row.deleted_by || null,
+    purge_after: row.purge_after,
+    asset: parseSnapshot(row.snapshot),
+  };
+}
+
+const DOWNLOAD_COUNT_SOURCES = ['tracker', 'server'];
+
+function toDownloadCountSource(value) {
+  return DOWNLOAD_COUNT_SOURCES.includes(value) ? value : 'tracker';
+}
+
+// Counted downloads narrowed to a category and/or time window; placeholders start at $1 / ?.
+function buildDownloadCountQuery(source, scope, param) {
+  const where = toDownloadCountSource(source) === 'server' ? ['counted = 1'] : [`type = 'download'`];
+  const params = [];
+  const add = (sql, value) => {
+    params.push(value);
+    where.push(sql.replace('?', param(params.length)));
+  };
+  if (scope.category) add('asset_category = ?', scope.category);
+  if (scope.from) add('ts >= ?', scope.from);
+  if (scope.to) add('ts < ?', scope.to);
+  if (scope.sessionId) add('session_id = ?', scope.sessionId);
+  if (scope.referredBy) add('session_id IN (SELECT session_id FROM referred_sessions WHERE code = ?)', scope.referredBy);
+  const table = toDownloadCountSource(source) === 'server' ? 'server_downloads' : 'events';
+  return { sql: `SELECT COUNT(*) n FROM ${table} WHERE ${where.join(' AND ')}`, params };
+}
+
+const CATEGORY_SELECT = 'SELECT slug, label, "desc", color_class, visible, sort_order, built_in, version, updated_at, publish_at, unpublish_at FROM categories';
+
+// Category fields an admin may change, and the column each one lives in
+const CATEGORY_FIELD_COLUMNS = {
+  label: 'label',
+  desc: '"desc"',
+  visible: 'visible',
+  order: 'sort_order',
+  publishAt: 'publish_at',
+  unpublishAt: 'unpublish_at',
+};
+
 function mapCategoryRow(row) {
   return {
     slug: row.slug,
@@ -27,9 +261,20 @@ function mapCategoryRow(row) {
     visible: row.visible !== false && row.visible !== 0,
     order: row.sort_order ?? 99,
     builtIn: row.built_in === true || row.built_in === 1,
+    version: Number(row.version || 1),
+    updatedAt: row.updated_at || null,
+    publishAt: row.publish_at || null,
+    unpublishAt: row.unpublish_at || null,
   };
 }
 
+function toCategoryFieldValue(field, value) {
+  if (field === 'visible') return value !== false ? 1 : 0;
+  if (field === 'order') return Number(value) || 0;
+  if (field === 'publishAt' || field === 'unpublishAt') return value || null;
+  return value ?? '';
+}
+
 function toCategoryDbRow(category) {
   return {
     slug: category.slug,
@@ -39,6 +284,389 @@ function toCategoryDbRow(category) {
     visible: category.visible !== false ? 1 : 0,
     order: category.order ?? 99,
     builtIn: category.builtIn ? 1 : 0,
+    publishAt: category.publishAt || null,
+    unpublishAt: category.unpublishAt || null,
+  };
+}
+
+// Columns added after their table first shipped; CREATE TABLE IF NOT EXISTS leaves old tables alone.
+const ADDED_COLUMNS = [
+  ['categories', 'version', 'INTEGER NOT NULL DEFAULT 1'],
+  ['categories', 'updated_at', 'TEXT'],
+  ['assets', 'version', 'INTEGER NOT NULL DEFAULT 1'],
+  ['categories', 'publish_at', 'TEXT'],
+  ['categories', 'unpublish_at', 'TEXT'],
+  ['assets', 'publish_at', 'TEXT'],
+  ['assets', 'unpublish_at', 'TEXT'],
+  ['assets', 'unlock_rule', 'TEXT'],
+  ['visits', 'visitor_id', 'TEXT'],
+  ['events', 'visitor_id', 'TEXT'],
+  ['rollup_days', 'visits_purged_at', 'TEXT'],
+  ['webhook_deliveries', 'occurrence', 'INTEGER NOT NULL DEFAULT 0'],
+];
+
+// Indexes on ADDED_COLUMNS, created once the columns exist.
+const ADDED_INDEXES = [
+  'CREATE INDEX IF NOT EXISTS idx_v_visitor ON visits(visitor_id)',
+  // A webhook gets one delivery per unlock of an asset; an asset locked again is announced again.
+  'DROP INDEX IF EXISTS idx_wd_once',
+  `DELETE FROM webhook_deliveries WHERE target_id IS NOT NULL AND EXISTS (
+    SELECT 1 FROM webhook_deliveries o WHERE o.webhook_id = webhook_deliveries.webhook_id
+      AND o.event = webhook_deliveries.event AND o.target_id = webhook_deliveries.target_id
+      AND o.occurrence = webhook_deliveries.occurrence
+      AND (o.created_at < webhook_deliveries.created_at OR (o.created_at = webhook_deliveries.created_at AND o.id < webhook_deliveries.id))
+  )`,
+  'CREATE UNIQUE INDEX IF NOT EXISTS idx_wd_occurrence ON webhook_deliveries(webhook_id, event, target_id, occurrence)',
+];
+
+// Visits without a visitor id (older rows, or no consent) stand in as one visitor per session.
+const VISITOR_KEY = `COALESCE(NULLIF(visitor_id, ''), 'session:' || session_id)`;
+
+// Keeps visitor_first_seen at the earliest visit of the visitor key of visit id = param,
+// so new vs returning holds after retention purged the visitor's first visits.
+function buildFirstSeenUpsert(param) {
+  return `INSERT INTO visitor_first_seen (vkey, first_ts)
+    SELECT ${VISITOR_KEY}, ts FROM visits WHERE id = ${param}
+    ON CONFLICT (vkey) DO UPDATE SET first_ts = excluded.first_ts WHERE excluded.first_ts < visitor_first_seen.first_ts`;
+}
+
+// Fills visitor_first_seen from raw visits while it is still empty (the first start after it shipped).
+const BACKFILL_FIRST_SEEN = `INSERT INTO visitor_first_seen (vkey, first_ts)
+  SELECT ${VISITOR_KEY}, MIN(ts) FROM visits WHERE true GROUP BY ${VISITOR_KEY}
+  ON CONFLICT (vkey) DO NOTHING`;
+
+// Session-keyed visitors cannot come back once their session is over; their rows go with the purge.
+const PURGE_FIRST_SEEN = (param) => `DELETE FROM visitor_first_seen WHERE first_ts < ${param} AND vkey LIKE 'session:%'`;
+
+// True for visits (aliased v) on the day their session started, so a session that crosses
+// midnight UTC is counted once, on its first day.
+const ON_SESSION_START_DAY = `NOT EXISTS (SELECT 1 FROM visits p WHERE p.session_id = v.session_id AND p.ts < substr(v.ts, 1, 10))`;
+
+// A session is "new" when it is the visitor's first; every later one is "returning".
+// Sessions are those that started in the window, like unique_sessions; since is bound through param.
+function buildVisitorStatsQueries(param) {
+  const sessions = `SELECT ${VISITOR_KEY} AS vkey, session_id, MIN(ts) AS start FROM visits
+    WHERE session_id IN (SELECT session_id FROM visits WHERE ts >= ${param})
+    GROUP BY ${VISITOR_KEY}, session_id HAVING MIN(ts) >= ${param}`;
+  const from = `FROM (${sessions}) s LEFT JOIN visitor_first_seen f ON f.vkey = s.vkey`;
+  const firstTs = 'COALESCE(f.first_ts, s.start)';
+  const isReturning = `s.start > ${firstTs}`;
+  return {
+    totals: `SELECT COUNT(DISTINCT s.vkey) AS unique_visitors,
+      COUNT(DISTINCT CASE WHEN ${firstTs} >= ${param} THEN s.vkey END) AS new_visitors,
+      COUNT(DISTINCT CASE WHEN ${isReturning} THEN s.vkey END) AS returning_visitors,
+      SUM(CASE WHEN ${isReturning} THEN 0 ELSE 1 END) AS new_sessions,
+      SUM(CASE WHEN ${isReturning} THEN 1 ELSE 0 END) AS returning_sessions
+      ${from}`,
+    byDay: `SELECT substr(s.start, 1, 10) AS day,
+      SUM(CASE WHEN ${isReturning} THEN 0 ELSE 1 END) AS new_sessions,
+      SUM(CASE WHEN ${isReturning} THEN 1 ELSE 0 END) AS returning_sessions
+      ${from} GROUP BY substr(s.start, 1, 10) ORDER BY day`,
+  };
+}
+
+// First time each session hit each page and each funnel event; services/funnel.js relates them.
+function buildFunnelQueries(param) {
+  return {
+    visits: `SELECT session_id, page, MIN(ts) AS first_ts FROM visits
+      WHERE ts >= ${param} AND COALESCE(session_id, '') <> '' GROUP BY session_id, page`,
+    events: `SELECT session_id, type, asset_id, asset_category, MIN(ts) AS first_ts FROM events
+      WHERE ts >= ${param} AND COALESCE(session_id, '') <> '' AND type IN ('modal_open', 'download', 'download_all')
+      GROUP BY session_id, type, asset_id, asset_category`,
+  };
+}
+
+// Campaign attribution inputs for [from, to): visits per visitor and campaign, each UTM session
+// of the visitors seen in the window (with its start, for first/last touch) and the window's downloads.
+function buildAttributionQueries(from, to) {
+  const inWindow = `ts >= ${from} AND ts < ${to}`;
+  return {
+    visits: `SELECT ${VISITOR_KEY} AS vkey, COALESCE(utm_source, '') AS utm_source, COALESCE(utm_campaign, '') AS utm_campaign,
+      COUNT(*) AS n FROM visits WHERE ${inWindow}
+      GROUP BY ${VISITOR_KEY}, COALESCE(utm_source, ''), COALESCE(utm_campaign, '')`,
+    touches: `SELECT ${VISITOR_KEY} AS vkey, utm_source, COALESCE(utm_campaign, '') AS utm_campaign, MIN(ts) AS ts FROM visits
+      WHERE COALESCE(utm_source, '') <> '' AND ts < ${to} AND ${VISITOR_KEY} IN (
+        SELECT ${VISITOR_KEY} FROM visits WHERE ${inWindow}
+        UNION SELECT ${VISITOR_KEY} FROM events WHERE type = 'download' AND ${inWindow})
+      GROUP BY ${VISITOR_KEY}, session_id, utm_source, COALESCE(utm_campaign, '')`,
+    downloads: `SELECT ${VISITOR_KEY} AS vkey, ts FROM events WHERE type = 'download' AND ${inWindow}`,
+  };
+}
+
+// Parts of a multi-column value are joined with '|'; a '|' inside a part becomes '/'.
+// The value is '' when the leading column is empty, so breakdowns can skip those rows.
+function joinedValue(columns) {
+  const parts = columns.map((c) => `REPLACE(COALESCE(${c}, ''), '|', '/')`);
+  return `CASE WHEN COALESCE(${columns[0]}, '') = '' THEN '' ELSE ${parts.join(` || '|' || `)} END`;
+}
+
+// Daily visit aggregates; one row per day, dimension and value.
+const VISIT_ROLLUP_DIMENSIONS = {
+  total: `''`,
+  page: `COALESCE(page, '')`,
+  country: `COALESCE(country, '')`,
+  city: joinedValue(['city', 'country']),
+  device: `COALESCE(device, '')`,
+  browser: `COALESCE(browser, '')`,
+  os: `COALESCE(os, '')`,
+  referrer: `COALESCE(referrer, '')`,
+  utm: joinedValue(['utm_source', 'utm_campaign', 'utm_term']),
+};
+
+const EVENT_ROLLUP_ASSET = `COALESCE(asset_id, ''), COALESCE(asset_title, ''), COALESCE(asset_category, '')`;
+
+// sessions is the sessions with a visit per value, except on the total row: there it is the
+// sessions that started that day, so summing days counts each session once.
+function buildVisitRollupInserts(param) {
+  return Object.entries(VISIT_ROLLUP_DIMENSIONS).map(([dimension, expr]) => {
+    const sessions = dimension === 'total'
+      ? `COUNT(DISTINCT CASE WHEN ${ON_SESSION_START_DAY} THEN session_id END)`
+      : 'COUNT(DISTINCT session_id)';
+    return `INSERT INTO visit_rollups (day, dimension, value, visits, sessions, visitors)
+     SELECT ${param(1)}, '${dimension}', ${expr}, COUNT(*), ${sessions}, COUNT(DISTINCT ${VISITOR_KEY})
+     FROM visits v WHERE ts >= ${param(2)} AND ts < ${param(3)} GROUP BY ${expr}`;
+  });
+}
+
+// Daily event counts per type and asset.
+function buildEventRollupInsert(param) {
+  return `INSERT INTO event_rollups (day, type, asset_id, asset_title, asset_category, n)
+    SELECT ${param(1)}, COALESCE(type, ''), ${EVENT_ROLLUP_ASSET}, COUNT(*)
+    FROM events WHERE ts >= ${param(2)} AND ts < ${param(3)} GROUP BY COALESCE(type, ''), ${EVENT_ROLLUP_ASSET}`;
+}
+
+function addDays(day, n) {
+  return new Date(Date.parse(day + 'T00:00:00Z') + n * 86400000).toISOString().slice(0, 10);
+}
+
+// Closed days (before beforeDay) with raw visits or events and no rollup yet. Only days after the
+// latest rollup are scanned; the first run goes through the whole history.
+function buildUnrolledDaysQuery(param) {
+  const after = `(SELECT COALESCE(MAX(day), '') FROM rollup_days)`;
+  return `SELECT day FROM (
+      SELECT DISTINCT substr(ts, 1, 10) AS day FROM visits WHERE ts >= ${after} AND ts < ${param(1)}
+      UNION
+      SELECT DISTINCT substr(ts, 1, 10) AS day FROM events WHERE ts >= ${after} AND ts < ${param(1)}
+    ) d WHERE day NOT IN (SELECT day FROM rollup_days) ORDER BY day`;
+}
+
+// Days in [fromDay, toDay] that have raw rows or a rollup, for rebuilding.
+function buildRollupCandidateDaysQuery(param) {
+  const range = `ts >= ${param(1)} AND ts < ${param(2)}`;
+  return `SELECT day FROM (
+      SELECT DISTINCT substr(ts, 1, 10) AS day FROM visits WHERE ${range}
+      UNION
+      SELECT DISTINCT substr(ts, 1, 10) AS day FROM events WHERE ${range}
+      UNION
+      SELECT day FROM rollup_days WHERE day >= ${param(1)} AND day < ${param(2)}
+    ) d ORDER BY day`;
+}
+
+// Dashboard breakdowns: which rollup dimension feeds them and how a rollup value maps back to columns.
+const STATS_BREAKDOWNS = {
+  by_page: { dimension: 'page', keepEmpty: true, toRow: (v) => ({ page: v }) },
+  by_country: { dimension: 'country', limit: 30, toRow: (v) => ({ country: v }) },
+  by_city: { dimension: 'city', limit: 30, toRow: (v) => { const [city, country] = v.split('|'); return { city, country }; } },
+  by_utm: {
+    dimension: 'utm',
+    toRow: (v) => { const [utm_source, utm_campaign, utm_term] = v.split('|'); return { utm_source, utm_campaign, utm_term }; },
+  },
+  by_device: { dimension: 'device', toRow: (v) => ({ device: v }) },
+  by_browser: { dimension: 'browser', toRow: (v) => ({ browser: v }) },
+  by_os: { dimension: 'os', toRow: (v) => ({ os: v }) },
+  by_referrer: { dimension: 'referrer', limit: 20, toRow: (v) => ({ referrer: v }) },
+};
+
+const NOT_ROLLED_UP = `substr(ts, 1, 10) NOT IN (SELECT day FROM rollup_days)`;
+
+// Dashboard totals and breakdowns from rollups for rolled-up days since sinceDay, plus
+// raw rows for everything not rolled up yet (today, and closed days the job has not reached).
+// since is the start of sinceDay; both are bound through the given placeholders.
+function buildStatsQueries(since, sinceDay) {
+  const rawVisits = `FROM visits WHERE ts >= ${since} AND ${NOT_ROLLED_UP}`;
+  const rawDownloads = `FROM events WHERE type = 'download' AND ts >= ${since} AND ${NOT_ROLLED_UP}`;
+  const breakdowns = {};
+  Object.entries(STATS_BREAKDOWNS).forEach(([key, b]) => {
+    const expr = VISIT_ROLLUP_DIMENSIONS[b.dimension];
+    breakdowns[key] = `SELECT value, SUM(n) AS n FROM (
+        SELECT value, visits AS n FROM visit_rollups WHERE dimension = '${b.dimension}' AND day >= ${sinceDay}
+        UNION ALL
+        SELECT ${expr} AS value, COUNT(*) AS n ${rawVisits} GROUP BY ${expr}
+      ) t${b.keepEmpty ? '' : ` WHERE value <> ''`} GROUP BY value ORDER BY n DESC${b.limit ? ` LIMIT ${b.limit}` : ''}`;
+  });
+  return {
+    totals: `SELECT COALESCE(SUM(visits), 0) AS visits, COALESCE(SUM(sessions), 0) AS sessions FROM (
+        SELECT visits, sessions FROM visit_rollups WHERE dimension = 'total' AND day >= ${sinceDay}
+        UNION ALL
+        SELECT COUNT(*), COUNT(DISTINCT CASE WHEN ${ON_SESSION_START_DAY} THEN session_id END)
+        FROM visits v WHERE ts >= ${since} AND ${NOT_ROLLED_UP}
+      ) t`,
+    downloads: `SELECT COALESCE(SUM(n), 0) AS n FROM (
+        SELECT n FROM event_rollups WHERE type = 'download' AND day >= ${sinceDay}
+        UNION ALL
+        SELECT COUNT(*) ${rawDownloads}
+      ) t`,
+    topDownloads: `SELECT asset_id, asset_title, asset_category, SUM(n) AS n FROM (
+        SELECT asset_id, asset_title, asset_category, n FROM event_rollups WHERE type = 'download' AND day >= ${sinceDay}
+        UNION ALL
+        SELECT ${EVENT_ROLLUP_ASSET}, COUNT(*) ${rawDownloads} GROUP BY ${EVENT_ROLLUP_ASSET}
+      ) t GROUP BY asset_id, asset_title, asset_category ORDER BY n DESC LIMIT 20`,
+    breakdowns,
+  };
+}
+
+// The dashboard window starts at midnight UTC of the day `days` ago, since rollups hold whole days.
+function toStatsWindow(days) {
+  const sinceDay = new Date(Date.now() - days * 86400000).toISOString().slice(0, 10);
+  return { since: sinceDay + 'T00:00:00.000Z', sinceDay };
+}
+
+function toStatsResult(q) {
+  const breakdowns = {};
+  Object.entries(STATS_BREAKDOWNS).forEach(([key, b]) => {
+    breakdowns[key] = (q.breakdowns[key] || []).map((r) => ({ ...b.toRow(r.value || ''), n: Number(r.n || 0) }));
+  });
+  return {
+    visits: Number((q.totals && q.totals.visits) || 0),
+    downloads: Number((q.downloads && q.downloads.n) || 0),
+    unique_sessions: Number((q.totals && q.totals.sessions) || 0),
+    breakdowns,
+    top_downloads: (q.topDownloads || []).map((r) => ({ ...r, n: Number(r.n || 0) })),
+  };
+}
+
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Whole UTC days inside [from, to] (to inclusive), or null when the bounds are not dates.
+function toWholeDayRange(from, to) {
+  let fromDay = '0000-01-01';
+  let toDay = '9999-12-31';
+  if (from) {
+    const d = String(from).slice(0, 10);
+    if (!DAY_RE.test(d) || !Number.isFinite(Date.parse(d))) return null;
+    fromDay = String(from) <= d + 'T00:00:00.000Z' ? d : addDays(d, 1);
+  }
+  if (to) {
+    const d = String(to).slice(0, 10);
+    if (!DAY_RE.test(d) || !Number.isFinite(Date.parse(d))) return null;
+    toDay = String(to) >= d + 'T23:59:59.999Z' ? d : addDays(d, -1);
+  }
+  return { fromDay, toDay };
+}
+
+// Downloads report. Rows always come from events; totals, by_asset and by_day read
+// event_rollups for rolled-up days that lie wholly inside from/to, unless the report
+// is narrowed to one session (rollups do not keep sessions).
+// params feed `where`; aggregateParams feed the aggregate queries.
+function buildDownloadDataQueries(options, param) {
+  const params = [];
+  const bind = (value) => {
+    params.push(value);
+    return param(params.length);
+  };
+  const raw = [`type = 'download'`];
+  const rolled = [`type = 'download'`];
+  if (options.from) raw.push(`ts >= ${bind(options.from)}`);
+  if (options.to) raw.push(`ts <= ${bind(options.to)}`);
+  if (options.asset_id) {
+    const p = bind(options.asset_id);
+    raw.push(`asset_id = ${p}`);
+    rolled.push(`asset_id = ${p}`);
+  }
+  if (options.session_id) raw.push(`session_id = ${bind(options.session_id)}`);
+  const where = raw.join(' AND ');
+  const range = options.session_id ? null : toWholeDayRange(options.from, options.to);
+  const aggregateParams = params.slice();
+  let rawWhere = where;
+  let rolledWhere = '1 = 0';
+  if (range) {
+    aggregateParams.push(range.fromDay, range.toDay);
+    const rolledDays = `SELECT day FROM rollup_days WHERE day >= ${param(aggregateParams.length - 1)} AND day <= ${param(aggregateParams.length)}`;
+    rawWhere = `${where} AND substr(ts, 1, 10) NOT IN (${rolledDays})`;
+    rolledWhere = `${rolled.join(' AND ')} AND day IN (${rolledDays})`;
+  }
+  return {
+    where,
+    params,
+    aggregateParams,
+    total: `SELECT COALESCE(SUM(n), 0) AS n FROM (
+        SELECT n FROM event_rollups WHERE ${rolledWhere}
+        UNION ALL
+        SELECT COUNT(*) FROM events WHERE ${rawWhere}
+      ) t`,
+    byAsset: `SELECT
+        asset_id,
+        COALESCE(MAX(NULLIF(asset_title, '')), '') AS asset_title,
+        COALESCE(MAX(NULLIF(asset_category, '')), '') AS asset_category,
+        SUM(n) AS n
+      FROM (
+        SELECT asset_id, asset_title, asset_category, n FROM event_rollups WHERE ${rolledWhere}
+        UNION ALL
+        SELECT ${EVENT_ROLLUP_ASSET}, COUNT(*) FROM events WHERE ${rawWhere} GROUP BY ${EVENT_ROLLUP_ASSET}
+      ) t
+      GROUP BY asset_id
+      ORDER BY n DESC`,
+    byDay: `SELECT day, SUM(n) AS n FROM (
+        SELECT day, n FROM event_rollups WHERE ${rolledWhere}
+        UNION ALL
+        SELECT substr(ts, 1, 10), COUNT(*) FROM events WHERE ${rawWhere} GROUP BY substr(ts, 1, 10)
+      ) t
+      GROUP BY day
+      ORDER BY day DESC`,
+  };
+}
+
+// Raw rows for the CSV/NDJSON export, in (ts, id) order so a page can resume after the last row.
+// Filters on columns a table lacks go through the session: visits by asset/category of its events,
+// events by the country of its visits. columns come from services/exports.js.
+function buildExportQuery(table, columns, options, after, limit, param) {
+  const params = [];
+  const bind = (value) => {
+    params.push(value);
+    return param(params.length);
+  };
+  const where = [];
+  if (options.from) where.push(`ts >= ${bind(options.from)}`);
+  if (options.to) where.push(`ts <= ${bind(options.to)}`);
+  if (options.session_id) where.push(`session_id = ${bind(options.session_id)}`);
+  if (options.utm_source) where.push(`utm_source = ${bind(options.utm_source)}`);
+  if (table === 'events') {
+    if (options.asset_id) where.push(`asset_id = ${bind(options.asset_id)}`);
+    if (options.category) where.push(`asset_category = ${bind(options.category)}`);
+    if (options.country) where.push(`session_id IN (SELECT session_id FROM visits WHERE country = ${bind(options.country)})`);
+  } else {
+    if (options.country) where.push(`country = ${bind(options.country)}`);
+    if (options.asset_id) where.push(`session_id IN (SELECT session_id FROM events WHERE asset_id = ${bind(options.asset_id)})`);
+    if (options.category) where.push(`session_id IN (SELECT session_id FROM events WHERE asset_category = ${bind(options.category)})`);
+  }
+  if (after) {
+    const ts = bind(after.ts);
+    where.push(`(ts > ${ts} OR (ts = ${ts} AND id > ${bind(after.id)}))`);
+  }
+  return {
+    sql: `SELECT ${columns.join(', ')} FROM ${table}
+      ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+      ORDER BY ts, id
+      LIMIT ${bind(limit)}`,
+    params,
+  };
+}
+
+function toVisitorStats(totals, byDay) {
+  const t = totals || {};
+  return {
+    unique_visitors: Number(t.unique_visitors || 0),
+    new_visitors: Number(t.new_visitors || 0),
+    returning_visitors: Number(t.returning_visitors || 0),
+    new_vs_returning: {
+      new_sessions: Number(t.new_sessions || 0),
+      returning_sessions: Number(t.returning_sessions || 0),
+      by_day: (byDay || []).map((r) => ({
+        day: r.day,
+        new_sessions: Number(r.new_sessions || 0),
+        returning_sessions: Number(r.returning_sessions || 0),
+      })),
+    },
   };
 }
 
@@ -76,10 +704,120 @@ const DDL = `
     sort_order INTEGER NOT NULL DEFAULT 0,
     built_in INTEGER NOT NULL DEFAULT 0
   );
+  CREATE TABLE IF NOT EXISTS assets (
+    id TEXT PRIMARY KEY, title TEXT NOT NULL, description TEXT, category TEXT NOT NULL,
+    thumbnail_url TEXT, visible INTEGER NOT NULL DEFAULT 1, unlock_threshold INTEGER NOT NULL DEFAULT 0,
+    sort_order INTEGER NOT NULL DEFAULT 0, created_at TEXT NOT NULL, updated_at TEXT, extra TEXT,
+    version INTEGER NOT NULL DEFAULT 1
+  );
+  CREATE INDEX IF NOT EXISTS idx_assets_category ON assets(category);
+  CREATE TABLE IF NOT EXISTS asset_variants (
+    asset_id TEXT NOT NULL, id TEXT NOT NULL, position INTEGER NOT NULL DEFAULT 0,
+    name TEXT, resolution TEXT, file_size TEXT, download_url TEXT,
+    PRIMARY KEY (asset_id, id)
+  );
+  CREATE TABLE IF NOT EXISTS asset_tags (
+    asset_id TEXT NOT NULL, tag TEXT NOT NULL, position INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (asset_id, tag)
+  );
+  CREATE INDEX IF NOT EXISTS idx_asset_tags_tag ON asset_tags(tag);
+  CREATE TABLE IF NOT EXISTS asset_revisions (
+    asset_id TEXT NOT NULL, version INTEGER NOT NULL, saved_at TEXT, replaced_at TEXT NOT NULL,
+    replaced_by TEXT, reason TEXT NOT NULL, snapshot TEXT NOT NULL,
+    PRIMARY KEY (asset_id, version)
+  );
+  CREATE INDEX IF NOT EXISTS idx_asset_revisions_replaced ON asset_revisions(replaced_at);
+  CREATE TABLE IF NOT EXISTS asset_trash (
+    asset_id TEXT PRIMARY KEY, title TEXT, category TEXT, deleted_at TEXT NOT NULL,
+    deleted_by TEXT, purge_after TEXT NOT NULL, snapshot TEXT NOT NULL
+  );
   CREATE TABLE IF NOT EXISTS app_settings (
     key TEXT PRIMARY KEY,
     value TEXT NOT NULL
   );
+  CREATE TABLE IF NOT EXISTS server_downloads (
+    id TEXT PRIMARY KEY, session_id TEXT, ts TEXT NOT NULL, via TEXT NOT NULL,
+    asset_id TEXT, variant_id TEXT, asset_title TEXT, asset_category TEXT,
+    status INTEGER, range_start INTEGER, bytes_sent INTEGER, total_bytes INTEGER,
+    completed INTEGER, counted INTEGER NOT NULL DEFAULT 0
+  );
+  CREATE INDEX IF NOT EXISTS idx_sd_ts      ON server_downloads(ts);
+  CREATE INDEX IF NOT EXISTS idx_sd_asset   ON server_downloads(asset_id);
+  CREATE INDEX IF NOT EXISTS idx_sd_counted ON server_downloads(counted);
+  CREATE TABLE IF NOT EXISTS count_guards (
+    day TEXT NOT NULL, scope TEXT NOT NULL, subject TEXT NOT NULL, asset_id TEXT NOT NULL,
+    n INTEGER NOT NULL DEFAULT 0, last_ts TEXT, prev_ts TEXT,
+    PRIMARY KEY (day, scope, subject, asset_id)
+  );
+  CREATE TABLE IF NOT EXISTS rejected_events (
+    id TEXT PRIMARY KEY, ts TEXT NOT NULL, source TEXT NOT NULL, reason TEXT NOT NULL,
+    session_id TEXT, ip TEXT, ua TEXT,
+    asset_id TEXT, asset_title TEXT, asset_category TEXT
+  );
+  CREATE INDEX IF NOT EXISTS idx_re_ts     ON rejected_events(ts);
+  CREATE INDEX IF NOT EXISTS idx_re_reason ON rejected_events(reason);
+  CREATE TABLE IF NOT EXISTS admin_users (
+    id TEXT PRIMARY KEY, username TEXT NOT NULL UNIQUE, password_hash TEXT NOT NULL,
+    role TEXT NOT NULL, created_at TEXT NOT NULL, updated_at TEXT, last_login_at TEXT
+  );
+  CREATE TABLE IF NOT EXISTS admin_sessions (
+    id TEXT PRIMARY KEY, user_id TEXT NOT NULL,
+    created_at TEXT NOT NULL, expires_at TEXT NOT NULL, ip TEXT, ua TEXT
+  );
+  CREATE INDEX IF NOT EXISTS idx_as_user    ON admin_sessions(user_id);
+  CREATE INDEX IF NOT EXISTS idx_as_expires ON admin_sessions(expires_at);
+  CREATE TABLE IF NOT EXISTS api_tokens (
+    id TEXT PRIMARY KEY, name TEXT NOT NULL, token_hash TEXT NOT NULL UNIQUE, prefix TEXT NOT NULL,
+    scopes TEXT NOT NULL, created_by TEXT, created_at TEXT NOT NULL,
+    last_used_at TEXT, expires_at TEXT, revoked_at TEXT
+  );
+  CREATE TABLE IF NOT EXISTS audit_log (
+    id TEXT PRIMARY KEY, ts TEXT NOT NULL,
+    actor_id TEXT, actor_name TEXT, actor_kind TEXT, action TEXT NOT NULL,
+    target_type TEXT, target_id TEXT, method TEXT, path TEXT, status INTEGER, ip TEXT, diff TEXT
+  );
+  CREATE INDEX IF NOT EXISTS idx_audit_ts ON audit_log(ts);
+  CREATE INDEX IF NOT EXISTS idx_audit_target ON audit_log(target_type, target_id);
+  CREATE TABLE IF NOT EXISTS webhooks (
+    id TEXT PRIMARY KEY, name TEXT NOT NULL, url TEXT NOT NULL, kind TEXT NOT NULL,
+    enabled INTEGER NOT NULL DEFAULT 1, created_at TEXT NOT NULL, created_by TEXT
+  );
+  CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id TEXT PRIMARY KEY, webhook_id TEXT NOT NULL, event TEXT NOT NULL, target_id TEXT,
+    payload TEXT NOT NULL, status TEXT NOT NULL, attempts INTEGER NOT NULL DEFAULT 0,
+    response_status INTEGER, last_error TEXT, next_attempt_at TEXT,
+    created_at TEXT NOT NULL, updated_at TEXT
+  );
+  CREATE INDEX IF NOT EXISTS idx_wd_created ON webhook_deliveries(created_at);
+  CREATE INDEX IF NOT EXISTS idx_wd_due     ON webhook_deliveries(status, next_attempt_at);
+  CREATE TABLE IF NOT EXISTS unlock_occurrences (
+    asset_id TEXT PRIMARY KEY, seq INTEGER NOT NULL DEFAULT 0, locked INTEGER NOT NULL DEFAULT 0
+  );
+  CREATE TABLE IF NOT EXISTS referral_codes (
+    code TEXT PRIMARY KEY, session_id TEXT NOT NULL UNIQUE, created_at TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS referred_sessions (
+    session_id TEXT PRIMARY KEY, code TEXT NOT NULL, ts TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_rs_code ON referred_sessions(code);
+  CREATE TABLE IF NOT EXISTS visitor_first_seen (
+    vkey TEXT PRIMARY KEY, first_ts TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_vfs_first ON visitor_first_seen(first_ts);
+  CREATE TABLE IF NOT EXISTS visit_rollups (
+    day TEXT NOT NULL, dimension TEXT NOT NULL, value TEXT NOT NULL,
+    visits INTEGER NOT NULL, sessions INTEGER NOT NULL, visitors INTEGER NOT NULL,
+    PRIMARY KEY (day, dimension, value)
+  );
+  CREATE TABLE IF NOT EXISTS rollup_days (
+    day TEXT PRIMARY KEY, rolled_at TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS event_rollups (
+    day TEXT NOT NULL, type TEXT NOT NULL,
+    asset_id TEXT NOT NULL, asset_title TEXT NOT NULL, asset_category TEXT NOT NULL,
+    n INTEGER NOT NULL,
+    PRIMARY KEY (day, type, asset_id, asset_title, asset_category)
+  );
 `;
 
 // ── PostgreSQL ─────────────────────────────────────────────────────────────
@@ -96,17 +834,37 @@ if (process.env.DATABASE_URL) {
   // Lazy DDL: run once on first use, retry if it failed
   let pgReady = null;
   function ensureReady() {
-    if (!pgReady) pgReady = pool.query(DDL).catch((e) => { pgReady = null; throw e; });
+    if (!pgReady) {
+      pgReady = pool.query(DDL)
+        .then(async () => {
+          for (const [table, column, type] of ADDED_COLUMNS) {
+            await pool.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS ${column} ${type}`);
+          }
+          for (const sql of ADDED_INDEXES) await pool.query(sql);
+          const seen = await pool.query(`SELECT 1 FROM visitor_first_seen LIMIT 1`);
+          if (!seen.rows.length) await pool.query(BACKFILL_FIRST_SEEN);
+        })
+        .catch((e) => { pgReady = null; throw e; });
+    }
     return pgReady;
   }
 
   const VISIT_SQL = `INSERT INTO visits (${VISIT_COLS.join(',')}) VALUES (${VISIT_COLS.map((_, i) => '$' + (i + 1)).join(',')}) ON CONFLICT (id) DO NOTHING`;
   const EVENT_SQL = `INSERT INTO events (${EVENT_COLS.join(',')}) VALUES (${EVENT_COLS.map((_, i) => '$' + (i + 1)).join(',')})`;
+  const SERVER_DOWNLOAD_SQL = `INSERT INTO server_downloads (${SERVER_DOWNLOAD_COLS.join(',')}) VALUES (${SERVER_DOWNLOAD_COLS.map((_, i) => '$' + (i + 1)).join(',')})`;
+  const REJECTED_EVENT_SQL = `INSERT INTO rejected_events (${REJECTED_EVENT_COLS.join(',')}) VALUES (${REJECTED_EVENT_COLS.map((_, i) => '$' + (i + 1)).join(',')})`;
+  const COUNT_GUARD_SQL = `
+    INSERT INTO count_guards (day, scope, subject, asset_id, n, last_ts) VALUES ($1, $2, $3, $4, 1, $5)
+    ON CONFLICT (day, scope, subject, asset_id) DO UPDATE SET
+      n = count_guards.n + 1, prev_ts = count_guards.last_ts, last_ts = EXCLUDED.last_ts
+    RETURNING n, prev_ts
+  `;
 
   async function insertVisit(data) {
     await ensureReady();
     const row = { id: uuidv4(), ...data };
     await pool.query(VISIT_SQL, VISIT_COLS.map((k) => row[k] ?? null));
+    await pool.query(buildFirstSeenUpsert('$1'), [row.id]);
   }
 
   async function insertEvent(data) {
@@ -115,57 +873,244 @@ if (process.env.DATABASE_URL) {
     await pool.query(EVENT_SQL, EVENT_COLS.map((k) => row[k] ?? null));
   }
 
-  async function getStats(days) {
+  async function insertServerDownload(data) {
+    await ensureReady();
+    const row = { id: uuidv4(), ...data };
+    await pool.query(SERVER_DOWNLOAD_SQL, SERVER_DOWNLOAD_COLS.map((k) => row[k] ?? null));
+  }
+
+  async function insertRejectedEvent(data) {
+    await ensureReady();
+    const row = { id: uuidv4(), ...data };
+    await pool.query(REJECTED_EVENT_SQL, REJECTED_EVENT_COLS.map((k) => row[k] ?? null));
+  }
+
+  // Bumps the per-day counters for each scope ({ session: sid, ip: addr }) and
+  // returns { [scope]: { n, prevTs } } so callers can apply caps and dedup windows.
+  async function recordCountAttempt({ day, ts, assetId, subjects }) {
+    await ensureReady();
+    const out = {};
+    for (const [scope, subject] of Object.entries(subjects || {})) {
+      if (!subject) continue;
+      const r = await pool.query(COUNT_GUARD_SQL, [day, scope, String(subject), assetId || '', ts]);
+      const row = (r.rows && r.rows[0]) || {};
+      out[scope] = { n: Number(row.n || 0), prevTs: row.prev_ts || null };
+    }
+    return out;
+  }
+
+  async function pruneCountGuards(beforeDay) {
+    await ensureReady();
+    await pool.query(`DELETE FROM count_guards WHERE day < $1`, [beforeDay]);
+  }
+
+  async function getRejectedEvents(days) {
     await ensureReady();
     const since = new Date(Date.now() - days * 86400000).toISOString();
     const p = [since];
+    const [total, byReason, byAsset, recent] = await Promise.all([
+      pool.query(`SELECT COUNT(*) n FROM rejected_events WHERE ts >= $1`, p),
+      pool.query(`SELECT reason, source, COUNT(*) n FROM rejected_events WHERE ts >= $1 GROUP BY reason, source ORDER BY n DESC`, p),
+      pool.query(`SELECT asset_id, COALESCE(MAX(NULLIF(asset_title, '')), '') AS asset_title, COUNT(*) n FROM rejected_events WHERE ts >= $1 GROUP BY asset_id ORDER BY n DESC LIMIT 20`, p),
+      pool.query(`SELECT ts, source, reason, session_id, ip, ua, asset_id, asset_title, asset_category FROM rejected_events WHERE ts >= $1 ORDER BY ts DESC LIMIT 100`, p),
+    ]);
+    return {
+      total: Number((total.rows && total.rows[0] && total.rows[0].n) || 0),
+      by_reason: (byReason.rows || []).map((r) => ({ ...r, n: Number(r.n || 0) })),
+      by_asset: (byAsset.rows || []).map((r) => ({ ...r, n: Number(r.n || 0) })),
+      recent: recent.rows || [],
+    };
+  }
+
+  async function getAttributionRows(from, to) {
+    await ensureReady();
+    const queries = buildAttributionQueries('$1', '$2');
+    const p = [from, to];
+    const [visits, touches, downloads] = await Promise.all([
+      pool.query(queries.visits, p),
+      pool.query(queries.touches, p),
+      pool.query(queries.downloads, p),
+    ]);
+    return {
+      visits: (visits.rows || []).map((r) => ({ ...r, n: Number(r.n || 0) })),
+      touches: touches.rows || [],
+      downloads: downloads.rows || [],
+    };
+  }
+
+  // table: 'visits' | 'events'. after: the last row of the previous page, or null.
+  async function getExportRows(table, columns, options, after, limit) {
+    await ensureReady();
+    const q = buildExportQuery(table, columns, options, after, limit, (i) => '$' + i);
+    const result = await pool.query(q.sql, q.params);
+    return result.rows || [];
+  }
+
+  async function getFunnelRows(since) {
+    await ensureReady();
+    const queries = buildFunnelQueries('$1');
+    const [visits, events] = await Promise.all([
+      pool.query(queries.visits, [since]),
+      pool.query(queries.events, [since]),
+    ]);
+    return { visits: visits.rows || [], events: events.rows || [] };
+  }
+
+  async function getStats(days) {
+    await ensureReady();
+    const { since, sinceDay } = toStatsWindow(days);
+    const p = [since];
+    const sp = [since, sinceDay];
 
-    const [v, dl, us, byPage, byCountry, byCity, byUtm, byDevice, byBrowser, byOs, topDl, byRef, recentV, recentDl] =
+    const visitorQueries = buildVisitorStatsQueries('$1');
+    const statsQueries = buildStatsQueries('$1', '$2');
+    const breakdownKeys = Object.keys(statsQueries.breakdowns);
+    const [totals, dl, topDl, recentV, recentDl, visitorTotals, visitorDays, ...breakdowns] =
       await Promise.all([
-        pool.query(`SELECT COUNT(*) n FROM visits WHERE ts >= $1`, p),
-        pool.query(`SELECT COUNT(*) n FROM events WHERE type='download' AND ts >= $1`, p),
-        pool.query(`SELECT COUNT(DISTINCT session_id) n FROM visits WHERE ts >= $1`, p),
-        pool.query(`SELECT page, COUNT(*) n FROM visits WHERE ts >= $1 GROUP BY page ORDER BY n DESC`, p),
-        pool.query(`SELECT country, COUNT(*) n FROM visits WHERE ts >= $1 AND country IS NOT NULL AND country <> '' GROUP BY country ORDER BY n DESC LIMIT 30`, p),
-        pool.query(`SELECT city, country, COUNT(*) n FROM visits WHERE ts >= $1 AND city IS NOT NULL AND city <> '' GROUP BY city, country ORDER BY n DESC LIMIT 30`, p),
-        pool.query(`SELECT utm_source, utm_campaign, utm_term, COUNT(*) n FROM visits WHERE ts >= $1 AND utm_source IS NOT NULL AND utm_source <> '' GROUP BY utm_source, utm_campaign, utm_term ORDER BY n DESC`, p),
-        pool.query(`SELECT device, COUNT(*) n FROM visits WHERE ts >= $1 AND device IS NOT NULL AND device <> '' GROUP BY device ORDER BY n DESC`, p),
-        pool.query(`SELECT browser, COUNT(*) n FROM visits WHERE ts >= $1 AND browser IS NOT NULL AND browser <> '' GROUP BY browser ORDER BY n DESC`, p),
-        pool.query(`SELECT os, COUNT(*) n FROM visits WHERE ts >= $1 AND os IS NOT NULL AND os <> '' GROUP BY os ORDER BY n DESC`, p),
-        pool.query(`SELECT asset_id, asset_title, asset_category, COUNT(*) n FROM events WHERE type='download' AND ts >= $1 GROUP BY asset_id, asset_title, asset_category ORDER BY n DESC LIMIT 20`, p),
-        pool.query(`SELECT referrer, COUNT(*) n FROM visits WHERE ts >= $1 AND referrer IS NOT NULL AND referrer <> '' GROUP BY referrer ORDER BY n DESC LIMIT 20`, p),
+        pool.query(statsQueries.totals, sp),
+        pool.query(statsQueries.downloads, sp),
+        pool.query(statsQueries.topDownloads, sp),
         pool.query(`SELECT ts,page,country,city,device,browser,os,utm_source,utm_campaign,utm_term,referrer,isp,screen_w,screen_h,lang FROM visits ORDER BY ts DESC LIMIT 100`),
         pool.query(`SELECT e.ts,e.asset_title,e.asset_category,e.asset_id,v.country,v.city,v.device,v.utm_source,v.utm_campaign,v.utm_term FROM events e LEFT JOIN visits v ON e.session_id=v.session_id WHERE e.type='download' ORDER BY e.ts DESC LIMIT 100`),
+        pool.query(visitorQueries.totals, p),
+        pool.query(visitorQueries.byDay, p),
+        ...breakdownKeys.map((key) => pool.query(statsQueries.breakdowns[key], sp)),
       ]);
 
+    const stats = toStatsResult({
+      totals: totals.rows[0],
+      downloads: dl.rows[0],
+      topDownloads: topDl.rows,
+      breakdowns: Object.fromEntries(breakdownKeys.map((key, i) => [key, breakdowns[i].rows])),
+    });
     return {
-      visits:           Number(v.rows[0].n),
-      downloads:        Number(dl.rows[0].n),
-      unique_sessions:  Number(us.rows[0].n),
-      by_page:          byPage.rows,
-      by_country:       byCountry.rows,
-      by_city:          byCity.rows,
-      by_utm:           byUtm.rows,
-      by_device:        byDevice.rows,
-      by_browser:       byBrowser.rows,
-      by_os:            byOs.rows,
-      top_downloads:    topDl.rows,
-      by_referrer:      byRef.rows,
+      visits:           stats.visits,
+      downloads:        stats.downloads,
+      unique_sessions:  stats.unique_sessions,
+      ...toVisitorStats(visitorTotals.rows[0], visitorDays.rows),
+      ...stats.breakdowns,
+      top_downloads:    stats.top_downloads,
       recent_visits:    recentV.rows,
       recent_downloads: recentDl.rows,
     };
   }
 
-  async function getAllTimeDownloadCount() {
+  async function getAllTimeDownloadCount(source) {
     await ensureReady();
-    const r = await pool.query(`SELECT COUNT(*) n FROM events WHERE type='download'`);
+    const r = toDownloadCountSource(source) === 'server'
+      ? await pool.query(`SELECT COUNT(*) n FROM server_downloads WHERE counted = 1`)
+      : await pool.query(`SELECT COUNT(*) n FROM events WHERE type='download'`);
     return Number((r.rows && r.rows[0] && r.rows[0].n) || 0);
   }
 
+  // scopes: [{ key, category, from, to }] -> { [key]: n }
+  async function getDownloadCounts(source, scopes) {
+    await ensureReady();
+    const out = {};
+    for (const scope of scopes || []) {
+      const q = buildDownloadCountQuery(source, scope, (i) => '$' + i);
+      const r = await pool.query(q.sql, q.params);
+      out[scope.key] = Number((r.rows && r.rows[0] && r.rows[0].n) || 0);
+    }
+    return out;
+  }
+
+  async function listUnrolledDays(beforeDay) {
+    await ensureReady();
+    const r = await pool.query(buildUnrolledDaysQuery(() => '$1'), [beforeDay]);
+    return (r.rows || []).map((row) => row.day);
+  }
+
+  // Days in [fromDay, beforeDay) worth (re)building.
+  async function listRollupCandidateDays(fromDay, beforeDay) {
+    await ensureReady();
+    const r = await pool.query(buildRollupCandidateDaysQuery((i) => '$' + i), [fromDay, beforeDay]);
+    return (r.rows || []).map((row) => row.day);
+  }
+
+  // Recomputes one day's rollups from raw rows; safe to run again. Visit rollups of
+  // days whose raw visits were purged are kept as they are.
+  async function rollupDay(day) {
+    await withTransaction(async (client) => {
+      const range = [day, day, addDays(day, 1)];
+      await client.query(`DELETE FROM event_rollups WHERE day = $1`, [day]);
+      await client.query(buildEventRollupInsert((i) => '$' + i), range);
+      const purged = await client.query(`SELECT 1 FROM rollup_days WHERE day = $1 AND visits_purged_at IS NOT NULL`, [day]);
+      if (!purged.rows.length) {
+        await client.query(`DELETE FROM visit_rollups WHERE day = $1`, [day]);
+        for (const sql of buildVisitRollupInserts((i) => '$' + i)) await client.query(sql, range);
+      }
+      await client.query(
+        `INSERT INTO rollup_days (day, rolled_at) VALUES ($1, $2) ON CONFLICT (day) DO UPDATE SET rolled_at = EXCLUDED.rolled_at`,
+        [day, new Date().toISOString()]
+      );
+    });
+  }
+
+  // Only days that are already rolled up lose their raw rows. ts is a midnight UTC cutoff.
+  async function purgeVisitsBefore(ts) {
+    return withTransaction(async (client) => {
+      const r = await client.query(
+        `DELETE FROM visits WHERE ts < $1 AND substr(ts, 1, 10) IN (SELECT day FROM rollup_days)`,
+        [ts]
+      );
+      await client.query(PURGE_FIRST_SEEN('$1'), [ts]);
+      await client.query(
+        `UPDATE rollup_days SET visits_purged_at = $2 WHERE day < $1 AND visits_purged_at IS NULL`,
+        [ts.slice(0, 10), new Date().toISOString()]
+      );
+      return r.rowCount || 0;
+    });
+  }
+
+  async function getReferralCodeForSession(sessionId) {
+    await ensureReady();
+    const r = await pool.query(`SELECT code, session_id, created_at FROM referral_codes WHERE session_id = $1`, [sessionId]);
+    return (r.rows && r.rows[0]) || null;
+  }
+
+  async function getReferralCode(code) {
+    await ensureReady();
+    const r = await pool.query(`SELECT code, session_id, created_at FROM referral_codes WHERE code = $1`, [code]);
+    return (r.rows && r.rows[0]) || null;
+  }
+
+  // False when the code or the session already has a row.
+  async function createReferralCode({ code, session_id, created_at }) {
+    await ensureReady();
+    const r = await pool.query(
+      `INSERT INTO referral_codes (code, session_id, created_at) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING`,
+      [code, session_id, created_at]
+    );
+    return r.rowCount > 0;
+  }
+
+  // First referral wins; later links followed in the same session are ignored.
+  async function recordReferredSession({ session_id, code, ts }) {
+    await ensureReady();
+    await pool.query(
+      `INSERT INTO referred_sessions (session_id, code, ts) VALUES ($1, $2, $3) ON CONFLICT (session_id) DO NOTHING`,
+      [session_id, code, ts]
+    );
+  }
+
+  async function getReferralContribution(source, scope, sessionId, code) {
+    await ensureReady();
+    const own = buildDownloadCountQuery(source, { ...scope, sessionId }, (i) => '$' + i);
+    const referred = buildDownloadCountQuery(source, { ...scope, referredBy: code }, (i) => '$' + i);
+    const [ownRes, referredRes, sessionsRes] = await Promise.all([
+      pool.query(own.sql, own.params),
+      code ? pool.query(referred.sql, referred.params) : null,
+      code ? pool.query(`SELECT COUNT(*) n FROM referred_sessions WHERE code = $1`, [code]) : null,
+    ]);
+    const n = (r) => Number((r && r.rows && r.rows[0] && r.rows[0].n) || 0);
+    return { own: n(ownRes), referred: n(referredRes), referredSessions: n(sessionsRes) };
+  }
+
   async function getDownloadDashboard() {
     await ensureReady();
     const since = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
-    const [allTime, last24h, byAssetId] = await Promise.all([
+    const [allTime, last24h, byAssetId, serverAllTime, server24h, serverStarted] = await Promise.all([
       pool.query(`SELECT COUNT(*) n FROM events WHERE type='download'`),
       pool.query(`SELECT COUNT(*) n FROM events WHERE type='download' AND ts >= $1`, [since]),
       pool.query(`
@@ -174,10 +1119,17 @@ if (process.env.DATABASE_URL) {
         WHERE type='download' AND asset_id IS NOT NULL AND asset_id <> ''
         GROUP BY asset_id
       `),
+      pool.query(`SELECT COUNT(*) n FROM server_downloads WHERE counted = 1`),
+      pool.query(`SELECT COUNT(*) n FROM server_downloads WHERE counted = 1 AND ts >= $1`, [since]),
+      pool.query(`SELECT COUNT(*) n, COALESCE(SUM(bytes_sent), 0) bytes FROM server_downloads`),
     ]);
     return {
       total_downloads: Number((allTime.rows && allTime.rows[0] && allTime.rows[0].n) || 0),
       downloads_24h: Number((last24h.rows && last24h.rows[0] && last24h.rows[0].n) || 0),
+      server_downloads: Number((serverAllTime.rows && serverAllTime.rows[0] && serverAllTime.rows[0].n) || 0),
+      server_downloads_24h: Number((server24h.rows && server24h.rows[0] && server24h.rows[0].n) || 0),
+      server_requests: Number((serverStarted.rows && serverStarted.rows[0] && serverStarted.rows[0].n) || 0),
+      server_bytes_sent: Number((serverStarted.rows && serverStarted.rows[0] && serverStarted.rows[0].bytes) || 0),
       by_asset_id: (byAssetId.rows || []).map((r) => ({
         asset_id: r.asset_id,
         n: Number(r.n || 0),
@@ -189,43 +1141,21 @@ if (process.env.DATABASE_URL) {
     await ensureReady();
     const limit = Math.min(Math.max(parseInt(options.limit, 10) || 200, 1), 5000);
     const offset = Math.max(parseInt(options.offset, 10) || 0, 0);
-    const where = [`type='download'`];
-    const params = [];
-    if (options.from) { params.push(options.from); where.push(`ts >= $${params.length}`); }
-    if (options.to) { params.push(options.to); where.push(`ts <= $${params.length}`); }
-    if (options.asset_id) { params.push(options.asset_id); where.push(`asset_id = $${params.length}`); }
-    if (options.session_id) { params.push(options.session_id); where.push(`session_id = $${params.length}`); }
-    const whereSql = where.join(' AND ');
-    const paramsWithPage = params.slice();
+    const q = buildDownloadDataQueries(options, (i) => '$' + i);
+    const paramsWithPage = q.params.slice();
     paramsWithPage.push(limit, offset);
     const rowsSql = `
       SELECT id, session_id, ts, asset_id, asset_title, asset_category, page, utm_source, utm_campaign, utm_term
       FROM events
-      WHERE ${whereSql}
+      WHERE ${q.where}
       ORDER BY ts DESC
       LIMIT $${paramsWithPage.length - 1} OFFSET $${paramsWithPage.length}
     `;
     const [total, items, byAsset, byDay] = await Promise.all([
-      pool.query(`SELECT COUNT(*) n FROM events WHERE ${whereSql}`, params),
+      pool.query(q.total, q.aggregateParams),
       pool.query(rowsSql, paramsWithPage),
-      pool.query(`
-        SELECT
-          asset_id,
-          COALESCE(MAX(NULLIF(asset_title, '')), '') AS asset_title,
-          COALESCE(MAX(NULLIF(asset_category, '')), '') AS asset_category,
-          COUNT(*) n
-        FROM events
-        WHERE ${whereSql}
-        GROUP BY asset_id
-        ORDER BY n DESC
-      `, params),
-      pool.query(`
-        SELECT to_char(date_trunc('day', ts::timestamptz), 'YYYY-MM-DD') day, COUNT(*) n
-        FROM events
-        WHERE ${whereSql}
-        GROUP BY 1
-        ORDER BY 1 DESC
-      `, params),
+      pool.query(q.byAsset, q.aggregateParams),
+      pool.query(q.byDay, q.aggregateParams),
     ]);
     return {
       total: Number((total.rows && total.rows[0] && total.rows[0].n) || 0),
@@ -258,11 +1188,34 @@ if (process.env.DATABASE_URL) {
     return enabled;
   }
 
-  async function getAssetsData() {
+  // The first instance to ask stores its candidate; everyone gets the stored one.
+  async function getCountGuardSalt(candidate) {
+    await ensureReady();
+    await pool.query(`INSERT INTO app_settings (key, value) VALUES ('count_guard_salt', $1) ON CONFLICT (key) DO NOTHING`, [candidate]);
+    const r = await pool.query(`SELECT value FROM app_settings WHERE key = 'count_guard_salt' LIMIT 1`);
+    return r.rows[0].value;
+  }
+
+  async function getDownloadCountSource() {
+    await ensureReady();
+    const r = await pool.query(`SELECT value FROM app_settings WHERE key = 'download_count_source' LIMIT 1`);
+    return toDownloadCountSource(r.rows && r.rows[0] && r.rows[0].value);
+  }
+
+  async function setDownloadCountSource(source) {
     await ensureReady();
+    const v = toDownloadCountSource(source);
     await pool.query(
-      `INSERT INTO app_settings (key, value) VALUES ('assets_data_json', '') ON CONFLICT (key) DO NOTHING`
+      `INSERT INTO app_settings (key, value) VALUES ('download_count_source', $1)
+       ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value`,
+      [v]
     );
+    return v;
+  }
+
+  // Legacy catalogue blob; only read by the one-time assets migration.
+  async function getAssetsData() {
+    await ensureReady();
     const r = await pool.query(`SELECT value FROM app_settings WHERE key = 'assets_data_json' LIMIT 1`);
     const raw = (r.rows && r.rows[0] && r.rows[0].value) || '';
     if (!raw) return null;
@@ -274,19 +1227,210 @@ if (process.env.DATABASE_URL) {
     }
   }
 
-  async function saveAssetsData(data) {
-    await ensureReady();
-    const raw = JSON.stringify(Array.isArray(data) ? data : []);
-    await pool.query(
-      `INSERT INTO app_settings (key, value) VALUES ('assets_data_json', $1)
-       ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value`,
-      [raw]
-    );
-  }
+  const ASSET_SQL = `INSERT INTO assets (${ASSET_COLS.join(',')}) VALUES (${ASSET_COLS.map((_, i) => '$' + (i + 1)).join(',')}) ON CONFLICT (id) DO NOTHING`;
+  const ASSET_VARIANT_SQL = `INSERT INTO asset_variants (${ASSET_VARIANT_COLS.join(',')}) VALUES (${ASSET_VARIANT_COLS.map((_, i) => '$' + (i + 1)).join(',')}) ON CONFLICT DO NOTHING`;
 
-  async function getCategories() {
+  async function withTransaction(fn) {
     await ensureReady();
-    const r = await pool.query('SELECT slug, label, "desc", color_class, visible, sort_order, built_in FROM categories ORDER BY sort_order, slug');
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const out = await fn(client);
+      await client.query('COMMIT');
+      return out;
+    } catch (e) {
+      await client.query('ROLLBACK');
+      throw e;
+    } finally {
+      client.release();
+    }
+  }
+
+  async function writeAssetChildren(client, asset) {
+    await client.query(`DELETE FROM asset_variants WHERE asset_id = $1`, [asset.id]);
+    await client.query(`DELETE FROM asset_tags WHERE asset_id = $1`, [asset.id]);
+    for (const v of toVariantDbRows(asset)) {
+      await client.query(ASSET_VARIANT_SQL, ASSET_VARIANT_COLS.map((k) => v[k] ?? null));
+    }
+    const tags = toTagList(asset);
+    for (let i = 0; i < tags.length; i++) {
+      await client.query(`INSERT INTO asset_tags (asset_id, tag, position) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING`, [asset.id, tags[i], i]);
+    }
+  }
+
+  // Whole catalogue, or a single asset when id is given.
+  async function loadAssets(id) {
+    await ensureReady();
+    const params = id ? [id] : [];
+    const [a, v, t] = await Promise.all([
+      pool.query(`SELECT ${ASSET_COLS.join(',')} FROM assets ${id ? 'WHERE id = $1' : ''} ORDER BY sort_order, created_at DESC`, params),
+      pool.query(`SELECT ${ASSET_VARIANT_COLS.join(',')} FROM asset_variants ${id ? 'WHERE asset_id = $1' : ''} ORDER BY asset_id, position`, params),
+      pool.query(`SELECT asset_id, tag FROM asset_tags ${id ? 'WHERE asset_id = $1' : ''} ORDER BY asset_id, position`, params),
+    ]);
+    return mapAssetRows(a.rows, v.rows, t.rows);
+  }
+
+  function listAssets() {
+    return loadAssets(null);
+  }
+
+  async function getAsset(id) {
+    return (await loadAssets(id))[0] || null;
+  }
+
+  // New assets go to the top of the catalogue, like the old unshift into the JSON list.
+  async function insertAsset(asset) {
+    await withTransaction(async (client) => {
+      const r = await client.query(`SELECT COALESCE(MIN(sort_order), 0) - 1 AS next FROM assets`);
+      const row = toAssetDbRow(asset, Number(r.rows[0].next));
+      await client.query(ASSET_SQL, ASSET_COLS.map((k) => row[k] ?? null));
+      await writeAssetChildren(client, asset);
+    });
+  }
+
+  const ASSET_REVISION_SQL = `INSERT INTO asset_revisions (${ASSET_REVISION_COLS.join(',')}) VALUES (${ASSET_REVISION_COLS.map((_, i) => '$' + (i + 1)).join(',')}) ON CONFLICT DO NOTHING`;
+  const ASSET_TRASH_SQL = `INSERT INTO asset_trash (${ASSET_TRASH_COLS.join(',')}) VALUES (${ASSET_TRASH_COLS.map((_, i) => '$' + (i + 1)).join(',')})
+    ON CONFLICT (asset_id) DO UPDATE SET ${ASSET_TRASH_COLS.filter((c) => c !== 'asset_id').map((c) => `${c} = EXCLUDED.${c}`).join(', ')}`;
+
+  // Only applies when the stored version still matches; the version is then bumped
+  // and, when given, the replaced state is kept as a revision.
+  async function updateAsset(asset, expectedVersion, revision) {
+    return withTransaction(async (client) => {
+      const row = toAssetDbRow(asset, 0);
+      const cols = ASSET_COLS.filter((c) => !['id', 'sort_order', 'version'].includes(c));
+      const r = await client.query(
+        `UPDATE assets SET ${cols.map((c, i) => `${c} = $${i + 3}`).join(', ')}, version = version + 1
+         WHERE id = $1 AND version = $2`,
+        [row.id, expectedVersion, ...cols.map((c) => row[c] ?? null)]
+      );
+      if (!r.rowCount) return false;
+      await writeAssetChildren(client, asset);
+      if (revision) await client.query(ASSET_REVISION_SQL, ASSET_REVISION_COLS.map((k) => revision[k] ?? null));
+      return true;
+    });
+  }
+
+  // With { revision, trash } the deleted state is kept for history and restore.
+  async function deleteAsset(id, keep = {}) {
+    return withTransaction(async (client) => {
+      await client.query(`DELETE FROM asset_variants WHERE asset_id = $1`, [id]);
+      await client.query(`DELETE FROM asset_tags WHERE asset_id = $1`, [id]);
+      const r = await client.query(`DELETE FROM assets WHERE id = $1`, [id]);
+      if (!r.rowCount) return false;
+      if (keep.revision) await client.query(ASSET_REVISION_SQL, ASSET_REVISION_COLS.map((k) => keep.revision[k] ?? null));
+      if (keep.trash) await client.query(ASSET_TRASH_SQL, ASSET_TRASH_COLS.map((k) => keep.trash[k] ?? null));
+      return true;
+    });
+  }
+
+  async function listAssetRevisions(assetId) {
+    await ensureReady();
+    const r = await pool.query(
+      `SELECT ${ASSET_REVISION_COLS.filter((c) => c !== 'snapshot').join(',')} FROM asset_revisions WHERE asset_id = $1 ORDER BY version DESC`,
+      [assetId]
+    );
+    return (r.rows || []).map((row) => mapRevisionRow(row, false));
+  }
+
+  async function getAssetRevision(assetId, version) {
+    await ensureReady();
+    const r = await pool.query(`SELECT ${ASSET_REVISION_COLS.join(',')} FROM asset_revisions WHERE asset_id = $1 AND version = $2`, [assetId, version]);
+    return r.rows && r.rows[0] ? mapRevisionRow(r.rows[0], true) : null;
+  }
+
+  async function listRevisionSnapshotsSince(sinceIso) {
+    await ensureReady();
+    const r = await pool.query(`SELECT snapshot FROM asset_revisions WHERE replaced_at >= $1`, [sinceIso]);
+    return (r.rows || []).map((row) => parseSnapshot(row.snapshot)).filter(Boolean);
+  }
+
+  async function listAssetTrash() {
+    await ensureReady();
+    const r = await pool.query(`SELECT ${ASSET_TRASH_COLS.join(',')} FROM asset_trash ORDER BY deleted_at DESC`);
+    return (r.rows || []).map(mapTrashRow);
+  }
+
+  async function getTrashedAsset(assetId) {
+    await ensureReady();
+    const r = await pool.query(`SELECT ${ASSET_TRASH_COLS.join(',')} FROM asset_trash WHERE asset_id = $1`, [assetId]);
+    return r.rows && r.rows[0] ? mapTrashRow(r.rows[0]) : null;
+  }
+
+  // Puts a trashed asset back at the top of the catalogue unless its id was reused meanwhile.
+  async function restoreTrashedAsset(asset) {
+    return withTransaction(async (client) => {
+      const exists = await client.query(`SELECT 1 FROM assets WHERE id = $1`, [asset.id]);
+      if (exists.rows.length) return false;
+      const r = await client.query(`SELECT COALESCE(MIN(sort_order), 0) - 1 AS next FROM assets`);
+      const row = toAssetDbRow(asset, Number(r.rows[0].next));
+      await client.query(ASSET_SQL, ASSET_COLS.map((k) => row[k] ?? null));
+      await writeAssetChildren(client, asset);
+      await client.query(`DELETE FROM asset_trash WHERE asset_id = $1`, [asset.id]);
+      return true;
+    });
+  }
+
+  // Purged trash takes the asset's history with it, unless the id is in use again.
+  async function deleteTrashedAsset(assetId) {
+    return withTransaction(async (client) => {
+      await client.query(
+        `DELETE FROM asset_revisions WHERE asset_id = $1 AND asset_id IN (SELECT asset_id FROM asset_trash)
+           AND asset_id NOT IN (SELECT id FROM assets)`,
+        [assetId]
+      );
+      const r = await client.query(`DELETE FROM asset_trash WHERE asset_id = $1`, [assetId]);
+      return r.rowCount > 0;
+    });
+  }
+
+  async function purgeAssetTrash(nowIso) {
+    return withTransaction(async (client) => {
+      await client.query(
+        `DELETE FROM asset_revisions WHERE asset_id IN (SELECT asset_id FROM asset_trash WHERE purge_after <= $1)
+           AND asset_id NOT IN (SELECT id FROM assets)`,
+        [nowIso]
+      );
+      const r = await client.query(`DELETE FROM asset_trash WHERE purge_after <= $1`, [nowIso]);
+      return r.rowCount || 0;
+    });
+  }
+
+  // Keeps the newest `keep` revisions of an asset and resolves how many older ones were dropped.
+  async function pruneAssetRevisions(assetId, keep) {
+    await ensureReady();
+    const r = await pool.query(
+      `DELETE FROM asset_revisions WHERE asset_id = $1 AND version NOT IN (
+         SELECT version FROM asset_revisions WHERE asset_id = $1 ORDER BY version DESC LIMIT $2)`,
+      [assetId, keep]
+    );
+    return r.rowCount || 0;
+  }
+
+  async function getAssetsMigratedAt() {
+    await ensureReady();
+    const r = await pool.query(`SELECT value FROM app_settings WHERE key = 'assets_migrated_at' LIMIT 1`);
+    return (r.rows && r.rows[0] && r.rows[0].value) || null;
+  }
+
+  // One-time import of the legacy catalogue; rows that already exist are left alone.
+  async function importAssets(list, migratedAt) {
+    await withTransaction(async (client) => {
+      const assets = Array.isArray(list) ? list : [];
+      for (let i = 0; i < assets.length; i++) {
+        const row = toAssetDbRow(assets[i], i);
+        const r = await client.query(ASSET_SQL, ASSET_COLS.map((k) => row[k] ?? null));
+        if (r.rowCount) await writeAssetChildren(client, assets[i]);
+      }
+      await client.query(
+        `INSERT INTO app_settings (key, value) VALUES ('assets_migrated_at', $1) ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value`,
+        [migratedAt]
+      );
+    });
+  }
+
+  async function getCategories() {
+    await ensureReady();
+    const r = await pool.query(`${CATEGORY_SELECT} ORDER BY sort_order, slug`);
     return (r.rows || []).map(mapCategoryRow);
   }
 
@@ -333,19 +1477,364 @@ if (process.env.DATABASE_URL) {
     }
   }
 
+  async function listAdminUsers() {
+    await ensureReady();
+    const r = await pool.query(`SELECT id, username, role, created_at, updated_at, last_login_at FROM admin_users ORDER BY username`);
+    return r.rows || [];
+  }
+
+  async function getAdminUserById(id) {
+    await ensureReady();
+    const r = await pool.query(`SELECT ${ADMIN_USER_COLS.join(',')} FROM admin_users WHERE id = $1`, [id]);
+    return (r.rows && r.rows[0]) || null;
+  }
+
+  async function getAdminUserByUsername(username) {
+    await ensureReady();
+    const r = await pool.query(`SELECT ${ADMIN_USER_COLS.join(',')} FROM admin_users WHERE username = $1`, [username]);
+    return (r.rows && r.rows[0]) || null;
+  }
+
+  async function createAdminUser(data) {
+    await ensureReady();
+    await pool.query(
+      `INSERT INTO admin_users (${ADMIN_USER_COLS.join(',')}) VALUES (${ADMIN_USER_COLS.map((_, i) => '$' + (i + 1)).join(',')})`,
+      ADMIN_USER_COLS.map((k) => data[k] ?? null)
+    );
+  }
+
+  async function updateAdminUser(id, changes) {
+    await ensureReady();
+    const keys = ADMIN_USER_MUTABLE.filter((k) => changes[k] !== undefined);
+    if (keys.length === 0) return;
+    await pool.query(
+      `UPDATE admin_users SET ${keys.map((k, i) => `${k} = $${i + 2}`).join(', ')} WHERE id = $1`,
+      [id, ...keys.map((k) => changes[k])]
+    );
+  }
+
+  async function deleteAdminUser(id) {
+    await ensureReady();
+    await pool.query(`DELETE FROM admin_sessions WHERE user_id = $1`, [id]);
+    await pool.query(`DELETE FROM admin_users WHERE id = $1`, [id]);
+  }
+
+  async function createAdminSession(data) {
+    await ensureReady();
+    await pool.query(
+      `INSERT INTO admin_sessions (${ADMIN_SESSION_COLS.join(',')}) VALUES (${ADMIN_SESSION_COLS.map((_, i) => '$' + (i + 1)).join(',')})`,
+      ADMIN_SESSION_COLS.map((k) => data[k] ?? null)
+    );
+  }
+
+  async function getAdminSession(id) {
+    await ensureReady();
+    const r = await pool.query(`SELECT ${ADMIN_SESSION_COLS.join(',')} FROM admin_sessions WHERE id = $1`, [id]);
+    return (r.rows && r.rows[0]) || null;
+  }
+
+  async function deleteAdminSession(id) {
+    await ensureReady();
+    await pool.query(`DELETE FROM admin_sessions WHERE id = $1`, [id]);
+  }
+
+  async function deleteAdminSessionsForUser(userId) {
+    await ensureReady();
+    await pool.query(`DELETE FROM admin_sessions WHERE user_id = $1`, [userId]);
+  }
+
+  async function pruneAdminSessions(now) {
+    await ensureReady();
+    await pool.query(`DELETE FROM admin_sessions WHERE expires_at < $1`, [now]);
+  }
+
+  async function listApiTokens() {
+    await ensureReady();
+    const r = await pool.query(`SELECT ${API_TOKEN_PUBLIC_COLS.join(',')} FROM api_tokens ORDER BY created_at DESC`);
+    return r.rows || [];
+  }
+
+  async function getApiTokenByHash(tokenHash) {
+    await ensureReady();
+    const r = await pool.query(`SELECT ${API_TOKEN_COLS.join(',')} FROM api_tokens WHERE token_hash = $1`, [tokenHash]);
+    return (r.rows && r.rows[0]) || null;
+  }
+
+  async function createApiToken(data) {
+    await ensureReady();
+    await pool.query(
+      `INSERT INTO api_tokens (${API_TOKEN_COLS.join(',')}) VALUES (${API_TOKEN_COLS.map((_, i) => '$' + (i + 1)).join(',')})`,
+      API_TOKEN_COLS.map((k) => data[k] ?? null)
+    );
+  }
+
+  async function touchApiToken(id, ts) {
+    await ensureReady();
+    await pool.query(`UPDATE api_tokens SET last_used_at = $2 WHERE id = $1`, [id, ts]);
+  }
+
+  async function revokeApiToken(id, ts) {
+    await ensureReady();
+    const r = await pool.query(`UPDATE api_tokens SET revoked_at = $2 WHERE id = $1 AND revoked_at IS NULL`, [id, ts]);
+    return r.rowCount > 0;
+  }
+
+  async function insertAuditEntry(data) {
+    await ensureReady();
+    const row = { id: uuidv4(), ...data };
+    await pool.query(
+      `INSERT INTO audit_log (${AUDIT_COLS.join(',')}) VALUES (${AUDIT_COLS.map((_, i) => '$' + (i + 1)).join(',')})`,
+      AUDIT_COLS.map((k) => row[k] ?? null)
+    );
+  }
+
+  async function getAuditEntries(filters, limit) {
+    await ensureReady();
+    const { where, params } = buildAuditWhere(filters || {}, (n) => '$' + n);
+    const r = await pool.query(
+      `SELECT ${AUDIT_COLS.join(',')} FROM audit_log ${where} ORDER BY ts DESC, id DESC LIMIT ${Number(limit) || 100}`,
+      params
+    );
+    return r.rows || [];
+  }
+
+  async function getAuditActions() {
+    await ensureReady();
+    const r = await pool.query(`SELECT DISTINCT action FROM audit_log ORDER BY action`);
+    return (r.rows || []).map((row) => row.action);
+  }
+
+  async function listWebhooks() {
+    await ensureReady();
+    const r = await pool.query(`SELECT ${WEBHOOK_COLS.join(',')} FROM webhooks ORDER BY created_at`);
+    return r.rows || [];
+  }
+
+  async function getWebhook(id) {
+    await ensureReady();
+    const r = await pool.query(`SELECT ${WEBHOOK_COLS.join(',')} FROM webhooks WHERE id = $1`, [id]);
+    return (r.rows && r.rows[0]) || null;
+  }
+
+  async function createWebhook(data) {
+    await ensureReady();
+    await pool.query(
+      `INSERT INTO webhooks (${WEBHOOK_COLS.join(',')}) VALUES (${WEBHOOK_COLS.map((_, i) => '$' + (i + 1)).join(',')})`,
+      WEBHOOK_COLS.map((k) => data[k] ?? null)
+    );
+  }
+
+  async function updateWebhook(id, changes) {
+    await ensureReady();
+    const keys = WEBHOOK_MUTABLE.filter((k) => changes[k] !== undefined);
+    if (!keys.length) return true;
+    const r = await pool.query(
+      `UPDATE webhooks SET ${keys.map((k, i) => `${k} = $${i + 2}`).join(', ')} WHERE id = $1`,
+      [id, ...keys.map((k) => changes[k])]
+    );
+    return r.rowCount > 0;
+  }
+
+  async function deleteWebhook(id) {
+    await ensureReady();
+    return withTransaction(async (client) => {
+      await client.query(`DELETE FROM webhook_deliveries WHERE webhook_id = $1`, [id]);
+      const r = await client.query(`DELETE FROM webhooks WHERE id = $1`, [id]);
+      return r.rowCount > 0;
+    });
+  }
+
+  // Starts a new lock occurrence for each asset not already recorded as locked.
+  async function markAssetsLocked(ids) {
+    await ensureReady();
+    for (const id of ids) {
+      await pool.query(
+        `INSERT INTO unlock_occurrences (asset_id, seq, locked) VALUES ($1, 1, 1)
+         ON CONFLICT (asset_id) DO UPDATE SET seq = unlock_occurrences.seq + 1, locked = 1 WHERE unlock_occurrences.locked = 0`,
+        [id]
+      );
+    }
+  }
+
+  // Ends the asset's lock occurrence and resolves its number, the same on every instance.
+  async function markAssetUnlocked(id) {
+    await ensureReady();
+    const r = await pool.query(`UPDATE unlock_occurrences SET locked = 0 WHERE asset_id = $1 RETURNING seq`, [id]);
+    return r.rows.length ? Number(r.rows[0].seq) : 0;
+  }
+
+  // Resolves false when this webhook already has a delivery for the event, target and occurrence.
+  async function insertWebhookDelivery(data) {
+    await ensureReady();
+    const r = await pool.query(
+      `INSERT INTO webhook_deliveries (${WEBHOOK_DELIVERY_COLS.join(',')}) VALUES (${WEBHOOK_DELIVERY_COLS.map((_, i) => '$' + (i + 1)).join(',')})
+       ON CONFLICT DO NOTHING`,
+      WEBHOOK_DELIVERY_COLS.map((k) => data[k] ?? null)
+    );
+    return r.rowCount > 0;
+  }
+
+  // Marks the delivery 'sending' if it is in one of `statuses` (or its send was abandoned);
+  // only the caller that gets true may send it.
+  async function claimWebhookDelivery(id, statuses, staleBefore, now) {
+    await ensureReady();
+    const r = await pool.query(
+      `UPDATE webhook_deliveries SET status = 'sending', updated_at = $2
+       WHERE id = $1 AND (status = ANY($3) OR (status = 'sending' AND updated_at < $4))`,
+      [id, now, statuses, staleBefore]
+    );
+    return r.rowCount > 0;
+  }
+
+  async function updateWebhookDelivery(id, changes) {
+    await ensureReady();
+    const keys = WEBHOOK_DELIVERY_MUTABLE.filter((k) => changes[k] !== undefined);
+    if (!keys.length) return;
+    await pool.query(
+      `UPDATE webhook_deliveries SET ${keys.map((k, i) => `${k} = $${i + 2}`).join(', ')} WHERE id = $1`,
+      [id, ...keys.map((k) => changes[k])]
+    );
+  }
+
+  async function getWebhookDelivery(id) {
+    await ensureReady();
+    const r = await pool.query(`SELECT ${WEBHOOK_DELIVERY_COLS.join(',')} FROM webhook_deliveries WHERE id = $1`, [id]);
+    return (r.rows && r.rows[0]) || null;
+  }
+
+  async function listWebhookDeliveries(limit) {
+    await ensureReady();
+    const r = await pool.query(
+      `SELECT ${WEBHOOK_DELIVERY_COLS.join(',')} FROM webhook_deliveries ORDER BY created_at DESC, id DESC LIMIT ${Number(limit) || 50}`
+    );
+    return r.rows || [];
+  }
+
+  async function listDueWebhookDeliveries(now, staleBefore, limit) {
+    await ensureReady();
+    const r = await pool.query(
+      `SELECT ${WEBHOOK_DELIVERY_COLS.join(',')} FROM webhook_deliveries
+       WHERE (status = 'pending' AND next_attempt_at <= $1) OR (status = 'sending' AND updated_at < $2)
+       ORDER BY next_attempt_at LIMIT ${Number(limit) || 20}`,
+      [now, staleBefore]
+    );
+    return r.rows || [];
+  }
+
+  async function insertCategory(cat) {
+    await ensureReady();
+    const c = toCategoryDbRow(cat);
+    const r = await pool.query(
+      `INSERT INTO categories (slug, label, "desc", color_class, visible, sort_order, built_in, version, updated_at, publish_at, unpublish_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, 1, $8, $9, $10) ON CONFLICT (slug) DO NOTHING`,
+      [c.slug, c.label, c.desc, c.colorClass, c.visible, c.order, c.builtIn, new Date().toISOString(), c.publishAt, c.unpublishAt]
+    );
+    return r.rowCount > 0;
+  }
+
+  // changes: subset of { label, desc, visible, order, publishAt, unpublishAt }; applies only at expectedVersion.
+  async function updateCategory(slug, changes, expectedVersion) {
+    await ensureReady();
+    const fields = Object.keys(changes).filter((k) => CATEGORY_FIELD_COLUMNS[k]);
+    const sets = fields.map((k, i) => `${CATEGORY_FIELD_COLUMNS[k]} = $${i + 4}`);
+    const r = await pool.query(
+      `UPDATE categories SET ${sets.concat(['version = version + 1', 'updated_at = $3']).join(', ')}
+       WHERE slug = $1 AND version = $2`,
+      [slug, expectedVersion, new Date().toISOString(), ...fields.map((k) => toCategoryFieldValue(k, changes[k]))]
+    );
+    return r.rowCount > 0;
+  }
+
+  async function deleteCategory(slug) {
+    await ensureReady();
+    const r = await pool.query(`DELETE FROM categories WHERE slug = $1`, [slug]);
+    return r.rowCount > 0;
+  }
+
   module.exports = {
     insertVisit,
     insertEvent,
+    insertServerDownload,
+    insertRejectedEvent,
+    recordCountAttempt,
+    pruneCountGuards,
+    getRejectedEvents,
     getStats,
+    getFunnelRows,
+    getAttributionRows,
+    getExportRows,
     getAllTimeDownloadCount,
+    getDownloadCounts,
+    listUnrolledDays,
+    listRollupCandidateDays,
+    rollupDay,
+    purgeVisitsBefore,
+    getReferralCodeForSession,
+    getReferralCode,
+    createReferralCode,
+    recordReferredSession,
+    getReferralContribution,
     getDownloadDashboard,
     getDownloadData,
     getGamificationEnabled,
     setGamificationEnabled,
+    getDownloadCountSource,
+    getCountGuardSalt,
+    setDownloadCountSource,
     getAssetsData,
-    saveAssetsData,
+    listAssets,
+    getAsset,
+    insertAsset,
+    updateAsset,
+    deleteAsset,
+    getAssetsMigratedAt,
+    importAssets,
+    listAssetRevisions,
+    getAssetRevision,
+    listRevisionSnapshotsSince,
+    listAssetTrash,
+    getTrashedAsset,
+    restoreTrashedAsset,
+    deleteTrashedAsset,
+    purgeAssetTrash,
+    pruneAssetRevisions,
     getCategories,
     saveCategories,
+    insertCategory,
+    updateCategory,
+    deleteCategory,
+    listAdminUsers,
+    getAdminUserById,
+    getAdminUserByUsername,
+    createAdminUser,
+    updateAdminUser,
+    deleteAdminUser,
+    createAdminSession,
+    getAdminSession,
+    deleteAdminSession,
+    deleteAdminSessionsForUser,
+    pruneAdminSessions,
+    listApiTokens,
+    getApiTokenByHash,
+    createApiToken,
+    touchApiToken,
+    revokeApiToken,
+    insertAuditEntry,
+    getAuditEntries,
+    getAuditActions,
+    listWebhooks,
+    getWebhook,
+    createWebhook,
+    updateWebhook,
+    deleteWebhook,
+    markAssetsLocked,
+    markAssetUnlocked,
+    insertWebhookDelivery,
+    claimWebhookDelivery,
+    updateWebhookDelivery,
+    getWebhookDelivery,
+    listWebhookDeliveries,
+    listDueWebhookDeliveries,
   };
 
 } else {
@@ -355,16 +1844,39 @@ if (process.env.DATABASE_URL) {
   db.pragma('journal_mode = WAL');
   db.pragma('synchronous = NORMAL');
   db.exec(DDL);
+  for (const [table, column, type] of ADDED_COLUMNS) {
+    const existing = db.prepare(`PRAGMA table_info(${table})`).all().map((c) => c.name);
+    if (!existing.includes(column)) db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+  }
+  ADDED_INDEXES.forEach((sql) => db.exec(sql));
+  if (!db.prepare(`SELECT 1 FROM visitor_first_seen LIMIT 1`).get()) db.exec(BACKFILL_FIRST_SEEN);
 
   const stmtInsertVisit = db.prepare(
     `INSERT OR IGNORE INTO visits (${VISIT_COLS.join(',')}) VALUES (${VISIT_COLS.map((k) => '@' + k).join(',')})`
   );
+  const stmtFirstSeen = db.prepare(buildFirstSeenUpsert('?'));
   const stmtInsertEvent = db.prepare(
     `INSERT INTO events (${EVENT_COLS.join(',')}) VALUES (${EVENT_COLS.map((k) => '@' + k).join(',')})`
   );
+  const stmtInsertServerDownload = db.prepare(
+    `INSERT INTO server_downloads (${SERVER_DOWNLOAD_COLS.join(',')}) VALUES (${SERVER_DOWNLOAD_COLS.map((k) => '@' + k).join(',')})`
+  );
+  const stmtInsertRejectedEvent = db.prepare(
+    `INSERT INTO rejected_events (${REJECTED_EVENT_COLS.join(',')}) VALUES (${REJECTED_EVENT_COLS.map((k) => '@' + k).join(',')})`
+  );
+  const stmtCountGuard = db.prepare(`
+    INSERT INTO count_guards (day, scope, subject, asset_id, n, last_ts) VALUES (?, ?, ?, ?, 1, ?)
+    ON CONFLICT(day, scope, subject, asset_id) DO UPDATE SET
+      n = count_guards.n + 1, prev_ts = count_guards.last_ts, last_ts = excluded.last_ts
+    RETURNING n, prev_ts
+  `);
 
   function insertVisit(data) {
-    stmtInsertVisit.run({ id: uuidv4(), ...data });
+    const id = uuidv4();
+    db.transaction(() => {
+      stmtInsertVisit.run({ id, ...data });
+      stmtFirstSeen.run(id);
+    })();
     return Promise.resolve();
   }
 
@@ -373,9 +1885,49 @@ if (process.env.DATABASE_URL) {
     return Promise.resolve();
   }
 
+  function insertServerDownload(data) {
+    const row = { id: uuidv4(), ...data };
+    stmtInsertServerDownload.run(Object.fromEntries(SERVER_DOWNLOAD_COLS.map((k) => [k, row[k] ?? null])));
+    return Promise.resolve();
+  }
+
+  function insertRejectedEvent(data) {
+    const row = { id: uuidv4(), ...data };
+    stmtInsertRejectedEvent.run(Object.fromEntries(REJECTED_EVENT_COLS.map((k) => [k, row[k] ?? null])));
+    return Promise.resolve();
+  }
+
+  function recordCountAttempt({ day, ts, assetId, subjects }) {
+    const out = {};
+    db.transaction(() => {
+      for (const [scope, subject] of Object.entries(subjects || {})) {
+        if (!subject) continue;
+        const row = stmtCountGuard.get(day, scope, String(subject), assetId || '', ts) || {};
+        out[scope] = { n: Number(row.n || 0), prevTs: row.prev_ts || null };
+      }
+    })();
+    return Promise.resolve(out);
+  }
+
+  function pruneCountGuards(beforeDay) {
+    db.prepare(`DELETE FROM count_guards WHERE day < ?`).run(beforeDay);
+    return Promise.resolve();
+  }
+
+  function getRejectedEvents(days) {
+    const since = new Date(Date.now() - days * 86400000).toISOString();
+    const total = db.prepare(`SELECT COUNT(*) n FROM rejected_events WHERE ts >= ?`).get(since);
+    return Promise.resolve({
+      total: Number((total && total.n) || 0),
+      by_reason: db.prepare(`SELECT reason, source, COUNT(*) n FROM rejected_events WHERE ts >= ? GROUP BY reason, source ORDER BY n DESC`).all(since),
+      by_asset: db.prepare(`SELECT asset_id, COALESCE(MAX(NULLIF(asset_title, '')), '') AS asset_title, COUNT(*) n FROM rejected_events WHERE ts >= ? GROUP BY asset_id ORDER BY n DESC LIMIT 20`).all(since),
+      recent: db.prepare(`SELECT ts, source, reason, session_id, ip, ua, asset_id, asset_title, asset_category FROM rejected_events WHERE ts >= ? ORDER BY ts DESC LIMIT 100`).all(since),
+    });
+  }
+
   function getCategories() {
     try {
-      const rows = db.prepare('SELECT slug, label, "desc", color_class, visible, sort_order, built_in FROM categories ORDER BY sort_order, slug').all();
+      const rows = db.prepare(`${CATEGORY_SELECT} ORDER BY sort_order, slug`).all();
       return Promise.resolve((rows || []).map(mapCategoryRow));
     } catch (e) {
       return Promise.resolve([]);
@@ -413,35 +1965,149 @@ if (process.env.DATABASE_URL) {
     return Promise.resolve();
   }
 
+  function getAttributionRows(from, to) {
+    const queries = buildAttributionQueries('@from', '@to');
+    const p = { from, to };
+    return Promise.resolve({
+      visits: db.prepare(queries.visits).all(p),
+      touches: db.prepare(queries.touches).all(p),
+      downloads: db.prepare(queries.downloads).all(p),
+    });
+  }
+
+  function getExportRows(table, columns, options, after, limit) {
+    const q = buildExportQuery(table, columns, options, after, limit, (i) => '@p' + i);
+    const named = Object.fromEntries(q.params.map((v, i) => ['p' + (i + 1), v]));
+    return Promise.resolve(db.prepare(q.sql).all(named));
+  }
+
+  function getFunnelRows(since) {
+    const queries = buildFunnelQueries('?');
+    return Promise.resolve({
+      visits: db.prepare(queries.visits).all(since),
+      events: db.prepare(queries.events).all(since),
+    });
+  }
+
   function getStats(days) {
-    const since = new Date(Date.now() - days * 86400000).toISOString();
+    const { since, sinceDay } = toStatsWindow(days);
+    const sp = { since, sinceDay };
+    const visitorQueries = buildVisitorStatsQueries('@since');
+    const statsQueries = buildStatsQueries('@since', '@sinceDay');
+    const stats = toStatsResult({
+      totals: db.prepare(statsQueries.totals).get(sp),
+      downloads: db.prepare(statsQueries.downloads).get(sp),
+      topDownloads: db.prepare(statsQueries.topDownloads).all(sp),
+      breakdowns: Object.fromEntries(Object.entries(statsQueries.breakdowns).map(([key, sql]) => [key, db.prepare(sql).all(sp)])),
+    });
     return Promise.resolve({
-      visits:           db.prepare(`SELECT COUNT(*) n FROM visits WHERE ts >= ?`).get(since).n,
-      downloads:        db.prepare(`SELECT COUNT(*) n FROM events WHERE type='download' AND ts >= ?`).get(since).n,
-      unique_sessions:  db.prepare(`SELECT COUNT(DISTINCT session_id) n FROM visits WHERE ts >= ?`).get(since).n,
-      by_page:          db.prepare(`SELECT page, COUNT(*) n FROM visits WHERE ts >= ? GROUP BY page ORDER BY n DESC`).all(since),
-      by_country:       db.prepare(`SELECT country, COUNT(*) n FROM visits WHERE ts >= ? AND country IS NOT NULL AND country != '' GROUP BY country ORDER BY n DESC LIMIT 30`).all(since),
-      by_city:          db.prepare(`SELECT city, country, COUNT(*) n FROM visits WHERE ts >= ? AND city IS NOT NULL AND city != '' GROUP BY city, country ORDER BY n DESC LIMIT 30`).all(since),
-      by_utm:           db.prepare(`SELECT utm_source, utm_campaign, utm_term, COUNT(*) n FROM visits WHERE ts >= ? AND utm_source IS NOT NULL AND utm_source != '' GROUP BY utm_source, utm_campaign, utm_term ORDER BY n DESC`).all(since),
-      by_device:        db.prepare(`SELECT device, COUNT(*) n FROM visits WHERE ts >= ? AND device IS NOT NULL AND device != '' GROUP BY device ORDER BY n DESC`).all(since),
-      by_browser:       db.prepare(`SELECT browser, COUNT(*) n FROM visits WHERE ts >= ? AND browser IS NOT NULL AND browser != '' GROUP BY browser ORDER BY n DESC`).all(since),
-      by_os:            db.prepare(`SELECT os, COUNT(*) n FROM visits WHERE ts >= ? AND os IS NOT NULL AND os != '' GROUP BY os ORDER BY n DESC`).all(since),
-      top_downloads:    db.prepare(`SELECT asset_id, asset_title, asset_category, COUNT(*) n FROM events WHERE type='download' AND ts >= ? GROUP BY asset_id, asset_title, asset_category ORDER BY n DESC LIMIT 20`).all(since),
-      by_referrer:      db.prepare(`SELECT referrer, COUNT(*) n FROM visits WHERE ts >= ? AND referrer IS NOT NULL AND referrer != '' GROUP BY referrer ORDER BY n DESC LIMIT 20`).all(since),
+      visits:           stats.visits,
+      downloads:        stats.downloads,
+      unique_sessions:  stats.unique_sessions,
+      ...toVisitorStats(db.prepare(visitorQueries.totals).get({ since }), db.prepare(visitorQueries.byDay).all({ since })),
+      ...stats.breakdowns,
+      top_downloads:    stats.top_downloads,
       recent_visits:    db.prepare(`SELECT ts,page,country,city,device,browser,os,utm_source,utm_campaign,utm_term,referrer,isp,screen_w,screen_h,lang FROM visits ORDER BY ts DESC LIMIT 100`).all(),
       recent_downloads: db.prepare(`SELECT e.ts,e.asset_title,e.asset_category,e.asset_id,v.country,v.city,v.device,v.utm_source,v.utm_campaign,v.utm_term FROM events e LEFT JOIN visits v ON e.session_id=v.session_id WHERE e.type='download' ORDER BY e.ts DESC LIMIT 100`).all(),
     });
   }
 
-  function getAllTimeDownloadCount() {
-    const row = db.prepare(`SELECT COUNT(*) n FROM events WHERE type='download'`).get();
+  function getAllTimeDownloadCount(source) {
+    const row = toDownloadCountSource(source) === 'server'
+      ? db.prepare(`SELECT COUNT(*) n FROM server_downloads WHERE counted = 1`).get()
+      : db.prepare(`SELECT COUNT(*) n FROM events WHERE type='download'`).get();
     return Promise.resolve(Number((row && row.n) || 0));
   }
 
+  // scopes: [{ key, category, from, to }] -> { [key]: n }
+  function getDownloadCounts(source, scopes) {
+    const out = {};
+    for (const scope of scopes || []) {
+      const q = buildDownloadCountQuery(source, scope, () => '?');
+      const row = db.prepare(q.sql).get(...q.params);
+      out[scope.key] = Number((row && row.n) || 0);
+    }
+    return Promise.resolve(out);
+  }
+
+  function listUnrolledDays(beforeDay) {
+    return Promise.resolve(db.prepare(buildUnrolledDaysQuery(() => '@beforeDay')).all({ beforeDay }).map((row) => row.day));
+  }
+
+  // Days in [fromDay, beforeDay) worth (re)building.
+  function listRollupCandidateDays(fromDay, beforeDay) {
+    const sql = buildRollupCandidateDaysQuery((i) => (i === 1 ? '@fromDay' : '@beforeDay'));
+    return Promise.resolve(db.prepare(sql).all({ fromDay, beforeDay }).map((row) => row.day));
+  }
+
+  // Recomputes one day's rollups from raw rows; safe to run again. Visit rollups of
+  // days whose raw visits were purged are kept as they are.
+  function rollupDay(day) {
+    const visitInserts = buildVisitRollupInserts(() => '?').map((sql) => db.prepare(sql));
+    const eventInsert = db.prepare(buildEventRollupInsert(() => '?'));
+    db.transaction(() => {
+      const range = [day, day, addDays(day, 1)];
+      db.prepare(`DELETE FROM event_rollups WHERE day = ?`).run(day);
+      eventInsert.run(...range);
+      if (!db.prepare(`SELECT 1 FROM rollup_days WHERE day = ? AND visits_purged_at IS NOT NULL`).get(day)) {
+        db.prepare(`DELETE FROM visit_rollups WHERE day = ?`).run(day);
+        visitInserts.forEach((stmt) => stmt.run(...range));
+      }
+      db.prepare(`INSERT INTO rollup_days (day, rolled_at) VALUES (?, ?) ON CONFLICT(day) DO UPDATE SET rolled_at = excluded.rolled_at`)
+        .run(day, new Date().toISOString());
+    })();
+    return Promise.resolve();
+  }
+
+  // Only days that are already rolled up lose their raw rows. ts is a midnight UTC cutoff.
+  function purgeVisitsBefore(ts) {
+    const purge = db.transaction(() => {
+      const info = db.prepare(`DELETE FROM visits WHERE ts < ? AND substr(ts, 1, 10) IN (SELECT day FROM rollup_days)`).run(ts);
+      db.prepare(PURGE_FIRST_SEEN('?')).run(ts);
+      db.prepare(`UPDATE rollup_days SET visits_purged_at = ? WHERE day < ? AND visits_purged_at IS NULL`)
+        .run(new Date().toISOString(), ts.slice(0, 10));
+      return info.changes;
+    });
+    return Promise.resolve(purge());
+  }
+
+  function getReferralCodeForSession(sessionId) {
+    return Promise.resolve(db.prepare(`SELECT code, session_id, created_at FROM referral_codes WHERE session_id = ?`).get(sessionId) || null);
+  }
+
+  function getReferralCode(code) {
+    return Promise.resolve(db.prepare(`SELECT code, session_id, created_at FROM referral_codes WHERE code = ?`).get(code) || null);
+  }
+
+  // False when the code or the session already has a row.
+  function createReferralCode({ code, session_id, created_at }) {
+    const info = db.prepare(`INSERT OR IGNORE INTO referral_codes (code, session_id, created_at) VALUES (?, ?, ?)`)
+      .run(code, session_id, created_at);
+    return Promise.resolve(info.changes > 0);
+  }
+
+  // First referral wins; later links followed in the same session are ignored.
+  function recordReferredSession({ session_id, code, ts }) {
+    db.prepare(`INSERT OR IGNORE INTO referred_sessions (session_id, code, ts) VALUES (?, ?, ?)`).run(session_id, code, ts);
+    return Promise.resolve();
+  }
+
+  function getReferralContribution(source, scope, sessionId, code) {
+    const count = (q) => Number((db.prepare(q.sql).get(...q.params) || {}).n || 0);
+    return Promise.resolve({
+      own: count(buildDownloadCountQuery(source, { ...scope, sessionId }, () => '?')),
+      referred: code ? count(buildDownloadCountQuery(source, { ...scope, referredBy: code }, () => '?')) : 0,
+      referredSessions: code ? count({ sql: `SELECT COUNT(*) n FROM referred_sessions WHERE code = ?`, params: [code] }) : 0,
+    });
+  }
+
   function getDownloadDashboard() {
     const since = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
     const total = db.prepare(`SELECT COUNT(*) n FROM events WHERE type='download'`).get();
     const day = db.prepare(`SELECT COUNT(*) n FROM events WHERE type='download' AND ts >= ?`).get(since);
+    const serverTotal = db.prepare(`SELECT COUNT(*) n FROM server_downloads WHERE counted = 1`).get();
+    const serverDay = db.prepare(`SELECT COUNT(*) n FROM server_downloads WHERE counted = 1 AND ts >= ?`).get(since);
+    const serverStarted = db.prepare(`SELECT COUNT(*) n, COALESCE(SUM(bytes_sent), 0) bytes FROM server_downloads`).get();
     const rows = db.prepare(`
       SELECT asset_id, COUNT(*) n
       FROM events
@@ -451,6 +2117,10 @@ if (process.env.DATABASE_URL) {
     return Promise.resolve({
       total_downloads: Number((total && total.n) || 0),
       downloads_24h: Number((day && day.n) || 0),
+      server_downloads: Number((serverTotal && serverTotal.n) || 0),
+      server_downloads_24h: Number((serverDay && serverDay.n) || 0),
+      server_requests: Number((serverStarted && serverStarted.n) || 0),
+      server_bytes_sent: Number((serverStarted && serverStarted.bytes) || 0),
       by_asset_id: (rows || []).map((r) => ({
         asset_id: r.asset_id,
         n: Number(r.n || 0),
@@ -461,39 +2131,18 @@ if (process.env.DATABASE_URL) {
   function getDownloadData(options = {}) {
     const limit = Math.min(Math.max(parseInt(options.limit, 10) || 200, 1), 5000);
     const offset = Math.max(parseInt(options.offset, 10) || 0, 0);
-    const where = [`type='download'`];
-    const params = [];
-    if (options.from) { where.push('ts >= ?'); params.push(options.from); }
-    if (options.to) { where.push('ts <= ?'); params.push(options.to); }
-    if (options.asset_id) { where.push('asset_id = ?'); params.push(options.asset_id); }
-    if (options.session_id) { where.push('session_id = ?'); params.push(options.session_id); }
-    const whereSql = where.join(' AND ');
-    const total = db.prepare(`SELECT COUNT(*) n FROM events WHERE ${whereSql}`).get(...params);
+    const q = buildDownloadDataQueries(options, (i) => '@p' + i);
+    const named = (values) => Object.fromEntries(values.map((v, i) => ['p' + (i + 1), v]));
+    const total = db.prepare(q.total).get(named(q.aggregateParams));
     const items = db.prepare(`
       SELECT id, session_id, ts, asset_id, asset_title, asset_category, page, utm_source, utm_campaign, utm_term
       FROM events
-      WHERE ${whereSql}
+      WHERE ${q.where}
       ORDER BY ts DESC
-      LIMIT ? OFFSET ?
-    `).all(...params, limit, offset);
-    const byAsset = db.prepare(`
-      SELECT
-        asset_id,
-        COALESCE(MAX(NULLIF(asset_title, '')), '') AS asset_title,
-        COALESCE(MAX(NULLIF(asset_category, '')), '') AS asset_category,
-        COUNT(*) n
-      FROM events
-      WHERE ${whereSql}
-      GROUP BY asset_id
-      ORDER BY n DESC
-    `).all(...params);
-    const byDay = db.prepare(`
-      SELECT substr(ts, 1, 10) day, COUNT(*) n
-      FROM events
-      WHERE ${whereSql}
-      GROUP BY day
-      ORDER BY day DESC
-    `).all(...params);
+      LIMIT @limit OFFSET @offset
+    `).all({ ...named(q.params), limit, offset });
+    const byAsset = db.prepare(q.byAsset).all(named(q.aggregateParams));
+    const byDay = db.prepare(q.byDay).all(named(q.aggregateParams));
     return Promise.resolve({
       total: Number((total && total.n) || 0),
       limit,
@@ -519,8 +2168,28 @@ if (process.env.DATABASE_URL) {
     return Promise.resolve(enabled);
   }
 
+  // The first instance to ask stores its candidate; everyone gets the stored one.
+  function getCountGuardSalt(candidate) {
+    db.prepare(`INSERT OR IGNORE INTO app_settings (key, value) VALUES ('count_guard_salt', ?)`).run(candidate);
+    return Promise.resolve(db.prepare(`SELECT value FROM app_settings WHERE key = 'count_guard_salt'`).get().value);
+  }
+
+  function getDownloadCountSource() {
+    const row = db.prepare(`SELECT value FROM app_settings WHERE key = 'download_count_source'`).get();
+    return Promise.resolve(toDownloadCountSource(row && row.value));
+  }
+
+  function setDownloadCountSource(source) {
+    const v = toDownloadCountSource(source);
+    db.prepare(`
+      INSERT INTO app_settings (key, value) VALUES ('download_count_source', ?)
+      ON CONFLICT(key) DO UPDATE SET value = excluded.value
+    `).run(v);
+    return Promise.resolve(v);
+  }
+
+  // Legacy catalogue blob; only read by the one-time assets migration.
   function getAssetsData() {
-    db.prepare(`INSERT OR IGNORE INTO app_settings (key, value) VALUES ('assets_data_json', '')`).run();
     const row = db.prepare(`SELECT value FROM app_settings WHERE key = 'assets_data_json'`).get();
     const raw = (row && row.value) || '';
     if (!raw) return Promise.resolve(null);
@@ -532,27 +2201,476 @@ if (process.env.DATABASE_URL) {
     }
   }
 
-  function saveAssetsData(data) {
-    const raw = JSON.stringify(Array.isArray(data) ? data : []);
-    db.prepare(`
-      INSERT INTO app_settings (key, value) VALUES ('assets_data_json', ?)
-      ON CONFLICT(key) DO UPDATE SET value = excluded.value
-    `).run(raw);
+  const stmtInsertAsset = db.prepare(
+    `INSERT OR IGNORE INTO assets (${ASSET_COLS.join(',')}) VALUES (${ASSET_COLS.map((k) => '@' + k).join(',')})`
+  );
+  const stmtInsertAssetVariant = db.prepare(
+    `INSERT OR IGNORE INTO asset_variants (${ASSET_VARIANT_COLS.join(',')}) VALUES (${ASSET_VARIANT_COLS.map((k) => '@' + k).join(',')})`
+  );
+  const stmtInsertAssetTag = db.prepare(`INSERT OR IGNORE INTO asset_tags (asset_id, tag, position) VALUES (?, ?, ?)`);
+  const ASSET_UPDATE_COLS = ASSET_COLS.filter((c) => !['id', 'sort_order', 'version'].includes(c));
+  const stmtUpdateAsset = db.prepare(`
+    UPDATE assets SET ${ASSET_UPDATE_COLS.map((c) => `${c} = @${c}`).join(', ')}, version = version + 1
+    WHERE id = @id AND version = @expected_version
+  `);
+
+  function writeAssetChildren(asset) {
+    db.prepare(`DELETE FROM asset_variants WHERE asset_id = ?`).run(asset.id);
+    db.prepare(`DELETE FROM asset_tags WHERE asset_id = ?`).run(asset.id);
+    toVariantDbRows(asset).forEach((v) => stmtInsertAssetVariant.run(v));
+    toTagList(asset).forEach((tag, i) => stmtInsertAssetTag.run(asset.id, tag, i));
+  }
+
+  // Whole catalogue, or a single asset when id is given.
+  function loadAssets(id) {
+    const params = id ? [id] : [];
+    return mapAssetRows(
+      db.prepare(`SELECT ${ASSET_COLS.join(',')} FROM assets ${id ? 'WHERE id = ?' : ''} ORDER BY sort_order, created_at DESC`).all(...params),
+      db.prepare(`SELECT ${ASSET_VARIANT_COLS.join(',')} FROM asset_variants ${id ? 'WHERE asset_id = ?' : ''} ORDER BY asset_id, position`).all(...params),
+      db.prepare(`SELECT asset_id, tag FROM asset_tags ${id ? 'WHERE asset_id = ?' : ''} ORDER BY asset_id, position`).all(...params)
+    );
+  }
+
+  function listAssets() {
+    return Promise.resolve(loadAssets(null));
+  }
+
+  function getAsset(id) {
+    return Promise.resolve(loadAssets(id)[0] || null);
+  }
+
+  // New assets go to the top of the catalogue, like the old unshift into the JSON list.
+  function insertAsset(asset) {
+    db.transaction(() => {
+      const next = db.prepare(`SELECT COALESCE(MIN(sort_order), 0) - 1 AS next FROM assets`).get().next;
+      stmtInsertAsset.run(toAssetDbRow(asset, next));
+      writeAssetChildren(asset);
+    })();
     return Promise.resolve();
   }
 
+  const stmtInsertAssetRevision = db.prepare(
+    `INSERT OR IGNORE INTO asset_revisions (${ASSET_REVISION_COLS.join(',')}) VALUES (${ASSET_REVISION_COLS.map((k) => '@' + k).join(',')})`
+  );
+  const stmtInsertAssetTrash = db.prepare(
+    `INSERT OR REPLACE INTO asset_trash (${ASSET_TRASH_COLS.join(',')}) VALUES (${ASSET_TRASH_COLS.map((k) => '@' + k).join(',')})`
+  );
+
+  // Only applies when the stored version still matches; the version is then bumped
+  // and, when given, the replaced state is kept as a revision.
+  function updateAsset(asset, expectedVersion, revision) {
+    const updated = db.transaction(() => {
+      const row = toAssetDbRow(asset, 0);
+      const params = Object.fromEntries(['id', ...ASSET_UPDATE_COLS].map((k) => [k, row[k] ?? null]));
+      const info = stmtUpdateAsset.run({ ...params, expected_version: expectedVersion });
+      if (!info.changes) return false;
+      writeAssetChildren(asset);
+      if (revision) stmtInsertAssetRevision.run(Object.fromEntries(ASSET_REVISION_COLS.map((k) => [k, revision[k] ?? null])));
+      return true;
+    })();
+    return Promise.resolve(updated);
+  }
+
+  // With { revision, trash } the deleted state is kept for history and restore.
+  function deleteAsset(id, keep = {}) {
+    const deleted = db.transaction(() => {
+      db.prepare(`DELETE FROM asset_variants WHERE asset_id = ?`).run(id);
+      db.prepare(`DELETE FROM asset_tags WHERE asset_id = ?`).run(id);
+      if (!db.prepare(`DELETE FROM assets WHERE id = ?`).run(id).changes) return false;
+      if (keep.revision) stmtInsertAssetRevision.run(Object.fromEntries(ASSET_REVISION_COLS.map((k) => [k, keep.revision[k] ?? null])));
+      if (keep.trash) stmtInsertAssetTrash.run(Object.fromEntries(ASSET_TRASH_COLS.map((k) => [k, keep.trash[k] ?? null])));
+      return true;
+    })();
+    return Promise.resolve(deleted);
+  }
+
+  function listAssetRevisions(assetId) {
+    const rows = db.prepare(
+      `SELECT ${ASSET_REVISION_COLS.filter((c) => c !== 'snapshot').join(',')} FROM asset_revisions WHERE asset_id = ? ORDER BY version DESC`
+    ).all(assetId);
+    return Promise.resolve(rows.map((row) => mapRevisionRow(row, false)));
+  }
+
+  function getAssetRevision(assetId, version) {
+    const row = db.prepare(`SELECT ${ASSET_REVISION_COLS.join(',')} FROM asset_revisions WHERE asset_id = ? AND version = ?`).get(assetId, version);
+    return Promise.resolve(row ? mapRevisionRow(row, true) : null);
+  }
+
+  function listRevisionSnapshotsSince(sinceIso) {
+    const rows = db.prepare(`SELECT snapshot FROM asset_revisions WHERE replaced_at >= ?`).all(sinceIso);
+    return Promise.resolve(rows.map((row) => parseSnapshot(row.snapshot)).filter(Boolean));
+  }
+
+  function listAssetTrash() {
+    return Promise.resolve(db.prepare(`SELECT ${ASSET_TRASH_COLS.join(',')} FROM asset_trash ORDER BY deleted_at DESC`).all().map(mapTrashRow));
+  }
+
+  function getTrashedAsset(assetId) {
+    const row = db.prepare(`SELECT ${ASSET_TRASH_COLS.join(',')} FROM asset_trash WHERE asset_id = ?`).get(assetId);
+    return Promise.resolve(row ? mapTrashRow(row) : null);
+  }
+
+  // Puts a trashed asset back at the top of the catalogue unless its id was reused meanwhile.
+  function restoreTrashedAsset(asset) {
+    const restored = db.transaction(() => {
+      if (db.prepare(`SELECT 1 FROM assets WHERE id = ?`).get(asset.id)) return false;
+      const next = db.prepare(`SELECT COALESCE(MIN(sort_order), 0) - 1 AS next FROM assets`).get().next;
+      stmtInsertAsset.run(toAssetDbRow(asset, next));
+      writeAssetChildren(asset);
+      db.prepare(`DELETE FROM asset_trash WHERE asset_id = ?`).run(asset.id);
+      return true;
+    })();
+    return Promise.resolve(restored);
+  }
+
+  // Purged trash takes the asset's history with it, unless the id is in use again.
+  function deleteTrashedAsset(assetId) {
+    const deleted = db.transaction(() => {
+      db.prepare(
+        `DELETE FROM asset_revisions WHERE asset_id = ? AND asset_id IN (SELECT asset_id FROM asset_trash)
+           AND asset_id NOT IN (SELECT id FROM assets)`
+      ).run(assetId);
+      return db.prepare(`DELETE FROM asset_trash WHERE asset_id = ?`).run(assetId).changes > 0;
+    })();
+    return Promise.resolve(deleted);
+  }
+
+  function purgeAssetTrash(nowIso) {
+    const purged = db.transaction(() => {
+      db.prepare(
+        `DELETE FROM asset_revisions WHERE asset_id IN (SELECT asset_id FROM asset_trash WHERE purge_after <= ?)
+           AND asset_id NOT IN (SELECT id FROM assets)`
+      ).run(nowIso);
+      return db.prepare(`DELETE FROM asset_trash WHERE purge_after <= ?`).run(nowIso).changes;
+    })();
+    return Promise.resolve(purged);
+  }
+
+  // Keeps the newest `keep` revisions of an asset and resolves how many older ones were dropped.
+  function pruneAssetRevisions(assetId, keep) {
+    return Promise.resolve(db.prepare(
+      `DELETE FROM asset_revisions WHERE asset_id = @asset_id AND version NOT IN (
+         SELECT version FROM asset_revisions WHERE asset_id = @asset_id ORDER BY version DESC LIMIT @keep)`
+    ).run({ asset_id: assetId, keep }).changes);
+  }
+
+  function getAssetsMigratedAt() {
+    const row = db.prepare(`SELECT value FROM app_settings WHERE key = 'assets_migrated_at'`).get();
+    return Promise.resolve((row && row.value) || null);
+  }
+
+  // One-time import of the legacy catalogue; rows that already exist are left alone.
+  function importAssets(list, migratedAt) {
+    db.transaction(() => {
+      (Array.isArray(list) ? list : []).forEach((asset, i) => {
+        if (stmtInsertAsset.run(toAssetDbRow(asset, i)).changes) writeAssetChildren(asset);
+      });
+      db.prepare(`
+        INSERT INTO app_settings (key, value) VALUES ('assets_migrated_at', ?)
+        ON CONFLICT(key) DO UPDATE SET value = excluded.value
+      `).run(migratedAt);
+    })();
+    return Promise.resolve();
+  }
+
+  function listAdminUsers() {
+    return Promise.resolve(db.prepare(`SELECT id, username, role, created_at, updated_at, last_login_at FROM admin_users ORDER BY username`).all());
+  }
+
+  function getAdminUserById(id) {
+    return Promise.resolve(db.prepare(`SELECT ${ADMIN_USER_COLS.join(',')} FROM admin_users WHERE id = ?`).get(id) || null);
+  }
+
+  function getAdminUserByUsername(username) {
+    return Promise.resolve(db.prepare(`SELECT ${ADMIN_USER_COLS.join(',')} FROM admin_users WHERE username = ?`).get(username) || null);
+  }
+
+  function createAdminUser(data) {
+    db.prepare(`INSERT INTO admin_users (${ADMIN_USER_COLS.join(',')}) VALUES (${ADMIN_USER_COLS.map((k) => '@' + k).join(',')})`)
+      .run(Object.fromEntries(ADMIN_USER_COLS.map((k) => [k, data[k] ?? null])));
+    return Promise.resolve();
+  }
+
+  function updateAdminUser(id, changes) {
+    const keys = ADMIN_USER_MUTABLE.filter((k) => changes[k] !== undefined);
+    if (keys.length === 0) return Promise.resolve();
+    db.prepare(`UPDATE admin_users SET ${keys.map((k) => `${k} = @${k}`).join(', ')} WHERE id = @id`)
+      .run({ id, ...Object.fromEntries(keys.map((k) => [k, changes[k]])) });
+    return Promise.resolve();
+  }
+
+  function deleteAdminUser(id) {
+    db.transaction(() => {
+      db.prepare(`DELETE FROM admin_sessions WHERE user_id = ?`).run(id);
+      db.prepare(`DELETE FROM admin_users WHERE id = ?`).run(id);
+    })();
+    return Promise.resolve();
+  }
+
+  function createAdminSession(data) {
+    db.prepare(`INSERT INTO admin_sessions (${ADMIN_SESSION_COLS.join(',')}) VALUES (${ADMIN_SESSION_COLS.map((k) => '@' + k).join(',')})`)
+      .run(Object.fromEntries(ADMIN_SESSION_COLS.map((k) => [k, data[k] ?? null])));
+    return Promise.resolve();
+  }
+
+  function getAdminSession(id) {
+    return Promise.resolve(db.prepare(`SELECT ${ADMIN_SESSION_COLS.join(',')} FROM admin_sessions WHERE id = ?`).get(id) || null);
+  }
+
+  function deleteAdminSession(id) {
+    db.prepare(`DELETE FROM admin_sessions WHERE id = ?`).run(id);
+    return Promise.resolve();
+  }
+
+  function deleteAdminSessionsForUser(userId) {
+    db.prepare(`DELETE FROM admin_sessions WHERE user_id = ?`).run(userId);
+    return Promise.resolve();
+  }
+
+  function pruneAdminSessions(now) {
+    db.prepare(`DELETE FROM admin_sessions WHERE expires_at < ?`).run(now);
+    return Promise.resolve();
+  }
+
+  function listApiTokens() {
+    return Promise.resolve(db.prepare(`SELECT ${API_TOKEN_PUBLIC_COLS.join(',')} FROM api_tokens ORDER BY created_at DESC`).all());
+  }
+
+  function getApiTokenByHash(tokenHash) {
+    return Promise.resolve(db.prepare(`SELECT ${API_TOKEN_COLS.join(',')} FROM api_tokens WHERE token_hash = ?`).get(tokenHash) || null);
+  }
+
+  function createApiToken(data) {
+    db.prepare(`INSERT INTO api_tokens (${API_TOKEN_COLS.join(',')}) VALUES (${API_TOKEN_COLS.map((k) => '@' + k).join(',')})`)
+      .run(Object.fromEntries(API_TOKEN_COLS.map((k) => [k, data[k] ?? null])));
+    return Promise.resolve();
+  }
+
+  function touchApiToken(id, ts) {
+    db.prepare(`UPDATE api_tokens SET last_used_at = ? WHERE id = ?`).run(ts, id);
+    return Promise.resolve();
+  }
+
+  function revokeApiToken(id, ts) {
+    const info = db.prepare(`UPDATE api_tokens SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL`).run(ts, id);
+    return Promise.resolve(info.changes > 0);
+  }
+
+  function insertAuditEntry(data) {
+    const row = { id: uuidv4(), ...data };
+    db.prepare(`INSERT INTO audit_log (${AUDIT_COLS.join(',')}) VALUES (${AUDIT_COLS.map((k) => '@' + k).join(',')})`)
+      .run(Object.fromEntries(AUDIT_COLS.map((k) => [k, row[k] ?? null])));
+    return Promise.resolve();
+  }
+
+  function getAuditEntries(filters, limit) {
+    const { where, params } = buildAuditWhere(filters || {}, () => '?');
+    return Promise.resolve(db.prepare(
+      `SELECT ${AUDIT_COLS.join(',')} FROM audit_log ${where} ORDER BY ts DESC, id DESC LIMIT ${Number(limit) || 100}`
+    ).all(...params));
+  }
+
+  function getAuditActions() {
+    return Promise.resolve(db.prepare(`SELECT DISTINCT action FROM audit_log ORDER BY action`).all().map((row) => row.action));
+  }
+
+  function listWebhooks() {
+    return Promise.resolve(db.prepare(`SELECT ${WEBHOOK_COLS.join(',')} FROM webhooks ORDER BY created_at`).all());
+  }
+
+  function getWebhook(id) {
+    return Promise.resolve(db.prepare(`SELECT ${WEBHOOK_COLS.join(',')} FROM webhooks WHERE id = ?`).get(id) || null);
+  }
+
+  function createWebhook(data) {
+    db.prepare(`INSERT INTO webhooks (${WEBHOOK_COLS.join(',')}) VALUES (${WEBHOOK_COLS.map((k) => '@' + k).join(',')})`)
+      .run(Object.fromEntries(WEBHOOK_COLS.map((k) => [k, data[k] ?? null])));
+    return Promise.resolve();
+  }
+
+  function updateWebhook(id, changes) {
+    const keys = WEBHOOK_MUTABLE.filter((k) => changes[k] !== undefined);
+    if (!keys.length) return Promise.resolve(true);
+    const info = db.prepare(`UPDATE webhooks SET ${keys.map((k) => `${k} = @${k}`).join(', ')} WHERE id = @id`)
+      .run({ id, ...Object.fromEntries(keys.map((k) => [k, changes[k]])) });
+    return Promise.resolve(info.changes > 0);
+  }
+
+  function deleteWebhook(id) {
+    const removed = db.transaction(() => {
+      db.prepare(`DELETE FROM webhook_deliveries WHERE webhook_id = ?`).run(id);
+      return db.prepare(`DELETE FROM webhooks WHERE id = ?`).run(id).changes > 0;
+    })();
+    return Promise.resolve(removed);
+  }
+
+  // Starts a new lock occurrence for each asset not already recorded as locked.
+  function markAssetsLocked(ids) {
+    const stmt = db.prepare(
+      `INSERT INTO unlock_occurrences (asset_id, seq, locked) VALUES (?, 1, 1)
+       ON CONFLICT (asset_id) DO UPDATE SET seq = unlock_occurrences.seq + 1, locked = 1 WHERE unlock_occurrences.locked = 0`
+    );
+    db.transaction(() => ids.forEach((id) => stmt.run(id)))();
+    return Promise.resolve();
+  }
+
+  // Ends the asset's lock occurrence and resolves its number, the same on every instance.
+  function markAssetUnlocked(id) {
+    db.prepare(`UPDATE unlock_occurrences SET locked = 0 WHERE asset_id = ?`).run(id);
+    const row = db.prepare(`SELECT seq FROM unlock_occurrences WHERE asset_id = ?`).get(id);
+    return Promise.resolve(row ? Number(row.seq) : 0);
+  }
+
+  // Resolves false when this webhook already has a delivery for the event, target and occurrence.
+  function insertWebhookDelivery(data) {
+    const info = db.prepare(`INSERT OR IGNORE INTO webhook_deliveries (${WEBHOOK_DELIVERY_COLS.join(',')}) VALUES (${WEBHOOK_DELIVERY_COLS.map((k) => '@' + k).join(',')})`)
+      .run(Object.fromEntries(WEBHOOK_DELIVERY_COLS.map((k) => [k, data[k] ?? null])));
+    return Promise.resolve(info.changes > 0);
+  }
+
+  // Marks the delivery 'sending' if it is in one of `statuses` (or its send was abandoned);
+  // only the caller that gets true may send it.
+  function claimWebhookDelivery(id, statuses, staleBefore, now) {
+    const named = Object.fromEntries(statuses.map((status, i) => ['s' + i, status]));
+    const info = db.prepare(
+      `UPDATE webhook_deliveries SET status = 'sending', updated_at = @now
+       WHERE id = @id AND (status IN (${Object.keys(named).map((k) => '@' + k).join(',')}) OR (status = 'sending' AND updated_at < @staleBefore))`
+    ).run({ id, now, staleBefore, ...named });
+    return Promise.resolve(info.changes > 0);
+  }
+
+  function updateWebhookDelivery(id, changes) {
+    const keys = WEBHOOK_DELIVERY_MUTABLE.filter((k) => changes[k] !== undefined);
+    if (keys.length) {
+      db.prepare(`UPDATE webhook_deliveries SET ${keys.map((k) => `${k} = @${k}`).join(', ')} WHERE id = @id`)
+        .run({ id, ...Object.fromEntries(keys.map((k) => [k, changes[k]])) });
+    }
+    return Promise.resolve();
+  }
+
+  function getWebhookDelivery(id) {
+    return Promise.resolve(db.prepare(`SELECT ${WEBHOOK_DELIVERY_COLS.join(',')} FROM webhook_deliveries WHERE id = ?`).get(id) || null);
+  }
+
+  function listWebhookDeliveries(limit) {
+    return Promise.resolve(db.prepare(
+      `SELECT ${WEBHOOK_DELIVERY_COLS.join(',')} FROM webhook_deliveries ORDER BY created_at DESC, id DESC LIMIT ${Number(limit) || 50}`
+    ).all());
+  }
+
+  function listDueWebhookDeliveries(now, staleBefore, limit) {
+    return Promise.resolve(db.prepare(
+      `SELECT ${WEBHOOK_DELIVERY_COLS.join(',')} FROM webhook_deliveries
+       WHERE (status = 'pending' AND next_attempt_at <= ?) OR (status = 'sending' AND updated_at < ?)
+       ORDER BY next_attempt_at LIMIT ${Number(limit) || 20}`
+    ).all(now, staleBefore));
+  }
+
+  function insertCategory(cat) {
+    const c = toCategoryDbRow(cat);
+    const info = db.prepare(`
+      INSERT OR IGNORE INTO categories (slug, label, "desc", color_class, visible, sort_order, built_in, version, updated_at, publish_at, unpublish_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, 1, ?, ?, ?)
+    `).run(c.slug, c.label, c.desc, c.colorClass, c.visible, c.order, c.builtIn, new Date().toISOString(), c.publishAt, c.unpublishAt);
+    return Promise.resolve(info.changes > 0);
+  }
+
+  // changes: subset of { label, desc, visible, order, publishAt, unpublishAt }; applies only at expectedVersion.
+  function updateCategory(slug, changes, expectedVersion) {
+    const fields = Object.keys(changes).filter((k) => CATEGORY_FIELD_COLUMNS[k]);
+    const sets = fields.map((k) => `${CATEGORY_FIELD_COLUMNS[k]} = ?`).concat(['version = version + 1', 'updated_at = ?']);
+    const info = db.prepare(`UPDATE categories SET ${sets.join(', ')} WHERE slug = ? AND version = ?`)
+      .run(...fields.map((k) => toCategoryFieldValue(k, changes[k])), new Date().toISOString(), slug, expectedVersion);
+    return Promise.resolve(info.changes > 0);
+  }
+
+  function deleteCategory(slug) {
+    return Promise.resolve(db.prepare(`DELETE FROM categories WHERE slug = ?`).run(slug).changes > 0);
+  }
+
   module.exports = {
     insertVisit,
     insertEvent,
+    insertServerDownload,
+    insertRejectedEvent,
+    recordCountAttempt,
+    pruneCountGuards,
+    getRejectedEvents,
     getStats,
+    getFunnelRows,
+    getAttributionRows,
+    getExportRows,
     getAllTimeDownloadCount,
+    getDownloadCounts,
+    listUnrolledDays,
+    listRollupCandidateDays,
+    rollupDay,
+    purgeVisitsBefore,
+    getReferralCodeForSession,
+    getReferralCode,
+    createReferralCode,
+    recordReferredSession,
+    getReferralContribution,
     getDownloadDashboard,
     getDownloadData,
     getGamificationEnabled,
     setGamificationEnabled,
+    getDownloadCountSource,
+    getCountGuardSalt,
+    setDownloadCountSource,
     getAssetsData,
-    saveAssetsData,
+    listAssets,
+    getAsset,
+    insertAsset,
+    updateAsset,
+    deleteAsset,
+    getAssetsMigratedAt,
+    importAssets,
+    listAssetRevisions,
+    getAssetRevision,
+    listRevisionSnapshotsSince,
+    listAssetTrash,
+    getTrashedAsset,
+    restoreTrashedAsset,
+    deleteTrashedAsset,
+    purgeAssetTrash,
+    pruneAssetRevisions,
     getCategories,
     saveCategories,
+    insertCategory,
+    updateCategory,
+    deleteCategory,
+    listAdminUsers,
+    getAdminUserById,
+    getAdminUserByUsername,
+    createAdminUser,
+    updateAdminUser,
+    deleteAdminUser,
+    createAdminSession,
+    getAdminSession,
+    deleteAdminSession,
+    deleteAdminSessionsForUser,
+    pruneAdminSessions,
+    listApiTokens,
+    getApiTokenByHash,
+    createApiToken,
+    touchApiToken,
+    revokeApiToken,
+    insertAuditEntry,
+    getAuditEntries,
+    getAuditActions,
+    listWebhooks,
+    getWebhook,
+    createWebhook,
+    updateWebhook,
+    deleteWebhook,
+    markAssetsLocked,
+    markAssetUnlocked,
+    insertWebhookDelivery,
+    claimWebhookDelivery,
+    updateWebhookDelivery,
+    getWebhookDelivery,
+    listWebhookDeliveries,
+    listDueWebhookDeliveries,
   };
 }
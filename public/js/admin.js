@@ -2,36 +2,22 @@
   'use strict';
 
   // ─── State ────────────────────────────────────────────────────────────────
-  var pw = '';
-  var STORAGE_KEY = 'maya_admin_pw';
+  var LEGACY_PW_KEY = 'maya_admin_pw';
+  var currentUser = null;
   var allCategories = [];
   var allAssets = [];
   var gamificationEnabled = true;
   var dashboardStats = { total_downloads: 0, downloads_24h: 0, by_asset_id: [] };
+  var downloadCountSource = 'tracker';
   var assetDownloadCounts = {};
   var editingId = null;
+  var drawerOriginal = null; // asset as it was when the drawer opened, for conflict merges
   var drawerThumbUrl = '';
   var drawerVisible = true;
   var drawerVariants = []; // { id, name, resolution, fileSize, downloadUrl, _file }
   var thumbPendingFile = null;
 
   // ─── Helpers ──────────────────────────────────────────────────────────────
-  function safeStorageGet(key) {
-    try {
-      if (typeof localStorage === 'undefined') return '';
-      return localStorage.getItem(key) || '';
-    } catch (e) {
-      return '';
-    }
-  }
-
-  function safeStorageSet(key, value) {
-    try {
-      if (typeof localStorage === 'undefined') return;
-      localStorage.setItem(key, value);
-    } catch (e) {}
-  }
-
   function safeStorageRemove(key) {
     try {
       if (typeof localStorage === 'undefined') return;
@@ -39,11 +25,10 @@
     } catch (e) {}
   }
 
-  function getPw() {
-    return pw || safeStorageGet(STORAGE_KEY) || '';
+  function hasRole(role) {
+    var order = ['viewer', 'editor', 'owner'];
+    return !!currentUser && order.indexOf(currentUser.role) >= order.indexOf(role);
   }
-  function setPw(v) { pw = v; safeStorageSet(STORAGE_KEY, v); }
-  function clearPw() { pw = ''; safeStorageRemove(STORAGE_KEY); }
 
   function escapeHtml(s) {
     if (!s) return '';
@@ -75,14 +60,24 @@
 
   // ─── API ──────────────────────────────────────────────────────────────────
   function api(method, url, body) {
-    var opts = { method: method, headers: { 'x-admin-password': getPw() } };
+    var opts = { method: method, headers: {}, credentials: 'same-origin' };
     if (body !== undefined) {
       opts.headers['Content-Type'] = 'application/json';
       opts.body = JSON.stringify(body);
     }
     return fetch(url, opts).then(function (r) {
-      if (r.status === 401) throw new Error('Unauthorized');
-      if (!r.ok) return r.json().then(function (e) { throw new Error(e.error || 'Error'); });
+      if (r.status === 401) {
+        if (currentUser) { currentUser = null; showLogin(); }
+        throw new Error('Unauthorized');
+      }
+      if (!r.ok) {
+        return r.json().then(function (e) {
+          var err = new Error(e.error || 'Error');
+          err.status = r.status;
+          err.body = e;
+          throw err;
+        });
+      }
       return r.json();
     });
   }
@@ -92,7 +87,7 @@
     fd.append('file', file);
     return fetch('/api/admin/upload', {
       method: 'POST',
-      headers: { 'x-admin-password': getPw() },
+      credentials: 'same-origin',
       body: fd,
     }).then(function (r) {
       if (!r.ok) return r.json().then(function (e) { throw new Error(e.error || 'Upload failed'); });
@@ -105,7 +100,9 @@
   var dashboardEl = document.getElementById('admin-dashboard');
   var loginErrorEl = document.getElementById('login-error');
   var loginFieldWrap = document.getElementById('login-field-wrap');
+  var userInput = document.getElementById('admin-user');
   var pwInput = document.getElementById('admin-pw');
+  var currentUserEl = document.getElementById('adm-current-user');
   var pwToggle = document.getElementById('pw-toggle');
   var pwEyeShow = document.getElementById('pw-eye-show');
   var pwEyeHide = document.getElementById('pw-eye-hide');
@@ -117,10 +114,28 @@
   function showDashboard() {
     loginEl.style.display = 'none';
     dashboardEl.style.display = 'block';
+    dashboardEl.classList.toggle('adm-can-edit', hasRole('editor'));
+    dashboardEl.classList.toggle('adm-can-own', hasRole('owner'));
+    if (currentUserEl) currentUserEl.textContent = currentUser ? currentUser.username + ' \xb7 ' + currentUser.role : '';
     loadGamificationSetting();
+    loadDownloadCountSource();
     loadDashboardStats();
-    loadCategories();
-    loadAssets();
+    loadRejectedEvents();
+    loadFunnel();
+    loadAttribution();
+    loadRateLimits();
+    loadSchedule();
+    if (hasRole('editor')) {
+      loadCategories();
+      loadAssets();
+      loadTrash();
+    }
+    if (hasRole('owner')) {
+      loadUsers();
+      loadTokens();
+      loadWebhooks();
+      loadAudit(false);
+    }
   }
   function showLoginError(msg) {
     if (loginErrorEl) { loginErrorEl.textContent = msg || 'Incorrect password.'; loginErrorEl.style.display = 'block'; }
@@ -149,38 +164,55 @@
     if (e.key === 'Enter') doLogin();
     clearLoginError();
   });
+  if (userInput) {
+    userInput.addEventListener('keydown', function (e) {
+      if (e.key === 'Enter') pwInput.focus();
+      clearLoginError();
+    });
+  }
   document.getElementById('logout-btn').addEventListener('click', function () {
-    clearPw();
-    showLogin();
-    pwInput.value = '';
-    clearLoginError();
+    api('DELETE', '/api/admin/session').catch(function () {}).then(function () {
+      currentUser = null;
+      showLogin();
+      pwInput.value = '';
+      clearLoginError();
+    });
   });
 
   function doLogin() {
+    var username = userInput ? userInput.value.trim() : '';
     var val = pwInput.value;
     if (!val) { showLoginError('Please enter the password.'); pwInput.focus(); return; }
     var btn = document.getElementById('admin-login-btn');
     btn.disabled = true;
     btn.textContent = 'Verifying\u2026';
-    setPw(val);
-    api('GET', '/api/admin/downloads')
-      .then(function () { showDashboard(); })
-      .catch(function () {
-        clearPw();
+    api('POST', '/api/admin/session', { username: username, password: val })
+      .then(function (data) {
+        currentUser = data.user;
         pwInput.value = '';
-        showLoginError('Incorrect password. Try again.');
+        btn.disabled = false;
+        btn.textContent = 'Enter';
+        showDashboard();
+      })
+      .catch(function (e) {
+        pwInput.value = '';
+        showLoginError(e.message === 'Unauthorized' ? 'Incorrect username or password. Try again.' : e.message);
         pwInput.focus();
         btn.disabled = false;
         btn.textContent = 'Enter';
       });
   }
 
-  // Auto-login if valid password is cached
-  if (getPw()) {
-    api('GET', '/api/admin/downloads')
-      .then(function () { setTimeout(showDashboard, 0); })
-      .catch(function () { clearPw(); showLogin(); });
-  }
+  // Older builds kept the shared password in localStorage; drop it.
+  safeStorageRemove(LEGACY_PW_KEY);
+
+  // Resume an existing session cookie
+  api('GET', '/api/admin/session')
+    .then(function (data) {
+      currentUser = data.user;
+      setTimeout(showDashboard, 0);
+    })
+    .catch(function () { showLogin(); });
 
   // ─── Categories ───────────────────────────────────────────────────────────
   var catListEl = document.getElementById('cat-list');
@@ -204,18 +236,42 @@
       .catch(function (e) { alert('Failed: ' + e.message); });
   });
 
+  // <input type="datetime-local"> works in local time without a zone; the API stores UTC ISO strings.
+  function toLocalInputValue(iso) {
+    if (!iso) return '';
+    var d = new Date(iso);
+    if (isNaN(d.getTime())) return '';
+    return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+  }
+
+  function fromLocalInputValue(value) {
+    if (!value) return '';
+    var d = new Date(value);
+    return isNaN(d.getTime()) ? '' : d.toISOString();
+  }
+
+  function describeSchedule(item) {
+    var parts = [];
+    if (item.publishAt) parts.push('from ' + new Date(item.publishAt).toLocaleString());
+    if (item.unpublishAt) parts.push('until ' + new Date(item.unpublishAt).toLocaleString());
+    return parts.join(' ');
+  }
+
   function renderCatItem(cat) {
     var visible = cat.visible !== false;
+    var scheduleText = describeSchedule(cat);
     return (
       '<div class="adm-cat-item">' +
         '<div class="adm-cat-info">' +
           '<span class="adm-cat-label">' + escapeHtml(cat.label) + '</span>' +
           (cat.desc ? '<span class="adm-cat-desc">' + escapeHtml(cat.desc) + '</span>' : '') +
           (!cat.builtIn ? '<span class="adm-cat-badge">custom</span>' : '') +
+          (scheduleText ? '<span class="adm-cat-desc">Scheduled ' + escapeHtml(scheduleText) + '</span>' : '') +
         '</div>' +
         '<div class="adm-cat-actions">' +
+          '<button class="btn cat-schedule-btn" data-slug="' + escapeHtml(cat.slug) + '">Schedule</button>' +
           '<span class="adm-vis-label">' + (visible ? 'Visible' : 'Hidden') + '</span>' +
-          '<div class="admin-toggle-switch ' + (visible ? 'on' : '') + ' cat-toggle" data-slug="' + escapeHtml(cat.slug) + '" data-visible="' + visible + '"></div>' +
+          '<div class="admin-toggle-switch ' + (visible ? 'on' : '') + ' cat-toggle" data-slug="' + escapeHtml(cat.slug) + '" data-visible="' + visible + '" data-version="' + escapeHtml(String(cat.version || '')) + '"></div>' +
           (!cat.builtIn ? '<button class="btn cat-delete-btn" data-slug="' + escapeHtml(cat.slug) + '">Delete</button>' : '') +
         '</div>' +
       '</div>'
@@ -233,9 +289,39 @@
         el.addEventListener('click', function () {
           var slug = this.getAttribute('data-slug');
           var v = this.getAttribute('data-visible') === 'true';
-          api('PATCH', '/api/admin/categories/' + encodeURIComponent(slug), { visible: !v })
+          var version = Number(this.getAttribute('data-version')) || undefined;
+          api('PATCH', '/api/admin/categories/' + encodeURIComponent(slug), { visible: !v, expectedVersion: version })
             .then(function () { loadCategories(); })
-            .catch(function (e) { alert('Failed: ' + e.message); });
+            .catch(function (e) {
+              if (e.status === 409) {
+                alert('"' + slug + '" was changed by someone else. Showing the latest state; try again if needed.');
+                loadCategories();
+                return;
+              }
+              alert('Failed: ' + e.message);
+            });
+        });
+      });
+
+      catListEl.querySelectorAll('.cat-schedule-btn').forEach(function (btn) {
+        btn.addEventListener('click', function () {
+          var slug = this.getAttribute('data-slug');
+          var cat = allCategories.find(function (c) { return c.slug === slug; });
+          if (!cat) return;
+          var publishAt = prompt('Publish at (YYYY-MM-DD HH:MM, local time; empty = now):', toLocalInputValue(cat.publishAt).replace('T', ' '));
+          if (publishAt === null) return;
+          var unpublishAt = prompt('Unpublish at (YYYY-MM-DD HH:MM, local time; empty = never):', toLocalInputValue(cat.unpublishAt).replace('T', ' '));
+          if (unpublishAt === null) return;
+          api('PATCH', '/api/admin/categories/' + encodeURIComponent(slug), {
+            publishAt: fromLocalInputValue(publishAt.trim().replace(' ', 'T')),
+            unpublishAt: fromLocalInputValue(unpublishAt.trim().replace(' ', 'T')),
+            expectedVersion: cat.version,
+          })
+            .then(function () { loadCategories(); loadSchedule(); })
+            .catch(function (e) {
+              if (e.status === 409) loadCategories();
+              alert('Failed: ' + e.message);
+            });
         });
       });
 
@@ -270,6 +356,376 @@
     }).join('');
   }
 
+  // ─── Admin users ──────────────────────────────────────────────────────────
+  var userListEl = document.getElementById('user-list');
+  var addUserFormWrap = document.getElementById('add-user-form-wrap');
+  var addUserForm = document.getElementById('add-user-form');
+  var ROLE_OPTIONS = ['viewer', 'editor', 'owner'];
+
+  document.getElementById('add-user-toggle-btn').addEventListener('click', function () {
+    addUserFormWrap.hidden = !addUserFormWrap.hidden;
+  });
+  document.getElementById('add-user-cancel').addEventListener('click', function () {
+    addUserFormWrap.hidden = true;
+  });
+  addUserForm.addEventListener('submit', function (e) {
+    e.preventDefault();
+    api('POST', '/api/admin/users', {
+      username: document.getElementById('add-user-name').value.trim(),
+      password: document.getElementById('add-user-pw').value,
+      role: document.getElementById('add-user-role').value,
+    })
+      .then(function () { addUserForm.reset(); addUserFormWrap.hidden = true; loadUsers(); })
+      .catch(function (e) { alert('Failed: ' + e.message); });
+  });
+
+  function renderUserItem(user) {
+    var isSelf = currentUser && currentUser.id === user.id;
+    return (
+      '<div class="adm-cat-item">' +
+        '<div class="adm-cat-info">' +
+          '<span class="adm-cat-label">' + escapeHtml(user.username) + '</span>' +
+          (isSelf ? '<span class="adm-cat-badge">you</span>' : '') +
+          '<span class="adm-cat-desc">' + (user.last_login_at ? 'Last login ' + escapeHtml(new Date(user.last_login_at).toLocaleString()) : 'Never signed in') + '</span>' +
+        '</div>' +
+        '<div class="adm-cat-actions">' +
+          '<select class="user-role-select" data-id="' + escapeHtml(user.id) + '">' +
+            ROLE_OPTIONS.map(function (r) {
+              return '<option value="' + r + '"' + (user.role === r ? ' selected' : '') + '>' + r + '</option>';
+            }).join('') +
+          '</select>' +
+          '<button class="btn user-pw-btn" data-id="' + escapeHtml(user.id) + '">Reset password</button>' +
+          (!isSelf ? '<button class="btn user-delete-btn" data-id="' + escapeHtml(user.id) + '" data-name="' + escapeHtml(user.username) + '">Delete</button>' : '') +
+        '</div>' +
+      '</div>'
+    );
+  }
+
+  function loadUsers() {
+    api('GET', '/api/admin/users').then(function (users) {
+      users = Array.isArray(users) ? users : [];
+      userListEl.innerHTML = users.length
+        ? users.map(renderUserItem).join('')
+        : '<p class="adm-empty">No admin users yet. You are signed in with ADMIN_PASSWORD.</p>';
+
+      userListEl.querySelectorAll('.user-role-select').forEach(function (sel) {
+        sel.addEventListener('change', function () {
+          api('PATCH', '/api/admin/users/' + encodeURIComponent(this.getAttribute('data-id')), { role: this.value })
+            .then(function () { loadUsers(); })
+            .catch(function (e) { alert('Failed: ' + e.message); loadUsers(); });
+        });
+      });
+
+      userListEl.querySelectorAll('.user-pw-btn').forEach(function (btn) {
+        btn.addEventListener('click', function () {
+          var next = prompt('New password (min 8 characters):');
+          if (!next) return;
+          api('PATCH', '/api/admin/users/' + encodeURIComponent(this.getAttribute('data-id')), { password: next })
+            .then(function () { alert('Password updated. Existing sessions for this user were signed out.'); })
+            .catch(function (e) { alert('Failed: ' + e.message); });
+        });
+      });
+
+      userListEl.querySelectorAll('.user-delete-btn').forEach(function (btn) {
+        btn.addEventListener('click', function () {
+          if (!confirm('Delete admin user "' + this.getAttribute('data-name') + '"?')) return;
+          api('DELETE', '/api/admin/users/' + encodeURIComponent(this.getAttribute('data-id')))
+            .then(function () { loadUsers(); })
+            .catch(function (e) { alert('Failed: ' + e.message); });
+        });
+      });
+    }).catch(function () {});
+  }
+
+  // ─── API tokens ───────────────────────────────────────────────────────────
+  var tokenListEl = document.getElementById('token-list');
+  var tokenCreatedEl = document.getElementById('token-created');
+  var tokenCreatedValueEl = document.getElementById('token-created-value');
+  var tokenScopesEl = document.getElementById('add-token-scopes');
+  var addTokenFormWrap = document.getElementById('add-token-form-wrap');
+  var addTokenForm = document.getElementById('add-token-form');
+
+  document.getElementById('add-token-toggle-btn').addEventListener('click', function () {
+    addTokenFormWrap.hidden = !addTokenFormWrap.hidden;
+  });
+  document.getElementById('add-token-cancel').addEventListener('click', function () {
+    addTokenFormWrap.hidden = true;
+  });
+  tokenCreatedValueEl.addEventListener('focus', function () { this.select(); });
+  addTokenForm.addEventListener('submit', function (e) {
+    e.preventDefault();
+    var scopes = [];
+    tokenScopesEl.querySelectorAll('input:checked').forEach(function (cb) { scopes.push(cb.value); });
+    var days = document.getElementById('add-token-days').value.trim();
+    api('POST', '/api/admin/tokens', {
+      name: document.getElementById('add-token-name').value.trim(),
+      scopes: scopes,
+      expires_in_days: days ? Number(days) : null,
+    })
+      .then(function (created) {
+        addTokenForm.reset();
+        addTokenFormWrap.hidden = true;
+        tokenCreatedValueEl.value = created.token;
+        tokenCreatedEl.hidden = false;
+        loadTokens();
+      })
+      .catch(function (e) { alert('Failed: ' + e.message); });
+  });
+
+  function tokenStatus(token) {
+    if (token.revoked_at) return 'Revoked ' + new Date(token.revoked_at).toLocaleString();
+    if (token.expires_at && new Date(token.expires_at) <= new Date()) return 'Expired ' + new Date(token.expires_at).toLocaleString();
+    var parts = [token.last_used_at ? 'Last used ' + new Date(token.last_used_at).toLocaleString() : 'Never used'];
+    parts.push(token.expires_at ? 'expires ' + new Date(token.expires_at).toLocaleDateString() : 'no expiry');
+    return parts.join(' \xb7 ');
+  }
+
+  function renderTokenItem(token) {
+    var live = !token.revoked_at && !(token.expires_at && new Date(token.expires_at) <= new Date());
+    return (
+      '<div class="adm-cat-item' + (live ? '' : ' adm-token-dead') + '">' +
+        '<div class="adm-cat-info">' +
+          '<span class="adm-cat-label">' + escapeHtml(token.name) + '</span>' +
+          '<span class="adm-cat-badge">' + escapeHtml(token.prefix) + '\u2026</span>' +
+          '<span class="adm-cat-desc">' + escapeHtml(token.scopes.join(', ')) + ' \xb7 ' + escapeHtml(tokenStatus(token)) + '</span>' +
+        '</div>' +
+        '<div class="adm-cat-actions">' +
+          (!token.revoked_at ? '<button class="btn token-revoke-btn" data-id="' + escapeHtml(token.id) + '" data-name="' + escapeHtml(token.name) + '">Revoke</button>' : '') +
+        '</div>' +
+      '</div>'
+    );
+  }
+
+  function loadTokens() {
+    api('GET', '/api/admin/tokens').then(function (res) {
+      var scopes = (res && res.scopes) || [];
+      if (!tokenScopesEl.children.length) {
+        tokenScopesEl.innerHTML = scopes.map(function (scope) {
+          return '<label><input type="checkbox" value="' + escapeHtml(scope) + '"> ' + escapeHtml(scope) + '</label>';
+        }).join('');
+      }
+      var tokens = (res && res.tokens) || [];
+      tokenListEl.innerHTML = tokens.length
+        ? tokens.map(renderTokenItem).join('')
+        : '<p class="adm-empty">No API tokens yet.</p>';
+
+      tokenListEl.querySelectorAll('.token-revoke-btn').forEach(function (btn) {
+        btn.addEventListener('click', function () {
+          if (!confirm('Revoke token "' + this.getAttribute('data-name') + '"? Scripts using it will stop working.')) return;
+          api('DELETE', '/api/admin/tokens/' + encodeURIComponent(this.getAttribute('data-id')))
+            .then(function () { loadTokens(); })
+            .catch(function (e) { alert('Failed: ' + e.message); });
+        });
+      });
+    }).catch(function () {});
+  }
+
+  // ─── Webhooks ─────────────────────────────────────────────────────────────
+  var webhookListEl = document.getElementById('webhook-list');
+  var webhookDeliveryListEl = document.getElementById('webhook-delivery-list');
+  var addWebhookFormWrap = document.getElementById('add-webhook-form-wrap');
+  var addWebhookForm = document.getElementById('add-webhook-form');
+
+  document.getElementById('add-webhook-toggle-btn').addEventListener('click', function () {
+    addWebhookFormWrap.hidden = !addWebhookFormWrap.hidden;
+  });
+  document.getElementById('add-webhook-cancel').addEventListener('click', function () {
+    addWebhookFormWrap.hidden = true;
+  });
+  document.getElementById('webhook-log-refresh-btn').addEventListener('click', function () {
+    loadWebhookDeliveries();
+  });
+  addWebhookForm.addEventListener('submit', function (e) {
+    e.preventDefault();
+    api('POST', '/api/admin/webhooks', {
+      name: document.getElementById('add-webhook-name').value.trim(),
+      url: document.getElementById('add-webhook-url').value.trim(),
+      kind: document.getElementById('add-webhook-kind').value,
+    })
+      .then(function () {
+        addWebhookForm.reset();
+        addWebhookFormWrap.hidden = true;
+        loadWebhooks();
+      })
+      .catch(function (e) { alert('Failed: ' + e.message); });
+  });
+
+  function renderWebhookItem(webhook) {
+    return (
+      '<div class="adm-cat-item' + (webhook.enabled ? '' : ' adm-token-dead') + '">' +
+        '<div class="adm-cat-info">' +
+          '<span class="adm-cat-label">' + escapeHtml(webhook.name) + '</span>' +
+          '<span class="adm-cat-badge">' + escapeHtml(webhook.kind) + '</span>' +
+          '<span class="adm-cat-desc">' + escapeHtml(webhook.url_preview) + (webhook.enabled ? '' : ' \xb7 paused') + '</span>' +
+        '</div>' +
+        '<div class="adm-cat-actions">' +
+          '<button class="btn webhook-test-btn" data-id="' + escapeHtml(webhook.id) + '"' + (webhook.enabled ? '' : ' disabled') + '>Send test</button>' +
+          '<button class="btn webhook-toggle-btn" data-id="' + escapeHtml(webhook.id) + '" data-enabled="' + (webhook.enabled ? '1' : '0') + '">' + (webhook.enabled ? 'Pause' : 'Resume') + '</button>' +
+          '<button class="btn webhook-delete-btn" data-id="' + escapeHtml(webhook.id) + '" data-name="' + escapeHtml(webhook.name) + '">Delete</button>' +
+        '</div>' +
+      '</div>'
+    );
+  }
+
+  function deliveryStatus(delivery) {
+    var parts = [delivery.attempts + ' attempt' + (delivery.attempts === 1 ? '' : 's')];
+    if (delivery.response_status) parts.push('HTTP ' + delivery.response_status);
+    else if (delivery.last_error) parts.push(delivery.last_error);
+    if (delivery.next_attempt_at) parts.push('next try ' + new Date(delivery.next_attempt_at).toLocaleString());
+    return parts.join(' \xb7 ');
+  }
+
+  function renderDeliveryItem(delivery) {
+    var title = delivery.event === 'webhook.test'
+      ? 'Test message'
+      : ((delivery.payload && delivery.payload.embeds && delivery.payload.embeds[0] && delivery.payload.embeds[0].title) ||
+        (delivery.payload && delivery.payload.data && delivery.payload.data.title) || delivery.target_id || delivery.event);
+    return (
+      '<div class="adm-cat-item' + (delivery.status === 'failed' ? ' adm-webhook-failed' : '') + '">' +
+        '<div class="adm-cat-info">' +
+          '<span class="adm-cat-label">' + escapeHtml(title) + '</span>' +
+          '<span class="adm-cat-badge">' + escapeHtml(delivery.status) + '</span>' +
+          '<span class="adm-cat-desc">' + escapeHtml(delivery.webhook_name || 'Removed webhook') + ' \xb7 ' + escapeHtml(deliveryStatus(delivery)) + '</span>' +
+        '</div>' +
+        '<span class="adm-vis-label">' + escapeHtml(new Date(delivery.created_at).toLocaleString()) + '</span>' +
+        (delivery.status === 'pending' || delivery.status === 'failed'
+          ? '<div class="adm-cat-actions"><button class="btn webhook-retry-btn" data-id="' + escapeHtml(delivery.id) + '">Retry now</button></div>'
+          : '') +
+      '</div>'
+    );
+  }
+
+  function loadWebhookDeliveries() {
+    api('GET', '/api/admin/webhooks/deliveries?limit=50').then(function (rows) {
+      rows = Array.isArray(rows) ? rows : [];
+      webhookDeliveryListEl.innerHTML = rows.length
+        ? rows.map(renderDeliveryItem).join('')
+        : '<p class="adm-empty">Nothing sent yet. Deliveries appear here when an asset unlocks.</p>';
+    }).catch(function () {});
+  }
+
+  function loadWebhooks() {
+    api('GET', '/api/admin/webhooks').then(function (res) {
+      var webhooks = (res && res.webhooks) || [];
+      webhookListEl.innerHTML = webhooks.length
+        ? webhooks.map(renderWebhookItem).join('')
+        : '<p class="adm-empty">No webhooks yet. Add a Discord channel webhook to announce unlocks.</p>';
+    }).catch(function () {});
+    loadWebhookDeliveries();
+  }
+
+  webhookListEl.addEventListener('click', function (e) {
+    var btn = e.target.closest('button[data-id]');
+    if (!btn) return;
+    var url = '/api/admin/webhooks/' + encodeURIComponent(btn.getAttribute('data-id'));
+    var request;
+    if (btn.classList.contains('webhook-test-btn')) {
+      request = api('POST', url + '/test');
+    } else if (btn.classList.contains('webhook-toggle-btn')) {
+      request = api('PATCH', url, { enabled: btn.getAttribute('data-enabled') !== '1' });
+    } else if (btn.classList.contains('webhook-delete-btn')) {
+      if (!confirm('Delete webhook "' + btn.getAttribute('data-name') + '" and its delivery log?')) return;
+      request = api('DELETE', url);
+    } else {
+      return;
+    }
+    btn.disabled = true;
+    request
+      .then(function () { loadWebhooks(); })
+      .catch(function (err) { alert('Failed: ' + err.message); btn.disabled = false; });
+  });
+
+  webhookDeliveryListEl.addEventListener('click', function (e) {
+    var btn = e.target.closest('.webhook-retry-btn');
+    if (!btn) return;
+    btn.disabled = true;
+    api('POST', '/api/admin/webhooks/deliveries/' + encodeURIComponent(btn.getAttribute('data-id')) + '/retry')
+      .then(function () { loadWebhookDeliveries(); })
+      .catch(function (err) { alert('Failed: ' + err.message); btn.disabled = false; });
+  });
+
+  // ─── Audit log ────────────────────────────────────────────────────────────
+  var auditFiltersForm = document.getElementById('adm-audit-filters');
+  var auditActionSelect = document.getElementById('adm-audit-action');
+  var auditListEl = document.getElementById('adm-audit-list');
+  var auditMoreBtn = document.getElementById('adm-audit-more');
+  var auditCursor = null;
+
+  function auditQuery() {
+    var params = [];
+    [
+      ['from', 'adm-audit-from'],
+      ['to', 'adm-audit-to'],
+      ['actor', 'adm-audit-actor'],
+      ['action', 'adm-audit-action'],
+      ['target_id', 'adm-audit-target'],
+    ].forEach(function (pair) {
+      var val = document.getElementById(pair[1]).value.trim();
+      if (val) params.push(pair[0] + '=' + encodeURIComponent(val));
+    });
+    return params.join('&');
+  }
+
+  function formatAuditValue(value) {
+    if (value === null || value === undefined) return '\u2205';
+    var s = typeof value === 'string' ? value : JSON.stringify(value);
+    return s.length > 120 ? s.slice(0, 117) + '\u2026' : s;
+  }
+
+  function renderAuditEntry(entry) {
+    var diff = entry.diff || {};
+    var fields = Object.keys(diff);
+    var who = (entry.actor_name || 'unknown') + (entry.actor_kind === 'token' ? ' (token)' : '');
+    return (
+      '<div class="adm-cat-item">' +
+        '<div class="adm-cat-info">' +
+          '<span class="adm-cat-label">' + escapeHtml(entry.action) + '</span>' +
+          (entry.status >= 400 ? '<span class="adm-cat-badge">' + escapeHtml(String(entry.status)) + '</span>' : '') +
+          '<span class="adm-cat-desc">' + escapeHtml(who) +
+            (entry.target_id ? ' \xb7 ' + escapeHtml((entry.target_type ? entry.target_type + ' ' : '') + entry.target_id) : '') +
+            ' \xb7 ' + escapeHtml(entry.ip || '-') + '</span>' +
+        '</div>' +
+        '<span class="adm-vis-label">' + escapeHtml(new Date(entry.ts).toLocaleString()) + '</span>' +
+        (fields.length
+          ? '<details class="adm-audit-diff"><summary>' + fields.length + ' field' + (fields.length === 1 ? '' : 's') + ' changed</summary>' +
+              fields.map(function (f) {
+                return '<div><code>' + escapeHtml(f) + '</code>: ' +
+                  '<del>' + escapeHtml(formatAuditValue(diff[f].from)) + '</del> \u2192 ' +
+                  '<ins>' + escapeHtml(formatAuditValue(diff[f].to)) + '</ins></div>';
+              }).join('') +
+            '</details>'
+          : '') +
+      '</div>'
+    );
+  }
+
+  function loadAudit(append) {
+    var query = auditQuery();
+    document.getElementById('adm-audit-export-json').href = '/api/admin/audit/export?format=json' + (query ? '&' + query : '');
+    document.getElementById('adm-audit-export-csv').href = '/api/admin/audit/export?format=csv' + (query ? '&' + query : '');
+    var url = '/api/admin/audit?' + query + (append && auditCursor ? (query ? '&' : '') + 'cursor=' + encodeURIComponent(auditCursor) : '');
+    return api('GET', url).then(function (data) {
+      var current = auditActionSelect.value;
+      auditActionSelect.innerHTML = '<option value="">All actions</option>' + (data.actions || []).map(function (a) {
+        return '<option value="' + escapeHtml(a) + '"' + (a === current ? ' selected' : '') + '>' + escapeHtml(a) + '</option>';
+      }).join('');
+      var html = (data.entries || []).map(renderAuditEntry).join('');
+      if (append) auditListEl.insertAdjacentHTML('beforeend', html);
+      else auditListEl.innerHTML = html || '<div class="adm-cat-desc">No audit entries match these filters.</div>';
+      auditCursor = data.next_cursor || null;
+      auditMoreBtn.hidden = !auditCursor;
+    }).catch(function () {
+      if (!append) auditListEl.innerHTML = '';
+      auditMoreBtn.hidden = true;
+    });
+  }
+
+  auditFiltersForm.addEventListener('submit', function (e) {
+    e.preventDefault();
+    loadAudit(false);
+  });
+  auditMoreBtn.addEventListener('click', function () { loadAudit(true); });
+
   // ─── Asset grid ───────────────────────────────────────────────────────────
   var assetGridEl = document.getElementById('admin-asset-grid');
   var searchEl = document.getElementById('admin-search');
@@ -277,7 +733,30 @@
   var totalDownloadsEl = document.getElementById('adm-total-downloads');
   var downloads24hEl = document.getElementById('adm-downloads-24h');
   var dashboardUpdatedAtEl = document.getElementById('adm-dashboard-updated-at');
+  var serverDownloadsEl = document.getElementById('adm-server-downloads');
+  var serverDownloads24hEl = document.getElementById('adm-server-downloads-24h');
+  var serverBytesEl = document.getElementById('adm-server-bytes');
+  var serverRequestsEl = document.getElementById('adm-server-requests');
+  var countSourceSelect = document.getElementById('adm-count-source');
   var refreshDashboardBtn = document.getElementById('adm-refresh-dashboard-btn');
+  var rateRoutesEl = document.getElementById('adm-rate-routes');
+  var rateQuotaEl = document.getElementById('adm-rate-quota');
+  var rateTopEl = document.getElementById('adm-rate-top');
+  var rejectedDaysSelect = document.getElementById('adm-rejected-days');
+  var rejectedReasonsEl = document.getElementById('adm-rejected-reasons');
+  var rejectedListEl = document.getElementById('adm-rejected-list');
+  var rejectedLimitsEl = document.getElementById('adm-rejected-limits');
+  var funnelDaysSelect = document.getElementById('adm-funnel-days');
+  var funnelChartEl = document.getElementById('adm-funnel-chart');
+  var funnelAssetsEl = document.getElementById('adm-funnel-assets');
+  var attributionForm = document.getElementById('adm-attribution-filters');
+  var attributionFromInput = document.getElementById('adm-attribution-from');
+  var attributionToInput = document.getElementById('adm-attribution-to');
+  var attributionModelSelect = document.getElementById('adm-attribution-model');
+  var attributionCompareSelect = document.getElementById('adm-attribution-compare');
+  var attributionTotalsEl = document.getElementById('adm-attribution-totals');
+  var attributionListEl = document.getElementById('adm-attribution-list');
+  var exportFiltersForm = document.getElementById('adm-export-filters');
   var gamificationToggleBtn = document.getElementById('adm-gamification-toggle-btn');
 
   searchEl.addEventListener('input', renderAssets);
@@ -346,16 +825,330 @@
       dashboardStats = data || { total_downloads: 0, downloads_24h: 0, by_asset_id: [] };
       if (totalDownloadsEl) totalDownloadsEl.textContent = formatInt(dashboardStats.total_downloads);
       if (downloads24hEl) downloads24hEl.textContent = formatInt(dashboardStats.downloads_24h);
+      if (serverDownloadsEl) serverDownloadsEl.textContent = formatInt(dashboardStats.server_downloads);
+      if (serverDownloads24hEl) serverDownloads24hEl.textContent = formatInt(dashboardStats.server_downloads_24h);
+      if (serverBytesEl) serverBytesEl.textContent = formatBytes(Number(dashboardStats.server_bytes_sent || 0));
+      if (serverRequestsEl) serverRequestsEl.textContent = formatInt(dashboardStats.server_requests);
       if (dashboardUpdatedAtEl) dashboardUpdatedAtEl.textContent = new Date().toLocaleString();
       recomputeAssetDownloadCounts();
       renderAssets();
     }).catch(function () {
       if (totalDownloadsEl) totalDownloadsEl.textContent = '-';
       if (downloads24hEl) downloads24hEl.textContent = '-';
+      if (serverDownloadsEl) serverDownloadsEl.textContent = '-';
+      if (serverDownloads24hEl) serverDownloads24hEl.textContent = '-';
       if (dashboardUpdatedAtEl) dashboardUpdatedAtEl.textContent = '-';
     });
   }
 
+  var RATE_ROUTE_LABELS = {
+    download: 'Downloads',
+    zip: 'Zip downloads',
+    preview: 'Preview images',
+    track: 'Tracking beacons',
+    login: 'Admin sign-ins',
+  };
+
+  function loadRateLimits() {
+    if (!rateRoutesEl) return Promise.resolve();
+    return api('GET', '/api/admin/rate-limits').then(function (data) {
+      rateRoutesEl.innerHTML = (data.routes || []).map(function (r) {
+        var limitText = r.capacity ? r.capacity + ' / ' + r.window_seconds + 's' : 'off';
+        return (
+          '<div class="adm-metric-card">' +
+            '<span class="adm-metric-label">' + escapeHtml(RATE_ROUTE_LABELS[r.route] || r.route) + ' (' + escapeHtml(limitText) + ')</span>' +
+            '<span class="adm-metric-value">' + formatInt(r.limited) + '</span>' +
+            '<span class="adm-metric-label">limited of ' + formatInt(r.allowed + r.limited) + '</span>' +
+          '</div>'
+        );
+      }).join('');
+      var quota = data.quota || {};
+      if (rateQuotaEl) {
+        rateQuotaEl.textContent = quota.bytes_per_day
+          ? formatBytes(quota.bytes_per_day) + ' per IP/day, ' + formatBytes(quota.bytes_today || 0) + ' served to ' +
+            formatInt(quota.ips_today) + ' IPs today, ' + formatInt(quota.blocked) + ' blocked'
+          : 'off';
+      }
+      if (rateTopEl) {
+        var top = (data.top_limited || []).slice(0, 3).map(function (t) { return t.subject + ' (' + formatInt(t.n) + ')'; });
+        rateTopEl.textContent = top.length ? top.join(', ') : 'none';
+      }
+    }).catch(function () {
+      rateRoutesEl.innerHTML = '';
+      if (rateQuotaEl) rateQuotaEl.textContent = '-';
+      if (rateTopEl) rateTopEl.textContent = '-';
+    });
+  }
+
+  var REJECT_REASON_LABELS = {
+    bot: 'Bot user agent',
+    duplicate: 'Duplicate',
+    session_cap: 'Session cap',
+    ip_cap: 'IP cap',
+    session_total_cap: 'Session cap (all assets)',
+    ip_total_cap: 'IP cap (all assets)',
+    unknown_asset: 'Unknown asset',
+  };
+
+  function formatLimit(n) {
+    return Number(n) > 0 ? formatInt(n) : 'off';
+  }
+
+  var scheduleListEl = document.getElementById('adm-schedule-list');
+
+  function loadSchedule() {
+    return api('GET', '/api/admin/schedule').then(function (data) {
+      var events = (data.events || []).slice(0, 30);
+      scheduleListEl.innerHTML = events.length ? events.map(function (ev) {
+        return (
+          '<div class="adm-cat-item">' +
+            '<div class="adm-cat-info">' +
+              '<span class="adm-cat-label">' + escapeHtml(ev.title || ev.id) + '</span>' +
+              '<span class="adm-cat-badge">' + escapeHtml(ev.action === 'publish' ? 'goes live' : 'comes down') + '</span>' +
+              '<span class="adm-cat-desc">' + escapeHtml(ev.type === 'category' ? 'category' : ev.category) +
+                (ev.visible ? '' : ' · hidden, stays off the site') + '</span>' +
+            '</div>' +
+            '<span class="adm-vis-label">' + escapeHtml(new Date(ev.at).toLocaleString()) + '</span>' +
+          '</div>'
+        );
+      }).join('') : '<div class="adm-cat-desc">Nothing scheduled.</div>';
+    }).catch(function () {
+      scheduleListEl.innerHTML = '';
+    });
+  }
+
+  function loadRejectedEvents() {
+    if (!rejectedReasonsEl || !rejectedListEl) return Promise.resolve();
+    var days = rejectedDaysSelect ? rejectedDaysSelect.value : '7';
+    return api('GET', '/api/admin/rejected-events?days=' + encodeURIComponent(days)).then(function (data) {
+      var totals = Object.create(null);
+      (data.by_reason || []).forEach(function (r) {
+        totals[r.reason] = (totals[r.reason] || 0) + Number(r.n || 0);
+      });
+      rejectedReasonsEl.innerHTML = Object.keys(REJECT_REASON_LABELS).map(function (reason) {
+        return (
+          '<div class="adm-metric-card">' +
+            '<span class="adm-metric-label">' + escapeHtml(REJECT_REASON_LABELS[reason]) + '</span>' +
+            '<span class="adm-metric-value">' + formatInt(totals[reason] || 0) + '</span>' +
+          '</div>'
+        );
+      }).join('');
+      var recent = (data.recent || []).slice(0, 20);
+      rejectedListEl.innerHTML = recent.length ? recent.map(function (r) {
+        return (
+          '<div class="adm-cat-item">' +
+            '<div class="adm-cat-info">' +
+              '<span class="adm-cat-label">' + escapeHtml(r.asset_title || r.asset_id || '(unknown asset)') + '</span>' +
+              '<span class="adm-cat-badge">' + escapeHtml(REJECT_REASON_LABELS[r.reason] || r.reason) + '</span>' +
+              '<span class="adm-cat-desc">' + escapeHtml(r.source) + ' \xb7 ' + escapeHtml(r.ip || '-') + ' \xb7 ' + escapeHtml((r.ua || '').slice(0, 60)) + '</span>' +
+            '</div>' +
+            '<span class="adm-vis-label">' + escapeHtml(new Date(r.ts).toLocaleString()) + '</span>' +
+          '</div>'
+        );
+      }).join('') : '<div class="adm-cat-desc">No rejected events in this period.</div>';
+      var limits = data.limits || {};
+      if (rejectedLimitsEl) {
+        rejectedLimitsEl.textContent =
+          formatLimit(limits.sessionCap) + ' per session, ' +
+          formatLimit(limits.ipCap) + ' per IP per asset, ' +
+          formatLimit(limits.sessionTotalCap) + ' per session, ' +
+          formatLimit(limits.ipTotalCap) + ' per IP across assets, repeats within ' + formatInt(limits.dedupWindowMs) + ' ms dropped' +
+          (limits.filterBots ? ', bots filtered' : '');
+      }
+    }).catch(function () {
+      rejectedReasonsEl.innerHTML = '';
+      rejectedListEl.innerHTML = '';
+      if (rejectedLimitsEl) rejectedLimitsEl.textContent = '-';
+    });
+  }
+
+  if (rejectedDaysSelect) rejectedDaysSelect.addEventListener('change', loadRejectedEvents);
+
+  var FUNNEL_STEP_LABELS = { pageview: 'Visited page', modal_open: 'Opened asset', download: 'Downloaded' };
+
+  function formatRate(rate) {
+    return rate == null ? '-' : (rate * 100).toFixed(1) + '%';
+  }
+
+  function formatSeconds(s) {
+    if (s == null) return '-';
+    if (s < 60) return Math.round(s) + 's';
+    if (s < 3600) return Math.round(s / 60) + 'm';
+    return (s / 3600).toFixed(1) + 'h';
+  }
+
+  function renderFunnelSteps(steps) {
+    var top = Math.max(1, Number(steps[0] && steps[0].sessions) || 0);
+    return steps.map(function (step, i) {
+      var width = Math.round((Number(step.sessions || 0) / top) * 100);
+      var detail = i === 0 ? '' : ' \xb7 ' + formatRate(step.rate) + ' \xb7 ' + formatSeconds(step.median_seconds);
+      return (
+        '<div class="adm-funnel-row">' +
+          '<span class="adm-funnel-step">' + escapeHtml(FUNNEL_STEP_LABELS[step.step] || step.step) + '</span>' +
+          '<span class="adm-funnel-track"><span class="adm-funnel-bar" style="width:' + width + '%"></span></span>' +
+          '<span class="adm-funnel-value">' + formatInt(step.sessions) + escapeHtml(detail) + '</span>' +
+        '</div>'
+      );
+    }).join('');
+  }
+
+  function loadFunnel() {
+    if (!funnelChartEl || !funnelAssetsEl) return Promise.resolve();
+    var days = funnelDaysSelect ? funnelDaysSelect.value : '7';
+    return api('GET', '/api/admin/funnel?days=' + encodeURIComponent(days)).then(function (data) {
+      var categories = data.categories || [];
+      funnelChartEl.innerHTML = categories.length ? categories.map(function (c) {
+        return (
+          '<div class="adm-funnel">' +
+            '<div class="adm-funnel-hdr">' +
+              '<span class="adm-cat-label">' + escapeHtml(c.label || c.category) + '</span>' +
+              '<span class="adm-cat-desc">' + formatRate(c.conversion_rate) + ' converted \xb7 ' +
+                formatInt(c.direct_downloads) + ' downloaded without opening</span>' +
+            '</div>' +
+            renderFunnelSteps(c.steps || []) +
+          '</div>'
+        );
+      }).join('') : '<div class="adm-cat-desc">No category visits in this period.</div>';
+      var assets = (data.assets || []).slice(0, 10);
+      funnelAssetsEl.innerHTML = assets.map(function (a) {
+        var steps = a.steps || [];
+        return (
+          '<div class="adm-cat-item">' +
+            '<div class="adm-cat-info">' +
+              '<span class="adm-cat-label">' + escapeHtml(a.title || a.asset_id) + '</span>' +
+              '<span class="adm-cat-badge">' + escapeHtml(a.category || '-') + '</span>' +
+              '<span class="adm-cat-desc">' + steps.map(function (step) {
+                return escapeHtml(FUNNEL_STEP_LABELS[step.step] || step.step) + ' ' + formatInt(step.sessions);
+              }).join(' \u2192 ') + '</span>' +
+            '</div>' +
+            '<span class="adm-vis-label">' + formatRate(a.conversion_rate) + '</span>' +
+          '</div>'
+        );
+      }).join('');
+    }).catch(function () {
+      funnelChartEl.innerHTML = '';
+      funnelAssetsEl.innerHTML = '';
+    });
+  }
+
+  if (funnelDaysSelect) funnelDaysSelect.addEventListener('change', loadFunnel);
+
+  function shiftDay(day, n) {
+    return new Date(Date.parse(day + 'T00:00:00Z') + n * 86400000).toISOString().slice(0, 10);
+  }
+
+  function formatDelta(now, before) {
+    if (before == null) return '';
+    var diff = Number(now || 0) - Number(before || 0);
+    return ' <span class="adm-delta' + (diff < 0 ? ' adm-delta-down' : '') + '">' + (diff < 0 ? '' : '+') + formatInt(diff) + '</span>';
+  }
+
+  function loadAttribution() {
+    if (!attributionTotalsEl || !attributionListEl) return Promise.resolve();
+    var to = attributionToInput.value || new Date().toISOString().slice(0, 10);
+    var from = attributionFromInput.value || shiftDay(to, -29);
+    var model = attributionModelSelect.value;
+    var qs = '?from=' + encodeURIComponent(from) + '&to=' + encodeURIComponent(to);
+    if (attributionCompareSelect.value === 'previous') {
+      // The same number of days, ending the day before "from".
+      var span = Math.round((Date.parse(to) - Date.parse(from)) / 86400000);
+      qs += '&compare_from=' + shiftDay(from, -span - 1) + '&compare_to=' + shiftDay(from, -1);
+    }
+    return api('GET', '/api/admin/attribution' + qs).then(function (data) {
+      var current = data.current;
+      var previous = data.previous;
+      var before = Object.create(null);
+      if (previous) {
+        previous.campaigns.forEach(function (c) { before[c.key] = c; });
+      }
+      var totals = [
+        ['Visits', 'visits'],
+        ['Visitors', 'visitors'],
+        ['Downloads', 'downloads'],
+      ];
+      attributionTotalsEl.innerHTML = totals.map(function (t) {
+        return (
+          '<div class="adm-metric-card">' +
+            '<span class="adm-metric-label">' + t[0] + '</span>' +
+            '<span class="adm-metric-value">' + formatInt(current.totals[t[1]]) + formatDelta(current.totals[t[1]], previous ? previous.totals[t[1]] : null) + '</span>' +
+          '</div>'
+        );
+      }).join('');
+      var rows = current.campaigns.filter(function (c) { return c.visits || c[model].downloads; });
+      attributionListEl.innerHTML = rows.length ? rows.map(function (c) {
+        var stats = c[model];
+        var prev = before[c.key];
+        return (
+          '<div class="adm-cat-item">' +
+            '<div class="adm-cat-info">' +
+              '<span class="adm-cat-label">' + escapeHtml(c.utm_source || '(direct)') + '</span>' +
+              (c.utm_campaign ? '<span class="adm-cat-badge">' + escapeHtml(c.utm_campaign) + '</span>' : '') +
+              '<span class="adm-cat-desc">' + formatInt(c.visits) + ' visits \xb7 ' +
+                (stats.downloads_per_visit == null ? '-' : stats.downloads_per_visit.toFixed(2)) + ' downloads per visit \xb7 ' +
+                formatRate(stats.conversion_rate) + ' conversion' +
+                (previous ? ' (was ' + formatRate(prev ? prev[model].conversion_rate : null) + ')' : '') +
+              '</span>' +
+            '</div>' +
+            '<span class="adm-vis-label">' + formatInt(stats.downloads) + ' downloads' +
+              (previous ? formatDelta(stats.downloads, prev ? prev[model].downloads : 0) : '') + '</span>' +
+          '</div>'
+        );
+      }).join('') : '<div class="adm-cat-desc">No visits in this period.</div>';
+    }).catch(function (err) {
+      attributionTotalsEl.innerHTML = '';
+      attributionListEl.innerHTML = '<div class="adm-cat-desc">' + escapeHtml(err.message || 'Failed to load attribution') + '</div>';
+    });
+  }
+
+  if (attributionForm) {
+    attributionForm.addEventListener('submit', function (e) {
+      e.preventDefault();
+      loadAttribution();
+    });
+  }
+  if (attributionModelSelect) attributionModelSelect.addEventListener('change', loadAttribution);
+
+  // "to" is a whole day here; the export compares full timestamps.
+  function exportQuery() {
+    var params = [];
+    [
+      ['from', 'adm-export-from'],
+      ['to', 'adm-export-to'],
+      ['asset_id', 'adm-export-asset'],
+      ['session_id', 'adm-export-session'],
+      ['category', 'adm-export-category'],
+      ['country', 'adm-export-country'],
+      ['utm_source', 'adm-export-utm'],
+    ].forEach(function (pair) {
+      var val = document.getElementById(pair[1]).value.trim();
+      if (val && pair[0] === 'to') val += 'T23:59:59.999Z';
+      if (val) params.push(pair[0] + '=' + encodeURIComponent(val));
+    });
+    return params.join('&');
+  }
+
+  function updateExportLinks() {
+    var query = exportQuery();
+    ['visits', 'events'].forEach(function (table) {
+      ['csv', 'ndjson'].forEach(function (format) {
+        document.getElementById('adm-export-' + table + '-' + format).href =
+          '/api/admin/export/' + table + '?format=' + format + (query ? '&' + query : '');
+      });
+    });
+  }
+
+  if (exportFiltersForm) {
+    exportFiltersForm.addEventListener('input', updateExportLinks);
+    exportFiltersForm.addEventListener('submit', function (e) { e.preventDefault(); });
+  }
+
+  function loadDownloadCountSource() {
+    return api('GET', '/api/admin/download-count-source').then(function (data) {
+      downloadCountSource = (data && data.source) || 'tracker';
+      if (countSourceSelect) countSourceSelect.value = downloadCountSource;
+    }).catch(function () {});
+  }
+
   function setGamificationButtonState() {
     if (!gamificationToggleBtn) return;
     gamificationToggleBtn.textContent = 'Gamification: ' + (gamificationEnabled ? 'ON' : 'OFF');
@@ -408,6 +1201,10 @@
       var prev = refreshDashboardBtn.textContent;
       refreshDashboardBtn.disabled = true;
       refreshDashboardBtn.textContent = 'Refreshing…';
+      loadRejectedEvents();
+      loadFunnel();
+      loadAttribution();
+      loadRateLimits();
       loadDashboardStats().finally(function () {
         refreshDashboardBtn.disabled = false;
         refreshDashboardBtn.textContent = prev;
@@ -415,6 +1212,25 @@
     });
   }
 
+  if (countSourceSelect) {
+    countSourceSelect.addEventListener('change', function () {
+      var next = countSourceSelect.value;
+      countSourceSelect.disabled = true;
+      api('PATCH', '/api/admin/download-count-source', { source: next })
+        .then(function (data) {
+          downloadCountSource = (data && data.source) || next;
+          countSourceSelect.value = downloadCountSource;
+        })
+        .catch(function (e) {
+          alert('Failed: ' + e.message);
+          countSourceSelect.value = downloadCountSource;
+        })
+        .finally(function () {
+          countSourceSelect.disabled = false;
+        });
+    });
+  }
+
   if (gamificationToggleBtn) {
     gamificationToggleBtn.addEventListener('click', function () {
       var nextEnabled = !gamificationEnabled;
@@ -467,7 +1283,7 @@
         var asset = allAssets.find(function (a) { return a.id === id; });
         if (!asset || !confirm('Delete "' + (asset.title || 'this asset') + '"?')) return;
         api('DELETE', '/api/admin/downloads', { id: id })
-          .then(function () { loadAssets(); })
+          .then(function () { loadAssets(); loadTrash(); })
           .catch(function (e) { alert('Failed: ' + e.message); });
       });
     });
@@ -483,6 +1299,11 @@
   var thumbImg = document.getElementById('d-thumb-img');
   var catSelect = document.getElementById('d-category');
   var unlockThresholdInput = document.getElementById('d-unlock-threshold');
+  var unlockRuleEl = document.getElementById('d-unlock-rule');
+  var unlockCategorySelect = document.getElementById('d-unlock-category');
+  var unlockAfterSelect = document.getElementById('d-unlock-after');
+  var publishAtInput = document.getElementById('d-publish-at');
+  var unpublishAtInput = document.getElementById('d-unpublish-at');
   var ebookFields = document.getElementById('d-ebook-fields');
   var visibleToggle = document.getElementById('d-visible');
 
@@ -640,12 +1461,16 @@
 
   function openDrawer(asset) {
     editingId = asset ? asset.id : null;
+    drawerOriginal = asset ? JSON.parse(JSON.stringify(asset)) : null;
     document.getElementById('drawer-title').textContent = asset ? 'Edit Asset' : 'Add Asset';
     document.getElementById('d-id').value = asset ? asset.id : '';
     document.getElementById('d-title').value = asset ? (asset.title || '') : '';
     document.getElementById('d-desc').value = asset ? (asset.description || '') : '';
     document.getElementById('d-chapter').value = (asset && asset.chapter) ? asset.chapter : '';
     unlockThresholdInput.value = asset ? String(toUnlockThreshold(asset.unlockThreshold)) : '';
+    fillUnlockRule(asset);
+    publishAtInput.value = asset ? toLocalInputValue(asset.publishAt) : '';
+    unpublishAtInput.value = asset ? toLocalInputValue(asset.unpublishAt) : '';
 
     populateCatSelect(catSelect, asset ? asset.category : (allCategories[0] ? allCategories[0].slug : ''));
     if (ebookFields) ebookFields.hidden = catSelect.value !== 'ebook';
@@ -677,6 +1502,7 @@
         })
       : [];
     renderVariantRows();
+    loadHistory(asset);
 
     drawerEl.classList.add('open');
     drawerEl.setAttribute('aria-hidden', 'false');
@@ -684,16 +1510,211 @@
     document.getElementById('d-title').focus();
   }
 
+  function fillUnlockRule(asset) {
+    var rule = (asset && asset.unlockRule) || {};
+    unlockCategorySelect.innerHTML = '<option value="">The whole site</option>' + allCategories.map(function (c) {
+      return '<option value="' + escapeHtml(c.slug) + '"' + (rule.category === c.slug ? ' selected' : '') + '>' + escapeHtml(c.label) + '</option>';
+    }).join('');
+    unlockAfterSelect.innerHTML = '<option value="">\u2014</option>' + allAssets.filter(function (a) {
+      return !asset || a.id !== asset.id;
+    }).map(function (a) {
+      return '<option value="' + escapeHtml(a.id) + '"' + (rule.after === a.id ? ' selected' : '') + '>' + escapeHtml(a.title || a.id) + '</option>';
+    }).join('');
+    document.getElementById('d-unlock-from').value = toLocalInputValue(rule.from);
+    document.getElementById('d-unlock-to').value = toLocalInputValue(rule.to);
+    document.getElementById('d-unlock-at').value = toLocalInputValue(rule.at);
+    unlockRuleEl.open = Object.keys(rule).length > 0;
+  }
+
+  // Mirrors the server's normalized shape so unchanged rules compare equal.
+  function readUnlockRule() {
+    var rule = {};
+    if (unlockCategorySelect.value) rule.category = unlockCategorySelect.value;
+    var from = fromLocalInputValue(document.getElementById('d-unlock-from').value);
+    var to = fromLocalInputValue(document.getElementById('d-unlock-to').value);
+    var at = fromLocalInputValue(document.getElementById('d-unlock-at').value);
+    if (from) rule.from = from;
+    if (to) rule.to = to;
+    if (at) rule.at = at;
+    if (unlockAfterSelect.value) rule.after = unlockAfterSelect.value;
+    return Object.keys(rule).length ? rule : null;
+  }
+
   function closeDrawer() {
     drawerEl.classList.remove('open');
     drawerEl.setAttribute('aria-hidden', 'true');
     document.body.style.overflow = '';
     editingId = null;
+    drawerOriginal = null;
     drawerVariants = [];
     drawerThumbUrl = '';
     thumbPendingFile = null;
   }
 
+  // ─── Revision history ─────────────────────────────────────────────────────
+  var historySection = document.getElementById('d-history-section');
+  var historyListEl = document.getElementById('d-history-list');
+  var REVISION_REASONS = { update: 'edited', restore: 'restored over', delete: 'deleted' };
+
+  function renderRevisionItem(rev) {
+    var when = rev.replaced_at ? new Date(rev.replaced_at).toLocaleString() : '';
+    return (
+      '<div class="adm-history-item" data-version="' + rev.version + '">' +
+        '<div class="adm-history-row">' +
+          '<span class="adm-cat-label">v' + rev.version + '</span>' +
+          '<span class="adm-cat-desc">' + escapeHtml((REVISION_REASONS[rev.reason] || rev.reason) + (rev.replaced_by ? ' by ' + rev.replaced_by : '') + ' · ' + when) + '</span>' +
+          '<button type="button" class="btn rev-diff-btn">Diff</button>' +
+          '<button type="button" class="btn rev-restore-btn">Restore</button>' +
+        '</div>' +
+        '<div class="adm-history-diff" hidden></div>' +
+      '</div>'
+    );
+  }
+
+  function renderRevisionDiff(diff) {
+    var fields = Object.keys(diff || {}).filter(function (f) { return f !== 'version' && f !== 'updatedAt'; });
+    if (!fields.length) return '<div class="adm-cat-desc">Same as the current version.</div>';
+    return fields.map(function (f) {
+      return '<div><code>' + escapeHtml(f) + '</code>: ' +
+        '<del>' + escapeHtml(formatAuditValue(diff[f].from)) + '</del> \u2192 ' +
+        '<ins>' + escapeHtml(formatAuditValue(diff[f].to)) + '</ins></div>';
+    }).join('');
+  }
+
+  function loadHistory(asset) {
+    historyListEl.innerHTML = '';
+    historySection.hidden = !asset;
+    if (!asset) return;
+    var assetId = asset.id;
+    api('GET', '/api/admin/downloads/' + encodeURIComponent(assetId) + '/revisions').then(function (data) {
+      if (editingId !== assetId) return;
+      var revisions = data.revisions || [];
+      historyListEl.innerHTML = revisions.length
+        ? revisions.map(renderRevisionItem).join('')
+        : '<div class="adm-cat-desc">No earlier versions yet.</div>';
+    }).catch(function () { historySection.hidden = true; });
+  }
+
+  historyListEl.addEventListener('click', function (e) {
+    var item = e.target.closest('.adm-history-item');
+    if (!item || !editingId) return;
+    var version = item.getAttribute('data-version');
+    var base = '/api/admin/downloads/' + encodeURIComponent(editingId) + '/revisions/' + version;
+    if (e.target.classList.contains('rev-diff-btn')) {
+      var diffEl = item.querySelector('.adm-history-diff');
+      if (!diffEl.hidden) { diffEl.hidden = true; return; }
+      api('GET', base + '?compare=current').then(function (data) {
+        diffEl.innerHTML = renderRevisionDiff(data.diff);
+        diffEl.hidden = false;
+      }).catch(function (err) { alert('Failed: ' + err.message); });
+    } else if (e.target.classList.contains('rev-restore-btn')) {
+      if (!confirm('Restore version ' + version + '? The current version stays in the history.')) return;
+      api('POST', base + '/restore', { expectedVersion: drawerOriginal && drawerOriginal.version })
+        .then(function (restored) {
+          loadAssets();
+          openDrawer(restored);
+        })
+        .catch(function (err) {
+          if (err.status === 409 && err.body && err.body.current) {
+            alert('This asset was changed by someone else. The drawer now shows the latest version.');
+            openDrawer(err.body.current);
+            return;
+          }
+          alert('Failed: ' + err.message);
+        });
+    }
+  });
+
+  // ─── Trash ────────────────────────────────────────────────────────────────
+  var trashListEl = document.getElementById('adm-trash-list');
+  var trashNoteEl = document.getElementById('adm-trash-note');
+
+  function renderTrashItem(entry) {
+    return (
+      '<div class="adm-cat-item">' +
+        '<div class="adm-cat-info">' +
+          '<span class="adm-cat-label">' + escapeHtml(entry.title || '(no title)') + '</span>' +
+          '<span class="adm-cat-badge">' + escapeHtml(entry.category || '-') + '</span>' +
+          '<span class="adm-cat-desc">Deleted ' + escapeHtml(new Date(entry.deleted_at).toLocaleString()) +
+            (entry.deleted_by ? ' by ' + escapeHtml(entry.deleted_by) : '') +
+            ' · purged after ' + escapeHtml(new Date(entry.purge_after).toLocaleDateString()) + '</span>' +
+        '</div>' +
+        '<button class="btn trash-restore-btn" data-id="' + escapeHtml(entry.asset_id) + '">Restore</button>' +
+        '<button class="btn adm-del-btn trash-purge-btn" data-id="' + escapeHtml(entry.asset_id) + '">Delete forever</button>' +
+      '</div>'
+    );
+  }
+
+  function loadTrash() {
+    api('GET', '/api/admin/trash').then(function (data) {
+      var entries = data.entries || [];
+      trashNoteEl.textContent = 'Kept for ' + data.retention_days + ' day' + (data.retention_days === 1 ? '' : 's');
+      trashListEl.innerHTML = entries.length
+        ? entries.map(renderTrashItem).join('')
+        : '<div class="adm-cat-desc">Deleted assets show up here.</div>';
+      trashListEl.querySelectorAll('.trash-restore-btn').forEach(function (btn) {
+        btn.addEventListener('click', function () {
+          api('POST', '/api/admin/trash/' + encodeURIComponent(this.getAttribute('data-id')) + '/restore')
+            .then(function () { loadTrash(); loadAssets(); })
+            .catch(function (e) { alert('Failed: ' + e.message); });
+        });
+      });
+      trashListEl.querySelectorAll('.trash-purge-btn').forEach(function (btn) {
+        btn.addEventListener('click', function () {
+          if (!confirm('Delete this asset permanently? Its files are removed on the next cleanup.')) return;
+          api('DELETE', '/api/admin/trash/' + encodeURIComponent(this.getAttribute('data-id')))
+            .then(function () { loadTrash(); })
+            .catch(function (e) { alert('Failed: ' + e.message); });
+        });
+      });
+    }).catch(function () {});
+  }
+
+  // ─── Edit conflicts ───────────────────────────────────────────────────────
+  var MERGE_FIELDS = ['title', 'description', 'category', 'thumbnailUrl', 'unlockThreshold', 'unlockRule', 'publishAt', 'unpublishAt', 'visible', 'tags', 'variants', 'chapter'];
+
+  function comparableField(asset, key) {
+    var v = asset ? asset[key] : undefined;
+    if (key === 'unlockThreshold') return toUnlockThreshold(v);
+    if (key === 'unlockRule') return v || null;
+    if (key === 'visible') return v !== false;
+    if (key === 'tags') return v || [];
+    if (key === 'variants') {
+      return (v || []).map(function (x) {
+        return [x.id || null, x.name || 'Download', x.resolution || '', x.fileSize || '', x.downloadUrl || '#'];
+      });
+    }
+    return v === undefined || v === null ? '' : v;
+  }
+
+  function changedFields(from, to, keys) {
+    return keys.filter(function (k) {
+      return JSON.stringify(comparableField(from, k)) !== JSON.stringify(comparableField(to, k));
+    });
+  }
+
+  // Someone saved the asset after the drawer opened. Either re-apply only the
+  // fields this editor changed on top of the latest version, or reload it.
+  function resolveAssetConflict(payload, current) {
+    var mine = changedFields(drawerOriginal, payload, MERGE_FIELDS.filter(function (k) { return k in payload; }));
+    var theirs = changedFields(drawerOriginal, current, MERGE_FIELDS);
+    var overlap = mine.filter(function (k) { return theirs.indexOf(k) !== -1; });
+    var msg = 'Someone else saved this asset while you were editing' +
+      (theirs.length ? ' (changed: ' + theirs.join(', ') + ')' : '') + '.\n\n' +
+      'OK: apply only your changes' + (mine.length ? ' (' + mine.join(', ') + ')' : '') + ' on top of theirs' +
+      (overlap.length ? ', replacing their ' + overlap.join(', ') : '') + '.\n' +
+      'Cancel: discard your changes and reload the latest version.';
+    if (!mine.length || !confirm(msg)) {
+      allAssets = allAssets.map(function (a) { return a.id === current.id ? current : a; });
+      renderAssets();
+      openDrawer(current);
+      return Promise.resolve(false);
+    }
+    var merged = { expectedVersion: current.version };
+    mine.forEach(function (k) { merged[k] = payload[k]; });
+    return api('PATCH', '/api/admin/downloads/' + encodeURIComponent(current.id), merged).then(function () { return true; });
+  }
+
   // ─── Save asset ───────────────────────────────────────────────────────────
   document.getElementById('drawer-save').addEventListener('click', function () {
     var saveBtn = this;
@@ -734,8 +1755,11 @@
           category: catSelect.value,
           thumbnailUrl: thumbnailUrl,
           unlockThreshold: toUnlockThreshold(unlockThresholdInput.value),
+          unlockRule: readUnlockRule(),
+          publishAt: fromLocalInputValue(publishAtInput.value),
+          unpublishAt: fromLocalInputValue(unpublishAtInput.value),
           visible: drawerVisible,
-          tags: [],
+          tags: drawerOriginal ? (drawerOriginal.tags || []) : [],
           variants: variants.map(function (v) {
             return {
               id: v.id || undefined,
@@ -752,12 +1776,19 @@
         }
 
         var req = editingId
-          ? api('PATCH', '/api/admin/downloads/' + encodeURIComponent(editingId), payload)
-          : api('POST', '/api/admin/downloads', payload);
-
-        return req.then(function () {
+          ? api('PATCH', '/api/admin/downloads/' + encodeURIComponent(editingId), Object.assign({ expectedVersion: drawerOriginal && drawerOriginal.version }, payload))
+              .then(function () { return true; })
+              .catch(function (e) {
+                if (e.status === 409 && e.body && e.body.current) return resolveAssetConflict(payload, e.body.current);
+                throw e;
+              })
+          : api('POST', '/api/admin/downloads', payload).then(function () { return true; });
+
+        return req.then(function (saved) {
+          if (!saved) return;
           closeDrawer();
           loadAssets();
+          loadSchedule();
         });
       });
     }).catch(function (e) {
@@ -1,4 +1,42 @@
 (function () {
   'use strict';
-  /* GA via GTM, Meta Pixel via inline snippet on each page. */
+
+  var GTM_ID = 'GTM-5PVJLXP7';
+  var META_PIXEL_ID = '1253256319479243';
+
+  function loadScript(src) {
+    var s = document.createElement('script');
+    s.async = true;
+    s.src = src;
+    document.head.appendChild(s);
+  }
+
+  function loadTagManager() {
+    window.dataLayer = window.dataLayer || [];
+    window.dataLayer.push({ 'gtm.start': new Date().getTime(), event: 'gtm.js' });
+    loadScript('https://www.googletagmanager.com/gtm.js?id=' + GTM_ID);
+  }
+
+  function loadMetaPixel() {
+    if (window.fbq) return;
+    var fbq = window.fbq = function () {
+      if (fbq.callMethod) fbq.callMethod.apply(fbq, arguments);
+      else fbq.queue.push(arguments);
+    };
+    if (!window._fbq) window._fbq = fbq;
+    fbq.push = fbq;
+    fbq.loaded = true;
+    fbq.version = '2.0';
+    fbq.queue = [];
+    loadScript('https://connect.facebook.net/en_US/fbevents.js');
+    fbq('init', META_PIXEL_ID);
+    fbq('track', 'PageView');
+  }
+
+  // GA (via GTM) and the Meta Pixel only load once the visitor allows tracking (see tracker.js).
+  if (!window.MayaConsent) return;
+  window.MayaConsent.onGrant(function () {
+    loadTagManager();
+    loadMetaPixel();
+  });
 })();
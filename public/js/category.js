@@ -37,6 +37,10 @@
     progressPct: 0,
     nextAsset: null
   };
+  var shownMissionKey = '';
+  var pendingUnlockIds = {};
+  var unlockRefreshTimer = null;
+  var referralCode = '';
 
   function escapeHtml(s) {
     if (!s) return '';
@@ -86,6 +90,16 @@
     });
   }
 
+  // What still stands between a locked asset and its unlock, in the order it has to happen.
+  function lockHint(asset) {
+    if (Number(asset.unlockThreshold || 0) > 0 && Number(asset.downloadsRemaining || 0) > 0) {
+      return asset.downloadsRemaining + ' more to unlock';
+    }
+    if (asset.unlocksAfter) return 'Unlocks after ' + (asset.unlocksAfter.title || 'the previous reward');
+    if (asset.unlocksAt) return 'Unlocks ' + new Date(asset.unlocksAt).toLocaleString();
+    return 'Locked';
+  }
+
   function renderCard(asset) {
     var badge = '';
     if (asset.category === 'wallpapers') badge = 'WALLPAPER';
@@ -102,6 +116,7 @@
     var isLocked = asset.isLocked === true;
     var unlockThreshold = Number(asset.unlockThreshold || 0);
     var downloadsRemaining = Number(asset.downloadsRemaining || 0);
+    var needsDownloads = isLocked && unlockThreshold > 0 && downloadsRemaining > 0;
     assetsById[asset.id] = asset;
 
     var variants = asset.variants || [];
@@ -110,8 +125,10 @@
     var v1 = firstDownloadableVariant(asset);
     var actionsHtml;
 
-    if (isLocked && unlockThreshold > 0) {
+    if (needsDownloads) {
       actionsHtml = '<button type="button" class="btn asset-help-unlock">Help unlock</button>';
+    } else if (isLocked) {
+      actionsHtml = '<span class="btn no-url">Coming Soon</span>';
     } else if (!hasDownload(asset)) {
       actionsHtml = '<span class="btn no-url">Coming Soon</span>';
     } else if (hasMulti) {
@@ -134,11 +151,11 @@
             : '') +
         '</div>' +
         '<div class="card-body">' +
-          '<span class="card-badge">' + escapeHtml(isLocked && unlockThreshold > 0 ? ('Unlocks @ ' + unlockThreshold) : badge) + '</span>' +
+          '<span class="card-badge">' + escapeHtml(needsDownloads ? ('Unlocks @ ' + unlockThreshold) : badge) + '</span>' +
           '<h3 class="card-title">' + escapeHtml(asset.title) + '</h3>' +
           '<p class="card-desc">' + (
-            isLocked && unlockThreshold > 0
-              ? ('<span class="card-lock-remaining">' + escapeHtml(String(downloadsRemaining)) + ' more to unlock</span>')
+            isLocked
+              ? ('<span class="card-lock-remaining">' + escapeHtml(lockHint(asset)) + '</span>')
               : escapeHtml(asset.description || '')
           ) + '</p>' +
           '<div class="card-actions">' + actionsHtml + '</div>' +
@@ -147,21 +164,50 @@
     );
   }
 
+  // This page's own mission while its category has rewards left, otherwise the site-wide one.
+  function pickMission(progress) {
+    if (!progress) return null;
+    var missions = progress.missions || [];
+    var own = missions.filter(function (m) { return m.category === category; })[0];
+    if (own) return own;
+    var overall = missions.filter(function (m) { return m.scope === 'overall'; })[0];
+    if (overall) return overall;
+    return progress.hasActiveGoal ? progress : null;
+  }
+
+  function renderUpcomingRewards(mission) {
+    var upcoming = (mission.upcoming || []).slice(0, 3);
+    if (!upcoming.length) return '';
+    return (
+      '<ul class="gm-upcoming">' +
+        upcoming.map(function (r) {
+          return '<li><span class="gm-upcoming-title">' + escapeHtml(r.title || 'Reward') + '</span>' +
+            '<span class="gm-upcoming-goal">' + escapeHtml(String(r.downloadsToGo)) + ' to go</span></li>';
+        }).join('') +
+      '</ul>'
+    );
+  }
+
   function renderUnlockProgress() {
     var strip = document.getElementById('unlock-progress');
     if (!strip) return;
-    if (!unlockProgress || !unlockProgress.hasActiveGoal || !unlockProgress.nextAsset) {
+    var mission = pickMission(unlockProgress);
+    if (!mission || !mission.nextAsset) {
       strip.hidden = true;
+      shownMissionKey = '';
       return;
     }
     strip.hidden = false;
+    shownMissionKey = mission.id + '|' + mission.nextAsset.id;
     var nextCardEl = document.getElementById('unlock-next-card');
     if (nextCardEl) {
-      var next = unlockProgress.nextAsset;
+      var next = mission.nextAsset;
       var nextThumb = thumbUrl(next);
       var nextTitle = next.title || 'next reward';
-      var nextThreshold = Number(unlockProgress.nextThreshold || 0);
-      var toGo = Number(unlockProgress.downloadsToNext || 0);
+      var nextThreshold = Number(mission.nextThreshold || 0);
+      var toGo = Number(mission.downloadsToNext || 0);
+      var counter = mission.counter != null ? mission.counter : (unlockProgress.totalDownloads || 0);
+      var missionLabel = mission.scope === 'category' ? (mission.label || pageTitle) + ' Mission' : 'Community Mission';
       var hiResPreview = next && next.id ? ('/api/preview-image/' + encodeURIComponent(next.id)) : nextThumb;
       nextCardEl.hidden = false;
       nextCardEl.innerHTML =
@@ -169,11 +215,11 @@
           '<div class="gm-card">' +
             '<div class="gm-head">' +
               '<div>' +
-                '<div class="gm-label">Community Mission</div>' +
+                '<div class="gm-label">' + escapeHtml(missionLabel) + '</div>' +
                 '<div class="gm-status">Live Progress</div>' +
               '</div>' +
               '<div class="gm-head-copy">' +
-                '<div class="gm-head-copy-title">Unlock <span class="accent">' + escapeHtml(nextTitle) + '</span> at <span class="accent">' + escapeHtml(String(nextThreshold)) + '</span> downloads. <span class="accent">' + escapeHtml(String(toGo)) + '</span> more to go.</div>' +
+                '<div class="gm-head-copy-title">Unlock <span class="accent">' + escapeHtml(nextTitle) + '</span> at <span class="accent">' + escapeHtml(String(nextThreshold)) + '</span> downloads. <span class="accent gm-to-go">' + escapeHtml(String(toGo)) + '</span> more to go.</div>' +
                 '<div class="gm-head-copy-sub">Each download pushes the community closer to the next unlock. </div>' +
               '</div>' +
             '</div>' +
@@ -185,15 +231,16 @@
                 '<div class="gm-progress-panel">' +
                   '<div class="gm-progress-head">' +
                     '<span class="gm-progress-label">Mission Progress</span>' +
-                    '<span class="gm-progress-value">' + escapeHtml(String(unlockProgress.totalDownloads || 0)) + ' / ' + escapeHtml(String(unlockProgress.nextThreshold || 0)) + '</span>' +
+                    '<span class="gm-progress-value">' + escapeHtml(String(counter)) + ' / ' + escapeHtml(String(nextThreshold)) + '</span>' +
                   '</div>' +
                   '<div class="gm-meter">' +
-                    '<div class="gm-fill" style="width:' + String(unlockProgress.progressPct || 0) + '%"></div>' +
+                    '<div class="gm-fill" style="width:' + String(mission.progressPct || 0) + '%"></div>' +
                   '</div>' +
                   '<div class="gm-progress-foot">' +
-                    '<span>Target: ' + escapeHtml(String(unlockProgress.nextThreshold || 0)) + ' downloads</span>' +
-                    '<span class="gm-pct">' + escapeHtml(String(Math.round(unlockProgress.progressPct || 0))) + '%</span>' +
+                    '<span>Target: ' + escapeHtml(String(nextThreshold)) + ' downloads</span>' +
+                    '<span class="gm-pct">' + escapeHtml(String(Math.round(mission.progressPct || 0))) + '%</span>' +
                   '</div>' +
+                  renderUpcomingRewards(mission) +
                 '</div>' +
               '</section>' +
             '</div>' +
@@ -203,6 +250,77 @@
     }
   }
 
+  // Same mission and reward as on screen: move the numbers and let the meter animate.
+  // Anything else changed, so the card is rebuilt.
+  function updateUnlockProgress(progress) {
+    unlockProgress = progress;
+    var mission = pickMission(progress);
+    var nextCardEl = document.getElementById('unlock-next-card');
+    if (!mission || !mission.nextAsset || !nextCardEl || shownMissionKey !== mission.id + '|' + mission.nextAsset.id) {
+      renderUnlockProgress();
+      return;
+    }
+    var counter = mission.counter != null ? mission.counter : (progress.totalDownloads || 0);
+    var pct = Math.round(mission.progressPct || 0);
+    var valueEl = nextCardEl.querySelector('.gm-progress-value');
+    var fillEl = nextCardEl.querySelector('.gm-fill');
+    var pctEl = nextCardEl.querySelector('.gm-pct');
+    var toGoEl = nextCardEl.querySelector('.gm-to-go');
+    var upcomingEl = nextCardEl.querySelector('.gm-upcoming');
+    if (valueEl) {
+      valueEl.textContent = String(counter) + ' / ' + String(Number(mission.nextThreshold || 0));
+      valueEl.classList.remove('gm-bump');
+      void valueEl.offsetWidth;
+      valueEl.classList.add('gm-bump');
+    }
+    if (fillEl) fillEl.style.width = String(mission.progressPct || 0) + '%';
+    if (pctEl) pctEl.textContent = String(pct) + '%';
+    if (toGoEl) toGoEl.textContent = String(Number(mission.downloadsToNext || 0));
+    if (upcomingEl) upcomingEl.outerHTML = renderUpcomingRewards(mission);
+  }
+
+  // Reloads the list once a burst of unlocks has settled and flips the cards that opened up.
+  function refreshUnlockedCards() {
+    unlockRefreshTimer = null;
+    var ids = pendingUnlockIds;
+    pendingUnlockIds = {};
+    fetch('/api/downloads').then(function (r) { return r.json(); }).then(function (data) {
+      if (!Array.isArray(data)) return;
+      var next = sortByUnlockOrder(data.filter(function (i) { return i.category === category; }));
+      var grid = document.getElementById('card-grid');
+      var sameOrder = next.length === list.length && next.every(function (a, i) { return list[i].id === a.id; });
+      list = next;
+      if (!sameOrder) {
+        render();
+        return;
+      }
+      list.forEach(function (asset) {
+        var old = grid.querySelector('.card-preview[data-id="' + (window.CSS && CSS.escape ? CSS.escape(asset.id) : asset.id) + '"]');
+        if (!old || (old.classList.contains('card-locked') === asset.isLocked && !ids[asset.id])) return;
+        var holder = document.createElement('div');
+        holder.innerHTML = renderCard(asset);
+        var card = holder.firstChild;
+        if (ids[asset.id] && !asset.isLocked) card.classList.add('card-just-unlocked');
+        grid.replaceChild(card, old);
+      });
+    }).catch(function () {});
+  }
+
+  function connectLiveProgress() {
+    if (!window.EventSource) return;
+    var source = new EventSource('/api/unlocks/stream');
+    source.addEventListener('progress', function (e) {
+      try { updateUnlockProgress(JSON.parse(e.data)); } catch (err) {}
+    });
+    source.addEventListener('unlock', function (e) {
+      var data;
+      try { data = JSON.parse(e.data); } catch (err) { return; }
+      if (!data || data.category !== category) return;
+      pendingUnlockIds[data.id] = true;
+      if (!unlockRefreshTimer) unlockRefreshTimer = setTimeout(refreshUnlockedCards, 300);
+    });
+  }
+
   function render() {
     var grid = document.getElementById('card-grid');
     var emptyMsg = document.getElementById('empty-msg');
@@ -300,18 +418,48 @@
     if (titleEl) titleEl.textContent = asset.title || 'Locked giveaway';
     if (descEl) descEl.textContent = asset.description || 'A new giveaway will unlock soon.';
     if (copyEl) {
-      copyEl.textContent =
-        'Unlocks at ' + threshold + ' total downloads. ' + remaining + ' more downloads needed.';
+      copyEl.textContent = threshold > 0 && remaining > 0
+        ? 'Unlocks at ' + threshold + ' downloads. ' + remaining + ' more downloads needed.'
+        : lockHint(asset) + '.';
     }
     if (fillEl && threshold > 0) {
       var pct = Math.max(0, Math.min(100, Math.round(((threshold - remaining) / threshold) * 100)));
       fillEl.style.width = pct + '%';
     }
+    loadContribution();
     modal.classList.add('open');
     modal.setAttribute('aria-hidden', 'false');
     document.body.style.overflow = 'hidden';
   }
 
+  // Fetches the share code up front so the copy button can put it straight on the clipboard.
+  function loadContribution() {
+    var el = document.getElementById('unlock-modal-contribution');
+    var mission = pickMission(unlockProgress);
+    var missionId = mission && mission.id ? mission.id : 'overall';
+    if (!referralCode) {
+      fetch('/api/referrals', { method: 'POST', credentials: 'same-origin' })
+        .then(function (r) { return r.ok ? r.json() : null; })
+        .then(function (data) { if (data && data.code) referralCode = data.code; })
+        .catch(function () {});
+    }
+    if (!el) return;
+    fetch('/api/unlocks/contribution?mission=' + encodeURIComponent(missionId), { credentials: 'same-origin' })
+      .then(function (r) { return r.ok ? r.json() : null; })
+      .then(function (data) {
+        if (!data) { el.hidden = true; return; }
+        var label = data.mission && data.mission.scope === 'category' ? (data.mission.label || pageTitle) + ' mission' : 'this mission';
+        if (data.total > 0) {
+          el.textContent = 'You and your referrals contributed ' + data.total + ' download' + (data.total === 1 ? '' : 's') + ' to ' + label +
+            (data.referred > 0 ? ' (' + data.referred + ' through your link).' : '.');
+        } else {
+          el.textContent = 'Share your link \u2014 every download through it counts toward ' + label + '.';
+        }
+        el.hidden = false;
+      })
+      .catch(function () { el.hidden = true; });
+  }
+
   function closeUnlockModal() {
     var modal = document.getElementById('unlock-modal');
     if (!modal) return;
@@ -324,7 +472,7 @@
     var btn = document.getElementById('unlock-share-btn');
     if (!btn) return;
     var original = btn.textContent;
-    var link = window.location.origin + window.location.pathname;
+    var link = window.location.origin + window.location.pathname + (referralCode ? '?ref=' + encodeURIComponent(referralCode) : '');
     var done = function () {
       btn.textContent = 'Link copied ✓';
       btn.disabled = true;
@@ -371,6 +519,7 @@
         unlockProgress = progress || unlockProgress;
         renderUnlockProgress();
         render();
+        connectLiveProgress();
       })
       .catch(function () { list = []; render(); });
 
@@ -3,6 +3,11 @@
 
   var SESSION_KEY = 'maya_sid';
   var UTM_KEY = 'maya_utm';
+  var REF_KEY = 'maya_ref';
+  var VISITOR_COOKIE = 'maya_vid';
+  var CONSENT_COOKIE = 'maya_consent';
+  var VISITOR_MAX_AGE_S = 365 * 24 * 60 * 60;
+  var CONSENT_MAX_AGE_S = 365 * 24 * 60 * 60;
   var DISCORD_LAST_DOWNLOAD_AT_KEY = 'maya_discord_last_download_at';
   var DOWNLOAD_DEDUP_KEY = 'maya_last_download_event';
   var DISCORD_URL = '/discord';
@@ -20,9 +25,52 @@
   function sessionId() {
     var sid = sessionStorage.getItem(SESSION_KEY);
     if (!sid) { sid = uuid(); sessionStorage.setItem(SESSION_KEY, sid); }
+    // Mirror into a session cookie so /api/download/:id can attribute server-side downloads.
+    try { document.cookie = SESSION_KEY + '=' + sid + '; path=/; SameSite=Lax'; } catch (e) {}
     return sid;
   }
 
+  function readCookie(name) {
+    var parts = document.cookie ? document.cookie.split(';') : [];
+    for (var i = 0; i < parts.length; i++) {
+      var idx = parts[i].indexOf('=');
+      if (idx !== -1 && parts[i].slice(0, idx).trim() === name) return decodeURIComponent(parts[i].slice(idx + 1).trim());
+    }
+    return '';
+  }
+
+  // Do-Not-Track and Global Privacy Control win over everything else.
+  var optedOut = navigator.doNotTrack === '1' || window.doNotTrack === '1' || navigator.globalPrivacyControl === true;
+  // Unknown until /api/config answers; nothing but anonymous downloads is sent before that.
+  var consentRequired = null;
+  var grantListeners = [];
+
+  function consentState() {
+    var state = readCookie(CONSENT_COOKIE);
+    return state === 'granted' || state === 'denied' ? state : '';
+  }
+
+  function trackingAllowed() {
+    if (optedOut) return false;
+    var state = consentState();
+    if (state) return state === 'granted';
+    return consentRequired === false;
+  }
+
+  // Long-lived id that ties sessions (tabs, visits) of one browser together.
+  // Declining tracking removes it; the session id keeps working either way.
+  function visitorId() {
+    try {
+      if (!trackingAllowed()) {
+        if (readCookie(VISITOR_COOKIE)) document.cookie = VISITOR_COOKIE + '=; path=/; max-age=0; SameSite=Lax';
+        return '';
+      }
+      var vid = readCookie(VISITOR_COOKIE) || uuid();
+      document.cookie = VISITOR_COOKIE + '=' + vid + '; path=/; max-age=' + VISITOR_MAX_AGE_S + '; SameSite=Lax';
+      return vid;
+    } catch (e) { return ''; }
+  }
+
   // Read UTMs from URL; if none, fall back to session storage so attribution
   // persists when navigating from /wallpapers -> clicking download etc.
   function utms() {
@@ -37,6 +85,17 @@
     try { return JSON.parse(sessionStorage.getItem(UTM_KEY) || '{}'); } catch (e) { return {}; }
   }
 
+  // The first ?ref= a session lands with is the one it is credited to.
+  function referralCode() {
+    try {
+      var stored = sessionStorage.getItem(REF_KEY);
+      if (stored) return stored;
+      var ref = new URLSearchParams(window.location.search).get('ref') || '';
+      if (ref) sessionStorage.setItem(REF_KEY, ref.slice(0, 16));
+      return ref.slice(0, 16);
+    } catch (e) { return ''; }
+  }
+
   function tz() {
     try { return Intl.DateTimeFormat().resolvedOptions().timeZone; } catch (e) { return ''; }
   }
@@ -59,6 +118,7 @@
     return {
       type: type,
       sid: sessionId(),
+      vid: visitorId(),
       page: window.location.pathname,
       referrer: document.referrer,
       utm: utms(),
@@ -68,6 +128,87 @@
     };
   }
 
+  // Downloads always move the unlock meter; without consent they carry nothing about the visitor.
+  function downloadPayload(assetId) {
+    if (trackingAllowed()) {
+      var payload = base('download');
+      payload.asset_id = assetId;
+      return payload;
+    }
+    return { type: 'download', sid: sessionId(), asset_id: assetId, anon: true };
+  }
+
+  function sendPageview() {
+    var pageview = base('pageview');
+    var ref = referralCode();
+    if (ref) pageview.ref = ref;
+    beacon(pageview);
+  }
+
+  function notifyGrant() {
+    var listeners = grantListeners;
+    grantListeners = [];
+    listeners.forEach(function (fn) {
+      try { fn(); } catch (e) {}
+    });
+  }
+
+  function hideConsentBanner() {
+    var el = document.getElementById('consent-banner');
+    if (el) el.parentNode.removeChild(el);
+  }
+
+  function setConsent(state) {
+    if (state !== 'granted' && state !== 'denied') return;
+    var wasAllowed = trackingAllowed();
+    try { document.cookie = CONSENT_COOKIE + '=' + state + '; path=/; max-age=' + CONSENT_MAX_AGE_S + '; SameSite=Lax'; } catch (e) {}
+    hideConsentBanner();
+    visitorId();
+    if (!wasAllowed && trackingAllowed()) {
+      sendPageview();
+      notifyGrant();
+    }
+  }
+
+  function showConsentBanner() {
+    if (document.getElementById('consent-banner')) return;
+    var wrap = document.createElement('div');
+    wrap.id = 'consent-banner';
+    wrap.className = 'consent-banner';
+    wrap.setAttribute('role', 'dialog');
+    wrap.setAttribute('aria-label', 'Cookie consent');
+    wrap.innerHTML =
+      '<p class="consent-banner-text">We use cookies and analytics to see which downloads people like and to measure our campaigns. ' +
+        'Downloads keep counting towards community unlocks either way.</p>' +
+      '<div class="consent-banner-actions">' +
+        '<button type="button" class="btn consent-decline">Decline</button>' +
+        '<button type="button" class="btn btn-primary consent-accept">Accept</button>' +
+      '</div>';
+    wrap.querySelector('.consent-accept').addEventListener('click', function () { setConsent('granted'); });
+    wrap.querySelector('.consent-decline').addEventListener('click', function () { setConsent('denied'); });
+    document.body.appendChild(wrap);
+  }
+
+  // A failed config request is treated as consent being required.
+  function loadConsentConfig(done) {
+    fetch('/api/config')
+      .then(function (r) { return r.ok ? r.json() : {}; })
+      .catch(function () { return {}; })
+      .then(function (cfg) {
+        consentRequired = !(cfg && cfg.consent && cfg.consent.required === false);
+        done();
+      });
+  }
+
+  window.MayaConsent = {
+    allowed: trackingAllowed,
+    onGrant: function (fn) {
+      if (trackingAllowed()) fn();
+      else grantListeners.push(fn);
+    },
+    set: setConsent,
+  };
+
   function ensureDiscordPopup() {
     if (document.getElementById('discord-popup')) return;
     try {
@@ -146,8 +287,16 @@
     el.setAttribute('aria-hidden', 'true');
   }
 
-  // Pageview
-  beacon(base('pageview'));
+  // Pageview, once we know whether consent has to be asked for first
+  loadConsentConfig(function () {
+    if (trackingAllowed()) {
+      sendPageview();
+      notifyGrant();
+    } else {
+      visitorId();
+      if (consentRequired && !optedOut && !consentState()) showConsentBanner();
+    }
+  });
 
   // Download click (fires before navigation/new tab opens)
   document.addEventListener('click', function (e) {
@@ -157,8 +306,7 @@
     if (!m) return;
     var card = a.closest('[data-id]');
     var titleEl = card && card.querySelector('.card-title');
-    var payload = base('download');
-    payload.asset_id = decodeURIComponent(m[1]);
+    var payload = downloadPayload(decodeURIComponent(m[1]));
     if (!shouldTrackDownload(payload.asset_id)) return;
     payload.asset_title = titleEl ? titleEl.textContent.trim() : '';
     payload.asset_category = document.body.getAttribute('data-category') || '';
@@ -170,9 +318,11 @@
   document.addEventListener('click', function (e) {
     var btn = e.target.closest('#download-all-btn');
     if (!btn || btn.disabled) return;
-    var payload = base('download_all');
-    payload.asset_category = document.body.getAttribute('data-category') || '';
-    beacon(payload);
+    if (trackingAllowed()) {
+      var payload = base('download_all');
+      payload.asset_category = document.body.getAttribute('data-category') || '';
+      beacon(payload);
+    }
     setTimeout(showDiscordPopupIfEligible, 0);
   }, true);
 
@@ -182,6 +332,7 @@
     if (!card) return;
     if (e.target.matches('a[href], .btn') && !e.target.classList.contains('no-url')) return;
     if (e.target.closest('.card-actions')) return;
+    if (!trackingAllowed()) return;
     var titleEl = card.querySelector('.card-title');
     var payload = base('modal_open');
     payload.asset_id = card.getAttribute('data-id') || '';
@@ -2,23 +2,34 @@
 
 const express = require('express');
 
+const AUDIT_EXPORT_LIMIT = 50000;
+const CATEGORY_UPDATE_ATTEMPTS = 3;
+const WEBHOOK_DELIVERY_LIMIT = 200;
+
 function createAdminRouter(deps) {
   const {
     path,
     rootDir,
-    checkAdmin,
+    requireAdmin,
     db,
     readCats,
-    writeCats,
-    getS3Client,
-    getBucket,
-    getPublicUrl,
+    storage,
     formatBytes,
     upload,
     sharp,
     uuidv4,
-    PutObjectCommand,
     assetService,
+    unlockService,
+    schedule,
+    countingPolicy,
+    rateLimiter,
+    auditLog,
+    webhookService,
+    privacy,
+    rollups,
+    funnelService,
+    attributionService,
+    exportService,
   } = deps;
 
   const router = express.Router();
@@ -27,8 +38,10 @@ function createAdminRouter(deps) {
     res.sendFile(path.join(rootDir, 'public', 'admin.html'));
   });
 
-  router.get('/api/admin/downloads', async (req, res) => {
-    if (!checkAdmin(req)) return res.status(401).json({ error: 'Unauthorized' });
+  // Anything under /api/admin not matched by a more specific guard still needs a signed-in admin.
+  router.use('/api/admin', requireAdmin());
+
+  router.get('/api/admin/downloads', requireAdmin('editor', 'assets:read'), async (req, res) => {
     try {
       const data = await assetService.readData();
       res.json(Array.isArray(data) ? data : []);
@@ -39,31 +52,22 @@ function createAdminRouter(deps) {
 
   router.post(
     '/api/admin/upload',
-    (req, res, next) => {
-      if (!checkAdmin(req)) return res.status(401).json({ error: 'Unauthorized' });
-      next();
-    },
+    requireAdmin('editor', 'assets:write'),
     upload.single('file'),
     async (req, res) => {
       if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
-      const s3 = getS3Client();
-      const bucket = getBucket();
-      if (!s3) return res.status(503).json({ error: 'S3 not configured' });
+      if (!storage.isConfigured()) return res.status(503).json({ error: 'Storage not configured' });
       try {
         const ext = path.extname(req.file.originalname) || '';
         const base = `uploads/${uuidv4()}${ext}`;
         const key = base.replace(/\\/g, '/');
 
-        await s3.send(new PutObjectCommand({
-          Bucket: bucket,
-          Key: key,
-          Body: req.file.buffer,
-          ContentType: req.file.mimetype,
-          ContentLength: req.file.size,
-          CacheControl: 'public, max-age=31536000, immutable',
-        }));
+        await storage.put(key, req.file.buffer, {
+          contentType: req.file.mimetype,
+          contentLength: req.file.size,
+        });
 
-        const url = getPublicUrl(key);
+        const url = storage.getPublicUrl(key);
         const fileSize = formatBytes(req.file.size);
         let thumbnailUrl = null;
         let imageWidth = null;
@@ -84,20 +88,17 @@ function createAdminRouter(deps) {
               .jpeg({ quality: 80 })
               .toBuffer();
             const thumbKey = `uploads/thumbs/${path.basename(key, path.extname(key))}.jpg`;
-            await s3.send(new PutObjectCommand({
-              Bucket: bucket,
-              Key: thumbKey,
-              Body: thumbBuffer,
-              ContentType: 'image/jpeg',
-              ContentLength: thumbBuffer.length,
-              CacheControl: 'public, max-age=31536000, immutable',
-            }));
-            thumbnailUrl = getPublicUrl(thumbKey);
+            await storage.put(thumbKey, thumbBuffer, {
+              contentType: 'image/jpeg',
+              contentLength: thumbBuffer.length,
+            });
+            thumbnailUrl = storage.getPublicUrl(thumbKey);
           } catch (err) {
             console.warn('Thumbnail generation failed:', err.message);
           }
         }
 
+        req.audit({ action: 'file.upload', targetType: 'file', targetId: key, after: { url, fileSize, thumbnailUrl, resolution } });
         res.json({ url, fileSize, thumbnailUrl, imageWidth, imageHeight, resolution });
       } catch (e) {
         console.error('Upload error:', e);
@@ -106,52 +107,185 @@ function createAdminRouter(deps) {
     }
   );
 
-  router.post('/api/admin/downloads', async (req, res) => {
-    if (!checkAdmin(req)) return res.status(401).json({ error: 'Unauthorized' });
+  // Clients name the version they edited with If-Match: "<version>" or an
+  // expectedVersion body field. Returns null when neither is given.
+  function readExpectedVersion(req) {
+    const header = String(req.headers['if-match'] || '').trim();
+    const raw = header ? header.replace(/^W\//, '').replace(/"/g, '') : req.body && req.body.expectedVersion;
+    if (raw === undefined || raw === null || raw === '' || raw === '*') return null;
+    const n = Number(raw);
+    return Number.isInteger(n) && n > 0 ? n : NaN;
+  }
+
+  // Validated publish window and unlock rule from an asset body; absent fields stay absent.
+  function readAssetFields(body) {
+    const scheduled = schedule.readScheduleFields(body);
+    if (scheduled.error) return scheduled;
+    const fields = { ...scheduled.fields };
+    if (body && body.unlockRule !== undefined) {
+      const unlock = unlockService.normalizeUnlockRule(body.unlockRule);
+      if (unlock.error) return unlock;
+      fields.unlockRule = unlock.rule;
+    }
+    return { fields };
+  }
+
+  // unlockRule.after has to name an existing asset, and following the chain from
+  // there must not lead back to this one. id is null for an asset not created yet.
+  async function checkUnlockAfter(id, rule) {
+    if (!rule || !rule.after) return null;
+    if (rule.after === id) return 'An asset cannot unlock after itself';
+    const prerequisite = await assetService.getAsset(rule.after);
+    if (!prerequisite) return 'unlockRule.after must be the id of an existing asset';
+    const seen = new Set([rule.after]);
+    let next = prerequisite.unlockRule && prerequisite.unlockRule.after;
+    while (next && !seen.has(next)) {
+      if (next === id) return 'unlockRule.after would chain back to this asset';
+      seen.add(next);
+      const asset = await assetService.getAsset(next);
+      next = asset && asset.unlockRule && asset.unlockRule.after;
+    }
+    return null;
+  }
+
+  function sendVersionConflict(res, current) {
+    res.set('ETag', `"${current.version}"`);
+    return res.status(409).json({ error: 'This record was changed by someone else', current });
+  }
+
+  router.post('/api/admin/downloads', requireAdmin('editor', 'assets:write'), async (req, res) => {
     try {
-      const data = await assetService.readData();
-      const item = assetService.createAdminAsset(req.body || {});
-      data.unshift(item);
-      await assetService.writeData(data);
+      const checked = readAssetFields(req.body);
+      if (checked.error) return res.status(400).json({ error: checked.error });
+      const chainError = await checkUnlockAfter(null, checked.fields.unlockRule);
+      if (chainError) return res.status(400).json({ error: chainError });
+      const item = await assetService.createAsset({ ...(req.body || {}), ...checked.fields });
       assetService.scheduleOrphanCleanup();
+      req.audit({ action: 'asset.create', targetType: 'asset', targetId: item.id, before: null, after: item });
       res.json(item);
     } catch (e) {
       res.status(500).json({ error: 'Failed to save' });
     }
   });
 
-  router.patch('/api/admin/downloads/:id', async (req, res) => {
-    if (!checkAdmin(req)) return res.status(401).json({ error: 'Unauthorized' });
+  router.patch('/api/admin/downloads/:id', requireAdmin('editor', 'assets:write'), async (req, res) => {
     try {
-      const data = await assetService.readData();
       const id = req.params.id;
-      const idx = data.findIndex((i) => i.id === id);
-      if (idx === -1) return res.status(404).json({ error: 'Not found' });
-      assetService.applyAdminAssetPatch(data[idx], req.body || {});
-      await assetService.writeData(data);
+      const expectedVersion = readExpectedVersion(req);
+      if (Number.isNaN(expectedVersion)) return res.status(400).json({ error: 'If-Match / expectedVersion must be a version number' });
+      const checked = readAssetFields(req.body);
+      if (checked.error) return res.status(400).json({ error: checked.error });
+      const chainError = await checkUnlockAfter(id, checked.fields.unlockRule);
+      if (chainError) return res.status(400).json({ error: chainError });
+      const result = await assetService.updateAsset(id, { ...(req.body || {}), ...checked.fields }, expectedVersion, { actor: req.admin });
+      if (!result) return res.status(404).json({ error: 'Not found' });
+      if (result.conflict) return sendVersionConflict(res, result.conflict);
       assetService.scheduleOrphanCleanup();
-      res.json(data[idx]);
+      req.audit({ action: 'asset.update', targetType: 'asset', targetId: id, before: result.before, after: result.after });
+      res.set('ETag', `"${result.after.version}"`);
+      res.json(result.after);
     } catch (e) {
       res.status(500).json({ error: 'Failed to update' });
     }
   });
 
-  router.delete('/api/admin/downloads', async (req, res) => {
-    if (!checkAdmin(req)) return res.status(401).json({ error: 'Unauthorized' });
+  router.delete('/api/admin/downloads', requireAdmin('editor', 'assets:write'), async (req, res) => {
     try {
       const id = req.body && req.body.id;
-      let data = await assetService.readData();
-      data = data.filter((i) => i.id !== id);
-      await assetService.writeData(data);
-      assetService.scheduleOrphanCleanup();
+      const before = await assetService.deleteAsset(id, { actor: req.admin });
+      if (before) {
+        assetService.scheduleOrphanCleanup();
+        req.audit({ action: 'asset.delete', targetType: 'asset', targetId: id, before, after: null });
+      }
       res.json({ ok: true });
     } catch (e) {
       res.status(500).json({ error: 'Failed to delete' });
     }
   });
 
-  router.get('/api/admin/categories', async (req, res) => {
-    if (!checkAdmin(req)) return res.status(401).json({ error: 'Unauthorized' });
+  router.get('/api/admin/downloads/:id/revisions', requireAdmin('editor', 'assets:read'), async (req, res) => {
+    try {
+      const current = await assetService.getAsset(req.params.id);
+      const revisions = await assetService.listRevisions(req.params.id);
+      if (!current && !revisions.length) return res.status(404).json({ error: 'Not found' });
+      res.json({ current: current ? { version: current.version, updatedAt: current.updatedAt || null } : null, revisions });
+    } catch (e) {
+      res.status(500).json({ error: e.message || 'Failed to load revisions' });
+    }
+  });
+
+  // ?compare=current (default) or another version number; the diff reads from that side to this revision.
+  router.get('/api/admin/downloads/:id/revisions/:version', requireAdmin('editor', 'assets:read'), async (req, res) => {
+    try {
+      const revision = await assetService.getRevision(req.params.id, Number(req.params.version));
+      if (!revision) return res.status(404).json({ error: 'Not found' });
+      const compare = String(req.query.compare || 'current');
+      let other;
+      if (compare === 'current') {
+        other = await assetService.getAsset(req.params.id);
+      } else {
+        const otherRevision = await assetService.getRevision(req.params.id, Number(compare));
+        if (!otherRevision) return res.status(404).json({ error: 'Revision to compare with not found' });
+        other = otherRevision.asset;
+      }
+      res.json({ ...revision, compare, diff: auditLog.diffObjects(other, revision.asset) });
+    } catch (e) {
+      res.status(500).json({ error: e.message || 'Failed to load revision' });
+    }
+  });
+
+  router.post('/api/admin/downloads/:id/revisions/:version/restore', requireAdmin('editor', 'assets:write'), async (req, res) => {
+    try {
+      const id = req.params.id;
+      const expectedVersion = readExpectedVersion(req);
+      if (Number.isNaN(expectedVersion)) return res.status(400).json({ error: 'If-Match / expectedVersion must be a version number' });
+      const revision = await assetService.getRevision(id, Number(req.params.version));
+      if (!revision || !revision.asset) return res.status(404).json({ error: 'Not found' });
+      const result = await assetService.restoreRevision(id, revision, expectedVersion, { actor: req.admin });
+      if (!result) return res.status(404).json({ error: 'Asset is deleted; restore it from the trash first' });
+      if (result.conflict) return sendVersionConflict(res, result.conflict);
+      assetService.scheduleOrphanCleanup();
+      req.audit({ action: 'asset.restore_revision', targetType: 'asset', targetId: id, before: result.before, after: result.after });
+      res.set('ETag', `"${result.after.version}"`);
+      res.json(result.after);
+    } catch (e) {
+      res.status(500).json({ error: e.message || 'Failed to restore revision' });
+    }
+  });
+
+  router.get('/api/admin/trash', requireAdmin('editor', 'assets:read'), async (req, res) => {
+    try {
+      const entries = await assetService.listTrash();
+      res.json({ retention_days: assetService.getTrashRetentionDays(), entries });
+    } catch (e) {
+      res.status(500).json({ error: e.message || 'Failed to load trash' });
+    }
+  });
+
+  router.post('/api/admin/trash/:id/restore', requireAdmin('editor', 'assets:write'), async (req, res) => {
+    try {
+      const result = await assetService.restoreFromTrash(req.params.id);
+      if (!result) return res.status(404).json({ error: 'Not found' });
+      if (result.conflict) return res.status(409).json({ error: 'An asset with this id already exists' });
+      req.audit({ action: 'asset.restore', targetType: 'asset', targetId: req.params.id, before: null, after: result.after });
+      res.json(result.after);
+    } catch (e) {
+      res.status(500).json({ error: e.message || 'Failed to restore' });
+    }
+  });
+
+  router.delete('/api/admin/trash/:id', requireAdmin('editor', 'assets:write'), async (req, res) => {
+    try {
+      const entry = await assetService.purgeFromTrash(req.params.id);
+      if (!entry) return res.status(404).json({ error: 'Not found' });
+      req.audit({ action: 'asset.purge', targetType: 'asset', targetId: req.params.id, before: entry.asset, after: null });
+      res.json({ ok: true });
+    } catch (e) {
+      res.status(500).json({ error: e.message || 'Failed to purge' });
+    }
+  });
+
+  router.get('/api/admin/categories', requireAdmin('editor', 'categories:read'), async (req, res) => {
     try {
       const cats = await readCats();
       res.json(cats.sort((a, b) => (a.order || 99) - (b.order || 99)));
@@ -160,55 +294,80 @@ function createAdminRouter(deps) {
     }
   });
 
-  router.post('/api/admin/categories', async (req, res) => {
-    if (!checkAdmin(req)) return res.status(401).json({ error: 'Unauthorized' });
+  router.post('/api/admin/categories', requireAdmin('editor', 'categories:write'), async (req, res) => {
     try {
       const cats = await readCats();
       const { slug, label, desc } = req.body || {};
       if (!slug || !label) return res.status(400).json({ error: 'slug and label required' });
+      const scheduled = schedule.readScheduleFields(req.body);
+      if (scheduled.error) return res.status(400).json({ error: scheduled.error });
       const clean = slug.toLowerCase().replace(/[^a-z0-9-]/g, '-').replace(/-+/g, '-').replace(/^-|-$/g, '');
       if (cats.find((c) => c.slug === clean)) return res.status(409).json({ error: 'Category already exists' });
-      const cat = { slug: clean, label, desc: desc || '', colorClass: 'home-box-custom', visible: true, order: cats.length + 1, builtIn: false };
-      cats.push(cat);
-      await writeCats(cats);
+      const draft = { slug: clean, label, desc: desc || '', colorClass: 'home-box-custom', visible: true, order: cats.length + 1, builtIn: false, ...scheduled.fields };
+      if (!(await db.insertCategory(draft))) return res.status(409).json({ error: 'Category already exists' });
+      const cat = (await readCats()).find((c) => c.slug === clean) || draft;
+      req.audit({ action: 'category.create', targetType: 'category', targetId: cat.slug, before: null, after: cat });
       res.json(cat);
     } catch (e) {
       res.status(500).json({ error: 'Failed to add category' });
     }
   });
 
-  router.patch('/api/admin/categories/:slug', async (req, res) => {
-    if (!checkAdmin(req)) return res.status(401).json({ error: 'Unauthorized' });
+  router.patch('/api/admin/categories/:slug', requireAdmin('editor', 'categories:write'), async (req, res) => {
     try {
-      const cats = await readCats();
-      const idx = cats.findIndex((c) => c.slug === req.params.slug);
-      if (idx === -1) return res.status(404).json({ error: 'Not found' });
-      const allowed = ['visible', 'label', 'desc', 'order'];
-      allowed.forEach((k) => { if (req.body && req.body[k] !== undefined) cats[idx][k] = req.body[k]; });
-      await writeCats(cats);
-      res.json(cats[idx]);
+      const slug = req.params.slug;
+      const expectedVersion = readExpectedVersion(req);
+      if (Number.isNaN(expectedVersion)) return res.status(400).json({ error: 'If-Match / expectedVersion must be a version number' });
+      const scheduled = schedule.readScheduleFields(req.body);
+      if (scheduled.error) return res.status(400).json({ error: scheduled.error });
+      const changes = { ...scheduled.fields };
+      ['visible', 'label', 'desc', 'order'].forEach((k) => { if (req.body && req.body[k] !== undefined) changes[k] = req.body[k]; });
+      const findCat = async () => (await readCats()).find((c) => c.slug === slug) || null;
+      // Without a version the change lands on whatever is current, retrying past concurrent writes.
+      for (let attempt = 0; attempt < CATEGORY_UPDATE_ATTEMPTS; attempt++) {
+        const before = await findCat();
+        if (!before) return res.status(404).json({ error: 'Not found' });
+        if (expectedVersion !== null && before.version !== expectedVersion) return sendVersionConflict(res, before);
+        if (await db.updateCategory(slug, changes, before.version)) {
+          const after = await findCat();
+          req.audit({ action: 'category.update', targetType: 'category', targetId: slug, before, after });
+          res.set('ETag', `"${after.version}"`);
+          return res.json(after);
+        }
+        if (expectedVersion !== null) break;
+      }
+      const current = await findCat();
+      if (!current) return res.status(404).json({ error: 'Not found' });
+      sendVersionConflict(res, current);
     } catch (e) {
       res.status(500).json({ error: 'Failed to update category' });
     }
   });
 
-  router.delete('/api/admin/categories/:slug', async (req, res) => {
-    if (!checkAdmin(req)) return res.status(401).json({ error: 'Unauthorized' });
+  router.delete('/api/admin/categories/:slug', requireAdmin('editor', 'categories:write'), async (req, res) => {
     try {
-      let cats = await readCats();
+      const cats = await readCats();
       const cat = cats.find((c) => c.slug === req.params.slug);
       if (!cat) return res.status(404).json({ error: 'Not found' });
       if (cat.builtIn) return res.status(403).json({ error: 'Cannot delete a built-in category' });
-      cats = cats.filter((c) => c.slug !== req.params.slug);
-      await writeCats(cats);
+      await db.deleteCategory(cat.slug);
+      req.audit({ action: 'category.delete', targetType: 'category', targetId: cat.slug, before: cat, after: null });
       res.json({ ok: true });
     } catch (e) {
       res.status(500).json({ error: 'Failed to delete category' });
     }
   });
 
-  router.get('/api/admin/analytics', async (req, res) => {
-    if (!checkAdmin(req)) return res.status(401).json({ error: 'Unauthorized' });
+  router.get('/api/admin/schedule', requireAdmin('viewer', 'assets:read'), async (req, res) => {
+    try {
+      const [assets, cats] = await Promise.all([assetService.readData(), readCats()]);
+      res.json({ now: new Date().toISOString(), events: schedule.buildSchedule(assets, cats) });
+    } catch (e) {
+      res.status(500).json({ error: e.message || 'Failed to load schedule' });
+    }
+  });
+
+  router.get('/api/admin/analytics', requireAdmin('viewer', 'analytics:read'), async (req, res) => {
     try {
       const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
       res.json(await db.getStats(days));
@@ -217,8 +376,7 @@ function createAdminRouter(deps) {
     }
   });
 
-  router.get('/api/admin/dashboard', async (req, res) => {
-    if (!checkAdmin(req)) return res.status(401).json({ error: 'Unauthorized' });
+  router.get('/api/admin/dashboard', requireAdmin('viewer', 'analytics:read'), async (req, res) => {
     try {
       res.json(await db.getDownloadDashboard());
     } catch (e) {
@@ -226,8 +384,7 @@ function createAdminRouter(deps) {
     }
   });
 
-  router.get('/api/admin/download-data', async (req, res) => {
-    if (!checkAdmin(req)) return res.status(401).json({ error: 'Unauthorized' });
+  router.get('/api/admin/download-data', requireAdmin('viewer', 'analytics:read'), async (req, res) => {
     try {
       const data = await db.getDownloadData({
         limit: req.query.limit,
@@ -243,8 +400,146 @@ function createAdminRouter(deps) {
     }
   });
 
-  router.get('/api/admin/gamification', async (req, res) => {
-    if (!checkAdmin(req)) return res.status(401).json({ error: 'Unauthorized' });
+  // Streams raw visits or events; same filters as download-data plus category, country and utm_source.
+  // Owner-only: rows carry IPs, user agents and visitor ids.
+  router.get('/api/admin/export/:table', requireAdmin('owner', 'analytics:export'), async (req, res) => {
+    const table = req.params.table;
+    const formatName = req.query.format || 'csv';
+    const format = exportService.format(formatName);
+    if (!exportService.TABLES.includes(table)) return res.status(404).json({ error: 'Unknown export' });
+    if (!format) return res.status(400).json({ error: 'format must be csv or ndjson' });
+    let closed = false;
+    res.on('close', () => { closed = true; });
+    const sendHeaders = () => {
+      if (res.headersSent) return;
+      res.type(format.type);
+      res.set('Content-Disposition', `attachment; filename="${table}-${new Date().toISOString().slice(0, 10)}.${format.ext}"`);
+    };
+    // Waits for the socket to drain before the next page is read.
+    const write = (chunk) => {
+      sendHeaders();
+      if (res.write(chunk) || closed) return null;
+      return new Promise((resolve) => {
+        const done = () => {
+          res.off('drain', done);
+          res.off('close', done);
+          resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+      });
+    };
+    try {
+      await exportService.run(table, formatName, exportService.parseFilters(req.query), write, () => closed);
+      sendHeaders();
+      res.end();
+    } catch (e) {
+      if (!res.headersSent) return res.status(500).json({ error: e.message || 'Failed to export' });
+      res.destroy(e);
+    }
+  });
+
+  router.get('/api/admin/rejected-events', requireAdmin('viewer', 'analytics:read'), async (req, res) => {
+    try {
+      const days = Math.min(Math.max(parseInt(req.query.days, 10) || 7, 1), 365);
+      const report = await db.getRejectedEvents(days);
+      res.json({ days, limits: countingPolicy.getLimits(), ...report });
+    } catch (e) {
+      res.status(500).json({ error: e.message || 'Failed to load rejected events' });
+    }
+  });
+
+  router.get('/api/admin/funnel', requireAdmin('viewer', 'analytics:read'), async (req, res) => {
+    try {
+      const days = Math.min(Math.max(parseInt(req.query.days, 10) || 7, 1), 90);
+      res.json(await funnelService.getFunnels(days));
+    } catch (e) {
+      res.status(500).json({ error: e.message || 'Failed to load funnel' });
+    }
+  });
+
+  // from/to and compare_from/compare_to are inclusive YYYY-MM-DD days; the default is the last 30.
+  router.get('/api/admin/attribution', requireAdmin('viewer', 'analytics:read'), async (req, res) => {
+    try {
+      const report = await attributionService.getReport({
+        from: req.query.from,
+        to: req.query.to,
+        compare_from: req.query.compare_from,
+        compare_to: req.query.compare_to,
+      });
+      if (report.error) return res.status(400).json({ error: report.error });
+      res.json(report);
+    } catch (e) {
+      res.status(500).json({ error: e.message || 'Failed to load attribution' });
+    }
+  });
+
+  router.get('/api/admin/rate-limits', requireAdmin('viewer', 'analytics:read'), (req, res) => {
+    res.json(rateLimiter.getStats());
+  });
+
+  // Dates may be YYYY-MM-DD (a whole UTC day for "to") or full ISO timestamps.
+  function parseAuditFilters(query) {
+    const toIso = (value, endOfDay) => {
+      const raw = String(value || '').trim();
+      if (!raw) return null;
+      const ms = Date.parse(raw);
+      if (!Number.isFinite(ms)) return null;
+      return new Date(/^\d{4}-\d{2}-\d{2}$/.test(raw) && endOfDay ? ms + 86400000 : ms).toISOString();
+    };
+    const text = (value) => String(value || '').trim() || null;
+    return {
+      from: toIso(query.from, false),
+      to: toIso(query.to, true),
+      actor: text(query.actor),
+      action: text(query.action),
+      targetType: text(query.target_type),
+      targetId: text(query.target_id),
+      cursor: text(query.cursor),
+    };
+  }
+
+  function toAuditEntry(row) {
+    let diff = null;
+    try { diff = row.diff ? JSON.parse(row.diff) : null; } catch (_) {}
+    return { ...row, status: row.status === null ? null : Number(row.status), diff };
+  }
+
+  router.get('/api/admin/audit', requireAdmin('owner', 'audit:read'), async (req, res) => {
+    try {
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+      const [rows, actions] = await Promise.all([
+        db.getAuditEntries(parseAuditFilters(req.query), limit),
+        db.getAuditActions(),
+      ]);
+      const last = rows.length === limit ? rows[rows.length - 1] : null;
+      res.json({
+        entries: rows.map(toAuditEntry),
+        actions,
+        next_cursor: last ? `${last.ts}|${last.id}` : null,
+      });
+    } catch (e) {
+      res.status(500).json({ error: e.message || 'Failed to load audit log' });
+    }
+  });
+
+  router.get('/api/admin/audit/export', requireAdmin('owner', 'audit:read'), async (req, res) => {
+    try {
+      const format = req.query.format === 'csv' ? 'csv' : 'json';
+      const rows = await db.getAuditEntries({ ...parseAuditFilters(req.query), cursor: null }, AUDIT_EXPORT_LIMIT);
+      const filename = `audit-${new Date().toISOString().slice(0, 10)}.${format}`;
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+      if (format === 'csv') {
+        res.type('text/csv').send(auditLog.toCsv(rows));
+      } else {
+        res.json(rows.map(toAuditEntry));
+      }
+    } catch (e) {
+      res.status(500).json({ error: e.message || 'Failed to export audit log' });
+    }
+  });
+
+  router.get('/api/admin/gamification', requireAdmin('viewer', 'settings:read'), async (req, res) => {
     try {
       const enabled = await db.getGamificationEnabled();
       res.json({ enabled });
@@ -253,17 +548,155 @@ function createAdminRouter(deps) {
     }
   });
 
-  router.patch('/api/admin/gamification', async (req, res) => {
-    if (!checkAdmin(req)) return res.status(401).json({ error: 'Unauthorized' });
+  router.patch('/api/admin/gamification', requireAdmin('owner', 'settings:write'), async (req, res) => {
     try {
       const enabled = req.body && req.body.enabled !== false;
+      const previous = await db.getGamificationEnabled();
       await db.setGamificationEnabled(enabled);
+      req.audit({ action: 'settings.gamification', targetType: 'setting', targetId: 'gamification', before: { enabled: previous }, after: { enabled } });
       res.json({ enabled });
     } catch (e) {
       res.status(500).json({ error: e.message || 'Failed to update gamification setting' });
     }
   });
 
+  router.get('/api/admin/download-count-source', requireAdmin('viewer', 'settings:read'), async (req, res) => {
+    try {
+      const source = await db.getDownloadCountSource();
+      res.json({ source });
+    } catch (e) {
+      res.status(500).json({ error: e.message || 'Failed to load download count source' });
+    }
+  });
+
+  router.patch('/api/admin/download-count-source', requireAdmin('owner', 'settings:write'), async (req, res) => {
+    try {
+      const requested = req.body && req.body.source;
+      if (!['tracker', 'server'].includes(requested)) {
+        return res.status(400).json({ error: 'source must be "tracker" or "server"' });
+      }
+      const previous = await db.getDownloadCountSource();
+      const source = await db.setDownloadCountSource(requested);
+      req.audit({ action: 'settings.download_count_source', targetType: 'setting', targetId: 'download_count_source', before: { source: previous }, after: { source } });
+      res.json({ source });
+    } catch (e) {
+      res.status(500).json({ error: e.message || 'Failed to update download count source' });
+    }
+  });
+
+  router.get('/api/admin/privacy', requireAdmin('viewer', 'settings:read'), (req, res) => {
+    res.json({ ...privacy.getConfig(), lastRetentionRun: privacy.getLastRetentionRun() });
+  });
+
+  router.post('/api/admin/privacy/retention/run', requireAdmin('owner', 'settings:write'), async (req, res) => {
+    try {
+      const run = await privacy.runRetention();
+      req.audit({ action: 'privacy.retention_run', targetType: 'setting', targetId: 'visit_retention', after: run });
+      res.json(run);
+    } catch (e) {
+      res.status(500).json({ error: e.message || 'Failed to run visit retention' });
+    }
+  });
+
+  // Backfill: recomputes the daily analytics rollups for a range of closed days.
+  router.post('/api/admin/rollups/rebuild', requireAdmin('owner', 'settings:write'), async (req, res) => {
+    try {
+      const body = req.body || {};
+      const result = await rollups.rebuild({ from: body.from ? String(body.from) : '', to: body.to ? String(body.to) : '' });
+      if (result.error) return res.status(400).json({ error: result.error });
+      req.audit({ action: 'analytics.rollups_rebuild', targetType: 'setting', targetId: 'analytics_rollups', after: { from: body.from || null, to: body.to || null, days: result.days.length } });
+      res.json(result);
+    } catch (e) {
+      res.status(500).json({ error: e.message || 'Failed to rebuild analytics rollups' });
+    }
+  });
+
+  router.get('/api/admin/webhooks', requireAdmin('owner', 'settings:read'), async (req, res) => {
+    try {
+      const rows = await db.listWebhooks();
+      res.json({ kinds: webhookService.WEBHOOK_KINDS, webhooks: rows.map(webhookService.publicWebhook) });
+    } catch (e) {
+      res.status(500).json({ error: e.message || 'Failed to load webhooks' });
+    }
+  });
+
+  router.post('/api/admin/webhooks', requireAdmin('owner', 'settings:write'), async (req, res) => {
+    try {
+      const { fields, error } = webhookService.readWebhookFields(req.body, false);
+      if (error) return res.status(400).json({ error });
+      const row = { id: uuidv4(), ...fields, created_at: new Date().toISOString(), created_by: req.admin ? req.admin.username : null };
+      await db.createWebhook(row);
+      const webhook = webhookService.publicWebhook(row);
+      req.audit({ action: 'webhook.create', targetType: 'webhook', targetId: row.id, before: null, after: webhook });
+      res.status(201).json(webhook);
+    } catch (e) {
+      res.status(500).json({ error: e.message || 'Failed to create webhook' });
+    }
+  });
+
+  // Deliveries newest first, each with the name of the webhook it went to.
+  router.get('/api/admin/webhooks/deliveries', requireAdmin('owner', 'settings:read'), async (req, res) => {
+    try {
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), WEBHOOK_DELIVERY_LIMIT);
+      const [rows, webhooks] = await Promise.all([db.listWebhookDeliveries(limit), db.listWebhooks()]);
+      const names = new Map(webhooks.map((w) => [w.id, w.name]));
+      res.json(rows.map((row) => ({ ...webhookService.publicDelivery(row), webhook_name: names.get(row.webhook_id) || null })));
+    } catch (e) {
+      res.status(500).json({ error: e.message || 'Failed to load webhook deliveries' });
+    }
+  });
+
+  router.post('/api/admin/webhooks/deliveries/:id/retry', requireAdmin('owner', 'settings:write'), async (req, res) => {
+    try {
+      const delivery = await webhookService.retryDelivery(req.params.id);
+      if (!delivery) return res.status(404).json({ error: 'Not found' });
+      if (delivery.conflict) return res.status(409).json({ error: delivery.conflict });
+      req.audit({ action: 'webhook.retry', targetType: 'webhook_delivery', targetId: delivery.id });
+      res.json(delivery);
+    } catch (e) {
+      res.status(500).json({ error: e.message || 'Failed to retry delivery' });
+    }
+  });
+
+  router.patch('/api/admin/webhooks/:id', requireAdmin('owner', 'settings:write'), async (req, res) => {
+    try {
+      const current = await db.getWebhook(req.params.id);
+      if (!current) return res.status(404).json({ error: 'Not found' });
+      const { fields, error } = webhookService.readWebhookFields(req.body, true);
+      if (error) return res.status(400).json({ error });
+      await db.updateWebhook(current.id, fields);
+      const before = webhookService.publicWebhook(current);
+      const webhook = webhookService.publicWebhook({ ...current, ...fields });
+      req.audit({ action: 'webhook.update', targetType: 'webhook', targetId: current.id, before, after: webhook });
+      res.json(webhook);
+    } catch (e) {
+      res.status(500).json({ error: e.message || 'Failed to update webhook' });
+    }
+  });
+
+  router.delete('/api/admin/webhooks/:id', requireAdmin('owner', 'settings:write'), async (req, res) => {
+    try {
+      const current = await db.getWebhook(req.params.id);
+      if (!current || !await db.deleteWebhook(current.id)) return res.status(404).json({ error: 'Not found' });
+      req.audit({ action: 'webhook.delete', targetType: 'webhook', targetId: current.id, before: webhookService.publicWebhook(current), after: null });
+      res.json({ ok: true });
+    } catch (e) {
+      res.status(500).json({ error: e.message || 'Failed to delete webhook' });
+    }
+  });
+
+  // Sends a sample payload straight away and returns the resulting delivery.
+  router.post('/api/admin/webhooks/:id/test', requireAdmin('owner', 'settings:write'), async (req, res) => {
+    try {
+      const delivery = await webhookService.sendTest(req.params.id);
+      if (!delivery) return res.status(404).json({ error: 'Not found' });
+      req.audit({ action: 'webhook.test', targetType: 'webhook', targetId: req.params.id });
+      res.json(delivery);
+    } catch (e) {
+      res.status(500).json({ error: e.message || 'Failed to send test' });
+    }
+  });
+
   return router;
 }
 
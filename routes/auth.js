@@ -0,0 +1,197 @@
+'use strict';
+
+const express = require('express');
+
+function createAuthRouter(deps) {
+  const {
+    db,
+    authService,
+    requireAdmin,
+    rateLimiter,
+    getIp,
+  } = deps;
+
+  const router = express.Router();
+  const limitLogin = rateLimiter.middleware('login', (req) => ({ ip: getIp(req) }));
+
+  function isSecureRequest(req) {
+    return req.secure || String(req.headers['x-forwarded-proto'] || '').split(',')[0].trim() === 'https';
+  }
+
+  function setSessionCookie(req, res, token, expiresAt) {
+    res.cookie(authService.SESSION_COOKIE, token, {
+      httpOnly: true,
+      sameSite: 'strict',
+      secure: isSecureRequest(req),
+      path: '/',
+      expires: expiresAt,
+    });
+  }
+
+  router.get('/api/admin/session', async (req, res) => {
+    try {
+      const user = await authService.resolveRequestUser(req);
+      if (!user) return res.status(401).json({ error: 'Unauthorized' });
+      res.json({ user });
+    } catch (e) {
+      res.status(500).json({ error: e.message || 'Failed to load session' });
+    }
+  });
+
+  router.post('/api/admin/session', limitLogin, async (req, res) => {
+    try {
+      const { username, password } = req.body || {};
+      const user = await authService.authenticate(username, password);
+      if (!user) {
+        req.audit({ action: 'session.login_failed', actorName: authService.normalizeUsername(username) || 'admin' });
+        return res.status(401).json({ error: 'Incorrect username or password' });
+      }
+      const { token, expiresAt } = await authService.createSession(user, { ip: getIp(req), ua: req.headers['user-agent'] });
+      setSessionCookie(req, res, token, expiresAt);
+      req.audit({ action: 'session.login', actor: user, targetType: 'admin_user', targetId: user.id });
+      res.json({ user: { ...authService.publicUser(user), expires_at: expiresAt.toISOString() } });
+    } catch (e) {
+      res.status(500).json({ error: e.message || 'Failed to sign in' });
+    }
+  });
+
+  router.delete('/api/admin/session', async (req, res) => {
+    try {
+      const user = await authService.resolveRequestUser(req);
+      await authService.endSession(authService.readSessionToken(req));
+      if (user) req.audit({ action: 'session.logout', targetType: 'admin_user', targetId: user.id });
+      res.clearCookie(authService.SESSION_COOKIE, { path: '/' });
+      res.json({ ok: true });
+    } catch (e) {
+      res.status(500).json({ error: e.message || 'Failed to sign out' });
+    }
+  });
+
+  router.get('/api/admin/users', requireAdmin('owner'), async (req, res) => {
+    try {
+      res.json(await db.listAdminUsers());
+    } catch (e) {
+      res.status(500).json({ error: e.message || 'Failed to load users' });
+    }
+  });
+
+  router.post('/api/admin/users', requireAdmin('owner'), async (req, res) => {
+    try {
+      const body = req.body || {};
+      const username = authService.normalizeUsername(body.username);
+      const role = authService.toRole(body.role);
+      if (!/^[a-z0-9._-]{3,40}$/.test(username) || username === 'admin') {
+        return res.status(400).json({ error: 'Username must be 3-40 characters of a-z, 0-9, ".", "_" or "-" (and not "admin")' });
+      }
+      if (!role) return res.status(400).json({ error: 'role must be one of ' + authService.ROLES.join(', ') });
+      const pwError = authService.validatePassword(body.password);
+      if (pwError) return res.status(400).json({ error: pwError });
+      if (await db.getAdminUserByUsername(username)) return res.status(409).json({ error: 'Username already exists' });
+      const user = await authService.createUser({ username, password: body.password, role });
+      req.audit({ action: 'user.create', targetType: 'admin_user', targetId: user.id, before: null, after: user });
+      res.status(201).json(user);
+    } catch (e) {
+      res.status(500).json({ error: e.message || 'Failed to create user' });
+    }
+  });
+
+  // Keeps at least one stored owner once any exist, so ADMIN_PASSWORD can be retired safely.
+  async function wouldRemoveLastOwner(target, nextRole) {
+    if (target.role !== 'owner' || nextRole === 'owner') return false;
+    const users = await db.listAdminUsers();
+    return users.filter((u) => u.role === 'owner').length <= 1;
+  }
+
+  router.patch('/api/admin/users/:id', requireAdmin('owner'), async (req, res) => {
+    try {
+      const target = await db.getAdminUserById(req.params.id);
+      if (!target) return res.status(404).json({ error: 'Not found' });
+      const body = req.body || {};
+      let role;
+      if (body.role !== undefined) {
+        role = authService.toRole(body.role);
+        if (!role) return res.status(400).json({ error: 'role must be one of ' + authService.ROLES.join(', ') });
+        if (await wouldRemoveLastOwner(target, role)) return res.status(409).json({ error: 'Cannot demote the last owner' });
+      }
+      if (body.password !== undefined) {
+        const pwError = authService.validatePassword(body.password);
+        if (pwError) return res.status(400).json({ error: pwError });
+      }
+      const user = await authService.updateUser(target.id, { role, password: body.password });
+      req.audit({
+        action: 'user.update',
+        targetType: 'admin_user',
+        targetId: target.id,
+        before: authService.publicUser(target),
+        // The hash never reaches the log; only the fact that it changed.
+        after: body.password !== undefined ? { ...user, password_reset: true } : user,
+      });
+      res.json(user);
+    } catch (e) {
+      res.status(500).json({ error: e.message || 'Failed to update user' });
+    }
+  });
+
+  router.delete('/api/admin/users/:id', requireAdmin('owner'), async (req, res) => {
+    try {
+      const target = await db.getAdminUserById(req.params.id);
+      if (!target) return res.status(404).json({ error: 'Not found' });
+      if (req.admin && req.admin.id === target.id) return res.status(409).json({ error: 'You cannot delete your own account' });
+      if (await wouldRemoveLastOwner(target, null)) return res.status(409).json({ error: 'Cannot delete the last owner' });
+      await db.deleteAdminUser(target.id);
+      req.audit({ action: 'user.delete', targetType: 'admin_user', targetId: target.id, before: authService.publicUser(target), after: null });
+      res.json({ ok: true });
+    } catch (e) {
+      res.status(500).json({ error: e.message || 'Failed to delete user' });
+    }
+  });
+
+  router.get('/api/admin/tokens', requireAdmin('owner'), async (req, res) => {
+    try {
+      const rows = await db.listApiTokens();
+      res.json({ scopes: authService.API_TOKEN_SCOPES, tokens: rows.map(authService.publicToken) });
+    } catch (e) {
+      res.status(500).json({ error: e.message || 'Failed to load tokens' });
+    }
+  });
+
+  // The plaintext token is only ever returned here.
+  router.post('/api/admin/tokens', requireAdmin('owner'), async (req, res) => {
+    try {
+      const body = req.body || {};
+      const name = String(body.name || '').trim().slice(0, 80);
+      if (!name) return res.status(400).json({ error: 'name is required' });
+      const scopes = authService.normalizeScopes(body.scopes);
+      if (!scopes) return res.status(400).json({ error: 'scopes must be a non-empty list of ' + authService.API_TOKEN_SCOPES.join(', ') });
+      let expiresAt = null;
+      if (body.expires_in_days !== undefined && body.expires_in_days !== null && body.expires_in_days !== '') {
+        const days = Number(body.expires_in_days);
+        if (!Number.isInteger(days) || days < 1 || days > 3650) {
+          return res.status(400).json({ error: 'expires_in_days must be a whole number between 1 and 3650' });
+        }
+        expiresAt = new Date(Date.now() + days * 86400000);
+      }
+      const { token, record } = await authService.createApiToken({ name, scopes, expiresAt, createdBy: req.admin && req.admin.username });
+      req.audit({ action: 'token.create', targetType: 'api_token', targetId: record.id, before: null, after: record });
+      res.status(201).json({ ...record, token });
+    } catch (e) {
+      res.status(500).json({ error: e.message || 'Failed to create token' });
+    }
+  });
+
+  router.delete('/api/admin/tokens/:id', requireAdmin('owner'), async (req, res) => {
+    try {
+      const revokedAt = new Date().toISOString();
+      const revoked = await db.revokeApiToken(req.params.id, revokedAt);
+      if (!revoked) return res.status(404).json({ error: 'Not found' });
+      req.audit({ action: 'token.revoke', targetType: 'api_token', targetId: req.params.id, before: { revoked_at: null }, after: { revoked_at: revokedAt } });
+      res.json({ ok: true });
+    } catch (e) {
+      res.status(500).json({ error: e.message || 'Failed to revoke token' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAuthRouter };
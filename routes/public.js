@@ -1,6 +1,7 @@
 'use strict';
 
 const express = require('express');
+const { pipeline, Transform } = require('stream');
 
 function createPublicRouter(deps) {
   const {
@@ -9,22 +10,36 @@ function createPublicRouter(deps) {
     db,
     readCats,
     catIsVisible,
-    getS3Client,
-    getBucket,
+    storage,
     cleanEnv,
-    keyFromDownloadUrl,
-    GetObjectCommand,
+    parseCookies,
+    getIp,
     archiver,
     assetService,
     unlockService,
+    unlockFeed,
+    referralService,
+    privacy,
+    geoService,
+    schedule,
+    countingPolicy,
+    rateLimiter,
   } = deps;
 
   const router = express.Router();
   const DEFAULT_DISCORD_INVITE = 'https://discord.gg/qsVMynfNZb';
   const DISCORD_INVITE_CACHE_TTL_MS = 5 * 60 * 1000;
   let discordInviteCache = { url: null, checkedAt: 0 };
-  const EVENT_DEDUP_WINDOW_MS = 2500;
-  const eventDedupCache = new Map();
+  // Crawlers, headless browsers and HTTP libraries; curl/wget stay allowed for direct downloads.
+  const BOT_UA_RE = /bot\b|crawl|spider|slurp|headless|phantomjs|puppeteer|playwright|python-|go-http-client|node-fetch|axios\/|okhttp|java\/|libwww|scrapy|httpclient/i;
+  const DEFAULT_SIGNED_URL_TTL_SECONDS = 300;
+  const MAX_SIGNED_URL_TTL_SECONDS = 7 * 24 * 60 * 60;
+  const STREAM_HEARTBEAT_MS = 25 * 1000;
+  const MAX_STREAM_CLIENTS = 1000;
+  const MAX_STREAMS_PER_IP = 5;
+  // A client that lets this much pile up unread is dropped rather than buffered for.
+  const MAX_STREAM_BUFFERED_BYTES = 64 * 1024;
+  const streamsByIp = new Map();
 
   function normalizeInviteUrl(url) {
     const clean = cleanEnv(url);
@@ -89,21 +104,6 @@ function createPublicRouter(deps) {
     return fallback;
   }
 
-  function shouldDedupDownloadEvent(body) {
-    if (!body || body.type !== 'download' || !body.sid || !body.asset_id) return false;
-    const now = Date.now();
-    const key = `${body.sid}|${body.asset_id}|${body.page || ''}`;
-    const prev = Number(eventDedupCache.get(key) || 0);
-    eventDedupCache.set(key, now);
-    if (eventDedupCache.size > 5000) {
-      const cutoff = now - EVENT_DEDUP_WINDOW_MS * 4;
-      for (const [k, ts] of eventDedupCache.entries()) {
-        if (ts < cutoff) eventDedupCache.delete(k);
-      }
-    }
-    return prev > 0 && (now - prev) < EVENT_DEDUP_WINDOW_MS;
-  }
-
   router.get('/', (req, res) => {
     res.sendFile(path.join(rootDir, 'public', 'index.html'));
   });
@@ -126,25 +126,30 @@ function createPublicRouter(deps) {
   router.get('/c/:slug', async (req, res) => {
     const cats = await readCats();
     const cat = cats.find((c) => c.slug === req.params.slug);
-    if (!cat || !cat.visible) return res.redirect(302, '/');
+    if (!schedule.isLive(cat)) return res.redirect(302, '/');
     res.sendFile(path.join(rootDir, 'public', 'category-page.html'));
   });
 
   router.get('/api/health', (req, res) => {
-    const s3 = getS3Client();
     res.json({
-      s3Configured: !!s3,
+      storageDriver: storage.name,
+      storageConfigured: storage.isConfigured(),
+      s3Configured: storage.name === 's3' && storage.isConfigured(),
       hasAccessKeyId: !!cleanEnv(process.env.S3_ACCESS_KEY_ID),
       hasSecretAccessKey: !!cleanEnv(process.env.S3_SECRET_ACCESS_KEY),
-      bucket: getBucket(),
+      bucket: storage.getBucket(),
       endpoint: cleanEnv(process.env.S3_ENDPOINT) || '(default)',
+      geo: geoService.describe(),
     });
   });
 
   router.get('/api/config', (req, res) => {
+    const { privacyMode, consentRequired } = privacy.getConfig();
     res.json({
       gaId: cleanEnv(process.env.GA_ID) || '',
       metaPixelId: cleanEnv(process.env.META_PIXEL_ID) || '',
+      consent: { required: consentRequired, cookie: privacy.CONSENT_COOKIE },
+      privacyMode,
     });
   });
 
@@ -167,7 +172,7 @@ function createPublicRouter(deps) {
   router.get('/api/categories', async (req, res) => {
     try {
       const cats = await readCats();
-      res.json(cats.filter((c) => c.visible !== false).sort((a, b) => (a.order || 99) - (b.order || 99)));
+      res.json(cats.filter((c) => schedule.isLive(c)).sort((a, b) => (a.order || 99) - (b.order || 99)));
     } catch (e) {
       res.status(500).json({ error: 'Failed to load categories' });
     }
@@ -185,43 +190,192 @@ function createPublicRouter(deps) {
 
   async function loadAssetContext(req, res, next) {
     try {
-      const [data, totalDownloads, gamificationEnabled] = await Promise.all([
-        assetService.readData(),
-        db.getAllTimeDownloadCount(),
-        db.getGamificationEnabled(),
-      ]);
-      req.assetContext = {
-        list: Array.isArray(data) ? data : [],
-        totalDownloads: Number(totalDownloads || 0),
-        gamificationEnabled: !!gamificationEnabled,
-      };
+      req.assetContext = await unlockFeed.loadContext();
       next();
     } catch (e) {
       res.status(500).json({ error: 'Failed to load assets' });
     }
   }
 
+  function getSignedUrlTtl() {
+    const n = parseInt(cleanEnv(process.env.DOWNLOAD_URL_TTL_SECONDS), 10);
+    if (!Number.isFinite(n) || n <= 0) return DEFAULT_SIGNED_URL_TTL_SECONDS;
+    return Math.min(n, MAX_SIGNED_URL_TTL_SECONDS);
+  }
+
+  // DOWNLOAD_MODE=presign hands the client a short-lived bucket URL instead of
+  // proxying the bytes. Returns null whenever that is not possible so the caller proxies.
+  async function getSignedDownloadUrl(key, filename) {
+    const mode = (cleanEnv(process.env.DOWNLOAD_MODE) || 'proxy').toLowerCase();
+    if (mode !== 'presign' || typeof storage.getSignedUrl !== 'function') return null;
+    try {
+      return await storage.getSignedUrl(key, { expiresIn: getSignedUrlTtl(), filename });
+    } catch (e) {
+      console.warn('Presign failed, proxying instead:', key, e.message);
+      return null;
+    }
+  }
+
+  function createByteCounter() {
+    const counter = new Transform({
+      transform(chunk, encoding, callback) {
+        counter.bytes += chunk.length;
+        callback(null, chunk);
+      },
+    });
+    counter.bytes = 0;
+    return counter;
+  }
+
+  // Long-lived first-party id the tracker keeps in the maya_vid cookie while tracking is allowed.
+  function getRequestVisitorId(req) {
+    const vid = String((req.body && req.body.vid) || parseCookies(req).maya_vid || '');
+    return /^[A-Za-z0-9-]{8,64}$/.test(vid) ? vid : '';
+  }
+
+  // Download links are plain navigations, so the tracker mirrors its session id into a cookie.
+  function getRequestSessionId(req) {
+    const sid = (req.query && req.query.sid) || (req.body && req.body.sid) || parseCookies(req).maya_sid || '';
+    return String(sid).slice(0, 100);
+  }
+
+  function getRequestSubjects(req) {
+    return { ip: getIp(req), sessionId: getRequestSessionId(req) };
+  }
+
+  const limitRoute = (route) => rateLimiter.middleware(route, getRequestSubjects);
+  const downloadQuota = rateLimiter.quotaMiddleware(getRequestSubjects);
+
+  // Presigned downloads never pass through here, so they are charged the object's full size.
+  function recordServerDownload(req, entry) {
+    rateLimiter.addBytes(entry.ip || getIp(req), entry.via === 'presign' ? entry.totalBytes : entry.bytes);
+    logServerDownload(req, entry).catch((e) => console.warn('Server download log failed:', e.message));
+  }
+
+  // Completed downloads still go through the counting policy before they may move the unlock meter.
+  // Pass `ip` when logging after the response, since the socket address is gone once it closes.
+  async function logServerDownload(req, { ip, asset, variant, via, status, rangeStart, bytes, totalBytes, completed, counted }) {
+    const sessionId = getRequestSessionId(req);
+    const ts = new Date().toISOString();
+    if (counted) {
+      const ua = req.headers['user-agent'] || '';
+      const verdict = await countingPolicy.evaluate({
+        source: 'server',
+        ts,
+        sessionId,
+        ip: ip || getIp(req),
+        ua,
+        bot: parseUA(ua).bot,
+        assetId: (asset && asset.id) || '',
+        assetTitle: String((asset && asset.title) || '').slice(0, 200),
+        assetCategory: String((asset && asset.category) || '').slice(0, 50),
+      });
+      counted = verdict.accepted;
+    }
+    await db.insertServerDownload({
+      session_id: sessionId,
+      ts,
+      via,
+      asset_id: (asset && asset.id) || '',
+      variant_id: (variant && variant.id) || '',
+      asset_title: String((asset && asset.title) || '').slice(0, 200),
+      asset_category: String((asset && asset.category) || '').slice(0, 50),
+      status,
+      range_start: rangeStart ?? null,
+      bytes_sent: bytes ?? null,
+      total_bytes: totalBytes ?? null,
+      completed: completed === undefined || completed === null ? null : (completed ? 1 : 0),
+      counted: counted ? 1 : 0,
+    });
+    if (counted) unlockFeed.refresh();
+  }
+
+  // If-Range carries either an ETag or an HTTP date; only a strong match keeps the range.
+  function isRangeFresh(req, meta) {
+    const ifRange = req.headers['if-range'];
+    if (!ifRange) return true;
+    if (ifRange.indexOf('"') !== -1) return !!meta.etag && ifRange.trim() === meta.etag;
+    const since = Date.parse(ifRange);
+    if (!meta.lastModified || !Number.isFinite(since)) return false;
+    return Math.floor(meta.lastModified.getTime() / 1000) * 1000 <= since;
+  }
+
+  // Streams a stored object, honouring Range / If-Range / If-None-Match.
+  // Resolves to null when the key is missing so each route picks its own 404/redirect.
+  async function sendStoredObject(req, res, key, options = {}) {
+    const meta = await storage.head(key);
+    if (!meta) return null;
+
+    res.set('Accept-Ranges', 'bytes');
+    if (meta.contentType) res.set('Content-Type', meta.contentType);
+    if (options.cacheControl) res.set('Cache-Control', meta.cacheControl || options.cacheControl);
+    if (options.filename) {
+      res.set('Content-Disposition', 'attachment; filename="' + options.filename.replace(/"/g, '\\"') + '"');
+    }
+    if (meta.etag) res.set('ETag', meta.etag);
+    if (meta.lastModified) res.set('Last-Modified', meta.lastModified.toUTCString());
+
+    const totalBytes = meta.contentLength;
+    if (req.fresh) {
+      res.status(304).end();
+      return { status: 304, completed: true, bytes: 0, totalBytes, reachedEnd: false };
+    }
+
+    let range = null;
+    if (req.headers.range && meta.contentLength != null && isRangeFresh(req, meta)) {
+      const parsed = req.range(meta.contentLength, { combine: true });
+      if (parsed === -1) {
+        res.set('Content-Range', `bytes */${meta.contentLength}`);
+        res.status(416).end();
+        return { status: 416, completed: true, bytes: 0, totalBytes, reachedEnd: false };
+      }
+      // Malformed and multi-range requests are answered with the full body.
+      if (Array.isArray(parsed) && parsed.type === 'bytes' && parsed.length === 1) range = parsed[0];
+    }
+
+    const obj = await storage.get(key, range ? { range } : {});
+    if (range) {
+      res.status(206);
+      res.set('Content-Range', obj.contentRange || `bytes ${range.start}-${range.end}/${meta.contentLength}`);
+    }
+    if (obj.contentLength != null) res.set('Content-Length', String(obj.contentLength));
+    const rangeStart = range ? range.start : null;
+    // A transfer "reaches the end" when it carries the object's last byte; split or
+    // resumed downloads therefore count once, on the part that finishes the file.
+    const reachedEnd = !range || totalBytes == null || range.end >= totalBytes - 1;
+    if (req.method === 'HEAD') {
+      if (typeof obj.body.destroy === 'function') obj.body.destroy();
+      res.end();
+      return { status: res.statusCode, completed: true, bytes: 0, rangeStart, totalBytes, reachedEnd: false, head: true };
+    }
+    const counter = createByteCounter();
+    return new Promise((resolve) => {
+      pipeline(obj.body, counter, res, (err) => {
+        if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') console.warn('Stream error:', key, err.message);
+        // Clients often hang up as soon as the last byte lands, before the source signals
+        // EOF, so a premature close with every byte written still counts as complete.
+        const completed = !err || (obj.contentLength != null && counter.bytes >= obj.contentLength);
+        resolve({ status: res.statusCode, completed, bytes: counter.bytes, rangeStart, totalBytes, reachedEnd });
+      });
+    });
+  }
+
   router.get('/api/thumbnail/:id', loadAssetList, async (req, res) => {
     try {
       const item = req.assetList.find((i) => i.id === req.params.id);
       if (!item || !item.thumbnailUrl || item.thumbnailUrl === '#') return res.status(404).end();
-      const s3 = getS3Client();
-      if (!s3) return res.status(503).end();
-      const key = keyFromDownloadUrl(item.thumbnailUrl);
+      if (!storage.isConfigured()) return res.status(503).end();
+      const key = storage.keyFromUrl(item.thumbnailUrl);
       if (!key) return res.status(404).end();
-      const obj = await s3.send(new GetObjectCommand({ Bucket: getBucket(), Key: key }));
-      if (obj.ContentType) res.set('Content-Type', obj.ContentType);
-      res.set('Cache-Control', obj.CacheControl || 'public, max-age=31536000, immutable');
-      if (obj.ETag) res.set('ETag', String(obj.ETag));
-      if (obj.LastModified) res.set('Last-Modified', new Date(obj.LastModified).toUTCString());
-      obj.Body.pipe(res);
+      const sent = await sendStoredObject(req, res, key, { cacheControl: 'public, max-age=31536000, immutable' });
+      if (!sent) return res.status(404).end();
     } catch (e) {
       console.error('Thumbnail error:', e);
       if (!res.headersSent) res.status(500).end();
     }
   });
 
-  router.get('/api/preview-image/:id', loadAssetList, async (req, res) => {
+  router.get('/api/preview-image/:id', limitRoute('preview'), loadAssetList, async (req, res) => {
     try {
       const item = req.assetList.find((i) => i.id === req.params.id);
       if (!item) return res.status(404).end();
@@ -253,34 +407,33 @@ function createPublicRouter(deps) {
         '';
 
       if (!bestImageUrl || bestImageUrl === '#') return res.status(404).end();
-      const s3 = getS3Client();
-      if (!s3) return res.redirect(302, bestImageUrl);
-      const key = keyFromDownloadUrl(bestImageUrl);
+      if (!storage.isConfigured()) return res.redirect(302, bestImageUrl);
+      const key = storage.keyFromUrl(bestImageUrl);
       if (!key) return res.redirect(302, bestImageUrl);
-      const obj = await s3.send(new GetObjectCommand({ Bucket: getBucket(), Key: key }));
-      if (obj.ContentType) res.set('Content-Type', obj.ContentType);
-      res.set('Cache-Control', obj.CacheControl || 'public, max-age=31536000, immutable');
-      if (obj.ETag) res.set('ETag', String(obj.ETag));
-      if (obj.LastModified) res.set('Last-Modified', new Date(obj.LastModified).toUTCString());
-      obj.Body.pipe(res);
+      const sent = await sendStoredObject(req, res, key, { cacheControl: 'public, max-age=31536000, immutable' });
+      if (!sent) return res.status(404).end();
     } catch (e) {
       console.error('Preview image error:', e);
       if (!res.headersSent) res.status(500).end();
     }
   });
 
-  router.get('/api/download/:id', loadAssetContext, async (req, res) => {
+  router.get('/api/download/:id', limitRoute('download'), downloadQuota, loadAssetContext, async (req, res) => {
     try {
-      const { list, totalDownloads, gamificationEnabled } = req.assetContext;
+      const { list, unlocks, gamificationEnabled } = req.assetContext;
       const reqId = req.params.id;
       let downloadUrl = null;
       let matchedAsset = null;
+      let matchedVariant = null;
 
       const asset = list.find((i) => i.id === reqId);
       if (asset) {
         matchedAsset = asset;
         const v = (asset.variants || []).find((v) => v.downloadUrl && v.downloadUrl !== '#');
-        if (v) downloadUrl = v.downloadUrl;
+        if (v) {
+          matchedVariant = v;
+          downloadUrl = v.downloadUrl;
+        }
       }
 
       if (!downloadUrl) {
@@ -288,6 +441,7 @@ function createPublicRouter(deps) {
           const v = (a.variants || []).find((v) => v.id === reqId);
           if (v && v.downloadUrl && v.downloadUrl !== '#') {
             matchedAsset = a;
+            matchedVariant = v;
             downloadUrl = v.downloadUrl;
             break;
           }
@@ -295,38 +449,57 @@ function createPublicRouter(deps) {
       }
 
       if (!downloadUrl) return res.status(404).send('Download not found');
-      if (gamificationEnabled && !unlockService.isUnlocked(matchedAsset, totalDownloads)) {
+      if (gamificationEnabled && !unlockService.isUnlocked(matchedAsset, unlocks)) {
         return res.status(403).send('Asset is locked');
       }
 
-      const s3 = getS3Client();
-      if (!s3) return res.redirect(302, downloadUrl);
-      const key = keyFromDownloadUrl(downloadUrl);
-      if (!key) return res.redirect(302, downloadUrl);
+      const logEntry = { ip: getIp(req), asset: matchedAsset, variant: matchedVariant };
+      const redirectTo = (url, via, totalBytes) => {
+        if (req.method !== 'HEAD') recordServerDownload(req, { ...logEntry, via, status: 302, totalBytes, counted: true });
+        return res.redirect(302, url);
+      };
+
+      if (!storage.isConfigured()) return redirectTo(downloadUrl, 'redirect');
+      const key = storage.keyFromUrl(downloadUrl);
+      if (!key) return redirectTo(downloadUrl, 'redirect');
       const filename = key.split('/').pop() || 'download';
-      const s3Resp = await s3.send(new GetObjectCommand({ Bucket: getBucket(), Key: key }));
-      res.set('Content-Disposition', 'attachment; filename="' + filename.replace(/"/g, '\\"') + '"');
-      if (s3Resp.ContentType) res.set('Content-Type', s3Resp.ContentType);
-      if (s3Resp.ContentLength) res.set('Content-Length', String(s3Resp.ContentLength));
-      s3Resp.Body.pipe(res);
+      const signedUrl = await getSignedDownloadUrl(key, filename);
+      if (signedUrl) {
+        const meta = await storage.head(key);
+        if (!meta) return res.status(404).send('Download not found');
+        res.set('Cache-Control', 'no-store');
+        return redirectTo(signedUrl, 'presign', meta.contentLength);
+      }
+      const sent = await sendStoredObject(req, res, key, { filename });
+      if (!sent) return res.status(404).send('Download not found');
+      if (sent.head || sent.status === 304 || sent.status === 416) return;
+      recordServerDownload(req, {
+        ...logEntry,
+        via: 'direct',
+        status: sent.status,
+        rangeStart: sent.rangeStart,
+        bytes: sent.bytes,
+        totalBytes: sent.totalBytes,
+        completed: sent.completed,
+        counted: sent.completed && sent.reachedEnd,
+      });
     } catch (e) {
       console.error('Download error:', e);
-      res.status(500).send('Download failed');
+      if (!res.headersSent) res.status(500).send('Download failed');
     }
   });
 
-  router.post('/api/download-zip', loadAssetContext, async (req, res) => {
+  router.post('/api/download-zip', limitRoute('zip'), downloadQuota, loadAssetContext, async (req, res) => {
     const ids = Array.isArray(req.body && req.body.ids) ? req.body.ids : [];
     if (ids.length === 0) return res.status(400).json({ error: 'No ids provided' });
-    const s3 = getS3Client();
-    if (!s3) return res.status(503).json({ error: 'Downloads not available' });
+    if (!storage.isConfigured()) return res.status(503).json({ error: 'Downloads not available' });
     try {
-      const { list, totalDownloads, gamificationEnabled } = req.assetContext;
+      const { list, unlocks, gamificationEnabled } = req.assetContext;
       const toZip = [];
       for (const id of ids) {
         const asset = list.find((i) => i.id === id);
         if (!asset) continue;
-        if (gamificationEnabled && !unlockService.isUnlocked(asset, totalDownloads)) continue;
+        if (gamificationEnabled && !unlockService.isUnlocked(asset, unlocks)) continue;
         for (const v of (asset.variants || [])) {
           if (v.downloadUrl && v.downloadUrl !== '#') toZip.push({ asset, variant: v });
         }
@@ -343,16 +516,41 @@ function createPublicRouter(deps) {
         console.error('Zip error:', err);
         if (!res.headersSent) res.status(500).end();
       });
+      const ip = getIp(req);
+      const entries = [];
+      archive.on('entry', (data) => {
+        const entry = entries.find((e) => e.name === data.name && !e.done);
+        if (entry) entry.done = true;
+      });
+      res.once('close', () => {
+        for (const entry of entries) {
+          const completed = entry.done && res.writableEnded;
+          recordServerDownload(req, {
+            ip,
+            asset: entry.asset,
+            variant: entry.variant,
+            via: 'zip',
+            status: res.statusCode,
+            bytes: entry.counter.bytes,
+            totalBytes: entry.totalBytes,
+            completed,
+            counted: completed,
+          });
+        }
+      });
       archive.pipe(res);
 
       for (const { asset, variant } of toZip) {
-        const key = keyFromDownloadUrl(variant.downloadUrl);
+        const key = storage.keyFromUrl(variant.downloadUrl);
         if (!key) continue;
         const ext = path.extname(key) || '';
         const baseName = [asset.title, variant.name].filter(Boolean).join('-').replace(/[<>:"/\\|?*]/g, '-').trim() || asset.id;
         try {
-          const obj = await s3.send(new GetObjectCommand({ Bucket: getBucket(), Key: key }));
-          archive.append(obj.Body, { name: baseName + ext });
+          const obj = await storage.get(key);
+          const counter = createByteCounter();
+          const entry = { asset, variant, name: baseName + ext, counter, totalBytes: obj.contentLength, done: false };
+          entries.push(entry);
+          archive.append(pipeline(obj.body, counter, () => {}), { name: entry.name });
         } catch (e) {
           console.warn('Skip zip entry:', key, e.message);
         }
@@ -366,11 +564,11 @@ function createPublicRouter(deps) {
 
   router.get('/api/downloads', loadAssetContext, async (req, res) => {
     try {
-      const { list, totalDownloads, gamificationEnabled } = req.assetContext;
+      const { list, unlocks, gamificationEnabled } = req.assetContext;
       const visible = list.filter((i) => i.visible !== false);
       res.json(visible.map((asset) => (
         gamificationEnabled
-          ? unlockService.sanitizePublicAsset(asset, totalDownloads)
+          ? unlockService.sanitizePublicAsset(asset, unlocks)
           : unlockService.sanitizePublicAssetNoGamification(asset)
       )));
     } catch (e) {
@@ -380,32 +578,88 @@ function createPublicRouter(deps) {
 
   router.get('/api/unlocks/progress', loadAssetContext, async (req, res) => {
     try {
-      const { list, totalDownloads, gamificationEnabled } = req.assetContext;
-      const visible = list.filter((i) => i.visible !== false);
-      if (!gamificationEnabled) {
-        return res.json({
-          totalDownloads,
-          hasActiveGoal: false,
-          nextThreshold: null,
-          downloadsToNext: 0,
-          progressPct: 100,
-          nextAsset: null,
-        });
-      }
-      res.json(unlockService.buildUnlockProgress(visible, totalDownloads));
+      res.json(unlockFeed.buildProgress(req.assetContext));
     } catch (e) {
       res.status(500).json({ error: 'Failed to load unlock progress' });
     }
   });
 
-  function getIp(req) {
-    const fwd = req.headers['x-forwarded-for'];
-    if (fwd) return fwd.split(',')[0].trim();
-    return req.socket.remoteAddress || '';
-  }
+  // The caller's share code, created on first request.
+  router.post('/api/referrals', limitRoute('track'), async (req, res) => {
+    try {
+      const sessionId = getRequestSessionId(req);
+      if (!sessionId) return res.status(400).json({ error: 'sid is required' });
+      res.json({ code: await referralService.getOrCreateCode(sessionId) });
+    } catch (e) {
+      res.status(500).json({ error: 'Failed to create referral code' });
+    }
+  });
+
+  // Downloads the caller and the sessions they referred added to a mission's counter.
+  // ?mission= takes a mission id from /api/unlocks/progress; default is the overall one.
+  router.get('/api/unlocks/contribution', loadAssetContext, async (req, res) => {
+    try {
+      const progress = unlockFeed.buildProgress(req.assetContext);
+      const missions = progress.missions || [];
+      const mission = missions.find((m) => m.id === req.query.mission) || missions.find((m) => m.id === 'overall') || null;
+      const source = await db.getDownloadCountSource();
+      const contribution = await referralService.getContribution(
+        getRequestSessionId(req),
+        source,
+        (mission && mission.counterScope) || {}
+      );
+      res.json({
+        mission: mission ? { id: mission.id, label: mission.label, scope: mission.scope, category: mission.category } : null,
+        ...contribution,
+      });
+    } catch (e) {
+      res.status(500).json({ error: 'Failed to load contribution' });
+    }
+  });
+
+  // Server-sent events: the current progress on connect, then 'progress' whenever
+  // it changes and 'unlock' for every asset that just unlocked.
+  router.get('/api/unlocks/stream', limitRoute('stream'), async (req, res) => {
+    if (unlockFeed.subscriberCount() >= MAX_STREAM_CLIENTS) {
+      return res.status(503).json({ error: 'Too many live connections' });
+    }
+    const ip = getIp(req);
+    if ((streamsByIp.get(ip) || 0) >= MAX_STREAMS_PER_IP) {
+      return res.status(429).json({ error: 'Too many live connections from this address' });
+    }
+    let progress;
+    try {
+      progress = await unlockFeed.getProgress();
+    } catch (e) {
+      return res.status(500).json({ error: 'Failed to load unlock progress' });
+    }
+    if (req.destroyed) return;
+    streamsByIp.set(ip, (streamsByIp.get(ip) || 0) + 1);
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    const write = (chunk) => {
+      if (!res.write(chunk) && res.writableLength > MAX_STREAM_BUFFERED_BYTES) res.destroy();
+    };
+    const send = (event, data) => write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    write('retry: 5000\n\n');
+    send('progress', progress);
+    const unsubscribe = unlockFeed.subscribe(send);
+    const heartbeat = setInterval(() => write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      const open = (streamsByIp.get(ip) || 1) - 1;
+      if (open > 0) streamsByIp.set(ip, open);
+      else streamsByIp.delete(ip);
+    });
+  });
 
   function parseUA(ua) {
-    if (!ua) return { browser: '', bver: '', os: '', osver: '', device: 'desktop' };
+    if (!ua) return { browser: '', bver: '', os: '', osver: '', device: 'desktop', bot: true };
     let browser = '';
     let bver = '';
     let os = '';
@@ -425,51 +679,40 @@ function createPublicRouter(deps) {
     else if ((m = ua.match(/Android ([\d.]+)/))) { os = 'Android'; osver = m[1]; }
     else if (/iPhone|iPad|iPod/.test(ua) && (m = ua.match(/OS ([\d_]+)/))) { os = 'iOS'; osver = m[1].replace(/_/g, '.'); }
     else if (/Linux/.test(ua)) os = 'Linux';
-    return { browser, bver, os, osver, device };
+    return { browser, bver, os, osver, device, bot: BOT_UA_RE.test(ua) };
   }
 
-  const geoCache = new Map();
-  async function getGeo(ip) {
-    const localRanges = ['127.', '::1', '192.168.', '10.', '172.'];
-    if (!ip || localRanges.some((p) => ip.startsWith(p))) {
-      return { country: 'Local', region: '', city: '', isp: '', lat: 0, lon: 0, tz: '' };
-    }
-    if (geoCache.has(ip)) return geoCache.get(ip);
-    try {
-      const r = await fetch(`http://ip-api.com/json/${ip}?fields=country,regionName,city,isp,lat,lon,timezone`);
-      const d = await r.json();
-      const geo = {
-        country: d.country || '',
-        region: d.regionName || '',
-        city: d.city || '',
-        isp: d.isp || '',
-        lat: d.lat || 0,
-        lon: d.lon || 0,
-        tz: d.timezone || '',
-      };
-      if (geoCache.size > 5000) geoCache.clear();
-      geoCache.set(ip, geo);
-      return geo;
-    } catch {
-      return { country: '', region: '', city: '', isp: '', lat: 0, lon: 0, tz: '' };
-    }
+  // Tracker downloads name an asset or one of its variants (the id in its /api/download/ link).
+  // Returns the published asset, or null when the catalogue has no such id.
+  async function findTrackedAsset(id) {
+    if (!id) return null;
+    const [data, cats] = await Promise.all([assetService.readData(), readCats()]);
+    const now = Date.now();
+    const list = (Array.isArray(data) ? data : []).filter((asset) => schedule.isAssetPublished(asset, cats, now));
+    return list.find((a) => a.id === id) || list.find((a) => (a.variants || []).some((v) => v.id === id)) || null;
   }
 
-  router.post('/api/track', async (req, res) => {
+  router.post('/api/track', limitRoute('track'), async (req, res) => {
     res.status(204).end();
     try {
       const body = req.body;
       if (!body || !body.type || !body.sid) return;
       const ip = getIp(req);
       const ua = req.headers['user-agent'] || '';
-      const { browser, bver, os, osver, device } = parseUA(ua);
+      const { browser, bver, os, osver, device, bot } = parseUA(ua);
       const utm = body.utm || {};
       const ts = new Date().toISOString();
       const s = (v, n) => (String(v || '')).slice(0, n);
+      // Opted-out browsers, and those without consent where it is required, only report downloads,
+      // which still move the unlock meter, and nothing that profiles them.
+      const anonymous = body.anon === true || privacy.hasOptOutHeader(req) || !privacy.hasConsent(parseCookies(req));
+      if (anonymous && body.type !== 'download') return;
+      const visitorId = anonymous ? '' : getRequestVisitorId(req);
 
       if (body.type === 'pageview') {
-        const geo = await getGeo(ip);
-        await db.insertVisit({
+        if (body.ref) await referralService.recordReferral(s(body.sid, 100), body.ref, ts);
+        const geo = await geoService.lookup(ip);
+        await db.insertVisit(privacy.scrubVisit({
           session_id: body.sid,
           ts,
           page: s(body.page, 200),
@@ -497,21 +740,41 @@ function createPublicRouter(deps) {
           screen_h: body.screen && body.screen.h ? Number(body.screen.h) : null,
           lang: s(body.lang, 20),
           client_tz: s(body.tz, 60),
-        });
+          visitor_id: visitorId,
+        }));
       } else {
-        if (shouldDedupDownloadEvent(body)) return;
+        let assetId = s(body.asset_id, 100);
+        if (body.type === 'download') {
+          const asset = await findTrackedAsset(assetId);
+          const verdict = await countingPolicy.evaluate({
+            source: 'tracker',
+            ts,
+            sessionId: s(body.sid, 100),
+            ip,
+            ua,
+            bot,
+            assetId,
+            assetTitle: s(body.asset_title, 200),
+            assetCategory: s(body.asset_category, 50),
+            unknownAsset: !asset,
+          });
+          if (!verdict.accepted) return;
+          assetId = asset.id;
+        }
         await db.insertEvent({
           session_id: body.sid,
           ts,
           type: s(body.type, 30),
-          asset_id: s(body.asset_id, 100),
+          asset_id: assetId,
           asset_title: s(body.asset_title, 200),
           asset_category: s(body.asset_category, 50),
-          page: s(body.page, 200),
-          utm_source: s(utm.source, 100),
-          utm_campaign: s(utm.campaign, 100),
-          utm_term: s(utm.term, 100),
+          page: anonymous ? '' : s(body.page, 200),
+          utm_source: anonymous ? '' : s(utm.source, 100),
+          utm_campaign: anonymous ? '' : s(utm.campaign, 100),
+          utm_term: anonymous ? '' : s(utm.term, 100),
+          visitor_id: visitorId,
         });
+        if (body.type === 'download') unlockFeed.refresh();
       }
     } catch (e) {
       console.error('Track error:', e.message);
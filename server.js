@@ -1,23 +1,34 @@
 require('dotenv').config();
 const express = require('express');
 const path = require('path');
-const fs = require('fs').promises;
+const fsSync = require('fs');
+const fs = fsSync.promises;
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 const multer = require('multer');
 const sharp = require('sharp');
-const {
-  S3Client,
-  PutObjectCommand,
-  GetObjectCommand,
-  ListObjectsV2Command,
-  DeleteObjectCommand,
-} = require('@aws-sdk/client-s3');
 const archiver = require('archiver');
 const db = require('./db');
+const { createStorage } = require('./services/storage');
 const { createAssetsService } = require('./services/assets');
 const unlockService = require('./services/unlocks');
+const schedule = require('./services/schedule');
+const { createUnlockFeed } = require('./services/unlockFeed');
+const { createWebhookService } = require('./services/webhooks');
+const { createReferralService } = require('./services/referrals');
+const { createAuthService } = require('./services/auth');
+const { createCountingPolicy } = require('./services/counting');
+const { createPrivacy } = require('./services/privacy');
+const { createRollupService } = require('./services/rollups');
+const { createGeoService } = require('./services/geo');
+const { createFunnelService } = require('./services/funnel');
+const { createAttributionService } = require('./services/attribution');
+const { createExportService } = require('./services/exports');
+const { createRateLimiter } = require('./services/rateLimit');
+const { createAuditLog } = require('./services/audit');
 const { createPublicRouter } = require('./routes/public');
 const { createAdminRouter } = require('./routes/admin');
+const { createAuthRouter } = require('./routes/auth');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -30,14 +41,10 @@ const upload = multer({
   limits: { fileSize: 500 * 1024 * 1024 },
 });
 
+app.set('trust proxy', Math.max(parseInt(cleanEnv(process.env.TRUST_PROXY_HOPS), 10) || 0, 0));
 app.use(express.json());
 app.use(express.static(path.join(ROOT_DIR, 'public'), { index: false }));
 
-function checkAdmin(req) {
-  const pw = req.headers['x-admin-password'] || req.query.pw;
-  return pw && pw === process.env.ADMIN_PASSWORD;
-}
-
 async function readCats() {
   let cats = await db.getCategories();
   if (cats.length === 0) {
@@ -52,14 +59,10 @@ async function readCats() {
   return cats;
 }
 
-async function writeCats(cats) {
-  await db.saveCategories(cats);
-}
-
 async function catIsVisible(slug) {
   const cats = await readCats();
   const cat = cats.find((c) => c.slug === slug);
-  return !!(cat && cat.visible !== false);
+  return schedule.isLive(cat);
 }
 
 function cleanEnv(val) {
@@ -67,44 +70,28 @@ function cleanEnv(val) {
   return val.replace(/^[\s=]+/, '').replace(/[\s]+$/, '');
 }
 
-function getS3Client() {
-  const endpoint = cleanEnv(process.env.S3_ENDPOINT) || 'https://t3.storageapi.dev';
-  const accessKeyId = cleanEnv(process.env.S3_ACCESS_KEY_ID);
-  const secretAccessKey = cleanEnv(process.env.S3_SECRET_ACCESS_KEY);
-  if (!accessKeyId || !secretAccessKey) return null;
-  return new S3Client({
-    endpoint,
-    region: cleanEnv(process.env.S3_REGION) || 'auto',
-    credentials: { accessKeyId, secretAccessKey },
-    forcePathStyle: true,
-  });
-}
-
-function getBucket() {
-  return cleanEnv(process.env.S3_BUCKET) || 'embedded-drop-iunbltzf2y1';
-}
-
-function getPublicUrl(key) {
-  const endpoint = (cleanEnv(process.env.S3_ENDPOINT) || 'https://t3.storageapi.dev').replace(/\/$/, '');
-  const bucket = getBucket();
-  const encodedKey = key.split('/').map((s) => encodeURIComponent(s)).join('/');
-  return `${endpoint}/${bucket}/${encodedKey}`;
-}
-
-function keyFromDownloadUrl(downloadUrl) {
-  if (!downloadUrl || downloadUrl === '#') return null;
-  try {
-    const u = new URL(downloadUrl);
-    const pathname = u.pathname.replace(/^\/+/, '');
-    const bucket = getBucket();
-    const prefix = bucket + '/';
-    if (pathname.startsWith(prefix)) {
-      return decodeURIComponent(pathname.slice(prefix.length));
+function parseCookies(req) {
+  const out = {};
+  const header = req.headers.cookie;
+  if (!header) return out;
+  for (const part of header.split(';')) {
+    const idx = part.indexOf('=');
+    if (idx === -1) continue;
+    const name = part.slice(0, idx).trim();
+    if (!name || name in out) continue;
+    try {
+      out[name] = decodeURIComponent(part.slice(idx + 1).trim());
+    } catch (e) {
+      out[name] = part.slice(idx + 1).trim();
     }
-    return null;
-  } catch (e) {
-    return null;
   }
+  return out;
+}
+
+// req.ip honours 'trust proxy': with TRUST_PROXY_HOPS=n it is the address the nth proxy
+// appended to X-Forwarded-For, never the entries the client wrote itself.
+function getIp(req) {
+  return req.ip || (req.socket && req.socket.remoteAddress) || '';
 }
 
 function formatBytes(bytes) {
@@ -114,53 +101,139 @@ function formatBytes(bytes) {
   return bytes + ' B';
 }
 
+const storage = createStorage({
+  fs: fsSync,
+  path,
+  rootDir: ROOT_DIR,
+  cleanEnv,
+});
+
 const assetService = createAssetsService({
   fs,
   db,
   dataPath: DATA_PATH,
   uuidv4,
   toUnlockThreshold: unlockService.toUnlockThreshold,
-  getS3Client,
-  getBucket,
-  keyFromDownloadUrl,
-  ListObjectsV2Command,
-  DeleteObjectCommand,
+  storage,
+  cleanEnv,
 });
 
+const rollups = createRollupService({ db });
+const privacy = createPrivacy({ db, crypto, cleanEnv, rollups });
+const geoService = createGeoService({ fs: fsSync, path, rootDir: ROOT_DIR, cleanEnv });
+geoService.load();
+const countingPolicy = createCountingPolicy({ db, cleanEnv, privacy });
+const rateLimiter = createRateLimiter({ cleanEnv });
+const authService = createAuthService({ db, crypto, cleanEnv, parseCookies, uuidv4 });
+const auditLog = createAuditLog({ db, getIp });
+const unlockFeed = createUnlockFeed({ db, assetService, unlockService, schedule, readCats });
+const funnelService = createFunnelService({ db, assetService, readCats });
+const attributionService = createAttributionService({ db });
+const exportService = createExportService({ db });
+const webhookService = createWebhookService({ db, uuidv4, cleanEnv, unlockFeed });
+const referralService = createReferralService({ db, crypto });
+
+// role gates signed-in admins and scope gates API tokens; routes with a role but no scope are closed to tokens.
+function requireAdmin(role, scope) {
+  return async (req, res, next) => {
+    try {
+      const user = await authService.resolveRequestUser(req);
+      if (!user) return res.status(401).json({ error: 'Unauthorized' });
+      if (!authService.canAccess(user, role, scope)) return res.status(403).json({ error: 'Forbidden' });
+      next();
+    } catch (e) {
+      res.status(500).json({ error: 'Failed to check admin session' });
+    }
+  };
+}
+
 app.use(createPublicRouter({
   path,
   rootDir: ROOT_DIR,
   db,
   readCats,
   catIsVisible,
-  getS3Client,
-  getBucket,
+  storage,
   cleanEnv,
-  keyFromDownloadUrl,
-  GetObjectCommand,
+  parseCookies,
+  getIp,
   archiver,
   assetService,
   unlockService,
+  unlockFeed,
+  referralService,
+  privacy,
+  geoService,
+  schedule,
+  countingPolicy,
+  rateLimiter,
+}));
+
+// The x-admin-password header is a password guess on every request that
+// carries no token or session: it is throttled by the login limiter and
+// failed guesses are audited like failed sign-ins.
+async function checkPasswordHeader(req, res, next) {
+  const password = req.headers['x-admin-password'];
+  if (!password || authService.readBearerToken(req)) return next();
+  try {
+    if (await authService.resolveRequestUser(req)) return next();
+    const subjects = ['ip:' + getIp(req)];
+    const retryAfter = rateLimiter.peek('login', subjects);
+    if (retryAfter) return rateLimiter.rejectTooMany(res, retryAfter, 'Too many requests');
+    const user = authService.checkEnvPassword(password);
+    if (!user) {
+      rateLimiter.take('login', subjects);
+      req.audit({ action: 'session.header_failed', actorName: 'admin' });
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    req.admin = user;
+    next();
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to check admin session' });
+  }
+}
+
+app.use('/api/admin', auditLog.middleware);
+app.use('/api/admin', checkPasswordHeader);
+app.use('/api/admin', unlockFeed.middleware);
+
+app.use(createAuthRouter({
+  db,
+  authService,
+  requireAdmin,
+  rateLimiter,
+  getIp,
 }));
 
 app.use(createAdminRouter({
   path,
   rootDir: ROOT_DIR,
-  checkAdmin,
+  requireAdmin,
   db,
   readCats,
-  writeCats,
-  getS3Client,
-  getBucket,
-  getPublicUrl,
+  storage,
   formatBytes,
   upload,
   sharp,
   uuidv4,
-  PutObjectCommand,
   assetService,
+  unlockService,
+  schedule,
+  countingPolicy,
+  rateLimiter,
+  auditLog,
+  webhookService,
+  privacy,
+  rollups,
+  funnelService,
+  attributionService,
+  exportService,
 }));
 
 app.listen(PORT, () => {
   console.log('MAYA Downloads running at http://localhost:' + PORT);
+  webhookService.start();
+  unlockFeed.start();
+  rollups.schedule();
+  privacy.scheduleRetention();
 });
@@ -6,13 +6,44 @@ function createAssetsService({
   dataPath,
   uuidv4,
   toUnlockThreshold,
-  getS3Client,
-  getBucket,
-  keyFromDownloadUrl,
-  ListObjectsV2Command,
-  DeleteObjectCommand,
+  storage,
+  cleanEnv,
 }) {
   const ORPHAN_CUTOFF_DAYS = 7;
+  const UPDATE_ATTEMPTS = 3;
+  const DEFAULT_TRASH_RETENTION_DAYS = 30;
+  const DEFAULT_REVISIONS_KEPT = 50;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // ASSET_TRASH_RETENTION_DAYS: how long deleted assets (and the files of replaced
+  // revisions) are kept before the orphan cleaner may reclaim them.
+  function getTrashRetentionDays() {
+    const raw = cleanEnv(process.env.ASSET_TRASH_RETENTION_DAYS);
+    const n = Number(raw);
+    return raw && Number.isFinite(n) && n >= 0 ? Math.floor(n) : DEFAULT_TRASH_RETENTION_DAYS;
+  }
+
+  // ASSET_REVISIONS_KEEP: how many replaced versions each asset keeps in its history.
+  function getRevisionsKept() {
+    const n = Number(cleanEnv(process.env.ASSET_REVISIONS_KEEP));
+    return Number.isInteger(n) && n >= 1 ? n : DEFAULT_REVISIONS_KEPT;
+  }
+
+  function actorName(options) {
+    return options && options.actor ? options.actor.username || options.actor.id || null : null;
+  }
+
+  function toRevision(asset, reason, replacedAt, options) {
+    return {
+      asset_id: asset.id,
+      version: asset.version,
+      saved_at: asset.updatedAt || asset.createdAt || null,
+      replaced_at: replacedAt,
+      replaced_by: actorName(options),
+      reason,
+      snapshot: JSON.stringify(asset),
+    };
+  }
 
   function normalizeTitle(title) {
     return (title || '').trim().replace(/\s*\(\d+\)\s*$/, '').trim();
@@ -92,41 +123,141 @@ function createAssetsService({
     return { data: [...alreadyNew, ...migrated], changed: true };
   }
 
-  async function readData() {
-    const canUseDb = !!(db && typeof db.getAssetsData === 'function' && typeof db.saveAssetsData === 'function');
-    if (canUseDb) {
-      try {
-        const dbData = await db.getAssetsData();
-        if (Array.isArray(dbData) && dbData.length > 0) {
-          const { data, changed } = migrateToVariants(dbData);
-          if (changed) await db.saveAssetsData(data);
-          return data;
+  // One-time move of the legacy catalogue (app_settings blob, else downloads.json)
+  // into the assets tables. Runs lazily on first use and retries if it failed.
+  let migration = null;
+  function ensureMigrated() {
+    if (!migration) {
+      migration = (async () => {
+        if (await db.getAssetsMigratedAt()) return;
+        let legacy = await db.getAssetsData();
+        if (!Array.isArray(legacy) || legacy.length === 0) {
+          try {
+            legacy = JSON.parse(await fs.readFile(dataPath, 'utf8'));
+          } catch (e) {
+            legacy = [];
+          }
         }
-      } catch (e) {
-        // fall through to file
-      }
+        const { data } = migrateToVariants(Array.isArray(legacy) ? legacy : []);
+        await db.importAssets(data, new Date().toISOString());
+        console.log('Assets migrated to tables:', data.length);
+      })().catch((e) => {
+        migration = null;
+        throw e;
+      });
     }
-    try {
-      const raw = await fs.readFile(dataPath, 'utf8');
-      const parsed = JSON.parse(raw);
-      const { data, changed } = migrateToVariants(parsed);
-      if (changed) {
-        writeData(data).catch((e) => console.warn('Migration write failed:', e.message));
-      }
-      if (canUseDb) {
-        db.saveAssetsData(data).catch((e) => console.warn('Assets DB sync failed:', e.message));
+    return migration;
+  }
+
+  async function readData() {
+    await ensureMigrated();
+    return db.listAssets();
+  }
+
+  async function getAsset(id) {
+    await ensureMigrated();
+    return db.getAsset(id);
+  }
+
+  async function createAsset(body) {
+    await ensureMigrated();
+    const item = createAdminAsset(body);
+    await db.insertAsset(item);
+    return db.getAsset(item.id);
+  }
+
+  // Resolves { before, after }, { conflict: current } when expectedVersion is
+  // stale, or null when the asset does not exist. Without expectedVersion the
+  // change is applied to whatever is current, retrying if another write lands
+  // between the read and the write. The replaced state is kept as a revision,
+  // and revisions past the newest ASSET_REVISIONS_KEEP are dropped.
+  async function replaceAsset(id, buildNext, expectedVersion, reason, options) {
+    await ensureMigrated();
+    const versioned = expectedVersion !== null && expectedVersion !== undefined;
+    for (let attempt = 0; attempt < UPDATE_ATTEMPTS; attempt++) {
+      const before = await db.getAsset(id);
+      if (!before) return null;
+      if (versioned && before.version !== expectedVersion) return { conflict: before };
+      const next = buildNext(JSON.parse(JSON.stringify(before)));
+      next.updatedAt = new Date().toISOString();
+      if (await db.updateAsset(next, before.version, toRevision(before, reason, next.updatedAt, options))) {
+        await db.pruneAssetRevisions(id, getRevisionsKept());
+        return { before, after: await db.getAsset(id) };
       }
-      return data;
-    } catch (e) {
-      return [];
+      if (versioned) break;
     }
+    const current = await db.getAsset(id);
+    return current ? { conflict: current } : null;
   }
 
-  async function writeData(data) {
-    if (db && typeof db.saveAssetsData === 'function') {
-      await db.saveAssetsData(data);
-    }
-    await fs.writeFile(dataPath, JSON.stringify(data, null, 2), 'utf8');
+  function updateAsset(id, body, expectedVersion, options) {
+    return replaceAsset(id, (asset) => applyAdminAssetPatch(asset, body), expectedVersion, 'update', options);
+  }
+
+  async function listRevisions(id) {
+    await ensureMigrated();
+    return db.listAssetRevisions(id);
+  }
+
+  async function getRevision(id, version) {
+    await ensureMigrated();
+    return db.getAssetRevision(id, version);
+  }
+
+  // Brings back every field of the revision; id and createdAt stay as they are.
+  function restoreRevision(id, revision, expectedVersion, options) {
+    return replaceAsset(id, (current) => ({
+      ...JSON.parse(JSON.stringify(revision.asset)),
+      id: current.id,
+      createdAt: current.createdAt,
+      version: current.version,
+    }), expectedVersion, 'restore', options);
+  }
+
+  // Resolves the deleted asset, or null when there was nothing to delete. The
+  // asset moves to the trash until the retention period runs out.
+  async function deleteAsset(id, options) {
+    await ensureMigrated();
+    const before = await db.getAsset(id);
+    if (!before) return null;
+    const now = new Date();
+    const deleted = await db.deleteAsset(id, {
+      revision: toRevision(before, 'delete', now.toISOString(), options),
+      trash: {
+        asset_id: before.id,
+        title: before.title,
+        category: before.category,
+        deleted_at: now.toISOString(),
+        deleted_by: actorName(options),
+        purge_after: new Date(now.getTime() + getTrashRetentionDays() * DAY_MS).toISOString(),
+        snapshot: JSON.stringify(before),
+      },
+    });
+    return deleted ? before : null;
+  }
+
+  async function listTrash() {
+    await ensureMigrated();
+    return db.listAssetTrash();
+  }
+
+  // Resolves { before, after }, { conflict: true } when an asset with the same id
+  // exists again, or null when the id is not in the trash.
+  async function restoreFromTrash(id) {
+    await ensureMigrated();
+    const entry = await db.getTrashedAsset(id);
+    if (!entry || !entry.asset) return null;
+    const asset = { ...entry.asset, version: (Number(entry.asset.version) || 1) + 1, updatedAt: new Date().toISOString() };
+    if (!(await db.restoreTrashedAsset(asset))) return { conflict: true };
+    return { before: entry, after: await db.getAsset(id) };
+  }
+
+  // Resolves the removed trash entry, or null. Its files go on the next cleanup.
+  async function purgeFromTrash(id) {
+    const entry = await db.getTrashedAsset(id);
+    if (!entry || !(await db.deleteTrashedAsset(id))) return null;
+    scheduleOrphanCleanup();
+    return entry;
   }
 
   function createAdminAsset(body) {
@@ -138,7 +269,10 @@ function createAssetsService({
       thumbnailUrl: body.thumbnailUrl || '',
       visible: body.visible !== false,
       unlockThreshold: toUnlockThreshold(body.unlockThreshold),
+      unlockRule: body.unlockRule || null,
       createdAt: new Date().toISOString(),
+      publishAt: body.publishAt || null,
+      unpublishAt: body.unpublishAt || null,
       tags: body.tags || [],
       variants: Array.isArray(body.variants) ? body.variants.map((v) => ({
         id: v.id || uuidv4(),
@@ -154,7 +288,7 @@ function createAssetsService({
   }
 
   function applyAdminAssetPatch(asset, body) {
-    const scalarFields = ['title', 'description', 'category', 'thumbnailUrl', 'format', 'chapter', 'tags', 'visible'];
+    const scalarFields = ['title', 'description', 'category', 'thumbnailUrl', 'format', 'chapter', 'tags', 'visible', 'publishAt', 'unpublishAt', 'unlockRule'];
     scalarFields.forEach((k) => { if (body[k] !== undefined) asset[k] = body[k]; });
     if (body.unlockThreshold !== undefined) {
       asset.unlockThreshold = toUnlockThreshold(body.unlockThreshold);
@@ -173,48 +307,45 @@ function createAssetsService({
 
   function scheduleOrphanCleanup() {
     setImmediate(async () => {
-      const s3 = getS3Client();
-      const bucket = getBucket();
-      if (!s3) return;
+      try {
+        const purged = await db.purgeAssetTrash(new Date().toISOString());
+        if (purged) console.log('Trash entries purged:', purged);
+      } catch (e) {
+        console.warn('Trash purge error:', e.message);
+      }
+      if (!storage.isConfigured()) return;
       try {
         const data = await readData();
-        const list = Array.isArray(data) ? data : [];
+        // Files of trashed assets and of recently replaced revisions stay
+        // until the retention period runs out, so a restore still finds them.
+        const keepSince = new Date(Date.now() - getTrashRetentionDays() * DAY_MS).toISOString();
+        const trashed = (await db.listAssetTrash()).map((entry) => entry.asset).filter(Boolean);
+        const revisions = await db.listRevisionSnapshotsSince(keepSince);
+        const list = [...(Array.isArray(data) ? data : []), ...trashed, ...revisions];
         const referencedKeys = new Set();
         for (const item of list) {
-          const thumbKey = keyFromDownloadUrl(item.thumbnailUrl);
+          const thumbKey = storage.keyFromUrl(item.thumbnailUrl);
           if (thumbKey) referencedKeys.add(thumbKey);
           for (const v of (item.variants || [])) {
-            const vKey = keyFromDownloadUrl(v.downloadUrl);
+            const vKey = storage.keyFromUrl(v.downloadUrl);
             if (vKey) referencedKeys.add(vKey);
           }
         }
-        const cutoff = new Date(Date.now() - ORPHAN_CUTOFF_DAYS * 24 * 60 * 60 * 1000);
+        const cutoff = new Date(Date.now() - ORPHAN_CUTOFF_DAYS * DAY_MS);
         const prefixes = ['uploads/', 'uploads/thumbs/', 'Assets/', '_thumbs/'];
         for (const prefix of prefixes) {
-          let continuationToken;
-          do {
-            const listResp = await s3.send(new ListObjectsV2Command({
-                Bucket: bucket,
-                Prefix: prefix,
-                ContinuationToken: continuationToken,
-              })
-            );
-            const contents = listResp.Contents || [];
-            for (const obj of contents) {
-              const key = obj.Key;
-              if (!key || referencedKeys.has(key)) continue;
-              const lastMod = obj.LastModified ? new Date(obj.LastModified) : null;
-              if (lastMod && lastMod < cutoff) {
-                try {
-                  await s3.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
-                  console.log('Orphan S3 deleted:', key);
-                } catch (err) {
-                  console.warn('Orphan delete failed:', key, err.message);
-                }
+          for await (const obj of storage.list(prefix)) {
+            const key = obj.key;
+            if (!key || referencedKeys.has(key)) continue;
+            if (obj.lastModified && obj.lastModified < cutoff) {
+              try {
+                await storage.delete(key);
+                console.log('Orphan deleted (' + storage.name + '):', key);
+              } catch (err) {
+                console.warn('Orphan delete failed:', key, err.message);
               }
             }
-            continuationToken = listResp.NextContinuationToken;
-          } while (continuationToken);
+          }
         }
       } catch (e) {
         console.warn('Orphan cleanup error:', e.message);
@@ -224,9 +355,17 @@ function createAssetsService({
 
   return {
     readData,
-    writeData,
-    createAdminAsset,
-    applyAdminAssetPatch,
+    getAsset,
+    createAsset,
+    updateAsset,
+    listRevisions,
+    getRevision,
+    restoreRevision,
+    deleteAsset,
+    listTrash,
+    restoreFromTrash,
+    purgeFromTrash,
+    getTrashRetentionDays,
     scheduleOrphanCleanup,
   };
 }
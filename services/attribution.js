@@ -0,0 +1,142 @@
+'use strict';
+
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_DAYS = 30;
+// Each report reads every raw visit and download in its range, so one range spans at most a year.
+const MAX_DAYS = 366;
+const MODELS = ['first_touch', 'last_touch'];
+
+function isDay(value) {
+  return DAY_RE.test(value) && Number.isFinite(Date.parse(value));
+}
+
+function addDays(day, n) {
+  return new Date(Date.parse(day + 'T00:00:00Z') + n * 86400000).toISOString().slice(0, 10);
+}
+
+function ratio(n, of) {
+  return of > 0 ? Math.round((n / of) * 10000) / 10000 : null;
+}
+
+// '' source is the direct bucket: visits without UTMs, and downloads no campaign reached first.
+function campaignKey(source, campaign) {
+  return source ? source + '|' + campaign : '';
+}
+
+// Credits each download in a date range to a campaign (utm_source + utm_campaign) per visitor:
+// first_touch to the visitor's earliest UTM session, last_touch to the latest one that started
+// before the download. Works from raw visits, so history ends where visit retention cut it.
+function createAttributionService({ db }) {
+  // from/to: 'YYYY-MM-DD', both inclusive. Returns { from, to } or { error }.
+  function toRange(from, to, fallbackDays) {
+    const today = new Date().toISOString().slice(0, 10);
+    const toDay = to || today;
+    const fromDay = from || addDays(toDay, -(fallbackDays - 1));
+    if (!isDay(fromDay) || !isDay(toDay)) return { error: 'from and to must be YYYY-MM-DD dates' };
+    if (toDay < fromDay) return { error: 'to must not be before from' };
+    if (addDays(fromDay, MAX_DAYS - 1) < toDay) return { error: `a range spans at most ${MAX_DAYS} days` };
+    return { from: fromDay, to: toDay };
+  }
+
+  async function buildReport(range) {
+    const rows = await db.getAttributionRows(range.from + 'T00:00:00.000Z', addDays(range.to, 1) + 'T00:00:00.000Z');
+    const campaigns = new Map();
+    const campaign = (source, name) => {
+      const key = campaignKey(source, name);
+      if (!campaigns.has(key)) {
+        campaigns.set(key, {
+          key,
+          utm_source: source,
+          utm_campaign: source ? name : '',
+          visits: 0,
+          visitors: new Set(),
+          first_touch: { downloads: 0, converted: new Set(), reached: new Set() },
+          last_touch: { downloads: 0, converted: new Set(), reached: new Set() },
+        });
+      }
+      return campaigns.get(key);
+    };
+
+    const activeVisitors = new Set();
+    let visits = 0;
+    for (const row of rows.visits) {
+      const c = campaign(row.utm_source, row.utm_campaign);
+      c.visits += Number(row.n || 0);
+      c.visitors.add(row.vkey);
+      c.last_touch.reached.add(row.vkey);
+      activeVisitors.add(row.vkey);
+      visits += Number(row.n || 0);
+    }
+
+    const touchesByVisitor = new Map();
+    for (const row of rows.touches) {
+      if (!touchesByVisitor.has(row.vkey)) touchesByVisitor.set(row.vkey, []);
+      touchesByVisitor.get(row.vkey).push(row);
+    }
+    for (const touches of touchesByVisitor.values()) touches.sort((a, b) => (a.ts < b.ts ? -1 : a.ts > b.ts ? 1 : 0));
+
+    // Visitors seen in the range were acquired by their first campaign, or came direct.
+    for (const vkey of activeVisitors) {
+      const first = (touchesByVisitor.get(vkey) || [])[0];
+      campaign(first ? first.utm_source : '', first ? first.utm_campaign : '').first_touch.reached.add(vkey);
+    }
+
+    for (const download of rows.downloads) {
+      const touches = (touchesByVisitor.get(download.vkey) || []).filter((t) => t.ts <= download.ts);
+      const credited = {
+        first_touch: touches[0],
+        last_touch: touches[touches.length - 1],
+      };
+      for (const model of MODELS) {
+        const touch = credited[model];
+        const stats = campaign(touch ? touch.utm_source : '', touch ? touch.utm_campaign : '')[model];
+        stats.downloads++;
+        stats.converted.add(download.vkey);
+      }
+    }
+
+    const list = [...campaigns.values()].map((c) => {
+      const out = { key: c.key, utm_source: c.utm_source, utm_campaign: c.utm_campaign, visits: c.visits, visitors: c.visitors.size };
+      for (const model of MODELS) {
+        const stats = c[model];
+        out[model] = {
+          downloads: stats.downloads,
+          converted_visitors: stats.converted.size,
+          reached_visitors: stats.reached.size,
+          downloads_per_visit: ratio(stats.downloads, c.visits),
+          conversion_rate: ratio(stats.converted.size, stats.reached.size),
+        };
+      }
+      return out;
+    });
+    list.sort((a, b) => b.last_touch.downloads - a.last_touch.downloads
+      || b.first_touch.downloads - a.first_touch.downloads
+      || b.visits - a.visits
+      || a.key.localeCompare(b.key));
+
+    return {
+      from: range.from,
+      to: range.to,
+      totals: { visits, visitors: activeVisitors.size, downloads: rows.downloads.length },
+      campaigns: list,
+    };
+  }
+
+  // compare_from/compare_to are optional; both missing means no comparison.
+  async function getReport({ from, to, compare_from: compareFrom, compare_to: compareTo } = {}) {
+    const range = toRange(from, to, DEFAULT_DAYS);
+    if (range.error) return { error: range.error };
+    let compare = null;
+    if (compareFrom || compareTo) {
+      if (!compareFrom || !compareTo) return { error: 'compare_from and compare_to go together' };
+      compare = toRange(compareFrom, compareTo);
+      if (compare.error) return { error: 'compare range: ' + compare.error };
+    }
+    const [current, previous] = await Promise.all([buildReport(range), compare ? buildReport(compare) : null]);
+    return { current, previous };
+  }
+
+  return { getReport };
+}
+
+module.exports = { createAttributionService };
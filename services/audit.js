@@ -0,0 +1,87 @@
+'use strict';
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const REDACTED_KEYS = /^(password|password_hash|token|token_hash)$/;
+const CSV_COLUMNS = ['ts', 'actor_name', 'actor_kind', 'action', 'target_type', 'target_id', 'method', 'path', 'status', 'ip', 'diff'];
+
+function snapshot(value) {
+  if (value === undefined || value === null) return {};
+  if (typeof value !== 'object' || Array.isArray(value)) return { value };
+  return value;
+}
+
+// Top-level field diff: { field: { from, to } } for every field that changed.
+function diffObjects(before, after) {
+  const a = snapshot(before);
+  const b = snapshot(after);
+  const out = {};
+  new Set([...Object.keys(a), ...Object.keys(b)]).forEach((key) => {
+    if (REDACTED_KEYS.test(key)) return;
+    const from = a[key] === undefined ? null : a[key];
+    const to = b[key] === undefined ? null : b[key];
+    if (JSON.stringify(from) !== JSON.stringify(to)) out[key] = { from, to };
+  });
+  return out;
+}
+
+function actorKind(actor) {
+  if (!actor) return null;
+  if (actor.token_id) return 'token';
+  if (String(actor.id || '').startsWith('env:')) return 'env';
+  return 'user';
+}
+
+// Text starting like a formula is prefixed with ' so spreadsheets show it instead of running it.
+function csvCell(value) {
+  let s = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(s)) s = "'" + s;
+  return /[",\r\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+}
+
+function toCsv(rows) {
+  const lines = [CSV_COLUMNS.join(',')];
+  rows.forEach((row) => lines.push(CSV_COLUMNS.map((c) => csvCell(row[c])).join(',')));
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Every mutating request under /api/admin gets one row once the response is
+// sent. Routes describe what they changed with req.audit({ action, targetType,
+// targetId, before, after }); anything else is logged by method and path.
+// Reads are only logged when something calls req.audit for them.
+function createAuditLog({ db, getIp }) {
+  function middleware(req, res, next) {
+    const mutating = MUTATING_METHODS.includes(req.method);
+    // The socket may be gone by the time 'finish' fires.
+    const ip = String(getIp(req) || '').slice(0, 45);
+    let entry = null;
+    req.audit = (details) => { entry = { ...(entry || {}), ...details }; };
+    res.on('finish', () => {
+      const actor = (entry && entry.actor) || req.admin || null;
+      // Unauthenticated noise is left to the rate limiter unless a route asked for it.
+      if (!entry && (!actor || !mutating)) return;
+      const path = req.originalUrl.split('?')[0];
+      const diff = entry && (entry.before !== undefined || entry.after !== undefined)
+        ? diffObjects(entry.before, entry.after)
+        : null;
+      db.insertAuditEntry({
+        ts: new Date().toISOString(),
+        actor_id: actor ? actor.id : null,
+        actor_name: actor ? actor.username : ((entry && entry.actorName) || null),
+        actor_kind: actorKind(actor),
+        action: (entry && entry.action) || `${req.method} ${path}`,
+        target_type: (entry && entry.targetType) || null,
+        target_id: entry && entry.targetId !== undefined && entry.targetId !== null ? String(entry.targetId) : null,
+        method: req.method,
+        path,
+        status: res.statusCode,
+        ip,
+        diff: diff ? JSON.stringify(diff) : null,
+      }).catch((e) => console.warn('Audit log write failed:', e.message));
+    });
+    next();
+  }
+
+  return { middleware, diffObjects, toCsv };
+}
+
+module.exports = { createAuditLog, csvCell };
@@ -0,0 +1,300 @@
+'use strict';
+
+const ROLES = ['viewer', 'editor', 'owner'];
+const SESSION_COOKIE = 'maya_admin';
+const DEFAULT_SESSION_TTL_HOURS = 12;
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEYLEN = 64;
+const MIN_PASSWORD_LENGTH = 8;
+const ENV_OWNER_ID = 'env:admin';
+// API tokens never carry a role; each admin route names the scope that lets a token through.
+const API_TOKEN_SCOPES = [
+  'assets:read',
+  'assets:write',
+  'categories:read',
+  'categories:write',
+  'analytics:read',
+  'analytics:export',
+  'settings:read',
+  'settings:write',
+  'audit:read',
+];
+const API_TOKEN_PREFIX = 'mt_';
+const TOKEN_TOUCH_INTERVAL_MS = 60 * 1000;
+
+function toRole(value) {
+  return ROLES.includes(value) ? value : null;
+}
+
+function hasRole(user, role) {
+  return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// A guard with neither role nor scope only asks for a signed-in admin or a live token.
+function canAccess(actor, role, scope) {
+  if (!actor) return false;
+  if (!role && !scope) return true;
+  if (actor.scopes) return !!scope && actor.scopes.includes(scope);
+  return !!role && hasRole(actor, role);
+}
+
+function normalizeScopes(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+  const scopes = Array.from(new Set(list.map((s) => String(s).trim()).filter(Boolean)));
+  return scopes.length && scopes.every((s) => API_TOKEN_SCOPES.includes(s)) ? scopes : null;
+}
+
+function publicToken(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.prefix,
+    scopes: String(row.scopes || '').split(',').filter(Boolean),
+    created_by: row.created_by || null,
+    created_at: row.created_at,
+    last_used_at: row.last_used_at || null,
+    expires_at: row.expires_at || null,
+    revoked_at: row.revoked_at || null,
+  };
+}
+
+function normalizeUsername(value) {
+  return String(value || '').trim().toLowerCase();
+}
+
+function publicUser(user) {
+  if (!user) return null;
+  return {
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    created_at: user.created_at || null,
+    updated_at: user.updated_at || null,
+    last_login_at: user.last_login_at || null,
+  };
+}
+
+function createAuthService({ db, crypto, cleanEnv, parseCookies, uuidv4 }) {
+  let lastPruneAt = 0;
+
+  function scrypt(password, salt, params) {
+    return new Promise((resolve, reject) => {
+      crypto.scrypt(password, salt, SCRYPT_KEYLEN, params, (err, key) => (err ? reject(err) : resolve(key)));
+    });
+  }
+
+  // Stored as scrypt$N$r$p$salt$hash so the cost can be raised without breaking old hashes.
+  async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const key = await scrypt(String(password), salt, SCRYPT_PARAMS);
+    const { N, r, p } = SCRYPT_PARAMS;
+    return ['scrypt', N, r, p, salt.toString('base64'), key.toString('base64')].join('$');
+  }
+
+  async function verifyPassword(password, stored) {
+    const parts = String(stored || '').split('$');
+    if (parts.length !== 6 || parts[0] !== 'scrypt') return false;
+    const [, N, r, p, salt, hash] = parts;
+    const expected = Buffer.from(hash, 'base64');
+    const key = await scrypt(String(password), Buffer.from(salt, 'base64'), { N: Number(N), r: Number(r), p: Number(p) });
+    return key.length === expected.length && crypto.timingSafeEqual(key, expected);
+  }
+
+  function safeEqual(a, b) {
+    const ha = crypto.createHash('sha256').update(String(a)).digest();
+    const hb = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(ha, hb);
+  }
+
+  // When set, ADMIN_PASSWORD is a break-glass owner login under the reserved name "admin" (or no name).
+  function getEnvOwner() {
+    const pw = cleanEnv(process.env.ADMIN_PASSWORD);
+    if (!pw) return null;
+    return { id: ENV_OWNER_ID, username: 'admin', role: 'owner', password: pw };
+  }
+
+  function checkEnvPassword(password) {
+    const owner = getEnvOwner();
+    if (!owner || !password || !safeEqual(password, owner.password)) return null;
+    return { id: owner.id, username: owner.username, role: owner.role };
+  }
+
+  function getSessionTtlMs() {
+    const hours = Number(cleanEnv(process.env.ADMIN_SESSION_TTL_HOURS));
+    return (Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_SESSION_TTL_HOURS) * 60 * 60 * 1000;
+  }
+
+  function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+  }
+
+  async function authenticate(username, password) {
+    const name = normalizeUsername(username);
+    if (!name || name === 'admin') {
+      const envUser = checkEnvPassword(password);
+      if (envUser) return envUser;
+    }
+    if (!name) return null;
+    const user = await db.getAdminUserByUsername(name);
+    if (!user) {
+      // Burn comparable time so unknown usernames are not distinguishable.
+      await hashPassword(password || '');
+      return null;
+    }
+    return (await verifyPassword(password || '', user.password_hash)) ? user : null;
+  }
+
+  async function createSession(user, meta = {}) {
+    const now = Date.now();
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(now + getSessionTtlMs());
+    await db.createAdminSession({
+      id: hashToken(token),
+      user_id: user.id,
+      created_at: new Date(now).toISOString(),
+      expires_at: expiresAt.toISOString(),
+      ip: String(meta.ip || '').slice(0, 45),
+      ua: String(meta.ua || '').slice(0, 300),
+    });
+    if (user.id !== ENV_OWNER_ID) await db.updateAdminUser(user.id, { last_login_at: new Date(now).toISOString() });
+    if (now - lastPruneAt > 60 * 60 * 1000) {
+      lastPruneAt = now;
+      db.pruneAdminSessions(new Date(now).toISOString()).catch((e) => console.warn('Admin session prune failed:', e.message));
+    }
+    return { token, expiresAt };
+  }
+
+  async function getSessionUser(token) {
+    if (!token) return null;
+    const session = await db.getAdminSession(hashToken(token));
+    if (!session) return null;
+    if (Date.parse(session.expires_at) <= Date.now()) {
+      await db.deleteAdminSession(session.id);
+      return null;
+    }
+    if (session.user_id === ENV_OWNER_ID) {
+      const owner = getEnvOwner();
+      return owner ? { id: owner.id, username: owner.username, role: owner.role, expires_at: session.expires_at } : null;
+    }
+    const user = await db.getAdminUserById(session.user_id);
+    return user ? { ...publicUser(user), expires_at: session.expires_at } : null;
+  }
+
+  async function endSession(token) {
+    if (token) await db.deleteAdminSession(hashToken(token));
+  }
+
+  function readSessionToken(req) {
+    return parseCookies(req)[SESSION_COOKIE] || '';
+  }
+
+  function readBearerToken(req) {
+    const m = String(req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+    return m ? m[1] : '';
+  }
+
+  async function createApiToken({ name, scopes, expiresAt, createdBy }) {
+    const token = API_TOKEN_PREFIX + crypto.randomBytes(24).toString('base64url');
+    const row = {
+      id: uuidv4(),
+      name,
+      token_hash: hashToken(token),
+      prefix: token.slice(0, API_TOKEN_PREFIX.length + 6),
+      scopes: scopes.join(','),
+      created_by: createdBy || null,
+      created_at: new Date().toISOString(),
+      expires_at: expiresAt ? expiresAt.toISOString() : null,
+    };
+    await db.createApiToken(row);
+    return { token, record: publicToken(row) };
+  }
+
+  async function getTokenActor(token) {
+    if (!token) return null;
+    const row = await db.getApiTokenByHash(hashToken(token));
+    if (!row || row.revoked_at) return null;
+    const now = Date.now();
+    if (row.expires_at && Date.parse(row.expires_at) <= now) return null;
+    if (!row.last_used_at || now - Date.parse(row.last_used_at) > TOKEN_TOUCH_INTERVAL_MS) {
+      db.touchApiToken(row.id, new Date(now).toISOString()).catch((e) => console.warn('API token touch failed:', e.message));
+    }
+    const record = publicToken(row);
+    return { id: 'token:' + record.id, username: record.name, role: null, scopes: record.scopes, token_id: record.id };
+  }
+
+  // A Bearer token is taken on its own; otherwise the session cookie. The
+  // x-admin-password header is checked up front by checkPasswordHeader in server.js.
+  async function resolveRequestUser(req) {
+    if (req.admin !== undefined) return req.admin;
+    const bearer = readBearerToken(req);
+    let user;
+    if (bearer) {
+      user = await getTokenActor(bearer);
+    } else {
+      user = await getSessionUser(readSessionToken(req));
+    }
+    req.admin = user || null;
+    return req.admin;
+  }
+
+  async function createUser({ username, password, role }) {
+    const now = new Date().toISOString();
+    const user = {
+      id: uuidv4(),
+      username: normalizeUsername(username),
+      password_hash: await hashPassword(password),
+      role,
+      created_at: now,
+      updated_at: now,
+    };
+    await db.createAdminUser(user);
+    return publicUser(user);
+  }
+
+  // Password changes sign the user out everywhere.
+  async function updateUser(id, { password, role }) {
+    const changes = { updated_at: new Date().toISOString() };
+    if (role) changes.role = role;
+    if (password) changes.password_hash = await hashPassword(password);
+    await db.updateAdminUser(id, changes);
+    if (password) await db.deleteAdminSessionsForUser(id);
+    return publicUser(await db.getAdminUserById(id));
+  }
+
+  return {
+    ROLES,
+    SESSION_COOKIE,
+    ENV_OWNER_ID,
+    API_TOKEN_SCOPES,
+    toRole,
+    hasRole,
+    canAccess,
+    normalizeScopes,
+    publicToken,
+    normalizeUsername,
+    publicUser,
+    validatePassword,
+    checkEnvPassword,
+    authenticate,
+    createSession,
+    getSessionUser,
+    endSession,
+    readSessionToken,
+    readBearerToken,
+    createApiToken,
+    getTokenActor,
+    resolveRequestUser,
+    createUser,
+    updateUser,
+  };
+}
+
+module.exports = { createAuthService };
@@ -0,0 +1,97 @@
+'use strict';
+
+const DEFAULT_SESSION_CAP = 3;
+const DEFAULT_IP_CAP = 20;
+const DEFAULT_SESSION_TOTAL_CAP = 30;
+const DEFAULT_IP_TOTAL_CAP = 200;
+// count_guards asset_id of the per-day counters that span every asset
+const ALL_ASSETS = '*';
+const DEFAULT_DEDUP_WINDOW_MS = 2500;
+const GUARD_RETENTION_DAYS = 2;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Decides whether a download attempt may move the unlock meter. Caps are per
+// asset per UTC day, plus a cap per day across all assets, and live in the
+// database so they hold across restarts and instances.
+function createCountingPolicy({ db, cleanEnv, privacy }) {
+  let lastPruneAt = 0;
+
+  function readLimit(name, fallback) {
+    const raw = cleanEnv(process.env[name]);
+    if (!raw) return fallback;
+    const n = parseInt(raw, 10);
+    return Number.isFinite(n) && n >= 0 ? n : fallback;
+  }
+
+  function getLimits() {
+    return {
+      // 0 disables the corresponding cap
+      sessionCap: readLimit('COUNT_CAP_PER_SESSION', DEFAULT_SESSION_CAP),
+      ipCap: readLimit('COUNT_CAP_PER_IP', DEFAULT_IP_CAP),
+      sessionTotalCap: readLimit('COUNT_CAP_PER_SESSION_TOTAL', DEFAULT_SESSION_TOTAL_CAP),
+      ipTotalCap: readLimit('COUNT_CAP_PER_IP_TOTAL', DEFAULT_IP_TOTAL_CAP),
+      dedupWindowMs: readLimit('COUNT_DEDUP_WINDOW_MS', DEFAULT_DEDUP_WINDOW_MS),
+      filterBots: cleanEnv(process.env.COUNT_FILTER_BOTS) !== '0',
+    };
+  }
+
+  function prune(now) {
+    if (now - lastPruneAt < PRUNE_INTERVAL_MS) return;
+    lastPruneAt = now;
+    const beforeDay = new Date(now - GUARD_RETENTION_DAYS * 86400000).toISOString().slice(0, 10);
+    db.pruneCountGuards(beforeDay).catch((e) => console.warn('Count guard prune failed:', e.message));
+  }
+
+  function isWithin(prevTs, ts, windowMs) {
+    if (!prevTs || !windowMs) return false;
+    return Date.parse(ts) - Date.parse(prevTs) < windowMs;
+  }
+
+  // attempt: { source, ts, sessionId, ip, ua, bot, assetId, assetTitle, assetCategory, unknownAsset }
+  // unknownAsset marks an asset id the catalogue does not have; those never count.
+  async function evaluate(attempt) {
+    const limits = getLimits();
+    const ts = attempt.ts || new Date().toISOString();
+    let reason = null;
+
+    if (attempt.unknownAsset) {
+      reason = 'unknown_asset';
+    } else if (limits.filterBots && attempt.bot) {
+      reason = 'bot';
+    } else {
+      const day = ts.slice(0, 10);
+      const subjects = { session: attempt.sessionId, ip: await privacy.guardSubject(attempt.ip, day) };
+      const guard = await db.recordCountAttempt({ day, ts, assetId: attempt.assetId, subjects });
+      const totals = await db.recordCountAttempt({ day, ts, assetId: ALL_ASSETS, subjects });
+      const session = guard.session || null;
+      const ip = guard.ip || null;
+      // Without a session the IP is the only handle for spotting double fires.
+      const dedupScope = session || ip;
+      if (dedupScope && isWithin(dedupScope.prevTs, ts, limits.dedupWindowMs)) reason = 'duplicate';
+      else if (session && limits.sessionCap && session.n > limits.sessionCap) reason = 'session_cap';
+      else if (ip && limits.ipCap && ip.n > limits.ipCap) reason = 'ip_cap';
+      else if (totals.session && limits.sessionTotalCap && totals.session.n > limits.sessionTotalCap) reason = 'session_total_cap';
+      else if (totals.ip && limits.ipTotalCap && totals.ip.n > limits.ipTotalCap) reason = 'ip_total_cap';
+    }
+    prune(Date.now());
+
+    if (reason) {
+      db.insertRejectedEvent({
+        ts,
+        source: attempt.source,
+        reason,
+        session_id: attempt.sessionId || '',
+        ip: privacy.scrubIp(attempt.ip),
+        ua: String(attempt.ua || '').slice(0, 300),
+        asset_id: attempt.assetId || '',
+        asset_title: attempt.assetTitle || '',
+        asset_category: attempt.assetCategory || '',
+      }).catch((e) => console.warn('Rejected event log failed:', e.message));
+    }
+    return { accepted: !reason, reason };
+  }
+
+  return { evaluate, getLimits };
+}
+
+module.exports = { createCountingPolicy };
@@ -0,0 +1,72 @@
+'use strict';
+
+const { csvCell } = require('./audit');
+
+const EXPORT_PAGE_SIZE = 1000;
+const FORMATS = {
+  csv: { type: 'text/csv; charset=utf-8', ext: 'csv' },
+  ndjson: { type: 'application/x-ndjson; charset=utf-8', ext: 'ndjson' },
+};
+const FILTERS = ['from', 'to', 'asset_id', 'session_id', 'category', 'country', 'utm_source'];
+
+const EXPORT_COLUMNS = {
+  visits: [
+    'id', 'session_id', 'visitor_id', 'ts', 'page', 'referrer',
+    'utm_source', 'utm_medium', 'utm_campaign', 'utm_content', 'utm_term',
+    'ip', 'country', 'region', 'city', 'isp', 'lat', 'lon', 'geo_tz',
+    'ua', 'browser', 'browser_ver', 'os', 'os_ver', 'device', 'screen_w', 'screen_h', 'lang', 'client_tz',
+  ],
+  events: [
+    'id', 'session_id', 'visitor_id', 'ts', 'type', 'asset_id', 'asset_title', 'asset_category', 'page',
+    'utm_source', 'utm_campaign', 'utm_term',
+  ],
+};
+
+// Raw visits and events as CSV or NDJSON. Rows are read a page at a time, resuming after
+// the last (ts, id), and written as they arrive, so the size of the export never sits in memory.
+function createExportService({ db }) {
+  function parseFilters(query) {
+    const out = {};
+    for (const key of FILTERS) {
+      const value = typeof query[key] === 'string' ? query[key].trim() : '';
+      if (value) out[key] = value;
+    }
+    return out;
+  }
+
+  function format(name) {
+    return FORMATS[name] || null;
+  }
+
+  function header(table, formatName) {
+    return formatName === 'csv' ? EXPORT_COLUMNS[table].join(',') + '\r\n' : '';
+  }
+
+  function serialize(table, formatName, rows) {
+    const columns = EXPORT_COLUMNS[table];
+    if (formatName === 'csv') {
+      return rows.map((row) => columns.map((c) => csvCell(row[c])).join(',') + '\r\n').join('');
+    }
+    return rows.map((row) => JSON.stringify(row) + '\n').join('');
+  }
+
+  // Awaits write(chunk) once per page and stops once shouldStop() is true (the client went away).
+  // Nothing is written before the first page is read, so a failing query can still get an error response.
+  async function run(table, formatName, filters, write, shouldStop) {
+    let prefix = header(table, formatName);
+    let after = null;
+    for (;;) {
+      if (shouldStop()) return;
+      const rows = await db.getExportRows(table, EXPORT_COLUMNS[table], filters, after, EXPORT_PAGE_SIZE);
+      const chunk = prefix + serialize(table, formatName, rows);
+      prefix = '';
+      if (chunk) await write(chunk);
+      if (rows.length < EXPORT_PAGE_SIZE) return;
+      after = rows[rows.length - 1];
+    }
+  }
+
+  return { TABLES: Object.keys(EXPORT_COLUMNS), parseFilters, format, run };
+}
+
+module.exports = { createExportService };
@@ -0,0 +1,148 @@
+'use strict';
+
+const FUNNEL_ASSET_LIMIT = 50;
+const DOWNLOAD_TYPES = ['download', 'download_all'];
+
+function rate(n, of) {
+  return of > 0 ? Math.round((n / of) * 10000) / 10000 : null;
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  const value = sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  return Math.round(value * 10) / 10;
+}
+
+// Events can land a moment before the pageview beacon, so out-of-order steps count as 0s.
+function secondsBetween(from, to) {
+  return Math.max(0, (Date.parse(to) - Date.parse(from)) / 1000);
+}
+
+// Keeps the earliest timestamp per session.
+function addFirst(map, sessionId, ts) {
+  const current = map.get(sessionId);
+  if (current === undefined || ts < current) map.set(sessionId, ts);
+}
+
+function bucket(map, key) {
+  if (!map.has(key)) map.set(key, new Map());
+  return map.get(key);
+}
+
+// visited/opened/downloaded: Map<session_id, first ts>. A session only moves on to the
+// next step if it took the previous one; downloads straight from the grid are counted apart.
+function buildFunnel(visited, opened, downloaded) {
+  const toModal = [];
+  const toDownload = [];
+  let openedSessions = 0;
+  let downloadedSessions = 0;
+  let directDownloads = 0;
+  for (const [sessionId, visitedAt] of visited) {
+    const openedAt = opened.get(sessionId);
+    const downloadedAt = downloaded.get(sessionId);
+    if (openedAt === undefined) {
+      if (downloadedAt !== undefined) directDownloads++;
+      continue;
+    }
+    openedSessions++;
+    toModal.push(secondsBetween(visitedAt, openedAt));
+    if (downloadedAt === undefined) continue;
+    downloadedSessions++;
+    toDownload.push(secondsBetween(openedAt, downloadedAt));
+  }
+  return {
+    steps: [
+      { step: 'pageview', sessions: visited.size },
+      { step: 'modal_open', sessions: openedSessions, rate: rate(openedSessions, visited.size), median_seconds: median(toModal) },
+      { step: 'download', sessions: downloadedSessions, rate: rate(downloadedSessions, openedSessions), median_seconds: median(toDownload) },
+    ],
+    conversion_rate: rate(downloadedSessions, visited.size),
+    direct_downloads: directDownloads,
+  };
+}
+
+// Download funnel per category and per asset: category page visited -> modal opened -> downloaded,
+// counted in sessions. Reads raw visits, so it only reaches back as far as visit retention keeps them.
+function createFunnelService({ db, assetService, readCats }) {
+  function categoryForPage(page, cats) {
+    const path = String(page || '').replace(/\/+$/, '');
+    const custom = path.match(/^\/c\/([^/]+)$/);
+    if (custom) {
+      let slug = custom[1];
+      try { slug = decodeURIComponent(slug); } catch (e) { /* keep raw */ }
+      return cats.some((c) => c.slug === slug) ? slug : null;
+    }
+    // Built-in categories also have a top-level page (/wallpapers, /ebook, /stl).
+    const legacy = cats.find((c) => c.builtIn && '/' + c.slug === path);
+    return legacy ? legacy.slug : null;
+  }
+
+  async function getFunnels(days) {
+    const since = new Date(Date.now() - days * 86400000).toISOString();
+    const [rows, assets, cats] = await Promise.all([db.getFunnelRows(since), assetService.readData(), readCats()]);
+    const assetList = Array.isArray(assets) ? assets : [];
+
+    // Variant downloads count towards their asset.
+    const assetIdFor = new Map();
+    for (const asset of assetList) {
+      assetIdFor.set(asset.id, asset.id);
+      for (const v of (asset.variants || [])) if (v && v.id) assetIdFor.set(v.id, asset.id);
+    }
+
+    const visitedByCategory = new Map();
+    for (const row of rows.visits) {
+      const slug = categoryForPage(row.page, cats);
+      if (slug) addFirst(bucket(visitedByCategory, slug), row.session_id, row.first_ts);
+    }
+
+    const openedByCategory = new Map();
+    const downloadedByCategory = new Map();
+    const openedByAsset = new Map();
+    const downloadedByAsset = new Map();
+    const eventCategoryOf = new Map();
+    for (const row of rows.events) {
+      const isDownload = DOWNLOAD_TYPES.includes(row.type);
+      if (row.asset_category) {
+        addFirst(bucket(isDownload ? downloadedByCategory : openedByCategory, row.asset_category), row.session_id, row.first_ts);
+      }
+      if (row.type === 'download_all' || !row.asset_id) continue;
+      const assetId = assetIdFor.get(row.asset_id) || row.asset_id;
+      addFirst(bucket(row.type === 'download' ? downloadedByAsset : openedByAsset, assetId), row.session_id, row.first_ts);
+      if (row.asset_category && !eventCategoryOf.has(assetId)) eventCategoryOf.set(assetId, row.asset_category);
+    }
+
+    const empty = new Map();
+    const slugs = new Set([...visitedByCategory.keys(), ...openedByCategory.keys(), ...downloadedByCategory.keys()]);
+    const categories = cats
+      .filter((c) => slugs.has(c.slug))
+      .map((c) => ({
+        category: c.slug,
+        label: c.label || c.slug,
+        ...buildFunnel(visitedByCategory.get(c.slug) || empty, openedByCategory.get(c.slug) || empty, downloadedByCategory.get(c.slug) || empty),
+      }));
+
+    const assetById = new Map(assetList.map((a) => [a.id, a]));
+    const assetIds = new Set([...openedByAsset.keys(), ...downloadedByAsset.keys()]);
+    const assetFunnels = [...assetIds].map((id) => {
+      const asset = assetById.get(id);
+      const category = (asset && asset.category) || eventCategoryOf.get(id) || '';
+      return {
+        asset_id: id,
+        title: (asset && asset.title) || '',
+        category,
+        ...buildFunnel(visitedByCategory.get(category) || empty, openedByAsset.get(id) || empty, downloadedByAsset.get(id) || empty),
+      };
+    });
+    assetFunnels.sort((a, b) => b.steps[2].sessions - a.steps[2].sessions
+      || b.steps[1].sessions - a.steps[1].sessions
+      || a.asset_id.localeCompare(b.asset_id));
+
+    return { days, since, categories, assets: assetFunnels.slice(0, FUNNEL_ASSET_LIMIT) };
+  }
+
+  return { getFunnels };
+}
+
+module.exports = { createFunnelService };
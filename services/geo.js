@@ -0,0 +1,344 @@
+'use strict';
+
+const net = require('net');
+
+const REMOTE_TIMEOUT_MS = 2000;
+const REMOTE_CACHE_LIMIT = 5000;
+const MMDB_METADATA_MARKER = Buffer.from('abcdef4d61784d696e642e636f6d', 'hex');
+const EMPTY_GEO = { country: '', region: '', city: '', isp: '', lat: 0, lon: 0, tz: '' };
+const LOCAL_GEO = { ...EMPTY_GEO, country: 'Local' };
+
+// Loopback, private, link-local, CGNAT, unspecified, documentation, benchmarking, NAT64,
+// discard, multicast and reserved networks never reach a geo database.
+const PRIVATE_V4 = [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4],
+];
+const PRIVATE_V6 = [
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10],
+  ['ff00::', 8],
+];
+
+// 4 or 16 bytes for an IP address, or null. IPv4-mapped IPv6 addresses come back as IPv4.
+function ipToBytes(value) {
+  const ip = String(value || '').trim().replace(/%.*$/, '');
+  const family = net.isIP(ip);
+  if (family === 4) return Buffer.from(ip.split('.').map(Number));
+  if (family !== 6) return null;
+  const [head, tail] = ip.split('::');
+  const parseGroups = (part) => {
+    if (!part) return [];
+    const groups = part.split(':');
+    const last = groups[groups.length - 1];
+    if (last.includes('.')) {
+      const v4 = last.split('.').map(Number);
+      groups.splice(-1, 1, ((v4[0] << 8) | v4[1]).toString(16), ((v4[2] << 8) | v4[3]).toString(16));
+    }
+    return groups.map((g) => parseInt(g, 16));
+  };
+  const left = parseGroups(head);
+  const right = tail === undefined ? [] : parseGroups(tail);
+  const groups = left.concat(new Array(8 - left.length - right.length).fill(0), right);
+  const bytes = Buffer.alloc(16);
+  groups.forEach((g, i) => bytes.writeUInt16BE(g, i * 2));
+  const mapped = bytes.subarray(0, 10).every((b) => b === 0) && bytes[10] === 0xff && bytes[11] === 0xff;
+  return mapped ? Buffer.from(bytes.subarray(12)) : bytes;
+}
+
+function inPrefix(bytes, network, bits) {
+  const prefix = ipToBytes(network);
+  if (!prefix || prefix.length !== bytes.length) return false;
+  for (let i = 0; i < bits; i++) {
+    const mask = 0x80 >> (i % 8);
+    if ((bytes[i >> 3] & mask) !== (prefix[i >> 3] & mask)) return false;
+  }
+  return true;
+}
+
+function isPrivateIp(ip) {
+  const bytes = ipToBytes(ip);
+  if (!bytes) return true;
+  const ranges = bytes.length === 4 ? PRIVATE_V4 : PRIVATE_V6;
+  return ranges.some(([network, bits]) => inPrefix(bytes, network, bits));
+}
+
+function bytesToBigInt(bytes) {
+  return BigInt('0x' + bytes.toString('hex'));
+}
+
+// Range files may hold ISO country codes; visits store English names like the remote API did.
+const regionNames = typeof Intl.DisplayNames === 'function' ? new Intl.DisplayNames(['en'], { type: 'region' }) : null;
+function countryName(value) {
+  const v = String(value || '').trim();
+  if (regionNames && /^[A-Z]{2}$/.test(v) && v !== 'ZZ') {
+    try {
+      return regionNames.of(v) || v;
+    } catch (e) {
+      return v;
+    }
+  }
+  return v;
+}
+
+// Minimal reader for MaxMind DB files (GeoLite2 / GeoIP2 City, Country, ASN, ISP).
+function openMmdb(buf) {
+  const markerAt = buf.lastIndexOf(MMDB_METADATA_MARKER);
+  if (markerAt === -1) throw new Error('Not a MaxMind DB file');
+
+  function decode(offset, base) {
+    const ctrl = buf[offset++];
+    let type = ctrl >> 5;
+    if (type === 1) {
+      const ss = (ctrl >> 3) & 3;
+      const vvv = ctrl & 7;
+      let pointer;
+      if (ss === 0) pointer = (vvv << 8) | buf[offset];
+      else if (ss === 1) pointer = ((vvv << 16) | buf.readUInt16BE(offset)) + 2048;
+      else if (ss === 2) pointer = ((vvv << 24) | buf.readUIntBE(offset, 3)) + 526336;
+      else pointer = buf.readUInt32BE(offset);
+      return { value: decode(base + pointer, base).value, next: offset + ss + 1 };
+    }
+    if (type === 0) type = 7 + buf[offset++];
+    let size = ctrl & 0x1f;
+    if (size === 29) size = 29 + buf[offset++];
+    else if (size === 30) { size = 285 + buf.readUInt16BE(offset); offset += 2; }
+    else if (size === 31) { size = 65821 + buf.readUIntBE(offset, 3); offset += 3; }
+    switch (type) {
+      case 2: return { value: buf.toString('utf8', offset, offset + size), next: offset + size };
+      case 3: return { value: buf.readDoubleBE(offset), next: offset + 8 };
+      case 4: return { value: buf.subarray(offset, offset + size), next: offset + size };
+      case 8:
+        if (size === 4) return { value: buf.readInt32BE(offset), next: offset + 4 };
+      // falls through: shorter int32 values are stored without their leading zero bytes
+      case 5: case 6: case 9: case 10: {
+        let n = 0;
+        for (let i = 0; i < size; i++) n = n * 256 + buf[offset + i];
+        return { value: n, next: offset + size };
+      }
+      case 7: {
+        const map = {};
+        for (let i = 0; i < size; i++) {
+          const key = decode(offset, base);
+          const val = decode(key.next, base);
+          map[key.value] = val.value;
+          offset = val.next;
+        }
+        return { value: map, next: offset };
+      }
+      case 11: {
+        const list = [];
+        for (let i = 0; i < size; i++) {
+          const item = decode(offset, base);
+          list.push(item.value);
+          offset = item.next;
+        }
+        return { value: list, next: offset };
+      }
+      case 14: return { value: size !== 0, next: offset };
+      case 15: return { value: buf.readFloatBE(offset), next: offset + 4 };
+      default: throw new Error(`Unsupported MaxMind DB data type ${type}`);
+    }
+  }
+
+  const metadataStart = markerAt + MMDB_METADATA_MARKER.length;
+  const meta = decode(metadataStart, metadataStart).value;
+  const nodeCount = meta.node_count;
+  const recordSize = meta.record_size;
+  const nodeBytes = recordSize / 4;
+  if (![24, 28, 32].includes(recordSize)) throw new Error(`Unsupported MaxMind DB record size ${recordSize}`);
+  const treeSize = nodeBytes * nodeCount;
+  const dataStart = treeSize + 16;
+
+  function readRecord(node, right) {
+    const at = node * nodeBytes;
+    if (recordSize === 24) return buf.readUIntBE(at + (right ? 3 : 0), 3);
+    if (recordSize === 32) return buf.readUInt32BE(at + (right ? 4 : 0));
+    const middle = buf[at + 3];
+    return right
+      ? ((middle & 0x0f) * 0x1000000) + buf.readUIntBE(at + 4, 3)
+      : ((middle >> 4) * 0x1000000) + buf.readUIntBE(at, 3);
+  }
+
+  // IPv4 addresses live under ::/96 in an IPv6 tree.
+  let ipv4Root = 0;
+  if (meta.ip_version === 6) {
+    for (let i = 0; i < 96 && ipv4Root < nodeCount; i++) ipv4Root = readRecord(ipv4Root, 0);
+  }
+
+  function lookup(bytes) {
+    if (bytes.length === 16 && meta.ip_version !== 6) return null;
+    let node = bytes.length === 4 ? ipv4Root : 0;
+    const bits = bytes.length * 8;
+    for (let i = 0; i < bits && node < nodeCount; i++) {
+      node = readRecord(node, (bytes[i >> 3] >> (7 - (i % 8))) & 1);
+    }
+    if (node <= nodeCount) return null;
+    return decode(dataStart + node - nodeCount - 16, dataStart).value;
+  }
+
+  return { type: meta.database_type || 'mmdb', lookup };
+}
+
+function fromMmdbRecord(record) {
+  const name = (entry) => (entry && ((entry.names && entry.names.en) || entry.iso_code)) || '';
+  const location = record.location || {};
+  return {
+    country: name(record.country) || name(record.registered_country),
+    region: name(record.subdivisions && record.subdivisions[0]),
+    city: name(record.city),
+    isp: record.isp || record.organization || record.autonomous_system_organization || '',
+    lat: location.latitude || 0,
+    lon: location.longitude || 0,
+    tz: location.time_zone || '',
+  };
+}
+
+function splitCsvLine(line) {
+  const out = [];
+  let cur = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { cur += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cur += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { out.push(cur); cur = ''; }
+    else cur += ch;
+  }
+  out.push(cur);
+  return out;
+}
+
+// Range files: start,end,country[,region,city,lat,lon,tz] per line, addresses either
+// dotted/colon notation or integers (IP2Location style). Lines must be sorted per family.
+function openRangeCsv(text) {
+  const families = { 4: { starts: [], ends: [], rows: [] }, 6: { starts: [], ends: [], rows: [] } };
+  const toKey = (value) => {
+    const v = value.trim();
+    if (/^\d+$/.test(v)) {
+      const n = BigInt(v);
+      return { family: n <= 0xffffffffn ? 4 : 6, n };
+    }
+    const bytes = ipToBytes(v);
+    return bytes ? { family: bytes.length === 4 ? 4 : 6, n: bytesToBigInt(bytes) } : null;
+  };
+  text.split(/\r?\n/).forEach((line) => {
+    if (!line.trim()) return;
+    const cols = splitCsvLine(line);
+    const start = toKey(cols[0] || '');
+    const end = toKey(cols[1] || '');
+    if (!start || !end || start.family !== end.family) return;
+    const f = families[start.family];
+    f.starts.push(start.n);
+    f.ends.push(end.n);
+    f.rows.push({
+      country: countryName(cols[2]),
+      region: (cols[3] || '').trim(),
+      city: (cols[4] || '').trim(),
+      isp: '',
+      lat: Number(cols[5]) || 0,
+      lon: Number(cols[6]) || 0,
+      tz: (cols[7] || '').trim(),
+    });
+  });
+
+  function lookup(bytes) {
+    const f = families[bytes.length === 4 ? 4 : 6];
+    const n = bytesToBigInt(bytes);
+    let lo = 0;
+    let hi = f.starts.length - 1;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (f.starts[mid] > n) hi = mid - 1;
+      else if (f.ends[mid] < n) lo = mid + 1;
+      else return f.rows[mid];
+    }
+    return null;
+  }
+
+  return { type: 'csv', ranges: families[4].rows.length + families[6].rows.length, lookup };
+}
+
+// Resolves visitor IPs to country / region / city from a local database named by
+// GEO_DB_PATH (.mmdb or range .csv), loaded once at startup. The remote ip-api.com
+// lookup only runs when GEO_REMOTE_FALLBACK=1 and the local database has no answer.
+function createGeoService({ fs, path, rootDir, cleanEnv }) {
+  let reader = null;
+  let source = null;
+  const remoteCache = new Map();
+
+  function load() {
+    const configured = cleanEnv(process.env.GEO_DB_PATH);
+    reader = null;
+    source = null;
+    if (!configured) return;
+    const file = path.isAbsolute(configured) ? configured : path.join(rootDir, configured);
+    try {
+      const buf = fs.readFileSync(file);
+      reader = /\.csv$/i.test(file) ? openRangeCsv(buf.toString('utf8')) : openMmdb(buf);
+      source = file;
+      console.log(`Geo database loaded: ${path.basename(file)} (${reader.type})`);
+    } catch (e) {
+      console.warn('Geo database not loaded:', e.message);
+    }
+  }
+
+  function remoteEnabled() {
+    return ['1', 'true', 'yes', 'on'].includes(String(cleanEnv(process.env.GEO_REMOTE_FALLBACK) || '').toLowerCase());
+  }
+
+  async function lookupRemote(ip) {
+    if (remoteCache.has(ip)) return remoteCache.get(ip);
+    try {
+      const r = await fetch(`http://ip-api.com/json/${encodeURIComponent(ip)}?fields=status,country,regionName,city,isp,lat,lon,timezone`, {
+        signal: AbortSignal.timeout(REMOTE_TIMEOUT_MS),
+      });
+      const d = await r.json();
+      if (d.status !== 'success') return null;
+      const geo = {
+        country: d.country || '',
+        region: d.regionName || '',
+        city: d.city || '',
+        isp: d.isp || '',
+        lat: d.lat || 0,
+        lon: d.lon || 0,
+        tz: d.timezone || '',
+      };
+      if (remoteCache.size > REMOTE_CACHE_LIMIT) remoteCache.clear();
+      remoteCache.set(ip, geo);
+      return geo;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  async function lookup(ip) {
+    if (!ip || isPrivateIp(ip)) return LOCAL_GEO;
+    const bytes = ipToBytes(ip);
+    if (reader) {
+      try {
+        const found = reader.lookup(bytes);
+        if (found) return reader.type === 'csv' ? found : fromMmdbRecord(found);
+      } catch (e) {
+        console.warn('Geo lookup failed:', e.message);
+      }
+    }
+    if (remoteEnabled()) return (await lookupRemote(ip)) || EMPTY_GEO;
+    return EMPTY_GEO;
+  }
+
+  function describe() {
+    return {
+      database: source ? path.basename(source) : null,
+      type: reader ? reader.type : null,
+      remoteFallback: remoteEnabled(),
+    };
+  }
+
+  return { load, lookup, describe, isPrivateIp };
+}
+
+module.exports = { createGeoService, ipToBytes, isPrivateIp, openMmdb, openRangeCsv };
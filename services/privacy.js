@@ -0,0 +1,122 @@
+'use strict';
+
+const CONSENT_COOKIE = 'maya_consent';
+const RETENTION_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+function isOn(value) {
+  return ['1', 'true', 'yes', 'on'].includes(String(value || '').toLowerCase());
+}
+
+// Keeps the network, drops the host: /24 for IPv4, /48 for IPv6.
+function truncateIp(ip) {
+  const value = String(ip || '').trim();
+  if (!value) return '';
+  const mapped = value.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  const v4 = mapped ? mapped[1] : value;
+  if (/^\d+\.\d+\.\d+\.\d+$/.test(v4)) return v4.replace(/\.\d+$/, '.0');
+  if (!value.includes(':')) return '';
+  const [head] = value.split('::');
+  const groups = head ? head.split(':') : [];
+  return groups.slice(0, 3).join(':') + '::';
+}
+
+// Tracking signals the browser sends on every request (Do-Not-Track, Global Privacy Control).
+function hasOptOutHeader(req) {
+  return req.headers.dnt === '1' || req.headers['sec-gpc'] === '1';
+}
+
+// Privacy mode (PRIVACY_MODE=1) stores truncated IPs and country-level geo only.
+// Retention (VISIT_RETENTION_DAYS) rolls closed days of visits up into
+// daily aggregates, then deletes the raw rows older than the window.
+function createPrivacy({ db, crypto, cleanEnv, rollups }) {
+  let lastRetentionRun = null;
+  let retentionRunning = false;
+  let guardSalt = null;
+
+  function getConfig() {
+    const days = parseInt(cleanEnv(process.env.VISIT_RETENTION_DAYS), 10);
+    return {
+      privacyMode: isOn(cleanEnv(process.env.PRIVACY_MODE)),
+      consentRequired: isOn(cleanEnv(process.env.CONSENT_REQUIRED)),
+      retentionDays: Number.isFinite(days) && days > 0 ? days : 0,
+    };
+  }
+
+  function scrubIp(ip) {
+    return getConfig().privacyMode ? truncateIp(ip) : String(ip || '');
+  }
+
+  // Count guards need to tell IPs apart for a day, not to know them: under privacy mode
+  // they key on a hash of the day and IP, salted with a secret every instance shares.
+  async function guardSubject(ip, day) {
+    if (!ip || !getConfig().privacyMode) return ip;
+    if (!guardSalt) {
+      guardSalt = db.getCountGuardSalt(crypto.randomBytes(32).toString('hex')).catch((e) => {
+        guardSalt = null;
+        throw e;
+      });
+    }
+    return 'h:' + crypto.createHmac('sha256', await guardSalt).update(day + '|' + ip).digest('hex').slice(0, 32);
+  }
+
+  // With CONSENT_REQUIRED=1 only browsers whose consent cookie says granted may be profiled.
+  function hasConsent(cookies) {
+    return !getConfig().consentRequired || cookies[CONSENT_COOKIE] === 'granted';
+  }
+
+  function scrubVisit(visit) {
+    if (!getConfig().privacyMode) return visit;
+    return {
+      ...visit,
+      ip: truncateIp(visit.ip),
+      region: '',
+      city: '',
+      isp: '',
+      lat: null,
+      lon: null,
+      ua: '',
+    };
+  }
+
+  async function runRetention() {
+    if (retentionRunning) return lastRetentionRun;
+    retentionRunning = true;
+    try {
+      const { retentionDays } = getConfig();
+      const startedAt = new Date();
+      const today = startedAt.toISOString().slice(0, 10);
+      const days = await rollups.rollupClosedDays();
+      let purged = 0;
+      let cutoff = null;
+      if (retentionDays) {
+        cutoff = new Date(Date.parse(today + 'T00:00:00Z') - retentionDays * 86400000).toISOString();
+        purged = await db.purgeVisitsBefore(cutoff);
+      }
+      lastRetentionRun = { ran_at: startedAt.toISOString(), rolled_up_days: days, purged_visits: purged, cutoff };
+      return lastRetentionRun;
+    } finally {
+      retentionRunning = false;
+    }
+  }
+
+  function scheduleRetention() {
+    const run = () => runRetention().catch((e) => console.warn('Visit retention failed:', e.message));
+    run();
+    setInterval(run, RETENTION_INTERVAL_MS).unref();
+  }
+
+  return {
+    CONSENT_COOKIE,
+    getConfig,
+    getLastRetentionRun: () => lastRetentionRun,
+    hasOptOutHeader,
+    hasConsent,
+    guardSubject,
+    scrubIp,
+    scrubVisit,
+    runRetention,
+    scheduleRetention,
+  };
+}
+
+module.exports = { createPrivacy, truncateIp };
@@ -0,0 +1,217 @@
+'use strict';
+
+// Burst size and the window over which a drained bucket fully refills.
+const DEFAULT_ROUTE_LIMITS = {
+  download: { capacity: 30, windowMs: 60 * 1000 },
+  zip: { capacity: 5, windowMs: 60 * 1000 },
+  preview: { capacity: 120, windowMs: 60 * 1000 },
+  track: { capacity: 120, windowMs: 60 * 1000 },
+  login: { capacity: 10, windowMs: 60 * 1000 },
+  stream: { capacity: 20, windowMs: 60 * 1000 },
+};
+const DEFAULT_DAILY_BYTES_PER_IP = 10 * 1024 * 1024 * 1024;
+const MAX_BUCKETS = 20000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+const TOP_LIMITED_SIZE = 10;
+
+function utcDay(now) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+function secondsUntilUtcMidnight(now) {
+  const d = new Date(now);
+  const midnight = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1);
+  return Math.max(1, Math.ceil((midnight - now) / 1000));
+}
+
+// In-memory token buckets and byte quotas; each instance enforces its own share.
+function createRateLimiter({ cleanEnv }) {
+  const buckets = new Map();
+  const quotaUsage = new Map();
+  let quotaDay = utcDay(Date.now());
+  const startedAt = new Date().toISOString();
+  const counters = {};
+  const limitedKeys = new Map();
+  let quotaBlocked = 0;
+  let lastSweepAt = 0;
+
+  // RATE_LIMIT_<ROUTE>="<requests>/<seconds>", or "0" to switch the route off.
+  function getRouteLimit(route) {
+    const fallback = DEFAULT_ROUTE_LIMITS[route];
+    const raw = cleanEnv(process.env['RATE_LIMIT_' + route.toUpperCase()]);
+    if (!raw) return fallback;
+    if (raw === '0') return null;
+    const m = raw.match(/^(\d+)\s*\/\s*(\d+)$/);
+    if (!m || Number(m[1]) <= 0 || Number(m[2]) <= 0) return fallback;
+    return { capacity: Number(m[1]), windowMs: Number(m[2]) * 1000 };
+  }
+
+  function getDailyByteQuota() {
+    const raw = cleanEnv(process.env.DOWNLOAD_QUOTA_BYTES_PER_DAY);
+    if (!raw) return DEFAULT_DAILY_BYTES_PER_IP;
+    const n = Number(raw);
+    return Number.isFinite(n) && n >= 0 ? Math.floor(n) : DEFAULT_DAILY_BYTES_PER_IP;
+  }
+
+  function getCounter(route) {
+    if (!counters[route]) counters[route] = { allowed: 0, limited: 0 };
+    return counters[route];
+  }
+
+  function refill(key, limit, now) {
+    let bucket = buckets.get(key);
+    if (!bucket) {
+      bucket = { tokens: limit.capacity, updatedAt: now };
+      buckets.set(key, bucket);
+      return bucket;
+    }
+    bucket.tokens = Math.min(limit.capacity, bucket.tokens + ((now - bucket.updatedAt) * limit.capacity) / limit.windowMs);
+    bucket.updatedAt = now;
+    return bucket;
+  }
+
+  // Idle buckets are dropped at most once a minute; under a flood of fresh keys a
+  // per-request sweep would walk every bucket on every request.
+  function sweep(now) {
+    if (buckets.size <= MAX_BUCKETS || now - lastSweepAt < SWEEP_INTERVAL_MS) return;
+    lastSweepAt = now;
+    const longestWindow = Math.max(...Object.keys(DEFAULT_ROUTE_LIMITS).map((route) => {
+      const limit = getRouteLimit(route);
+      return limit ? limit.windowMs : 0;
+    }));
+    for (const [key, bucket] of buckets.entries()) {
+      if (now - bucket.updatedAt > longestWindow) buckets.delete(key);
+    }
+  }
+
+  function noteLimited(subject) {
+    limitedKeys.set(subject, (limitedKeys.get(subject) || 0) + 1);
+    if (limitedKeys.size > MAX_BUCKETS) limitedKeys.clear();
+  }
+
+  function emptyBuckets(route, subjects, limit, now) {
+    const keyed = subjects.filter(Boolean).map((subject) => ({ subject, bucket: refill(route + '|' + subject, limit, now) }));
+    const empty = keyed.filter((k) => k.bucket.tokens < 1);
+    if (!empty.length) return { keyed, retryAfter: 0 };
+    const deficit = Math.max(...empty.map((k) => 1 - k.bucket.tokens));
+    empty.forEach((k) => noteLimited(k.subject));
+    return { keyed, retryAfter: Math.max(1, Math.ceil((deficit * limit.windowMs) / limit.capacity / 1000)) };
+  }
+
+  // Seconds until every subject's bucket holds a token again, without taking one.
+  function peek(route, subjects) {
+    const limit = getRouteLimit(route);
+    if (!limit) return 0;
+    const { retryAfter } = emptyBuckets(route, subjects, limit, Date.now());
+    if (retryAfter) getCounter(route).limited += 1;
+    return retryAfter;
+  }
+
+  // Takes one token from every subject's bucket, or none if any is empty.
+  // Returns 0 when allowed, otherwise the seconds until a token frees up.
+  function take(route, subjects) {
+    const limit = getRouteLimit(route);
+    const counter = getCounter(route);
+    if (!limit) {
+      counter.allowed += 1;
+      return 0;
+    }
+    const now = Date.now();
+    sweep(now);
+    const { keyed, retryAfter } = emptyBuckets(route, subjects, limit, now);
+    if (retryAfter) {
+      counter.limited += 1;
+      return retryAfter;
+    }
+    keyed.forEach((k) => { k.bucket.tokens -= 1; });
+    counter.allowed += 1;
+    return 0;
+  }
+
+  function rollQuotaDay(now) {
+    const day = utcDay(now);
+    if (day !== quotaDay) {
+      quotaDay = day;
+      quotaUsage.clear();
+    }
+  }
+
+  // Seconds until the quota resets when the IP is over it, otherwise 0.
+  function checkQuota(ip) {
+    const quota = getDailyByteQuota();
+    if (!quota || !ip) return 0;
+    const now = Date.now();
+    rollQuotaDay(now);
+    if ((quotaUsage.get(ip) || 0) < quota) return 0;
+    quotaBlocked += 1;
+    noteLimited('ip:' + ip);
+    return secondsUntilUtcMidnight(now);
+  }
+
+  function addBytes(ip, bytes) {
+    if (!ip || !bytes) return;
+    rollQuotaDay(Date.now());
+    quotaUsage.set(ip, (quotaUsage.get(ip) || 0) + bytes);
+  }
+
+  function rejectTooMany(res, retryAfter, error) {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ error, retryAfter });
+  }
+
+  // getSubjects(req) returns { ip, sessionId } for the request.
+  function middleware(route, getSubjects) {
+    return (req, res, next) => {
+      const { ip, sessionId } = getSubjects(req);
+      const retryAfter = take(route, [ip && 'ip:' + ip, sessionId && 'sid:' + sessionId]);
+      if (retryAfter) return rejectTooMany(res, retryAfter, 'Too many requests');
+      next();
+    };
+  }
+
+  function quotaMiddleware(getSubjects) {
+    return (req, res, next) => {
+      const retryAfter = checkQuota(getSubjects(req).ip);
+      if (retryAfter) return rejectTooMany(res, retryAfter, 'Daily download quota exceeded');
+      next();
+    };
+  }
+
+  function getStats() {
+    rollQuotaDay(Date.now());
+    const quota = getDailyByteQuota();
+    let bytesToday = 0;
+    let ipsOverQuota = 0;
+    for (const used of quotaUsage.values()) {
+      bytesToday += used;
+      if (quota && used >= quota) ipsOverQuota += 1;
+    }
+    return {
+      since: startedAt,
+      routes: Object.keys(DEFAULT_ROUTE_LIMITS).map((route) => {
+        const limit = getRouteLimit(route);
+        return {
+          route,
+          capacity: limit ? limit.capacity : 0,
+          window_seconds: limit ? limit.windowMs / 1000 : 0,
+          ...getCounter(route),
+        };
+      }),
+      quota: {
+        bytes_per_day: quota,
+        bytes_today: bytesToday,
+        ips_today: quotaUsage.size,
+        ips_over_quota: ipsOverQuota,
+        blocked: quotaBlocked,
+      },
+      top_limited: Array.from(limitedKeys.entries())
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, TOP_LIMITED_SIZE)
+        .map(([subject, n]) => ({ subject, n })),
+    };
+  }
+
+  return { take, peek, rejectTooMany, middleware, quotaMiddleware, addBytes, getStats };
+}
+
+module.exports = { createRateLimiter };
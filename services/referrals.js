@@ -0,0 +1,51 @@
+'use strict';
+
+const REFERRAL_CODE_RE = /^[A-Za-z0-9_-]{6,16}$/;
+const CODE_ATTEMPTS = 3;
+
+// Each tracker session can hand out one referral code (?ref=<code> on the share link).
+// A session that lands through someone's link is credited to that code for good,
+// so its downloads count towards the referrer's contribution.
+function createReferralService({ db, crypto }) {
+  function normalizeCode(value) {
+    const code = String(value || '').trim();
+    return REFERRAL_CODE_RE.test(code) ? code : '';
+  }
+
+  async function getOrCreateCode(sessionId) {
+    const existing = await db.getReferralCodeForSession(sessionId);
+    if (existing) return existing.code;
+    for (let i = 0; i < CODE_ATTEMPTS; i++) {
+      const code = crypto.randomBytes(6).toString('base64url');
+      if (await db.createReferralCode({ code, session_id: sessionId, created_at: new Date().toISOString() })) return code;
+      // Lost a race with another request from the same session.
+      const raced = await db.getReferralCodeForSession(sessionId);
+      if (raced) return raced.code;
+    }
+    throw new Error('Could not allocate a referral code');
+  }
+
+  // Following your own link does not make you your own referral.
+  async function recordReferral(sessionId, value, ts) {
+    const code = normalizeCode(value);
+    if (!code || !sessionId) return false;
+    const owner = await db.getReferralCode(code);
+    if (!owner || owner.session_id === sessionId) return false;
+    await db.recordReferredSession({ session_id: sessionId, code, ts });
+    return true;
+  }
+
+  // scope: { category, from, to } of the counter the mission is measured against.
+  async function getContribution(sessionId, source, scope) {
+    const owned = sessionId ? await db.getReferralCodeForSession(sessionId) : null;
+    const code = owned ? owned.code : null;
+    const counts = sessionId
+      ? await db.getReferralContribution(source, scope || {}, sessionId, code)
+      : { own: 0, referred: 0, referredSessions: 0 };
+    return { code, ...counts, total: counts.own + counts.referred };
+  }
+
+  return { normalizeCode, getOrCreateCode, recordReferral, getContribution };
+}
+
+module.exports = { createReferralService };
@@ -0,0 +1,57 @@
+'use strict';
+
+// Yesterday gets rolled up within the hour after midnight UTC.
+const ROLLUP_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function isDay(value) {
+  return DAY_RE.test(value) && Number.isFinite(Date.parse(value));
+}
+
+// Keeps the daily analytics rollups (visit_rollups, event_rollups) up to date.
+// Each closed UTC day is rolled up once; rebuild() recomputes a range from raw rows.
+// Runs one at a time so the scheduled pass, retention and rebuilds never overlap.
+function createRollupService({ db }) {
+  let queue = Promise.resolve();
+
+  function serialized(fn) {
+    const run = queue.then(fn);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  function today() {
+    return new Date().toISOString().slice(0, 10);
+  }
+
+  function rollupClosedDays() {
+    return serialized(async () => {
+      const days = await db.listUnrolledDays(today());
+      for (const day of days) await db.rollupDay(day);
+      return days;
+    });
+  }
+
+  // from/to: 'YYYY-MM-DD', both inclusive. Today is never rolled up. Returns { days } or { error }.
+  function rebuild({ from, to } = {}) {
+    const fromDay = from || '0000-01-01';
+    if (!isDay(fromDay) || (to && !isDay(to))) return Promise.resolve({ error: 'from and to must be YYYY-MM-DD dates' });
+    if (to && to < fromDay) return Promise.resolve({ error: 'to must not be before from' });
+    return serialized(async () => {
+      const end = to ? new Date(Date.parse(to + 'T00:00:00Z') + 86400000).toISOString().slice(0, 10) : today();
+      const days = await db.listRollupCandidateDays(fromDay, end < today() ? end : today());
+      for (const day of days) await db.rollupDay(day);
+      return { days };
+    });
+  }
+
+  function schedule() {
+    const run = () => rollupClosedDays().catch((e) => console.warn('Analytics rollup failed:', e.message));
+    run();
+    setInterval(run, ROLLUP_INTERVAL_MS).unref();
+  }
+
+  return { rollupClosedDays, rebuild, schedule };
+}
+
+module.exports = { createRollupService };
@@ -0,0 +1,75 @@
+'use strict';
+
+// Assets and categories may carry publishAt / unpublishAt (ISO timestamps).
+// Outside that window they are treated as hidden, whatever their visible flag says.
+
+function toScheduleTime(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const t = Date.parse(value);
+  return Number.isFinite(t) ? new Date(t).toISOString() : undefined;
+}
+
+// Picks publishAt / unpublishAt out of a request body. Fields that are absent
+// stay absent; empty values clear the schedule.
+function readScheduleFields(body) {
+  const fields = {};
+  for (const key of ['publishAt', 'unpublishAt']) {
+    if (!body || body[key] === undefined) continue;
+    const value = toScheduleTime(body[key]);
+    if (value === undefined) return { error: `${key} must be an ISO date-time or empty` };
+    fields[key] = value;
+  }
+  if (fields.publishAt && fields.unpublishAt && fields.unpublishAt <= fields.publishAt) {
+    return { error: 'unpublishAt must be later than publishAt' };
+  }
+  return { fields };
+}
+
+function isWithinWindow(item, now = Date.now()) {
+  if (!item) return false;
+  if (item.publishAt && Date.parse(item.publishAt) > now) return false;
+  if (item.unpublishAt && Date.parse(item.unpublishAt) <= now) return false;
+  return true;
+}
+
+function isLive(item, now = Date.now()) {
+  return !!item && item.visible !== false && isWithinWindow(item, now);
+}
+
+// An asset is published when its own window and its category's window are both open.
+function isAssetPublished(asset, categories, now = Date.now()) {
+  if (!isWithinWindow(asset, now)) return false;
+  const cat = (categories || []).find((c) => c.slug === asset.category);
+  return !cat || isWithinWindow(cat, now);
+}
+
+// Upcoming publish / unpublish moments, soonest first.
+function buildSchedule(assets, categories, now = Date.now()) {
+  const events = [];
+  const push = (type, item, id, title) => {
+    ['publishAt', 'unpublishAt'].forEach((key) => {
+      if (!item[key] || Date.parse(item[key]) <= now) return;
+      events.push({
+        at: item[key],
+        action: key === 'publishAt' ? 'publish' : 'unpublish',
+        type,
+        id,
+        title,
+        category: type === 'asset' ? item.category || '' : item.slug,
+        visible: item.visible !== false,
+      });
+    });
+  };
+  (categories || []).forEach((c) => push('category', c, c.slug, c.label || c.slug));
+  (assets || []).forEach((a) => push('asset', a, a.id, a.title || ''));
+  return events.sort((a, b) => a.at.localeCompare(b.at));
+}
+
+module.exports = {
+  toScheduleTime,
+  readScheduleFields,
+  isWithinWindow,
+  isLive,
+  isAssetPublished,
+  buildSchedule,
+};
@@ -0,0 +1,363 @@
+'use strict';
+
+const DEFAULT_ENDPOINT = 'https://t3.storageapi.dev';
+const DEFAULT_BUCKET = 'embedded-drop-iunbltzf2y1';
+const DEFAULT_CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+const CONTENT_TYPES = {
+  '.avif': 'image/avif',
+  '.webp': 'image/webp',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.pdf': 'application/pdf',
+  '.epub': 'application/epub+zip',
+  '.zip': 'application/zip',
+  '.stl': 'model/stl',
+  '.mp3': 'audio/mpeg',
+  '.m4a': 'audio/mp4',
+  '.m4b': 'audio/mp4',
+  '.mp4': 'video/mp4',
+  '.txt': 'text/plain; charset=utf-8',
+  '.json': 'application/json',
+};
+
+function encodeKey(key) {
+  return key.split('/').map((s) => encodeURIComponent(s)).join('/');
+}
+
+function createS3Storage({ cleanEnv }) {
+  const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    HeadObjectCommand,
+    ListObjectsV2Command,
+    DeleteObjectCommand,
+  } = require('@aws-sdk/client-s3');
+
+  let client = null;
+
+  function getEndpoint() {
+    return cleanEnv(process.env.S3_ENDPOINT) || DEFAULT_ENDPOINT;
+  }
+
+  function getBucket() {
+    return cleanEnv(process.env.S3_BUCKET) || DEFAULT_BUCKET;
+  }
+
+  function getClient() {
+    if (client) return client;
+    const accessKeyId = cleanEnv(process.env.S3_ACCESS_KEY_ID);
+    const secretAccessKey = cleanEnv(process.env.S3_SECRET_ACCESS_KEY);
+    if (!accessKeyId || !secretAccessKey) return null;
+    client = new S3Client({
+      endpoint: getEndpoint(),
+      region: cleanEnv(process.env.S3_REGION) || 'auto',
+      credentials: { accessKeyId, secretAccessKey },
+      forcePathStyle: true,
+    });
+    return client;
+  }
+
+  function requireClient() {
+    const s3 = getClient();
+    if (!s3) throw new Error('S3 not configured');
+    return s3;
+  }
+
+  function isConfigured() {
+    return !!getClient();
+  }
+
+  async function put(key, body, options = {}) {
+    await requireClient().send(new PutObjectCommand({
+      Bucket: getBucket(),
+      Key: key,
+      Body: body,
+      ContentType: options.contentType,
+      ContentLength: options.contentLength,
+      CacheControl: options.cacheControl || DEFAULT_CACHE_CONTROL,
+    }));
+  }
+
+  // options.range is an inclusive { start, end } byte range; omit for the whole object.
+  async function get(key, options = {}) {
+    const range = options.range;
+    const obj = await requireClient().send(new GetObjectCommand({
+      Bucket: getBucket(),
+      Key: key,
+      Range: range ? `bytes=${range.start}-${range.end}` : undefined,
+    }));
+    return {
+      body: obj.Body,
+      contentRange: obj.ContentRange || '',
+      contentType: obj.ContentType || '',
+      contentLength: obj.ContentLength != null ? Number(obj.ContentLength) : null,
+      cacheControl: obj.CacheControl || '',
+      etag: obj.ETag ? String(obj.ETag) : '',
+      lastModified: obj.LastModified ? new Date(obj.LastModified) : null,
+    };
+  }
+
+  async function head(key) {
+    try {
+      const obj = await requireClient().send(new HeadObjectCommand({ Bucket: getBucket(), Key: key }));
+      return {
+        contentType: obj.ContentType || '',
+        contentLength: obj.ContentLength != null ? Number(obj.ContentLength) : null,
+        cacheControl: obj.CacheControl || '',
+        etag: obj.ETag ? String(obj.ETag) : '',
+        lastModified: obj.LastModified ? new Date(obj.LastModified) : null,
+      };
+    } catch (e) {
+      if (e && (e.name === 'NotFound' || e.name === 'NoSuchKey')) return null;
+      throw e;
+    }
+  }
+
+  async function* list(prefix) {
+    let continuationToken;
+    do {
+      const resp = await requireClient().send(new ListObjectsV2Command({
+        Bucket: getBucket(),
+        Prefix: prefix,
+        ContinuationToken: continuationToken,
+      }));
+      for (const obj of (resp.Contents || [])) {
+        if (!obj.Key) continue;
+        yield {
+          key: obj.Key,
+          size: Number(obj.Size || 0),
+          lastModified: obj.LastModified ? new Date(obj.LastModified) : null,
+        };
+      }
+      continuationToken = resp.NextContinuationToken;
+    } while (continuationToken);
+  }
+
+  async function remove(key) {
+    await requireClient().send(new DeleteObjectCommand({ Bucket: getBucket(), Key: key }));
+  }
+
+  // Presigned GET so clients fetch straight from the bucket. options.filename
+  // forces the Content-Disposition the bucket answers with.
+  async function getSignedUrl(key, options = {}) {
+    const { getSignedUrl: presign } = require('@aws-sdk/s3-request-presigner');
+    const command = new GetObjectCommand({
+      Bucket: getBucket(),
+      Key: key,
+      ResponseContentDisposition: options.filename
+        ? 'attachment; filename="' + options.filename.replace(/"/g, '\\"') + '"'
+        : undefined,
+    });
+    return presign(requireClient(), command, { expiresIn: options.expiresIn || 300 });
+  }
+
+  function getPublicUrl(key) {
+    return `${getEndpoint().replace(/\/$/, '')}/${getBucket()}/${encodeKey(key)}`;
+  }
+
+  function keyFromUrl(url) {
+    if (!url || url === '#') return null;
+    try {
+      const u = new URL(url);
+      const pathname = u.pathname.replace(/^\/+/, '');
+      const prefix = getBucket() + '/';
+      if (pathname.startsWith(prefix)) {
+        return decodeURIComponent(pathname.slice(prefix.length));
+      }
+      return null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  return {
+    name: 's3',
+    isConfigured,
+    put,
+    get,
+    head,
+    list,
+    delete: remove,
+    getSignedUrl,
+    getPublicUrl,
+    keyFromUrl,
+    getBucket,
+    getEndpoint,
+    getClient,
+  };
+}
+
+function createLocalStorage({ fs, path, rootDir, cleanEnv }) {
+  const fsp = fs.promises;
+  const baseDir = path.resolve(cleanEnv(process.env.LOCAL_STORAGE_DIR) || path.join(rootDir, 'data', 'storage'));
+  const publicPath = '/' + (cleanEnv(process.env.LOCAL_STORAGE_PUBLIC_PATH) || 'storage').replace(/^\/+|\/+$/g, '');
+
+  function getBucket() {
+    return cleanEnv(process.env.S3_BUCKET) || DEFAULT_BUCKET;
+  }
+
+  function resolveKey(key) {
+    const clean = String(key || '').replace(/\\/g, '/').replace(/^\/+/, '');
+    const full = path.resolve(baseDir, clean);
+    if (!clean || (full !== baseDir && !full.startsWith(baseDir + path.sep))) {
+      throw new Error('Invalid storage key: ' + key);
+    }
+    return full;
+  }
+
+  function contentTypeFor(key) {
+    return CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+  }
+
+  function etagFor(stat) {
+    return `"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+  }
+
+  function isConfigured() {
+    return true;
+  }
+
+  async function put(key, body, options = {}) {
+    const full = resolveKey(key);
+    await fsp.mkdir(path.dirname(full), { recursive: true });
+    if (body && typeof body.pipe === 'function') {
+      await new Promise((resolve, reject) => {
+        const out = fs.createWriteStream(full);
+        body.on('error', reject);
+        out.on('error', reject);
+        out.on('finish', resolve);
+        body.pipe(out);
+      });
+      return;
+    }
+    await fsp.writeFile(full, body);
+  }
+
+  async function head(key) {
+    let stat;
+    try {
+      stat = await fsp.stat(resolveKey(key));
+    } catch (e) {
+      if (e && e.code === 'ENOENT') return null;
+      throw e;
+    }
+    if (!stat.isFile()) return null;
+    return {
+      contentType: contentTypeFor(key),
+      contentLength: stat.size,
+      cacheControl: DEFAULT_CACHE_CONTROL,
+      etag: etagFor(stat),
+      lastModified: stat.mtime,
+    };
+  }
+
+  async function get(key, options = {}) {
+    const meta = await head(key);
+    if (!meta) {
+      const err = new Error('NoSuchKey: ' + key);
+      err.name = 'NoSuchKey';
+      throw err;
+    }
+    const range = options.range;
+    if (!range) return { ...meta, contentRange: '', body: fs.createReadStream(resolveKey(key)) };
+    const end = Math.min(range.end, meta.contentLength - 1);
+    return {
+      ...meta,
+      contentLength: end - range.start + 1,
+      contentRange: `bytes ${range.start}-${end}/${meta.contentLength}`,
+      body: fs.createReadStream(resolveKey(key), { start: range.start, end }),
+    };
+  }
+
+  async function* walk(dir) {
+    let entries;
+    try {
+      entries = await fsp.readdir(dir, { withFileTypes: true });
+    } catch (e) {
+      if (e && e.code === 'ENOENT') return;
+      throw e;
+    }
+    for (const entry of entries) {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        yield* walk(full);
+      } else if (entry.isFile()) {
+        yield full;
+      }
+    }
+  }
+
+  async function* list(prefix) {
+    const clean = String(prefix || '').replace(/^\/+/, '');
+    // Walk from the deepest directory the prefix names, then filter on the full prefix.
+    const dirPart = clean.includes('/') ? clean.slice(0, clean.lastIndexOf('/')) : '';
+    const startDir = dirPart ? resolveKey(dirPart) : baseDir;
+    for await (const full of walk(startDir)) {
+      const key = path.relative(baseDir, full).split(path.sep).join('/');
+      if (!key.startsWith(clean)) continue;
+      const stat = await fsp.stat(full);
+      yield { key, size: stat.size, lastModified: stat.mtime };
+    }
+  }
+
+  async function remove(key) {
+    try {
+      await fsp.unlink(resolveKey(key));
+    } catch (e) {
+      if (!e || e.code !== 'ENOENT') throw e;
+    }
+  }
+
+  function getPublicUrl(key) {
+    return `${publicPath}/${encodeKey(key)}`;
+  }
+
+  function keyFromUrl(url) {
+    if (!url || url === '#') return null;
+    try {
+      const u = new URL(url, 'http://localhost');
+      const pathname = decodeURIComponent(u.pathname);
+      if (pathname.startsWith(publicPath + '/')) {
+        return pathname.slice(publicPath.length + 1) || null;
+      }
+      // Catalogue entries written against the bucket resolve to the same key on
+      // disk, so a mirrored copy of the bucket can be served without rewriting URLs.
+      const bucketPrefix = '/' + getBucket() + '/';
+      if (pathname.startsWith(bucketPrefix)) {
+        return pathname.slice(bucketPrefix.length) || null;
+      }
+      return null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  return {
+    name: 'local',
+    isConfigured,
+    put,
+    get,
+    head,
+    list,
+    delete: remove,
+    getPublicUrl,
+    keyFromUrl,
+    getBucket,
+    baseDir,
+    publicPath,
+  };
+}
+
+function createStorage(deps) {
+  const driver = (deps.cleanEnv(process.env.STORAGE_DRIVER) || 's3').toLowerCase();
+  if (driver === 'local') return createLocalStorage(deps);
+  if (driver !== 's3') console.warn('Unknown STORAGE_DRIVER "' + driver + '", falling back to s3');
+  return createS3Storage(deps);
+}
+
+module.exports = { createStorage, createS3Storage, createLocalStorage };
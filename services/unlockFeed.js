@@ -0,0 +1,172 @@
+'use strict';
+
+// Downloads land in bursts; one recompute covers the lot.
+const REFRESH_DELAY_MS = 250;
+// Date-based unlocks and publish windows move without any request to trigger them.
+const TICK_MS = 60 * 1000;
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Loads what the public unlock views are computed from and tells subscribers
+// when the progress changes or an asset goes from locked to unlocked.
+// Subscribers get (event, data) with event 'progress' or 'unlock'.
+function createUnlockFeed({ db, assetService, unlockService, schedule, readCats }) {
+  const listeners = new Set();
+  let lastProgress = null;
+  let currentProgress = null;
+  let lockedIds = null;
+  let timer = null;
+  let running = false;
+  let rerun = false;
+
+  async function loadContext() {
+    const [data, cats, source, gamificationEnabled] = await Promise.all([
+      assetService.readData(),
+      readCats(),
+      db.getDownloadCountSource(),
+      db.getGamificationEnabled(),
+    ]);
+    const all = Array.isArray(data) ? data : [];
+    const [totalDownloads, counts] = await Promise.all([
+      db.getAllTimeDownloadCount(source),
+      db.getDownloadCounts(source, unlockService.collectCountScopes(all)),
+    ]);
+    // Assets outside their (or their category's) publish window do not exist publicly.
+    const now = Date.now();
+    return {
+      list: all.filter((asset) => schedule.isAssetPublished(asset, cats, now)),
+      categories: cats,
+      totalDownloads: Number(totalDownloads || 0),
+      unlocks: unlockService.createUnlockContext({ totalDownloads, counts, assets: all, now }),
+      gamificationEnabled: !!gamificationEnabled,
+    };
+  }
+
+  function buildProgress(context) {
+    const { list, categories, totalDownloads, unlocks, gamificationEnabled } = context;
+    if (!gamificationEnabled) {
+      return {
+        totalDownloads,
+        hasActiveGoal: false,
+        nextThreshold: null,
+        downloadsToNext: 0,
+        progressPct: 100,
+        nextAsset: null,
+        missions: [],
+      };
+    }
+    return unlockService.buildUnlockProgress(list.filter((i) => i.visible !== false), unlocks, categories);
+  }
+
+  // The progress from the last check, which every change schedules; loads it only before the first one.
+  async function getProgress() {
+    if (currentProgress) return currentProgress;
+    return buildProgress(await loadContext());
+  }
+
+  function emit(event, data) {
+    listeners.forEach((fn) => {
+      try {
+        fn(event, data);
+      } catch (e) {
+        console.warn('Unlock feed listener failed:', e.message);
+      }
+    });
+  }
+
+  async function check() {
+    const context = await loadContext();
+    const progress = buildProgress(context);
+    const serialized = JSON.stringify(progress);
+    if (lastProgress !== null && serialized !== lastProgress) emit('progress', progress);
+    lastProgress = serialized;
+    currentProgress = progress;
+
+    // Switching gamification off unlocks everything at once; that is not an unlock worth announcing.
+    if (!context.gamificationEnabled) {
+      lockedIds = null;
+      return;
+    }
+    const visible = context.list.filter((i) => i.visible !== false);
+    const locked = new Set();
+    const unlocked = [];
+    visible.forEach((asset) => {
+      if (!unlockService.isUnlocked(asset, context.unlocks)) locked.add(asset.id);
+      else if (lockedIds && lockedIds.has(asset.id)) unlocked.push(asset);
+    });
+    const newlyLocked = Array.from(locked).filter((id) => !lockedIds || !lockedIds.has(id));
+    lockedIds = locked;
+    // Lock occurrences are counted in the database, so every instance gives the
+    // same unlock the same number and an asset locked again is a new unlock.
+    if (newlyLocked.length) await db.markAssetsLocked(newlyLocked);
+    for (const asset of unlocked) {
+      emit('unlock', {
+        id: asset.id,
+        title: asset.title || '',
+        category: asset.category || '',
+        thumbnailUrl: asset.thumbnailUrl || '',
+        unlockThreshold: unlockService.toUnlockThreshold(asset.unlockThreshold),
+        totalDownloads: context.totalDownloads,
+        unlockedAt: new Date().toISOString(),
+        occurrence: await db.markAssetUnlocked(asset.id),
+      });
+    }
+  }
+
+  async function run() {
+    timer = null;
+    if (running) {
+      rerun = true;
+      return;
+    }
+    running = true;
+    try {
+      await check();
+    } catch (e) {
+      console.warn('Unlock feed refresh failed:', e.message);
+    } finally {
+      running = false;
+      if (rerun) {
+        rerun = false;
+        refresh();
+      }
+    }
+  }
+
+  function refresh() {
+    if (!timer) timer = setTimeout(run, REFRESH_DELAY_MS);
+  }
+
+  function subscribe(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  }
+
+  // Takes the first snapshot so the first counted download already has something to compare with.
+  function start() {
+    refresh();
+    setInterval(refresh, TICK_MS).unref();
+  }
+
+  // Asset, category and settings changes can lock or unlock assets too.
+  function middleware(req, res, next) {
+    if (MUTATING_METHODS.includes(req.method)) {
+      res.on('finish', () => {
+        if (res.statusCode < 400) refresh();
+      });
+    }
+    next();
+  }
+
+  return {
+    loadContext,
+    buildProgress,
+    getProgress,
+    refresh,
+    subscribe,
+    start,
+    middleware,
+    subscriberCount: () => listeners.size,
+  };
+}
+
+module.exports = { createUnlockFeed };
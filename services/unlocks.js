@@ -1,27 +1,136 @@
 'use strict';
 
+const UPCOMING_REWARDS_LIMIT = 5;
+
 function toUnlockThreshold(value) {
   const n = Number(value);
   if (!Number.isFinite(n) || n <= 0) return 0;
   return Math.floor(n);
 }
 
-function isUnlocked(asset, totalDownloads) {
+function toRuleTime(value) {
+  if (!value) return null;
+  const t = Date.parse(value);
+  return Number.isFinite(t) ? new Date(t).toISOString() : undefined;
+}
+
+// An unlock rule narrows or adds to unlockThreshold. Every condition it names must hold:
+//   category   count only downloads from this category instead of the whole site
+//   from, to   count only downloads inside this campaign window
+//   at         stay locked until this moment
+//   after      stay locked until the asset with this id is unlocked
+// Returns { rule } (null when empty) or { error }.
+function normalizeUnlockRule(value) {
+  if (value === undefined || value === null || value === '') return { rule: null };
+  if (typeof value !== 'object' || Array.isArray(value)) return { error: 'unlockRule must be an object' };
+  const rule = {};
+  const category = String(value.category || '').trim();
+  if (category) rule.category = category.slice(0, 50);
+  for (const key of ['from', 'to', 'at']) {
+    const t = toRuleTime(value[key]);
+    if (t === undefined) return { error: `unlockRule.${key} must be an ISO date-time` };
+    if (t) rule[key] = t;
+  }
+  if (rule.from && rule.to && rule.to <= rule.from) return { error: 'unlockRule.to must be later than unlockRule.from' };
+  const after = String(value.after || '').trim();
+  if (after) rule.after = after;
+  return { rule: Object.keys(rule).length ? rule : null };
+}
+
+// Downloads that feed an asset's threshold are identified by category and window.
+function countScopeKey(rule) {
+  return [rule && rule.category || '', rule && rule.from || '', rule && rule.to || ''].join('|');
+}
+
+// Distinct download counts the given assets need, for db.getDownloadCounts.
+// Rewards on the site-wide total also need their own category's count for its mission.
+function collectCountScopes(assets) {
+  const scopes = new Map();
+  (assets || []).forEach((asset) => {
+    if (!toUnlockThreshold(asset.unlockThreshold)) return;
+    const rule = countScopeKey(asset.unlockRule) !== '||' ? asset.unlockRule : (asset.category && { category: asset.category });
+    if (!rule) return;
+    const key = countScopeKey(rule);
+    if (!scopes.has(key)) {
+      scopes.set(key, { key, category: rule.category || null, from: rule.from || null, to: rule.to || null });
+    }
+  });
+  return Array.from(scopes.values());
+}
+
+// counts: { [countScopeKey]: n } for every scope from collectCountScopes.
+// assets: the whole catalogue, so chained rules can see prerequisites that are not public.
+function createUnlockContext({ totalDownloads, counts, assets, now }) {
+  return {
+    totalDownloads: Number(totalDownloads || 0),
+    counts: counts || {},
+    assetsById: new Map((assets || []).map((a) => [a.id, a])),
+    now: now || Date.now(),
+  };
+}
+
+function toContext(ctx) {
+  return typeof ctx === 'number' ? createUnlockContext({ totalDownloads: ctx }) : ctx;
+}
+
+function countFor(asset, ctx) {
+  const key = countScopeKey(asset.unlockRule);
+  return key === '||' ? ctx.totalDownloads : Number(ctx.counts[key] || 0);
+}
+
+// Resolves every condition of the asset's rule. A chain that loops back on
+// itself stays locked; a prerequisite that no longer exists is treated as met.
+function evaluateUnlock(asset, ctx, seen) {
+  const rule = (asset && asset.unlockRule) || {};
   const threshold = toUnlockThreshold(asset && asset.unlockThreshold);
-  return threshold === 0 || totalDownloads >= threshold;
+  const count = threshold ? countFor(asset, ctx) : 0;
+  const result = {
+    threshold,
+    count,
+    downloadsMet: threshold === 0 || count >= threshold,
+    dateMet: !rule.at || Date.parse(rule.at) <= ctx.now,
+    afterMet: true,
+  };
+  if (rule.after) {
+    const visited = seen || new Set();
+    const prerequisite = ctx.assetsById.get(rule.after);
+    if (visited.has(rule.after) || rule.after === asset.id) {
+      result.afterMet = false;
+    } else if (prerequisite) {
+      visited.add(asset.id);
+      result.afterMet = evaluateUnlock(prerequisite, ctx, visited).unlocked;
+    }
+  }
+  result.unlocked = result.downloadsMet && result.dateMet && result.afterMet;
+  return result;
 }
 
-function sanitizePublicAsset(asset, totalDownloads) {
-  const threshold = toUnlockThreshold(asset.unlockThreshold);
-  const unlocked = isUnlocked(asset, totalDownloads);
-  const downloadsRemaining = unlocked ? 0 : Math.max(0, threshold - totalDownloads);
+function isUnlocked(asset, ctx) {
+  return evaluateUnlock(asset, toContext(ctx)).unlocked;
+}
+
+function isCampaignOpen(rule, now) {
+  if (!rule) return true;
+  if (rule.from && Date.parse(rule.from) > now) return false;
+  if (rule.to && Date.parse(rule.to) <= now) return false;
+  return true;
+}
+
+function sanitizePublicAsset(asset, ctx) {
+  ctx = toContext(ctx);
+  const state = evaluateUnlock(asset, ctx);
+  const rule = asset.unlockRule || null;
+  const prerequisite = rule && rule.after ? ctx.assetsById.get(rule.after) : null;
   const base = {
     ...asset,
-    unlockThreshold: threshold,
-    isLocked: !unlocked,
-    downloadsRemaining,
+    unlockThreshold: state.threshold,
+    isLocked: !state.unlocked,
+    downloadsRemaining: state.downloadsMet ? 0 : Math.max(0, state.threshold - state.count),
+    unlockCount: state.count,
+    unlocksAt: !state.dateMet ? rule.at : null,
+    unlocksAfter: !state.afterMet && prerequisite ? { id: prerequisite.id, title: prerequisite.title || '' } : null,
   };
-  if (unlocked) return base;
+  if (state.unlocked) return base;
   return {
     ...base,
     // Never expose variant download URLs while locked.
@@ -35,16 +144,94 @@ function sanitizePublicAssetNoGamification(asset) {
     unlockThreshold: toUnlockThreshold(asset.unlockThreshold),
     isLocked: false,
     downloadsRemaining: 0,
+    unlockCount: 0,
+    unlocksAt: null,
+    unlocksAfter: null,
+  };
+}
+
+function toRewardSummary({ asset, state }) {
+  return {
+    id: asset.id,
+    title: asset.title || '',
+    description: asset.description || '',
+    category: asset.category || '',
+    thumbnailUrl: asset.thumbnailUrl || '',
+    unlockThreshold: state.threshold,
+    counter: state.count,
+    downloadsToGo: Math.max(0, state.threshold - state.count),
   };
 }
 
-function buildUnlockProgress(assets, totalDownloads) {
-  const withGoals = assets
-    .map((a) => ({ asset: a, threshold: toUnlockThreshold(a.unlockThreshold) }))
-    .filter((x) => x.threshold > 0)
-    .sort((a, b) => a.threshold - b.threshold);
-  const next = withGoals.find((x) => totalDownloads < x.threshold) || null;
-  if (!next) {
+// Locked assets whose download goal can move right now, the closest first.
+function rankGoals(assets, ctx) {
+  return assets
+    .filter((a) => isCampaignOpen(a.unlockRule, ctx.now))
+    .map((a) => ({ asset: a, state: evaluateUnlock(a, ctx) }))
+    .filter((x) => x.state.threshold > 0 && !x.state.downloadsMet)
+    .sort((a, b) => (
+      (a.state.threshold - a.state.count) - (b.state.threshold - b.state.count) || a.state.threshold - b.state.threshold
+    ));
+}
+
+// A mission is a set of rewards working off their own counters; it reports the
+// next reward, the counter that reward is measured against and what follows it.
+function buildMission(meta, assets, ctx) {
+  const goals = rankGoals(assets, ctx);
+  if (!goals.length) return null;
+  const next = goals[0];
+  const rule = countScopeKey(next.asset.unlockRule) !== '||' ? next.asset.unlockRule : null;
+  const scope = rule || (meta.scope === 'category' ? { category: meta.category } : null);
+  return {
+    ...meta,
+    counter: next.state.count,
+    counterScope: scope ? { category: scope.category || null, from: scope.from || null, to: scope.to || null } : null,
+    nextThreshold: next.state.threshold,
+    downloadsToNext: Math.max(0, next.state.threshold - next.state.count),
+    progressPct: Math.max(0, Math.min(100, Math.round((next.state.count / next.state.threshold) * 100))),
+    nextAsset: toRewardSummary(next),
+    upcoming: goals.slice(1, 1 + UPCOMING_REWARDS_LIMIT).map(toRewardSummary),
+  };
+}
+
+// The category whose mission an asset belongs to: the one its rule counts, else its own.
+function countedCategory(asset) {
+  return (asset.unlockRule && asset.unlockRule.category) || asset.category || '';
+}
+
+// A category mission measures every reward on that category's downloads, so
+// rewards on the site-wide total are shown against their own category's count
+// there. Those already unlocked by the site-wide total are left out.
+function buildCategoryMission(meta, assets, ctx) {
+  const categoryCtx = { ...ctx, totalDownloads: Number(ctx.counts[countScopeKey({ category: meta.category })] || 0) };
+  const open = assets.filter((a) => countScopeKey(a.unlockRule) !== '||' || !evaluateUnlock(a, ctx).downloadsMet);
+  return buildMission(meta, open, categoryCtx);
+}
+
+// One overall mission across every asset plus one per category that still has
+// rewards, each counted on that category's downloads. The top-level fields mirror
+// the overall mission for older clients.
+function buildUnlockProgress(assets, ctx, categories) {
+  ctx = toContext(ctx);
+  const totalDownloads = ctx.totalDownloads;
+  const missions = [];
+  const overall = buildMission({ id: 'overall', scope: 'overall', category: null, label: 'All downloads' }, assets, ctx);
+  if (overall) missions.push(overall);
+  const slugs = Array.from(new Set(assets.map(countedCategory).filter(Boolean)));
+  const order = (slug) => {
+    const i = (categories || []).findIndex((c) => c.slug === slug);
+    return i === -1 ? Infinity : i;
+  };
+  slugs.sort((a, b) => order(a) - order(b) || a.localeCompare(b)).forEach((slug) => {
+    const cat = (categories || []).find((c) => c.slug === slug);
+    const mission = buildCategoryMission(
+      { id: 'category:' + slug, scope: 'category', category: slug, label: (cat && cat.label) || slug },
+      assets.filter((a) => countedCategory(a) === slug),
+      ctx
+    );
+    if (mission) missions.push(mission);
+  });
+  if (!overall) {
     return {
       totalDownloads,
       hasActiveGoal: false,
@@ -52,27 +239,28 @@ function buildUnlockProgress(assets, totalDownloads) {
       downloadsToNext: 0,
       progressPct: 100,
       nextAsset: null,
+      missions,
     };
   }
   return {
     totalDownloads,
     hasActiveGoal: true,
-    nextThreshold: next.threshold,
-    downloadsToNext: Math.max(0, next.threshold - totalDownloads),
-    progressPct: Math.max(0, Math.min(100, Math.round((totalDownloads / next.threshold) * 100))),
-    nextAsset: {
-      id: next.asset.id,
-      title: next.asset.title || '',
-      description: next.asset.description || '',
-      category: next.asset.category || '',
-      thumbnailUrl: next.asset.thumbnailUrl || '',
-      unlockThreshold: next.threshold,
-    },
+    counter: overall.counter,
+    counterScope: overall.counterScope,
+    nextThreshold: overall.nextThreshold,
+    downloadsToNext: overall.downloadsToNext,
+    progressPct: overall.progressPct,
+    nextAsset: overall.nextAsset,
+    missions,
   };
 }
 
 module.exports = {
   toUnlockThreshold,
+  normalizeUnlockRule,
+  countScopeKey,
+  collectCountScopes,
+  createUnlockContext,
   isUnlocked,
   sanitizePublicAsset,
   sanitizePublicAssetNoGamification,
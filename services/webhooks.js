@@ -0,0 +1,314 @@
+'use strict';
+
+const WEBHOOK_KINDS = ['discord', 'json'];
+const MAX_ATTEMPTS = 6;
+const DEFAULT_RETRY_BASE_SECONDS = 30;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+// Picks up retries that came due and anything left pending by a restart.
+const POLL_MS = 15 * 1000;
+const DUE_BATCH_SIZE = 20;
+// A delivery still 'sending' after this was left behind by an instance that stopped mid-send.
+const SENDING_TIMEOUT_MS = 5 * 60 * 1000;
+const DISCORD_COLOR = 0xf23645;
+
+function isHttpUrl(value) {
+  try {
+    return /^https?:$/.test(new URL(value).protocol);
+  } catch (e) {
+    return false;
+  }
+}
+
+// Webhook URLs carry their secret in the path (Discord) or query; listings and the audit log only get a preview.
+function maskUrl(url) {
+  try {
+    const u = new URL(url);
+    const parts = u.pathname.split('/');
+    const last = parts.length - 1;
+    if (parts[last].length > 8) parts[last] = parts[last].slice(0, 4) + '\u2026';
+    return u.origin + parts.join('/') + (u.search ? '?\u2026' : '');
+  } catch (e) {
+    return '';
+  }
+}
+
+function publicWebhook(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    kind: row.kind,
+    url_preview: maskUrl(row.url),
+    enabled: row.enabled === true || row.enabled === 1,
+    created_at: row.created_at,
+    created_by: row.created_by || null,
+  };
+}
+
+function publicDelivery(row) {
+  let payload = null;
+  try {
+    payload = JSON.parse(row.payload);
+  } catch (e) {}
+  return {
+    id: row.id,
+    webhook_id: row.webhook_id,
+    event: row.event,
+    target_id: row.target_id || null,
+    status: row.status,
+    attempts: Number(row.attempts || 0),
+    response_status: row.response_status ?? null,
+    last_error: row.last_error || null,
+    next_attempt_at: row.status === 'pending' ? row.next_attempt_at : null,
+    created_at: row.created_at,
+    updated_at: row.updated_at || null,
+    payload,
+  };
+}
+
+// Validates a create (partial=false) or update body. Returns { fields } or { error }.
+function readWebhookFields(body, partial) {
+  const fields = {};
+  const b = body || {};
+  if (!partial || b.name !== undefined) {
+    const name = String(b.name || '').trim().slice(0, 80);
+    if (!name) return { error: 'name is required' };
+    fields.name = name;
+  }
+  if (!partial || b.url !== undefined) {
+    const url = String(b.url || '').trim();
+    if (!isHttpUrl(url)) return { error: 'url must be an http(s) URL' };
+    fields.url = url;
+  }
+  if (!partial || b.kind !== undefined) {
+    const kind = b.kind === undefined || b.kind === '' ? 'discord' : String(b.kind);
+    if (!WEBHOOK_KINDS.includes(kind)) return { error: 'kind must be one of ' + WEBHOOK_KINDS.join(', ') };
+    fields.kind = kind;
+  }
+  if (!partial || b.enabled !== undefined) fields.enabled = b.enabled === false ? 0 : 1;
+  return { fields };
+}
+
+// Sends asset.unlocked events from the unlock feed to every enabled webhook.
+// Each send is a delivery row, retried with exponential backoff until it lands,
+// hits a permanent 4xx or runs out of attempts. Every instance sees the same unlocks,
+// so a webhook gets one delivery per asset, event and unlock occurrence, and a row
+// is only sent by whoever claims it.
+function createWebhookService({ db, uuidv4, cleanEnv, unlockFeed }) {
+  let pumping = false;
+  let pumpAgain = false;
+
+  function getRetryBaseMs() {
+    const n = Number(cleanEnv(process.env.WEBHOOK_RETRY_BASE_SECONDS));
+    return (Number.isFinite(n) && n > 0 ? n : DEFAULT_RETRY_BASE_SECONDS) * 1000;
+  }
+
+  // Discord needs absolute URLs; relative ones resolve against PUBLIC_BASE_URL or are left out.
+  function absoluteUrl(url) {
+    if (!url) return null;
+    if (isHttpUrl(url)) return url;
+    const base = cleanEnv(process.env.PUBLIC_BASE_URL);
+    if (!base) return null;
+    try {
+      return new URL(url, base).toString();
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function buildDiscordPayload(event, data) {
+    const title = data.title || 'A reward';
+    const embed = {
+      title: event === 'webhook.test' ? 'Webhook test' : `${title} unlocked`,
+      description: event === 'webhook.test'
+        ? 'Unlock notifications will be posted here.'
+        : data.unlockThreshold > 0
+          ? `The community reached ${data.totalDownloads} downloads. ${title} is now free to download.`
+          : `${title} is now free to download.`,
+      color: DISCORD_COLOR,
+      timestamp: data.unlockedAt || new Date().toISOString(),
+    };
+    const link = absoluteUrl(data.category ? '/c/' + encodeURIComponent(data.category) : '/');
+    if (link) embed.url = link;
+    const thumbnail = absoluteUrl(data.thumbnailUrl || (data.id ? '/api/thumbnail/' + encodeURIComponent(data.id) : ''));
+    if (thumbnail) embed.thumbnail = { url: thumbnail };
+    return {
+      username: 'MAYA Downloads',
+      content: event === 'webhook.test' ? '' : `\u{1F513} **${title}** just unlocked!`,
+      embeds: [embed],
+      allowed_mentions: { parse: [] },
+    };
+  }
+
+  function buildPayload(kind, event, data) {
+    if (kind === 'discord') return buildDiscordPayload(event, data);
+    return { event, sent_at: new Date().toISOString(), data };
+  }
+
+  function retryDelayMs(attempts, retryAfterMs) {
+    if (retryAfterMs) return Math.min(retryAfterMs, MAX_RETRY_DELAY_MS);
+    return Math.min(getRetryBaseMs() * 2 ** Math.max(0, attempts - 1), MAX_RETRY_DELAY_MS);
+  }
+
+  // Discord answers 429 with retry_after (seconds) in the body; others may send Retry-After.
+  async function readRetryAfterMs(res) {
+    const header = Number(res.headers.get('retry-after'));
+    if (Number.isFinite(header) && header > 0) return header * 1000;
+    try {
+      const body = await res.json();
+      const n = Number(body && body.retry_after);
+      if (Number.isFinite(n) && n > 0) return n * 1000;
+    } catch (e) {}
+    return 0;
+  }
+
+  async function send(webhook, payload) {
+    try {
+      const res = await fetch(webhook.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'User-Agent': 'MAYA-Downloads-Webhook/1.0' },
+        body: payload,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      });
+      if (res.ok) return { ok: true, status: res.status };
+      const retryable = res.status === 408 || res.status === 429 || res.status >= 500;
+      const retryAfterMs = res.status === 429 ? await readRetryAfterMs(res) : 0;
+      return { ok: false, status: res.status, error: `HTTP ${res.status}`, retryable, retryAfterMs };
+    } catch (e) {
+      return { ok: false, status: null, error: e.name === 'TimeoutError' ? 'Timed out' : (e.message || 'Request failed'), retryable: true };
+    }
+  }
+
+  // Claims the delivery from one of `statuses` and sends it; false when someone else has it.
+  async function claimAndAttempt(delivery, statuses) {
+    const now = new Date();
+    const staleBefore = new Date(now.getTime() - SENDING_TIMEOUT_MS).toISOString();
+    if (!(await db.claimWebhookDelivery(delivery.id, statuses, staleBefore, now.toISOString()))) return false;
+    await attempt(delivery);
+    return true;
+  }
+
+  async function attempt(delivery) {
+    const now = new Date();
+    const webhook = await db.getWebhook(delivery.webhook_id);
+    if (!webhook || !(webhook.enabled === true || webhook.enabled === 1)) {
+      await db.updateWebhookDelivery(delivery.id, {
+        status: 'failed',
+        last_error: webhook ? 'Webhook is disabled' : 'Webhook was removed',
+        next_attempt_at: null,
+        updated_at: now.toISOString(),
+      });
+      return;
+    }
+    const attempts = Number(delivery.attempts || 0) + 1;
+    const result = await send(webhook, delivery.payload);
+    const changes = { attempts, response_status: result.status, updated_at: new Date().toISOString() };
+    if (result.ok) {
+      Object.assign(changes, { status: 'delivered', last_error: null, next_attempt_at: null });
+    } else if (result.retryable && attempts < MAX_ATTEMPTS) {
+      const retryAt = new Date(Date.now() + retryDelayMs(attempts, result.retryAfterMs)).toISOString();
+      Object.assign(changes, { status: 'pending', last_error: result.error, next_attempt_at: retryAt });
+    } else {
+      Object.assign(changes, { status: 'failed', last_error: result.error, next_attempt_at: null });
+    }
+    await db.updateWebhookDelivery(delivery.id, changes);
+  }
+
+  async function pump() {
+    if (pumping) {
+      pumpAgain = true;
+      return;
+    }
+    pumping = true;
+    try {
+      let due;
+      do {
+        const now = Date.now();
+        due = await db.listDueWebhookDeliveries(new Date(now).toISOString(), new Date(now - SENDING_TIMEOUT_MS).toISOString(), DUE_BATCH_SIZE);
+        for (const delivery of due) await claimAndAttempt(delivery, ['pending']);
+      } while (due.length === DUE_BATCH_SIZE);
+    } catch (e) {
+      console.warn('Webhook delivery failed:', e.message);
+    } finally {
+      pumping = false;
+      if (pumpAgain) {
+        pumpAgain = false;
+        pump();
+      }
+    }
+  }
+
+  async function createDelivery(webhook, event, data) {
+    const now = new Date().toISOString();
+    const row = {
+      id: uuidv4(),
+      webhook_id: webhook.id,
+      event,
+      target_id: data.id || null,
+      occurrence: data.occurrence || 0,
+      payload: JSON.stringify(buildPayload(webhook.kind, event, data)),
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: now,
+      created_at: now,
+      updated_at: now,
+    };
+    return (await db.insertWebhookDelivery(row)) ? row : null;
+  }
+
+  async function enqueue(event, data) {
+    const webhooks = (await db.listWebhooks()).filter((w) => w.enabled === true || w.enabled === 1);
+    let created = 0;
+    for (const webhook of webhooks) {
+      if (await createDelivery(webhook, event, data)) created++;
+    }
+    if (created) pump();
+  }
+
+  async function sendTest(webhookId) {
+    const webhook = await db.getWebhook(webhookId);
+    if (!webhook) return null;
+    const delivery = await createDelivery(webhook, 'webhook.test', {
+      title: 'Test reward',
+      unlockThreshold: 0,
+      totalDownloads: 0,
+      unlockedAt: new Date().toISOString(),
+    });
+    await claimAndAttempt(delivery, ['pending']);
+    return publicDelivery(await db.getWebhookDelivery(delivery.id));
+  }
+
+  // Resolves the delivery after the retry, { conflict } when it was delivered or is
+  // being sent right now, or null when it does not exist.
+  async function retryDelivery(id) {
+    const delivery = await db.getWebhookDelivery(id);
+    if (!delivery) return null;
+    if (!(await claimAndAttempt(delivery, ['pending', 'failed']))) {
+      const current = await db.getWebhookDelivery(id);
+      return { conflict: current && current.status === 'delivered' ? 'Already delivered' : 'Delivery is being sent' };
+    }
+    return publicDelivery(await db.getWebhookDelivery(id));
+  }
+
+  function start() {
+    unlockFeed.subscribe((event, data) => {
+      if (event !== 'unlock') return;
+      enqueue('asset.unlocked', data).catch((e) => console.warn('Webhook enqueue failed:', e.message));
+    });
+    pump();
+    setInterval(pump, POLL_MS).unref();
+  }
+
+  return {
+    WEBHOOK_KINDS,
+    readWebhookFields,
+    publicWebhook,
+    publicDelivery,
+    sendTest,
+    retryDelivery,
+    start,
+  };
+}
+
+module.exports = { createWebhookService };
@@ -3,12 +3,21 @@
  * Usage: node --test tests/api.test.mjs
  */
 
-import { test, describe, before } from 'node:test';
+import { test, describe, before, after } from 'node:test';
 import assert from 'node:assert/strict';
+import http from 'node:http';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { spawn } from 'node:child_process';
+import { createRequire } from 'node:module';
+import { fileURLToPath } from 'node:url';
 
 const BASE = 'http://localhost:3000';
 const ADMIN_PW = process.env.ADMIN_PASSWORD || '700062';
 const ADMIN_HEADERS = { 'x-admin-password': ADMIN_PW };
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const require = createRequire(import.meta.url);
 
 // ── helpers ──────────────────────────────────────────────────────────────────
 
@@ -51,12 +60,77 @@ async function json(res) {
   return res.json();
 }
 
+// A second server on its own port, for settings the main one does not run with.
+// It shares data/analytics.db with the main server.
+let nextPort = 3100;
+async function startServer(env) {
+  const port = nextPort++;
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: ROOT_DIR,
+    env: { ...process.env, ADMIN_PASSWORD: ADMIN_PW, ...env, PORT: String(port) },
+    stdio: 'ignore',
+  });
+  const base = `http://localhost:${port}`;
+  for (let i = 0; i < 100; i++) {
+    const res = await fetch(`${base}/api/health`).catch(() => null);
+    if (res && res.ok) break;
+    await new Promise((r) => setTimeout(r, 100));
+  }
+  const send = (method) => (p, body, headers = {}) => fetch(`${base}${p}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: body === undefined ? undefined : JSON.stringify(body),
+    redirect: 'manual',
+  });
+  return {
+    base,
+    get: (p, headers = {}) => fetch(`${base}${p}`, { headers, redirect: 'manual' }),
+    post: send('POST'),
+    patch: send('PATCH'),
+    del: send('DELETE'),
+    stop: () => new Promise((resolve) => {
+      if (child.exitCode !== null) return resolve();
+      child.once('exit', resolve);
+      child.kill();
+    }),
+  };
+}
+
+// The SQLite file the servers share, for rows the API cannot create or does not show.
+function openDb() {
+  const Database = require('better-sqlite3');
+  return new Database(path.join(ROOT_DIR, 'data', 'analytics.db'));
+}
+
+// Tracker downloads only count for assets in the catalogue: a published one with one variant.
+async function createTrackedAsset(title, category = 'stl', request = post) {
+  return request('/api/admin/downloads', { title, category, variants: [{ name: 'File', downloadUrl: '#' }] }, ADMIN_HEADERS).then(json);
+}
+
+async function removeTrackedAsset(asset, request = del) {
+  await request('/api/admin/downloads', { id: asset.id }, ADMIN_HEADERS);
+  await request(`/api/admin/trash/${asset.id}`, {}, ADMIN_HEADERS);
+}
+
 // verify server is up before running anything
 before(async () => {
   const res = await fetch(`${BASE}/`).catch(() => null);
   assert.ok(res && res.ok, `Server not reachable at ${BASE} — run "node server.js" first`);
 });
 
+// ── /api/health ───────────────────────────────────────────────────────────────
+
+describe('GET /api/health', () => {
+  test('reports the active storage driver', async () => {
+    const res = await get('/api/health');
+    assert.equal(res.status, 200);
+    const data = await json(res);
+    assert.ok(['s3', 'local'].includes(data.storageDriver), `unexpected driver ${data.storageDriver}`);
+    assert.equal(typeof data.storageConfigured, 'boolean');
+    assert.equal(typeof data.geo.remoteFallback, 'boolean');
+  });
+});
+
 // ── /api/categories ───────────────────────────────────────────────────────────
 
 describe('GET /api/categories', () => {
@@ -173,6 +247,304 @@ describe('GET /api/download/:id', () => {
   });
 });
 
+// ── local storage driver ──────────────────────────────────────────────────────
+
+describe('Local storage driver', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'maya-storage-'));
+  const seed = Date.now();
+  let server;
+  let asset;
+  let missing;
+
+  before(async () => {
+    fs.mkdirSync(path.join(dir, `probe-${seed}`), { recursive: true });
+    fs.writeFileSync(path.join(dir, `probe-${seed}`, 'file.bin'), Buffer.from('0123456789abcdefghij'));
+    server = await startServer({ STORAGE_DRIVER: 'local', LOCAL_STORAGE_DIR: dir });
+    const create = (title, file) => server.post('/api/admin/downloads', {
+      title,
+      category: 'ebook',
+      variants: [{ name: 'File', downloadUrl: `/storage/probe-${seed}/${file}` }],
+    }, ADMIN_HEADERS).then(json);
+    asset = await create('Local Probe', 'file.bin');
+    missing = await create('Local Missing', 'gone.bin');
+  });
+
+  after(async () => {
+    for (const a of [asset, missing]) {
+      if (!a || !a.id) continue;
+      await server.del('/api/admin/downloads', { id: a.id }, ADMIN_HEADERS);
+      await server.del(`/api/admin/trash/${a.id}`, {}, ADMIN_HEADERS);
+    }
+    await server.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('puts, gets, lists and deletes objects on disk', async () => {
+    const { createLocalStorage } = require('../services/storage.js');
+    const previous = process.env.LOCAL_STORAGE_DIR;
+    process.env.LOCAL_STORAGE_DIR = dir;
+    const storage = createLocalStorage({ fs, path, rootDir: ROOT_DIR, cleanEnv: (v) => v });
+    if (previous === undefined) delete process.env.LOCAL_STORAGE_DIR;
+    else process.env.LOCAL_STORAGE_DIR = previous;
+
+    await storage.put(`unit-${seed}/a.txt`, Buffer.from('hello'));
+    await storage.put(`unit-${seed}/nested/b.txt`, Buffer.from('world!'));
+    const meta = await storage.head(`unit-${seed}/a.txt`);
+    assert.equal(meta.contentLength, 5);
+    assert.equal(meta.contentType, 'text/plain; charset=utf-8');
+
+    const obj = await storage.get(`unit-${seed}/nested/b.txt`, { range: { start: 1, end: 3 } });
+    const chunks = [];
+    for await (const c of obj.body) chunks.push(c);
+    assert.equal(Buffer.concat(chunks).toString(), 'orl');
+    assert.equal(obj.contentRange, 'bytes 1-3/6');
+
+    const keys = [];
+    for await (const item of storage.list(`unit-${seed}/`)) keys.push(item.key);
+    assert.deepEqual(keys.sort(), [`unit-${seed}/a.txt`, `unit-${seed}/nested/b.txt`]);
+
+    await storage.delete(`unit-${seed}/a.txt`);
+    await storage.delete(`unit-${seed}/a.txt`);
+    assert.equal(await storage.head(`unit-${seed}/a.txt`), null);
+    assert.equal(storage.keyFromUrl(storage.getPublicUrl(`unit-${seed}/x y.txt`)), `unit-${seed}/x y.txt`);
+  });
+
+  test('rejects keys that escape the storage directory', async () => {
+    const { createLocalStorage } = require('../services/storage.js');
+    const storage = createLocalStorage({ fs, path, rootDir: dir, cleanEnv: () => '' });
+    await assert.rejects(storage.put('../escape.txt', Buffer.from('x')), /Invalid storage key/);
+    await assert.rejects(storage.head('a/../../escape.txt'), /Invalid storage key/);
+    await assert.rejects(storage.get('..'), /Invalid storage key/);
+    assert.equal(fs.existsSync(path.join(dir, '..', 'escape.txt')), false);
+  });
+
+  test('stored files are not served straight from disk', async () => {
+    const res = await server.get(`/storage/probe-${seed}/file.bin`);
+    assert.equal(res.status, 404);
+  });
+
+  test('downloads stream from disk, and a missing file is a 404 rather than a redirect', async () => {
+    assert.ok(asset && asset.id, 'asset was not created');
+    const res = await server.get(`/api/download/${asset.variants[0].id}`);
+    assert.equal(res.status, 200);
+    assert.equal(await res.text(), '0123456789abcdefghij');
+    assert.match(res.headers.get('content-disposition') || '', /attachment; filename="file.bin"/);
+
+    const gone = await server.get(`/api/download/${missing.variants[0].id}`);
+    assert.equal(gone.status, 404);
+  });
+
+  test('honours Range, If-Range and If-None-Match when streaming', async () => {
+    const url = `/api/download/${asset.variants[0].id}`;
+    const full = await server.get(url);
+    await full.arrayBuffer();
+    assert.equal(full.headers.get('accept-ranges'), 'bytes');
+    const etag = full.headers.get('etag');
+    const lastModified = full.headers.get('last-modified');
+    assert.ok(etag && lastModified);
+
+    const ranged = await server.get(url, { Range: 'bytes=2-5' });
+    assert.equal(ranged.status, 206);
+    assert.equal(ranged.headers.get('content-range'), 'bytes 2-5/20');
+    assert.equal(await ranged.text(), '2345');
+
+    const tail = await server.get(url, { Range: 'bytes=-4' });
+    assert.equal(tail.status, 206);
+    assert.equal(await tail.text(), 'ghij');
+
+    const fresh = await server.get(url, { Range: 'bytes=0-1', 'If-Range': etag });
+    assert.equal(fresh.status, 206);
+    assert.equal(await fresh.text(), '01');
+    const byDate = await server.get(url, { Range: 'bytes=0-1', 'If-Range': lastModified });
+    assert.equal(byDate.status, 206);
+    await byDate.arrayBuffer();
+
+    const stale = await server.get(url, { Range: 'bytes=0-1', 'If-Range': '"stale"' });
+    assert.equal(stale.status, 200);
+    assert.equal(await stale.text(), '0123456789abcdefghij');
+
+    const unsatisfiable = await server.get(url, { Range: 'bytes=50-60' });
+    assert.equal(unsatisfiable.status, 416);
+    assert.equal(unsatisfiable.headers.get('content-range'), 'bytes */20');
+
+    // fetch() adds Cache-Control: no-cache to conditional requests, which rules out a 304.
+    const cached = await new Promise((resolve, reject) => {
+      http.get(`${server.base}${url}`, { headers: { 'If-None-Match': etag } }, (res) => {
+        res.resume();
+        resolve(res.statusCode);
+      }).on('error', reject);
+    });
+    assert.equal(cached, 304);
+  });
+
+  test('stops serving bytes once the daily quota is used up', async () => {
+    const limited = await startServer({ STORAGE_DRIVER: 'local', LOCAL_STORAGE_DIR: dir, DOWNLOAD_QUOTA_BYTES_PER_DAY: '20' });
+    try {
+      const url = `/api/download/${asset.variants[0].id}`;
+      const first = await limited.get(url);
+      assert.equal(first.status, 200);
+      assert.equal(await first.text(), '0123456789abcdefghij');
+
+      let quota = null;
+      for (let i = 0; i < 10 && !(quota && quota.bytes_today >= 20); i++) {
+        if (i) await new Promise((r) => setTimeout(r, 100));
+        quota = (await limited.get('/api/admin/rate-limits', ADMIN_HEADERS).then(json)).quota;
+      }
+      assert.equal(quota.bytes_per_day, 20);
+      assert.equal(quota.bytes_today, 20);
+
+      const blocked = await limited.get(url);
+      assert.equal(blocked.status, 429);
+      const retryAfter = Number(blocked.headers.get('retry-after'));
+      assert.ok(retryAfter >= 1 && retryAfter <= 86400, `unexpected Retry-After ${retryAfter}`);
+      assert.equal((await blocked.json()).error, 'Daily download quota exceeded');
+      const zip = await limited.post('/api/download-zip', { ids: [asset.id] });
+      assert.equal(zip.status, 429);
+    } finally {
+      await limited.stop();
+    }
+  });
+});
+
+// ── presigned downloads ───────────────────────────────────────────────────────
+
+describe('Presigned downloads', () => {
+  const asset = {
+    id: 'presign-asset',
+    title: 'Presign Probe',
+    category: 'ebook',
+    variants: [{ id: 'presign-variant', name: 'File', downloadUrl: 'https://bucket.example/b/dir/file.bin' }],
+  };
+  const body = Buffer.from('presigned-body');
+  let server;
+  let base;
+  let signCalls;
+  let signFails;
+  let charged = [];
+  const previousEnv = {};
+
+  const setEnv = (values) => {
+    for (const [key, value] of Object.entries(values)) {
+      if (!(key in previousEnv)) previousEnv[key] = process.env[key];
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  };
+
+  before(async () => {
+    const express = require('express');
+    const { Readable } = require('node:stream');
+    const { createPublicRouter } = require('../routes/public.js');
+    const pass = () => (req, res, next) => next();
+    const storage = {
+      name: 's3',
+      isConfigured: () => true,
+      getBucket: () => 'b',
+      keyFromUrl: (url) => url.replace('https://bucket.example/b/', ''),
+      getSignedUrl: async (key, options) => {
+        signCalls.push({ key, ...options });
+        if (signFails) throw new Error('no signer');
+        return `https://bucket.example/b/${key}?signed=1`;
+      },
+      head: async () => ({ contentType: 'application/octet-stream', contentLength: body.length, etag: '"p"', lastModified: new Date(0) }),
+      get: async () => ({ body: Readable.from([body]), contentLength: body.length, contentRange: '' }),
+    };
+    const app = express();
+    app.use(createPublicRouter({
+      path,
+      rootDir: ROOT_DIR,
+      db: { insertServerDownload: async () => {} },
+      readCats: async () => [],
+      catIsVisible: async () => true,
+      storage,
+      cleanEnv: (v) => v,
+      parseCookies: () => ({}),
+      getIp: () => '127.0.0.1',
+      assetService: { readData: async () => [asset] },
+      unlockService: { isUnlocked: () => true },
+      unlockFeed: { loadContext: async () => ({ list: [asset], unlocks: {}, gamificationEnabled: false }), refresh: () => {} },
+      countingPolicy: { evaluate: async () => ({ accepted: true }) },
+      rateLimiter: { middleware: pass, quotaMiddleware: pass, addBytes: (ip, bytes) => charged.push(bytes) },
+    }));
+    server = http.createServer(app);
+    await new Promise((r) => server.listen(0, '127.0.0.1', r));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    setEnv(previousEnv);
+    return new Promise((r) => server.close(r));
+  });
+
+  const download = () => fetch(`${base}/api/download/presign-variant`, { redirect: 'manual' });
+
+  test('redirects to a signed URL for the stored key with the file name forced', async () => {
+    signCalls = [];
+    signFails = false;
+    setEnv({ DOWNLOAD_MODE: 'presign', DOWNLOAD_URL_TTL_SECONDS: undefined });
+    const res = await download();
+    assert.equal(res.status, 302);
+    assert.equal(res.headers.get('location'), 'https://bucket.example/b/dir/file.bin?signed=1');
+    assert.equal(res.headers.get('cache-control'), 'no-store');
+    assert.deepEqual(signCalls, [{ key: 'dir/file.bin', expiresIn: 300, filename: 'file.bin' }]);
+  });
+
+  test('charges the daily byte quota the object size when redirecting', async () => {
+    signCalls = [];
+    signFails = false;
+    charged = [];
+    setEnv({ DOWNLOAD_MODE: 'presign', DOWNLOAD_URL_TTL_SECONDS: undefined });
+    assert.equal((await download()).status, 302);
+    assert.deepEqual(charged, [body.length]);
+  });
+
+  test('clamps the signed URL lifetime to seven days', async () => {
+    signCalls = [];
+    signFails = false;
+    setEnv({ DOWNLOAD_MODE: 'presign', DOWNLOAD_URL_TTL_SECONDS: '99999999' });
+    assert.equal((await download()).status, 302);
+    setEnv({ DOWNLOAD_URL_TTL_SECONDS: '60' });
+    assert.equal((await download()).status, 302);
+    assert.deepEqual(signCalls.map((c) => c.expiresIn), [7 * 24 * 60 * 60, 60]);
+  });
+
+  test('proxies the bytes when signing fails or presign mode is off', async () => {
+    signCalls = [];
+    signFails = true;
+    setEnv({ DOWNLOAD_MODE: 'presign', DOWNLOAD_URL_TTL_SECONDS: undefined });
+    const res = await download();
+    assert.equal(res.status, 200);
+    assert.equal(await res.text(), 'presigned-body');
+    assert.match(res.headers.get('content-disposition'), /attachment; filename="file.bin"/);
+    assert.equal(signCalls.length, 1);
+
+    signCalls = [];
+    setEnv({ DOWNLOAD_MODE: undefined });
+    const proxied = await download();
+    assert.equal(proxied.status, 200);
+    await proxied.arrayBuffer();
+    assert.equal(signCalls.length, 0);
+  });
+
+  test('S3 signed URLs carry the lifetime and an attachment Content-Disposition', async () => {
+    const { createS3Storage } = require('../services/storage.js');
+    const env = {
+      S3_ACCESS_KEY_ID: 'AKIDEXAMPLE',
+      S3_SECRET_ACCESS_KEY: 'secret',
+      S3_ENDPOINT: 'https://s3.example.test',
+      S3_BUCKET: 'probe-bucket',
+    };
+    const s3 = createS3Storage({ cleanEnv: (v) => v });
+    setEnv(env);
+    const url = new URL(await s3.getSignedUrl('dir/my "file".bin', { expiresIn: 120, filename: 'my "file".bin' }));
+    assert.equal(url.origin, 'https://s3.example.test');
+    assert.equal(url.pathname, '/probe-bucket/dir/my%20%22file%22.bin');
+    assert.equal(url.searchParams.get('X-Amz-Expires'), '120');
+    assert.equal(url.searchParams.get('response-content-disposition'), 'attachment; filename="my \\"file\\".bin"');
+    assert.ok(url.searchParams.get('X-Amz-Signature'));
+  });
+});
+
 // ── /api/thumbnail/:id ────────────────────────────────────────────────────────
 
 describe('GET /api/thumbnail/:id', () => {
@@ -225,6 +597,43 @@ describe('POST /api/track', () => {
     assert.ok([200, 204].includes(res.status), `expected 200/204, got ${res.status}`);
   });
 
+  test('X-Forwarded-For is ignored unless a proxy hop is trusted', async () => {
+    const seed = Date.now();
+    const localCount = (stats) => (stats.by_country.find((c) => c.country === 'Local') || { n: 0 }).n;
+    const before = await get('/api/admin/analytics?days=1', ADMIN_HEADERS).then(json);
+    await post('/api/track', { type: 'pageview', sid: `xff-${seed}`, page: '/stl' }, { 'X-Forwarded-For': '2606:4700::1111' });
+    let after;
+    for (let i = 0; i < 20; i++) {
+      after = await get('/api/admin/analytics?days=1', ADMIN_HEADERS).then(json);
+      if (after.unique_sessions > before.unique_sessions) break;
+      await new Promise((r) => setTimeout(r, 100));
+    }
+    assert.equal(localCount(after) - localCount(before), 1, 'the socket address (loopback) is recorded');
+  });
+
+  test('behind a trusted proxy only private and loopback hops are recorded as Local', async () => {
+    const server = await startServer({ TRUST_PROXY_HOPS: '1' });
+    try {
+      const seed = Date.now();
+      const localCount = (stats) => (stats.by_country.find((c) => c.country === 'Local') || { n: 0 }).n;
+      const before = await server.get('/api/admin/analytics?days=1', ADMIN_HEADERS).then(json);
+      // The leftmost entries are whatever the client sent; the proxy appends the last one.
+      const hops = ['8.8.8.8, 172.20.5.5', '10.0.0.1, 172.32.5.5', '1.1.1.1, fd00::1', '192.168.0.1, 2606:4700::1111'];
+      for (const [i, hop] of hops.entries()) {
+        await server.post('/api/track', { type: 'pageview', sid: `geo-${seed}-${i}`, page: '/stl' }, { 'X-Forwarded-For': hop });
+      }
+      let after;
+      for (let i = 0; i < 20; i++) {
+        after = await server.get('/api/admin/analytics?days=1', ADMIN_HEADERS).then(json);
+        if (after.unique_sessions - before.unique_sessions >= hops.length) break;
+        await new Promise((r) => setTimeout(r, 100));
+      }
+      assert.equal(localCount(after) - localCount(before), 2);
+    } finally {
+      await server.stop();
+    }
+  });
+
   test('accepts event without sid gracefully (no crash)', async () => {
     const res = await post('/api/track', { type: 'pageview' });
     // server silently drops events with no sid but still returns 204
@@ -232,6 +641,87 @@ describe('POST /api/track', () => {
   });
 });
 
+// ── Geo databases ─────────────────────────────────────────────────────────────
+
+// tests/fixtures/geo-city.mmdb is an IPv6 City database with 81.2.69.0/24 (London) and
+// 2a02:cf40::/32 (Germany); geo-ranges.csv mixes dotted, integer and IPv6 ranges.
+describe('Geo lookup', () => {
+  const geo = require('../services/geo.js');
+  const fixture = (name) => fs.readFileSync(path.join(ROOT_DIR, 'tests', 'fixtures', name));
+
+  test('reads IPv4, IPv4-mapped and IPv6 addresses from a MaxMind DB', () => {
+    const reader = geo.openMmdb(fixture('geo-city.mmdb'));
+    const country = (ip) => {
+      const record = reader.lookup(geo.ipToBytes(ip));
+      return record && record.country.names.en;
+    };
+    assert.equal(reader.type, 'Maya-Test-City');
+    const london = reader.lookup(geo.ipToBytes('81.2.69.160'));
+    assert.equal(london.city.names.en, 'London');
+    assert.equal(london.subdivisions[0].names.en, 'England');
+    assert.equal(london.location.time_zone, 'Europe/London');
+    assert.equal(country('::ffff:81.2.69.160'), 'United Kingdom');
+    assert.equal(country('2a02:cf40::1'), 'Germany');
+    assert.equal(country('2a02:cf40:ffff::1'), 'Germany');
+    assert.equal(country('81.2.70.1'), null);
+    assert.equal(country('2a03::1'), null);
+  });
+
+  test('reads dotted, integer and IPv6 ranges from a range CSV', () => {
+    const reader = geo.openRangeCsv(fixture('geo-ranges.csv').toString('utf8'));
+    const find = (ip) => reader.lookup(geo.ipToBytes(ip));
+    assert.equal(reader.ranges, 4);
+    assert.deepEqual(find('1.0.0.1'), {
+      country: 'Australia', region: 'Queensland', city: 'Brisbane', isp: '', lat: -27.4679, lon: 153.0281, tz: 'Australia/Brisbane',
+    });
+    assert.equal(find('1.0.0.255').country, 'Australia');
+    assert.equal(find('1.0.2.5').country, 'China');
+    assert.equal(find('::ffff:1.0.0.9').city, 'Brisbane');
+    assert.equal(find('2001:200::1').city, 'Tokyo');
+    assert.equal(find('2001:201::'), null);
+    assert.equal(find('8.8.8.8'), null);
+  });
+
+  test('treats reserved and documentation networks as private', () => {
+    const reserved = [
+      '192.0.0.8', '198.18.0.1', '198.19.255.255', '224.0.0.251', '239.255.255.250', '240.0.0.1', '255.255.255.255',
+      '2001:db8::1', '64:ff9b::808:808', '::ffff:198.18.0.1', '10.1.2.3', 'fe80::1', 'not-an-ip',
+      '192.0.2.1', '198.51.100.7', '203.0.113.255', '::ffff:203.0.113.9',
+      'ff02::1', 'ff0e::101', '100::1', '100::ffff:ffff:ffff:ffff',
+    ];
+    for (const ip of reserved) assert.equal(geo.isPrivateIp(ip), true, ip);
+    for (const ip of [
+      '192.0.1.1', '192.0.3.1', '198.20.0.1', '198.51.101.1', '203.0.112.255', '203.0.114.1', '223.255.255.255', '81.2.69.160',
+      '2001:db9::1', '2a02:cf40::1', '100:0:0:1::1', 'fe00::1',
+    ]) {
+      assert.equal(geo.isPrivateIp(ip), false, ip);
+    }
+  });
+
+  test('visits get their country from GEO_DB_PATH', async () => {
+    const server = await startServer({ GEO_DB_PATH: 'tests/fixtures/geo-city.mmdb', TRUST_PROXY_HOPS: '1' });
+    try {
+      const health = await server.get('/api/health').then(json);
+      assert.equal(health.geo.database, 'geo-city.mmdb');
+      const seed = Date.now();
+      const count = (stats, name) => (stats.by_country.find((c) => c.country === name) || { n: 0 }).n;
+      const before = await server.get('/api/admin/analytics?days=1', ADMIN_HEADERS).then(json);
+      await server.post('/api/track', { type: 'pageview', sid: `geo-uk-${seed}`, page: '/stl' }, { 'X-Forwarded-For': '81.2.69.160' });
+      await server.post('/api/track', { type: 'pageview', sid: `geo-de-${seed}`, page: '/stl' }, { 'X-Forwarded-For': '2a02:cf40::7' });
+      let after;
+      for (let i = 0; i < 20; i++) {
+        after = await server.get('/api/admin/analytics?days=1', ADMIN_HEADERS).then(json);
+        if (count(after, 'Germany') > count(before, 'Germany')) break;
+        await new Promise((r) => setTimeout(r, 100));
+      }
+      assert.equal(count(after, 'United Kingdom') - count(before, 'United Kingdom'), 1);
+      assert.equal(count(after, 'Germany') - count(before, 'Germany'), 1);
+    } finally {
+      await server.stop();
+    }
+  });
+});
+
 // ── /api/admin/* ──────────────────────────────────────────────────────────────
 
 describe('Admin API (password auth)', () => {
@@ -245,6 +735,31 @@ describe('Admin API (password auth)', () => {
     assert.equal(res.status, 401);
   });
 
+  test('wrong password headers spend the login limit and are audited', async () => {
+    const server = await startServer({ RATE_LIMIT_LOGIN: '3/60' });
+    try {
+      const statuses = [];
+      for (let i = 0; i < 5; i++) {
+        statuses.push((await server.get('/api/admin/downloads', { 'x-admin-password': `guess-${i}` })).status);
+      }
+      assert.deepEqual(statuses, [401, 401, 401, 429, 429]);
+      const blocked = await server.get('/api/admin/downloads', ADMIN_HEADERS);
+      assert.equal(blocked.status, 429);
+      assert.ok(Number(blocked.headers.get('retry-after')) > 0);
+    } finally {
+      await server.stop();
+    }
+    let entries = [];
+    for (let i = 0; i < 10 && entries.length < 3; i++) {
+      await new Promise((r) => setTimeout(r, 100));
+      const data = await get('/api/admin/audit?action=session.header_failed', ADMIN_HEADERS).then(json);
+      entries = data.entries.filter((e) => e.path === '/api/admin/downloads' && e.method === 'GET');
+    }
+    assert.ok(entries.length >= 3, 'expected a header_failed entry per wrong guess');
+    assert.equal(entries[0].status, 401);
+    assert.ok(!JSON.stringify(entries).includes('guess-'));
+  });
+
   test('GET /api/admin/downloads returns 200 with correct password', async () => {
     const res = await get('/api/admin/downloads', ADMIN_HEADERS);
     assert.equal(res.status, 200);
@@ -319,6 +834,47 @@ describe('Admin API (password auth)', () => {
     await del('/api/admin/downloads', { id: created.id }, ADMIN_HEADERS);
   });
 
+  test('PATCH /api/admin/downloads/:id rejects a stale version with the current record', async () => {
+    const created = await post('/api/admin/downloads', {
+      title: 'Version Test Asset',
+      category: 'stl',
+      visible: false,
+      variants: [{ name: 'v1', downloadUrl: '#' }],
+    }, ADMIN_HEADERS).then(json);
+    assert.equal(created.version, 1);
+
+    try {
+      const first = await patch(`/api/admin/downloads/${encodeURIComponent(created.id)}`, { title: 'Edit A' }, { ...ADMIN_HEADERS, 'If-Match': '"1"' });
+      assert.equal(first.status, 200);
+      assert.equal(first.headers.get('etag'), '"2"');
+      assert.equal((await first.json()).version, 2);
+
+      const stale = await patch(`/api/admin/downloads/${encodeURIComponent(created.id)}`, { description: 'Edit B', expectedVersion: 1 }, ADMIN_HEADERS);
+      assert.equal(stale.status, 409);
+      const body = await stale.json();
+      assert.equal(body.current.version, 2);
+      assert.equal(body.current.title, 'Edit A');
+      assert.equal(body.current.description, '');
+    } finally {
+      await del('/api/admin/downloads', { id: created.id }, ADMIN_HEADERS);
+    }
+  });
+
+  test('PATCH /api/admin/categories/:slug rejects a stale version', async () => {
+    const slug = `ver-${Date.now()}`;
+    await post('/api/admin/categories', { slug, label: 'Versioned' }, ADMIN_HEADERS);
+    try {
+      const cat = (await get('/api/admin/categories', ADMIN_HEADERS).then(json)).find(c => c.slug === slug);
+      const ok = await patch(`/api/admin/categories/${slug}`, { label: 'V2', expectedVersion: cat.version }, ADMIN_HEADERS);
+      assert.equal(ok.status, 200);
+      const stale = await patch(`/api/admin/categories/${slug}`, { desc: 'late', expectedVersion: cat.version }, ADMIN_HEADERS);
+      assert.equal(stale.status, 409);
+      assert.equal((await stale.json()).current.label, 'V2');
+    } finally {
+      await del(`/api/admin/categories/${slug}`, {}, ADMIN_HEADERS);
+    }
+  });
+
   test('DELETE /api/admin/downloads removes the asset', async () => {
     const created = await post('/api/admin/downloads', {
       title: 'Delete Test Asset',
@@ -338,9 +894,184 @@ describe('Admin API (password auth)', () => {
     assert.ok([200, 204].includes(res.status), `expected 200/204, got ${res.status}`);
   });
 
+  test('dashboard reports server-verified download counts', async () => {
+    const data = await get('/api/admin/dashboard', ADMIN_HEADERS).then(json);
+    assert.equal(typeof data.server_downloads, 'number');
+    assert.equal(typeof data.server_downloads_24h, 'number');
+  });
+
+  test('download count source can be switched and rejects unknown values', async () => {
+    const original = await get('/api/admin/download-count-source', ADMIN_HEADERS).then(json);
+    assert.ok(['tracker', 'server'].includes(original.source));
+    const bad = await patch('/api/admin/download-count-source', { source: 'bogus' }, ADMIN_HEADERS);
+    assert.equal(bad.status, 400);
+    const next = original.source === 'server' ? 'tracker' : 'server';
+    const switched = await patch('/api/admin/download-count-source', { source: next }, ADMIN_HEADERS).then(json);
+    assert.equal(switched.source, next);
+    await patch('/api/admin/download-count-source', { source: original.source }, ADMIN_HEADERS);
+  });
+
+  test('rate-limits reports per-route counters and the download quota', async () => {
+    const data = await get('/api/admin/rate-limits', ADMIN_HEADERS).then(json);
+    const routes = data.routes.map((r) => r.route);
+    for (const route of ['download', 'zip', 'preview', 'track']) {
+      assert.ok(routes.includes(route), `missing route ${route}`);
+    }
+    assert.equal(typeof data.quota.bytes_per_day, 'number');
+  });
+
+  test('an exhausted bucket answers 429 with Retry-After', async () => {
+    const server = await startServer({ RATE_LIMIT_PREVIEW: '2/60' });
+    try {
+      const url = `/api/preview-image/rate-probe-${Date.now()}`;
+      assert.equal((await server.get(url)).status, 404);
+      assert.equal((await server.get(url)).status, 404);
+      const limited = await server.get(url);
+      assert.equal(limited.status, 429);
+      const retryAfter = Number(limited.headers.get('retry-after'));
+      assert.ok(retryAfter >= 1 && retryAfter <= 60, `unexpected Retry-After ${retryAfter}`);
+      assert.equal((await limited.json()).retryAfter, retryAfter);
+
+      const data = await server.get('/api/admin/rate-limits', ADMIN_HEADERS).then(json);
+      const preview = data.routes.find((r) => r.route === 'preview');
+      assert.deepEqual([preview.capacity, preview.window_seconds, preview.allowed, preview.limited], [2, 60, 2, 1]);
+    } finally {
+      await server.stop();
+    }
+  });
+
+  test('rejected-events reports bot and duplicate download events', async () => {
+    const seed = Date.now();
+    const asset = await createTrackedAsset('Abuse Probe');
+    const assetId = asset.id;
+    try {
+      const payload = { type: 'download', sid: `abuse-sid-${seed}`, asset_id: assetId, asset_title: 'Abuse Probe' };
+      await post('/api/track', payload);
+      await post('/api/track', payload);
+      await post('/api/track', { ...payload, sid: `abuse-bot-${seed}` }, { 'User-Agent': 'Googlebot/2.1 (+http://www.google.com/bot.html)' });
+
+      let reasons = [];
+      for (let i = 0; i < 10 && reasons.length < 2; i++) {
+        await new Promise((r) => setTimeout(r, 100));
+        const report = await get('/api/admin/rejected-events?days=1', ADMIN_HEADERS).then(json);
+        assert.equal(typeof report.limits, 'object');
+        reasons = report.recent.filter((r) => r.asset_id === assetId).map((r) => r.reason);
+      }
+      assert.ok(reasons.includes('duplicate'), `expected a duplicate rejection, got ${reasons}`);
+      assert.ok(reasons.includes('bot'), `expected a bot rejection, got ${reasons}`);
+    } finally {
+      await removeTrackedAsset(asset);
+    }
+  });
+
+  test('the per-IP cap holds when the client rotates X-Forwarded-For', async () => {
+    const server = await startServer({ TRUST_PROXY_HOPS: '1', COUNT_CAP_PER_IP: '2', COUNT_CAP_PER_SESSION: '0' });
+    const asset = await createTrackedAsset('IP Cap Probe');
+    try {
+      const seed = Date.now();
+      const assetId = asset.id;
+      for (let i = 0; i < 3; i++) {
+        await server.post('/api/track', { type: 'download', sid: `ipcap-sid-${seed}-${i}`, asset_id: assetId, asset_title: 'IP Cap Probe' },
+          { 'X-Forwarded-For': `203.0.113.${i + 1}, 198.51.100.7` });
+      }
+      let reasons = [];
+      for (let i = 0; i < 10 && !reasons.length; i++) {
+        await new Promise((r) => setTimeout(r, 100));
+        const report = await server.get('/api/admin/rejected-events?days=1', ADMIN_HEADERS).then(json);
+        reasons = report.recent.filter((r) => r.asset_id === assetId).map((r) => [r.reason, r.ip]);
+      }
+      assert.deepEqual(reasons, [['ip_cap', '198.51.100.7']]);
+    } finally {
+      await server.stop();
+      await removeTrackedAsset(asset);
+    }
+  });
+
+  test('downloads of ids outside the catalogue never count; variant ids count for their asset', async () => {
+    const seed = Date.now();
+    const sid = `unknown-sid-${seed}`;
+    const asset = await createTrackedAsset('Catalogue Probe');
+    const db = openDb();
+    try {
+      for (let i = 0; i < 30; i++) {
+        await post('/api/track', { type: 'download', sid, asset_id: `random-${seed}-${i}`, asset_title: 'Made Up' });
+      }
+      await post('/api/track', { type: 'download', sid, asset_id: asset.variants[0].id, asset_title: 'Catalogue Probe' });
+      let rejected = [];
+      for (let i = 0; i < 20 && rejected.length < 30; i++) {
+        await new Promise((r) => setTimeout(r, 100));
+        rejected = db.prepare(`SELECT reason FROM rejected_events WHERE session_id = ?`).all(sid);
+      }
+      assert.equal(rejected.length, 30);
+      assert.ok(rejected.every((r) => r.reason === 'unknown_asset'));
+      const stored = db.prepare(`SELECT asset_id FROM events WHERE session_id = ? AND type = 'download'`).all(sid);
+      assert.deepEqual(stored, [{ asset_id: asset.id }]);
+    } finally {
+      db.close();
+      await removeTrackedAsset(asset);
+    }
+  });
+
+  test('the daily caps across all assets hold for one session and one IP', async () => {
+    const server = await startServer({
+      COUNT_CAP_PER_SESSION: '0', COUNT_CAP_PER_IP: '0', COUNT_CAP_PER_SESSION_TOTAL: '2', COUNT_CAP_PER_IP_TOTAL: '3',
+      TRUST_PROXY_HOPS: '1',
+    });
+    const assets = [];
+    try {
+      const seed = Date.now();
+      for (let i = 0; i < 4; i++) assets.push(await createTrackedAsset(`Total Cap ${i}`, 'stl', server.post));
+      const ip = { 'X-Forwarded-For': '198.51.100.23' };
+      const attempts = [[`total-a-${seed}`, 0], [`total-a-${seed}`, 1], [`total-a-${seed}`, 2], [`total-b-${seed}`, 3]];
+      for (const [sid, i] of attempts) {
+        await server.post('/api/track', { type: 'download', sid, asset_id: assets[i].id, asset_title: 'Total Cap' }, ip);
+      }
+      const ids = assets.map((a) => a.id);
+      let reasons = [];
+      for (let i = 0; i < 10 && reasons.length < 2; i++) {
+        await new Promise((r) => setTimeout(r, 100));
+        const report = await server.get('/api/admin/rejected-events?days=1', ADMIN_HEADERS).then(json);
+        assert.equal(report.limits.sessionTotalCap, 2);
+        reasons = report.recent.filter((r) => ids.includes(r.asset_id)).map((r) => [ids.indexOf(r.asset_id), r.reason]).sort();
+      }
+      assert.deepEqual(reasons, [[2, 'session_total_cap'], [3, 'ip_total_cap']]);
+    } finally {
+      await server.stop();
+      for (const asset of assets) await removeTrackedAsset(asset);
+    }
+  });
+
+  test('analytics counts visitors across sessions and splits new from returning', async () => {
+    const seed = Date.now();
+    const before = await get('/api/admin/analytics?days=1', ADMIN_HEADERS).then(json);
+    const visits = [
+      { sid: `vis-sid-${seed}-1`, vid: `vis-a-${seed}` },
+      { sid: `vis-sid-${seed}-2`, vid: `vis-a-${seed}` },
+      { sid: `vis-sid-${seed}-3`, vid: `vis-b-${seed}` },
+    ];
+    for (const v of visits) {
+      await post('/api/track', { type: 'pageview', page: '/stl', ...v });
+      await new Promise((r) => setTimeout(r, 50));
+    }
+    let after;
+    for (let i = 0; i < 20; i++) {
+      after = await get('/api/admin/analytics?days=1', ADMIN_HEADERS).then(json);
+      if (after.unique_sessions - before.unique_sessions >= 3) break;
+      await new Promise((r) => setTimeout(r, 100));
+    }
+    assert.equal(after.unique_sessions - before.unique_sessions, 3);
+    assert.equal(after.unique_visitors - before.unique_visitors, 2);
+    assert.equal(after.new_visitors - before.new_visitors, 2);
+    assert.equal(after.returning_visitors - before.returning_visitors, 1);
+    assert.equal(after.new_vs_returning.new_sessions - before.new_vs_returning.new_sessions, 2);
+    assert.equal(after.new_vs_returning.returning_sessions - before.new_vs_returning.returning_sessions, 1);
+    assert.ok(Array.isArray(after.new_vs_returning.by_day));
+  });
+
   test('analytics top_downloads groups by id + title + category', async () => {
     const seed = Date.now();
-    const assetId = `analytics-group-${seed}`;
+    const asset = await createTrackedAsset('Analytics Group Probe');
+    const assetId = asset.id;
     const sidBase = `analytics-sid-${seed}`;
     const eventPayloads = [
       { sid: `${sidBase}-1`, asset_title: 'Variant A', asset_category: 'wallpapers' },
@@ -367,6 +1098,1116 @@ describe('Admin API (password auth)', () => {
     const rowKeys = new Set(groupedRows.map((row) => `${row.asset_title}|${row.asset_category}`));
     assert.ok(rowKeys.has('Variant A|wallpapers'), 'missing grouped row for Variant A/wallpapers');
     assert.ok(rowKeys.has('Variant B|ebook'), 'missing grouped row for Variant B/ebook');
+    await removeTrackedAsset(asset);
+  });
+});
+
+// ── Admin accounts, sessions and roles ───────────────────────────────────────
+
+function sessionCookie(res) {
+  const raw = res.headers.get('set-cookie') || '';
+  const m = raw.match(/maya_admin=([^;]*)/);
+  return m ? `maya_admin=${m[1]}` : '';
+}
+
+describe('Admin sessions and roles', () => {
+  test('password login issues an HttpOnly session cookie and logout revokes it', async () => {
+    const login = await post('/api/admin/session', { password: ADMIN_PW });
+    assert.equal(login.status, 200);
+    const setCookie = login.headers.get('set-cookie') || '';
+    assert.match(setCookie, /HttpOnly/i);
+    const cookie = sessionCookie(login);
+    assert.ok(cookie, 'expected maya_admin cookie');
+
+    const me = await get('/api/admin/session', { cookie }).then(json);
+    assert.equal(me.user.role, 'owner');
+    assert.equal((await get('/api/admin/dashboard', { cookie })).status, 200);
+
+    await del('/api/admin/session', {}, { cookie });
+    assert.equal((await get('/api/admin/dashboard', { cookie })).status, 401);
+  });
+
+  test('wrong credentials are rejected', async () => {
+    const res = await post('/api/admin/session', { username: 'nobody-here', password: 'not-the-password' });
+    assert.equal(res.status, 401);
+  });
+
+  test('viewer accounts can read analytics but not edit assets or settings', async () => {
+    const username = `viewer-${Date.now()}`;
+    const created = await post('/api/admin/users', { username, password: 'viewer-pass-123', role: 'viewer' }, ADMIN_HEADERS);
+    assert.equal(created.status, 201);
+    const user = await created.json();
+    assert.equal(user.role, 'viewer');
+    assert.equal(user.password_hash, undefined);
+
+    try {
+      const login = await post('/api/admin/session', { username, password: 'viewer-pass-123' });
+      assert.equal(login.status, 200);
+      const cookie = sessionCookie(login);
+      assert.equal((await get('/api/admin/dashboard', { cookie })).status, 200);
+      assert.equal((await get('/api/admin/downloads', { cookie })).status, 403);
+      assert.equal((await patch('/api/admin/gamification', { enabled: true }, { cookie })).status, 403);
+      assert.equal((await get('/api/admin/users', { cookie })).status, 403);
+    } finally {
+      await del(`/api/admin/users/${user.id}`, {}, ADMIN_HEADERS);
+    }
+  });
+
+  test('rejects short passwords and unknown roles', async () => {
+    const short = await post('/api/admin/users', { username: `short-${Date.now()}`, password: 'x', role: 'viewer' }, ADMIN_HEADERS);
+    assert.equal(short.status, 400);
+    const badRole = await post('/api/admin/users', { username: `role-${Date.now()}`, password: 'long-enough-pw', role: 'root' }, ADMIN_HEADERS);
+    assert.equal(badRole.status, 400);
+  });
+});
+
+describe('API tokens', () => {
+  test('scoped bearer tokens reach only their routes and stop working once revoked', async () => {
+    const created = await post('/api/admin/tokens', { name: `ci-${Date.now()}`, scopes: ['analytics:read'], expires_in_days: 1 }, ADMIN_HEADERS);
+    assert.equal(created.status, 201);
+    const token = await created.json();
+    assert.match(token.token, /^mt_/);
+    assert.deepEqual(token.scopes, ['analytics:read']);
+    assert.ok(token.expires_at);
+    const auth = { authorization: `Bearer ${token.token}` };
+
+    assert.equal((await get('/api/admin/dashboard', auth)).status, 200);
+    assert.equal((await get('/api/admin/downloads', auth)).status, 403);
+    assert.equal((await get('/api/admin/users', auth)).status, 403);
+    assert.equal((await get('/api/admin/tokens', auth)).status, 403);
+
+    const list = await get('/api/admin/tokens', ADMIN_HEADERS).then(json);
+    const listed = list.tokens.find(t => t.id === token.id);
+    assert.ok(listed, 'created token should be listed');
+    assert.equal(listed.token, undefined);
+    assert.equal(listed.token_hash, undefined);
+
+    assert.equal((await del(`/api/admin/tokens/${token.id}`, {}, ADMIN_HEADERS)).status, 200);
+    assert.equal((await get('/api/admin/dashboard', auth)).status, 401);
+  });
+
+  test('rejects unknown scopes and bad expiry', async () => {
+    const badScope = await post('/api/admin/tokens', { name: 'bad', scopes: ['everything'] }, ADMIN_HEADERS);
+    assert.equal(badScope.status, 400);
+    const badExpiry = await post('/api/admin/tokens', { name: 'bad', scopes: ['assets:read'], expires_in_days: -1 }, ADMIN_HEADERS);
+    assert.equal(badExpiry.status, 400);
+  });
+
+  test('unknown bearer tokens are unauthorized', async () => {
+    const res = await get('/api/admin/dashboard', { authorization: 'Bearer mt_not-a-real-token' });
+    assert.equal(res.status, 401);
+  });
+});
+
+describe('Audit log', () => {
+  test('records category changes with actor and field diff, and exports CSV', async () => {
+    const slug = `audit-${Date.now()}`;
+    await post('/api/admin/categories', { slug, label: 'Audit Probe' }, ADMIN_HEADERS);
+    await patch(`/api/admin/categories/${slug}`, { label: 'Audit Probe 2', visible: false }, ADMIN_HEADERS);
+    await del(`/api/admin/categories/${slug}`, {}, ADMIN_HEADERS);
+
+    let entries = [];
+    for (let i = 0; i < 10 && entries.length < 3; i++) {
+      await new Promise((r) => setTimeout(r, 100));
+      entries = (await get(`/api/admin/audit?target_id=${slug}`, ADMIN_HEADERS).then(json)).entries;
+    }
+    assert.deepEqual(entries.map(e => e.action), ['category.delete', 'category.update', 'category.create']);
+    const update = entries[1];
+    assert.equal(update.actor_name, 'admin');
+    assert.equal(update.method, 'PATCH');
+    assert.deepEqual(update.diff.label, { from: 'Audit Probe', to: 'Audit Probe 2' });
+    assert.deepEqual(update.diff.visible, { from: true, to: false });
+    assert.equal(update.diff.slug, undefined);
+
+    const csv = await get(`/api/admin/audit/export?format=csv&target_id=${slug}`, ADMIN_HEADERS);
+    assert.equal(csv.status, 200);
+    assert.match(csv.headers.get('content-type') || '', /text\/csv/);
+    const lines = (await csv.text()).trim().split(/\r?\n/);
+    assert.match(lines[0], /^ts,actor_name,/);
+    assert.equal(lines.length, 4);
+  });
+
+  test('failed logins are recorded without credentials', async () => {
+    const username = `ghost-${Date.now()}`;
+    await post('/api/admin/session', { username, password: 'hunter2-wrong' });
+    let entry;
+    for (let i = 0; i < 10 && !entry; i++) {
+      await new Promise((r) => setTimeout(r, 100));
+      const data = await get(`/api/admin/audit?action=session.login_failed&actor=${username}`, ADMIN_HEADERS).then(json);
+      entry = data.entries[0];
+    }
+    assert.ok(entry, 'expected a login_failed entry');
+    assert.equal(entry.status, 401);
+    assert.ok(!JSON.stringify(entry).includes('hunter2'));
+  });
+});
+
+describe('Asset revisions and trash', () => {
+  test('every save keeps a revision that can be diffed and restored', async () => {
+    const created = await post('/api/admin/downloads', { title: 'Rev One', category: 'ebook', variants: [] }, ADMIN_HEADERS).then(json);
+    try {
+      await patch(`/api/admin/downloads/${created.id}`, { title: 'Rev Two' }, ADMIN_HEADERS);
+      const { revisions } = await get(`/api/admin/downloads/${created.id}/revisions`, ADMIN_HEADERS).then(json);
+      assert.deepEqual(revisions.map(r => [r.version, r.reason]), [[1, 'update']]);
+
+      const rev = await get(`/api/admin/downloads/${created.id}/revisions/1`, ADMIN_HEADERS).then(json);
+      assert.equal(rev.asset.title, 'Rev One');
+      assert.deepEqual(rev.diff.title, { from: 'Rev Two', to: 'Rev One' });
+
+      const res = await post(`/api/admin/downloads/${created.id}/revisions/1/restore`, { expectedVersion: 2 }, ADMIN_HEADERS);
+      assert.equal(res.status, 200);
+      const restored = await res.json();
+      assert.equal(restored.title, 'Rev One');
+      assert.equal(restored.version, 3);
+      const after = await get(`/api/admin/downloads/${created.id}/revisions`, ADMIN_HEADERS).then(json);
+      assert.deepEqual(after.revisions.map(r => [r.version, r.reason]), [[2, 'restore'], [1, 'update']]);
+    } finally {
+      await del('/api/admin/downloads', { id: created.id }, ADMIN_HEADERS);
+      await del(`/api/admin/trash/${created.id}`, {}, ADMIN_HEADERS);
+    }
+  });
+
+  test('deleted assets go to the trash and can be restored', async () => {
+    const created = await post('/api/admin/downloads', { title: 'Trash Probe', category: 'ebook', variants: [] }, ADMIN_HEADERS).then(json);
+    await del('/api/admin/downloads', { id: created.id }, ADMIN_HEADERS);
+    const trash = await get('/api/admin/trash', ADMIN_HEADERS).then(json);
+    assert.ok(Number.isInteger(trash.retention_days));
+    const entry = trash.entries.find(e => e.asset_id === created.id);
+    assert.ok(entry, 'expected the asset in the trash');
+    assert.ok(Date.parse(entry.purge_after) >= Date.parse(entry.deleted_at));
+
+    const res = await post(`/api/admin/trash/${created.id}/restore`, {}, ADMIN_HEADERS);
+    assert.equal(res.status, 200);
+    const list = await get('/api/admin/downloads', ADMIN_HEADERS).then(json);
+    assert.equal(list[0].id, created.id);
+    assert.equal((await post(`/api/admin/trash/${created.id}/restore`, {}, ADMIN_HEADERS)).status, 404);
+
+    await del('/api/admin/downloads', { id: created.id }, ADMIN_HEADERS);
+    assert.equal((await del(`/api/admin/trash/${created.id}`, {}, ADMIN_HEADERS)).status, 200);
+    const gone = await get('/api/admin/trash', ADMIN_HEADERS).then(json);
+    assert.ok(!gone.entries.some(e => e.asset_id === created.id));
+  });
+
+  test('keeps only the newest ASSET_REVISIONS_KEEP revisions and drops them with the purged asset', async () => {
+    const server = await startServer({ ASSET_REVISIONS_KEEP: '2' });
+    const created = await server.post('/api/admin/downloads', { title: 'Keep 1', category: 'ebook', variants: [] }, ADMIN_HEADERS).then(json);
+    try {
+      for (let i = 2; i <= 5; i++) {
+        assert.equal((await server.patch(`/api/admin/downloads/${created.id}`, { title: `Keep ${i}` }, ADMIN_HEADERS)).status, 200);
+      }
+      const { revisions } = await server.get(`/api/admin/downloads/${created.id}/revisions`, ADMIN_HEADERS).then(json);
+      assert.deepEqual(revisions.map(r => r.version), [4, 3]);
+      assert.equal((await server.get(`/api/admin/downloads/${created.id}/revisions/1`, ADMIN_HEADERS)).status, 404);
+
+      await server.del('/api/admin/downloads', { id: created.id }, ADMIN_HEADERS);
+      assert.equal((await server.del(`/api/admin/trash/${created.id}`, {}, ADMIN_HEADERS)).status, 200);
+      assert.equal((await server.get(`/api/admin/downloads/${created.id}/revisions`, ADMIN_HEADERS)).status, 404);
+    } finally {
+      await server.del('/api/admin/downloads', { id: created.id }, ADMIN_HEADERS);
+      await server.del(`/api/admin/trash/${created.id}`, {}, ADMIN_HEADERS);
+      await server.stop();
+    }
+  });
+});
+
+describe('Scheduled publishing', () => {
+  test('assets stay off public routes until publishAt and after unpublishAt', async () => {
+    const future = new Date(Date.now() + 3600 * 1000).toISOString();
+    const created = await post('/api/admin/downloads', {
+      title: 'Scheduled Drop', category: 'ebook', publishAt: future,
+      variants: [{ name: 'PDF', downloadUrl: 'https://example.com/drop.pdf' }],
+    }, ADMIN_HEADERS).then(json);
+    try {
+      assert.equal(created.publishAt, future);
+      let list = await get('/api/downloads').then(json);
+      assert.ok(!list.some(a => a.id === created.id), 'unpublished asset is listed');
+      assert.equal((await get(`/api/download/${created.id}`)).status, 404);
+
+      const { events } = await get('/api/admin/schedule', ADMIN_HEADERS).then(json);
+      assert.ok(events.some(e => e.id === created.id && e.action === 'publish' && e.at === future));
+
+      await patch(`/api/admin/downloads/${created.id}`, { publishAt: '' }, ADMIN_HEADERS);
+      list = await get('/api/downloads').then(json);
+      assert.ok(list.some(a => a.id === created.id), 'published asset is missing');
+
+      await patch(`/api/admin/downloads/${created.id}`, { unpublishAt: new Date(Date.now() - 1000).toISOString() }, ADMIN_HEADERS);
+      list = await get('/api/downloads').then(json);
+      assert.ok(!list.some(a => a.id === created.id), 'expired asset is listed');
+    } finally {
+      await del('/api/admin/downloads', { id: created.id }, ADMIN_HEADERS);
+      await del(`/api/admin/trash/${created.id}`, {}, ADMIN_HEADERS);
+    }
+  });
+
+  test('rejects invalid or inverted schedules', async () => {
+    const slug = `sched-${Date.now()}`;
+    let res = await post('/api/admin/categories', { slug, label: 'Sched', publishAt: 'not a date' }, ADMIN_HEADERS);
+    assert.equal(res.status, 400);
+    res = await post('/api/admin/categories', {
+      slug, label: 'Sched', publishAt: '2030-01-02T00:00:00Z', unpublishAt: '2030-01-01T00:00:00Z',
+    }, ADMIN_HEADERS);
+    assert.equal(res.status, 400);
+  });
+
+  test('categories with a future publishAt are hidden from /api/categories and their page', async () => {
+    const slug = `sched-${Date.now()}`;
+    await post('/api/admin/categories', { slug, label: 'Later', publishAt: new Date(Date.now() + 3600 * 1000).toISOString() }, ADMIN_HEADERS);
+    try {
+      const cats = await get('/api/categories').then(json);
+      assert.ok(!cats.some(c => c.slug === slug));
+      assert.equal((await get(`/c/${slug}`)).status, 302);
+      await patch(`/api/admin/categories/${slug}`, { publishAt: null }, ADMIN_HEADERS);
+      assert.equal((await get(`/c/${slug}`)).status, 200);
+    } finally {
+      await del(`/api/admin/categories/${slug}`, {}, ADMIN_HEADERS);
+    }
+  });
+});
+
+describe('Unlock rules', () => {
+  test('date, chained and category-scoped rules lock assets until they are met', async () => {
+    const { enabled } = await get('/api/admin/gamification', ADMIN_HEADERS).then(json);
+    await patch('/api/admin/gamification', { enabled: true }, ADMIN_HEADERS);
+    const future = new Date(Date.now() + 86400 * 1000).toISOString();
+    const variants = [{ name: 'PDF', downloadUrl: 'https://example.com/rule.pdf' }];
+    const dated = await post('/api/admin/downloads', { title: 'Rule Dated', category: 'ebook', variants, unlockRule: { at: future } }, ADMIN_HEADERS).then(json);
+    const chained = await post('/api/admin/downloads', { title: 'Rule Chained', category: 'ebook', variants, unlockRule: { after: dated.id } }, ADMIN_HEADERS).then(json);
+    const scoped = await post('/api/admin/downloads', {
+      title: 'Rule Scoped', category: 'ebook', variants, unlockThreshold: 1000000, unlockRule: { category: 'stl', from: '2020-01-01T00:00:00Z' },
+    }, ADMIN_HEADERS).then(json);
+    try {
+      assert.deepEqual(scoped.unlockRule, { category: 'stl', from: '2020-01-01T00:00:00.000Z' });
+      const list = await get('/api/downloads').then(json);
+      const byId = Object.fromEntries(list.map(a => [a.id, a]));
+      assert.equal(byId[dated.id].isLocked, true);
+      assert.equal(byId[dated.id].unlocksAt, future);
+      assert.deepEqual(byId[dated.id].variants, []);
+      assert.equal(byId[chained.id].isLocked, true);
+      assert.deepEqual(byId[chained.id].unlocksAfter, { id: dated.id, title: 'Rule Dated' });
+      assert.equal(byId[scoped.id].isLocked, true);
+      assert.equal(byId[scoped.id].downloadsRemaining, 1000000 - byId[scoped.id].unlockCount);
+      assert.equal((await get(`/api/download/${dated.id}`)).status, 403);
+
+      await patch(`/api/admin/downloads/${dated.id}`, { unlockRule: null }, ADMIN_HEADERS);
+      const after = await get('/api/downloads').then(json);
+      assert.equal(after.find(a => a.id === chained.id).isLocked, false);
+    } finally {
+      for (const { id } of [dated, chained, scoped]) {
+        await del('/api/admin/downloads', { id }, ADMIN_HEADERS);
+        await del(`/api/admin/trash/${id}`, {}, ADMIN_HEADERS);
+      }
+      await patch('/api/admin/gamification', { enabled }, ADMIN_HEADERS);
+    }
+  });
+
+  test('progress reports an overall mission and one per category', async () => {
+    const { enabled } = await get('/api/admin/gamification', ADMIN_HEADERS).then(json);
+    await patch('/api/admin/gamification', { enabled: true }, ADMIN_HEADERS);
+    const goal = await post('/api/admin/downloads', {
+      title: 'Mission Probe', category: 'stl', unlockThreshold: 9000000, variants: [], unlockRule: { category: 'stl' },
+    }, ADMIN_HEADERS).then(json);
+    try {
+      const progress = await get('/api/unlocks/progress').then(json);
+      assert.ok(Array.isArray(progress.missions));
+      const overall = progress.missions.find(m => m.id === 'overall');
+      assert.ok(overall, 'expected an overall mission');
+      assert.equal(progress.nextThreshold, overall.nextThreshold);
+      const stl = progress.missions.find(m => m.id === 'category:stl');
+      assert.ok(stl, 'expected an stl mission');
+      assert.equal(stl.category, 'stl');
+      const rewards = [stl.nextAsset, ...stl.upcoming];
+      assert.ok(rewards.every(r => r.category === 'stl'));
+      assert.ok(rewards.some(r => r.id === goal.id) || stl.upcoming.length === 5);
+      assert.equal(typeof stl.counter, 'number');
+    } finally {
+      await del('/api/admin/downloads', { id: goal.id }, ADMIN_HEADERS);
+      await del(`/api/admin/trash/${goal.id}`, {}, ADMIN_HEADERS);
+      await patch('/api/admin/gamification', { enabled }, ADMIN_HEADERS);
+    }
+  });
+
+  test("a download in one category does not move another category's mission counter", async () => {
+    const { enabled } = await get('/api/admin/gamification', ADMIN_HEADERS).then(json);
+    await patch('/api/admin/gamification', { enabled: true }, ADMIN_HEADERS);
+    const create = (category) => post('/api/admin/downloads', {
+      title: `Isolation ${category}`, category, unlockThreshold: 9000000, variants: [], unlockRule: { category },
+    }, ADMIN_HEADERS).then(json);
+    const sitewide = await post('/api/admin/downloads', {
+      title: 'Isolation Site-wide', category: 'ebook', unlockThreshold: 8000000, variants: [],
+    }, ADMIN_HEADERS).then(json);
+    const probe = await createTrackedAsset('Isolation Probe', 'ebook');
+    const goals = [await create('ebook'), await create('stl'), sitewide, probe];
+    const counters = async () => {
+      const { missions } = await get('/api/unlocks/progress').then(json);
+      const byId = Object.fromEntries(missions.map(m => [m.id, m]));
+      return { ebook: byId['category:ebook'], stl: byId['category:stl'] };
+    };
+    try {
+      const before = await counters();
+      assert.deepEqual(before.ebook.counterScope, { category: 'ebook', from: null, to: null });
+      const ebookRewards = [before.ebook.nextAsset, ...before.ebook.upcoming];
+      assert.ok(ebookRewards.some(r => r.id === sitewide.id) || before.ebook.upcoming.length === 5);
+      assert.ok(!before.stl.upcoming.some(r => r.id === sitewide.id) && before.stl.nextAsset.id !== sitewide.id);
+
+      const seed = Date.now();
+      await post('/api/track', { type: 'download', sid: `iso-sid-${seed}`, asset_id: probe.id, asset_title: 'Isolation', asset_category: 'ebook' });
+      let after = before;
+      for (let i = 0; i < 10 && after.ebook.counter === before.ebook.counter; i++) {
+        await new Promise((r) => setTimeout(r, 100));
+        after = await counters();
+      }
+      assert.equal(after.ebook.counter, before.ebook.counter + 1);
+      assert.equal(after.stl.counter, before.stl.counter);
+    } finally {
+      for (const { id } of goals) {
+        await del('/api/admin/downloads', { id }, ADMIN_HEADERS);
+        await del(`/api/admin/trash/${id}`, {}, ADMIN_HEADERS);
+      }
+      await patch('/api/admin/gamification', { enabled }, ADMIN_HEADERS);
+    }
+  });
+
+  test('rejects malformed rules', async () => {
+    const res = await post('/api/admin/downloads', { title: 'Bad Rule', category: 'ebook', unlockRule: { at: 'soon' } }, ADMIN_HEADERS);
+    assert.equal(res.status, 400);
+  });
+
+  test('rejects unlock chains to unknown assets, to the asset itself and back to it', async () => {
+    const unknown = await post('/api/admin/downloads', { title: 'Bad Chain', category: 'ebook', unlockRule: { after: `missing-${Date.now()}` } }, ADMIN_HEADERS);
+    assert.equal(unknown.status, 400);
+    assert.match((await unknown.json()).error, /existing asset/);
+
+    const first = await post('/api/admin/downloads', { title: 'Chain First', category: 'ebook', variants: [] }, ADMIN_HEADERS).then(json);
+    const second = await post('/api/admin/downloads', { title: 'Chain Second', category: 'ebook', variants: [], unlockRule: { after: first.id } }, ADMIN_HEADERS).then(json);
+    try {
+      assert.deepEqual(second.unlockRule, { after: first.id });
+      const self = await patch(`/api/admin/downloads/${first.id}`, { unlockRule: { after: first.id } }, ADMIN_HEADERS);
+      assert.equal(self.status, 400);
+      const loop = await patch(`/api/admin/downloads/${first.id}`, { unlockRule: { after: second.id } }, ADMIN_HEADERS);
+      assert.equal(loop.status, 400);
+      assert.match((await loop.json()).error, /chain back/);
+      const stale = await patch(`/api/admin/downloads/${second.id}`, { unlockRule: { after: `missing-${Date.now()}` } }, ADMIN_HEADERS);
+      assert.equal(stale.status, 400);
+    } finally {
+      for (const { id } of [first, second]) {
+        await del('/api/admin/downloads', { id }, ADMIN_HEADERS);
+        await del(`/api/admin/trash/${id}`, {}, ADMIN_HEADERS);
+      }
+    }
+  });
+});
+
+describe('Live unlock progress', () => {
+  // Reads server-sent events until one satisfies `match`, or fails after timeoutMs.
+  async function openStream() {
+    const controller = new AbortController();
+    const res = await fetch(`${BASE}/api/unlocks/stream`, { signal: controller.signal });
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    async function next(match, timeoutMs = 5000) {
+      const deadline = Date.now() + timeoutMs;
+      for (;;) {
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+          const block = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          const event = (block.match(/^event: (.*)$/m) || [])[1];
+          const data = (block.match(/^data: (.*)$/m) || [])[1];
+          if (event && data && match(event, JSON.parse(data))) return { event, data: JSON.parse(data) };
+        }
+        const left = deadline - Date.now();
+        if (left <= 0) throw new Error('timed out waiting for event');
+        let timer;
+        const chunk = await Promise.race([
+          reader.read(),
+          new Promise((_, reject) => { timer = setTimeout(() => reject(new Error('timed out waiting for event')), left); }),
+        ]).finally(() => clearTimeout(timer));
+        if (chunk.done) throw new Error('stream ended');
+        buffer += decoder.decode(chunk.value, { stream: true });
+      }
+    }
+    return { res, next, close: () => controller.abort() };
+  }
+
+  test('streams progress on connect and an unlock event when an asset unlocks', async () => {
+    const { enabled } = await get('/api/admin/gamification', ADMIN_HEADERS).then(json);
+    await patch('/api/admin/gamification', { enabled: true }, ADMIN_HEADERS);
+    const asset = await post('/api/admin/downloads', {
+      title: 'Live Probe', category: 'stl', unlockThreshold: 9000000, variants: [],
+    }, ADMIN_HEADERS).then(json);
+    const stream = await openStream();
+    try {
+      assert.equal(stream.res.status, 200);
+      assert.match(stream.res.headers.get('content-type'), /^text\/event-stream/);
+      const first = await stream.next((event) => event === 'progress');
+      assert.equal(typeof first.data.totalDownloads, 'number');
+      assert.ok(Array.isArray(first.data.missions));
+      // Let the feed see the new asset as locked before it is opened up.
+      await new Promise((r) => setTimeout(r, 600));
+      await patch(`/api/admin/downloads/${asset.id}`, { unlockThreshold: 0 }, ADMIN_HEADERS);
+      const unlocked = await stream.next((event, data) => event === 'unlock' && data.id === asset.id);
+      assert.equal(unlocked.data.title, 'Live Probe');
+      assert.equal(unlocked.data.category, 'stl');
+    } finally {
+      stream.close();
+      await del('/api/admin/downloads', { id: asset.id }, ADMIN_HEADERS);
+      await del(`/api/admin/trash/${asset.id}`, {}, ADMIN_HEADERS);
+      await patch('/api/admin/gamification', { enabled }, ADMIN_HEADERS);
+    }
+  });
+
+  test('caps concurrent streams per IP and rate limits connects', async () => {
+    const server = await startServer({ RATE_LIMIT_STREAM: '7/60' });
+    const open = [];
+    const connect = async () => {
+      const controller = new AbortController();
+      const res = await fetch(`${server.base}/api/unlocks/stream`, { signal: controller.signal });
+      if (res.status === 200) open.push(controller);
+      else await res.text();
+      return res;
+    };
+    try {
+      for (let i = 0; i < 5; i++) assert.equal((await connect()).status, 200);
+      const sixth = await connect();
+      assert.equal(sixth.status, 429);
+      open.shift().abort();
+      await new Promise((r) => setTimeout(r, 200));
+      assert.equal((await connect()).status, 200);
+
+      open.shift().abort();
+      await new Promise((r) => setTimeout(r, 200));
+      const limited = await connect();
+      assert.equal(limited.status, 429);
+      assert.ok(Number(limited.headers.get('retry-after')) >= 1);
+      assert.equal(sixth.headers.get('retry-after'), null);
+    } finally {
+      open.forEach((c) => c.abort());
+      await server.stop();
+    }
+  });
+});
+
+describe('Referrals', () => {
+  test('credits downloads from referred sessions to the referrer', async () => {
+    const seed = Date.now();
+    const owner = `ref-owner-${seed}`;
+    const friend = `ref-friend-${seed}`;
+    const original = await get('/api/admin/download-count-source', ADMIN_HEADERS).then(json);
+    await patch('/api/admin/download-count-source', { source: 'tracker' }, ADMIN_HEADERS);
+    const asset = await createTrackedAsset('Ref Probe');
+    try {
+      const { code } = await post('/api/referrals', { sid: owner }).then(json);
+      assert.match(code, /^[A-Za-z0-9_-]{6,16}$/);
+      assert.equal((await post('/api/referrals', { sid: owner }).then(json)).code, code);
+
+      await post('/api/track', { type: 'pageview', sid: friend, page: '/stl', ref: code });
+      await post('/api/track', { type: 'pageview', sid: owner, page: '/stl', ref: code });
+      await post('/api/track', { type: 'download', sid: friend, asset_id: asset.id, asset_title: 'Ref A', asset_category: 'stl' });
+      await post('/api/track', { type: 'download', sid: owner, asset_id: asset.id, asset_title: 'Ref B', asset_category: 'stl' });
+
+      let data;
+      for (let i = 0; i < 20; i++) {
+        data = await get(`/api/unlocks/contribution?sid=${owner}`).then(json);
+        if (data.total >= 2) break;
+        await new Promise((r) => setTimeout(r, 100));
+      }
+      assert.equal(data.code, code);
+      assert.equal(data.own, 1);
+      assert.equal(data.referred, 1);
+      assert.equal(data.referredSessions, 1, 'following your own link must not count as a referral');
+      assert.equal(data.total, 2);
+
+      const stranger = await get(`/api/unlocks/contribution?sid=ref-none-${seed}`).then(json);
+      assert.equal(stranger.code, null);
+      assert.equal(stranger.total, 0);
+    } finally {
+      await patch('/api/admin/download-count-source', { source: original.source }, ADMIN_HEADERS);
+      await removeTrackedAsset(asset);
+    }
+  });
+});
+
+describe('Privacy', () => {
+  test('GET /api/config exposes the consent settings', async () => {
+    const cfg = await get('/api/config').then(json);
+    assert.equal(typeof cfg.consent.required, 'boolean');
+    assert.equal(cfg.consent.cookie, 'maya_consent');
+    assert.equal(typeof cfg.privacyMode, 'boolean');
+  });
+
+  test('opted-out pageviews are not stored', async () => {
+    const seed = Date.now();
+    const before = await get('/api/admin/analytics?days=1', ADMIN_HEADERS).then(json);
+    await post('/api/track', { type: 'pageview', sid: `dnt-${seed}`, page: '/stl' }, { DNT: '1' });
+    await post('/api/track', { type: 'pageview', sid: `gpc-${seed}`, page: '/stl' }, { 'Sec-GPC': '1' });
+    await post('/api/track', { type: 'pageview', sid: `anon-${seed}`, page: '/stl', anon: true });
+    await post('/api/track', { type: 'pageview', sid: `allowed-${seed}`, page: '/stl' });
+    let after;
+    for (let i = 0; i < 20; i++) {
+      after = await get('/api/admin/analytics?days=1', ADMIN_HEADERS).then(json);
+      if (after.unique_sessions > before.unique_sessions) break;
+      await new Promise((r) => setTimeout(r, 100));
+    }
+    await new Promise((r) => setTimeout(r, 200));
+    after = await get('/api/admin/analytics?days=1', ADMIN_HEADERS).then(json);
+    assert.equal(after.unique_sessions - before.unique_sessions, 1);
+  });
+
+  test('retention run rolls up closed days and is owner-only', async () => {
+    const run = await post('/api/admin/privacy/retention/run', {}, ADMIN_HEADERS).then(json);
+    assert.ok(run.ran_at);
+    assert.ok(Array.isArray(run.rolled_up_days));
+    assert.ok(!run.rolled_up_days.includes(new Date().toISOString().slice(0, 10)), 'today stays raw');
+    assert.equal(typeof run.purged_visits, 'number');
+
+    const again = await post('/api/admin/privacy/retention/run', {}, ADMIN_HEADERS).then(json);
+    assert.deepEqual(again.rolled_up_days, []);
+
+    const status = await get('/api/admin/privacy', ADMIN_HEADERS).then(json);
+    assert.equal(typeof status.retentionDays, 'number');
+    assert.equal(status.lastRetentionRun.ran_at, again.ran_at);
+
+    const anon = await post('/api/admin/privacy/retention/run', {});
+    assert.equal(anon.status, 401);
+  });
+
+  test('truncateIp keeps the /24 or /48 network and drops the host', () => {
+    const { truncateIp } = require('../services/privacy.js');
+    assert.equal(truncateIp('203.0.113.77'), '203.0.113.0');
+    assert.equal(truncateIp('::ffff:198.51.100.9'), '198.51.100.0');
+    assert.equal(truncateIp('2001:db8:abcd:12:3456::1'), '2001:db8:abcd::');
+    assert.equal(truncateIp('2001:db8::1'), '2001:db8::');
+    assert.equal(truncateIp(''), '');
+    assert.equal(truncateIp('not-an-ip'), '');
+  });
+
+  test('scrubVisit drops precise geo and the user agent only in privacy mode', () => {
+    const { createPrivacy } = require('../services/privacy.js');
+    const privacy = createPrivacy({ db: {}, crypto: require('crypto'), cleanEnv: (v) => v, rollups: {} });
+    const visit = { session_id: 's', ip: '203.0.113.77', country: 'DE', region: 'BE', city: 'Berlin', isp: 'ISP', lat: 52.5, lon: 13.4, ua: 'UA', browser: 'Firefox' };
+    const previous = process.env.PRIVACY_MODE;
+    try {
+      delete process.env.PRIVACY_MODE;
+      assert.deepEqual(privacy.scrubVisit(visit), visit);
+      process.env.PRIVACY_MODE = '1';
+      assert.deepEqual(privacy.scrubVisit(visit), {
+        session_id: 's', ip: '203.0.113.0', country: 'DE', region: '', city: '', isp: '', lat: null, lon: null, ua: '', browser: 'Firefox',
+      });
+    } finally {
+      if (previous === undefined) delete process.env.PRIVACY_MODE;
+      else process.env.PRIVACY_MODE = previous;
+    }
+  });
+
+  test('without a granted consent cookie /api/track stores no pageviews when consent is required', async () => {
+    const server = await startServer({ CONSENT_REQUIRED: '1' });
+    try {
+      const seed = Date.now();
+      await server.post('/api/track', { type: 'pageview', sid: `noconsent-${seed}`, page: '/stl' });
+      await server.post('/api/track', { type: 'pageview', sid: `denied-${seed}`, page: '/stl' }, { cookie: 'maya_consent=denied' });
+      await server.post('/api/track', { type: 'pageview', sid: `granted-${seed}`, page: '/stl' }, { cookie: 'maya_consent=granted' });
+      await new Promise((r) => setTimeout(r, 300));
+      const stored = async (sid) => (await server.get(`/api/admin/export/visits?format=ndjson&session_id=${sid}`, ADMIN_HEADERS).then((r) => r.text())).trim();
+      assert.equal(await stored(`noconsent-${seed}`), '');
+      assert.equal(await stored(`denied-${seed}`), '');
+      assert.notEqual(await stored(`granted-${seed}`), '');
+    } finally {
+      await server.stop();
+    }
+  });
+
+  test('in privacy mode count guards key on a hash instead of the IP', async () => {
+    const server = await startServer({ PRIVACY_MODE: '1', COUNT_CAP_PER_IP: '1', COUNT_CAP_PER_SESSION: '0' });
+    const db = openDb();
+    const asset = await createTrackedAsset('Guard Probe');
+    try {
+      const seed = Date.now();
+      const assetId = asset.id;
+      for (let i = 0; i < 2; i++) {
+        await server.post('/api/track', { type: 'download', sid: `guard-sid-${seed}-${i}`, asset_id: assetId, asset_title: 'Guard Probe' });
+      }
+      let rejected = [];
+      for (let i = 0; i < 10 && !rejected.length; i++) {
+        await new Promise((r) => setTimeout(r, 100));
+        rejected = db.prepare(`SELECT reason, ip FROM rejected_events WHERE asset_id = ?`).all(assetId);
+      }
+      assert.deepEqual(rejected.map((r) => r.reason), ['ip_cap']);
+      assert.ok(!/^(127\.0\.0\.1|::1|::ffff:127\.0\.0\.1)$/.test(rejected[0].ip), `rejected event kept the raw IP ${rejected[0].ip}`);
+      const subjects = db.prepare(`SELECT subject FROM count_guards WHERE scope = 'ip' AND asset_id = ?`).all(assetId).map((r) => r.subject);
+      assert.equal(subjects.length, 1);
+      assert.match(subjects[0], /^h:[0-9a-f]{32}$/);
+    } finally {
+      db.close();
+      await server.stop();
+      await removeTrackedAsset(asset);
+    }
+  });
+
+  test('retention purges raw visits of rolled-up days older than the window', async () => {
+    const db = openDb();
+    const seed = Date.now();
+    const oldDay = '2001-02-03';
+    const keptDay = '2020-02-03';
+    const insert = db.prepare(`INSERT INTO visits (id, session_id, ts, page, country) VALUES (?, ?, ?, '/stl', 'Local')`);
+    insert.run(`purge-old-${seed}`, `purge-old-sid-${seed}`, `${oldDay}T10:00:00.000Z`);
+    insert.run(`purge-kept-${seed}`, `purge-kept-sid-${seed}`, `${keptDay}T10:00:00.000Z`);
+    // Retention only rolls up days after the latest rollup; older inserted days need a rebuild.
+    assert.equal((await post('/api/admin/rollups/rebuild', { from: oldDay, to: keptDay }, ADMIN_HEADERS)).status, 200);
+    // 3650 days back from today lands between the two days.
+    const server = await startServer({ VISIT_RETENTION_DAYS: '3650' });
+    try {
+      const run = await server.post('/api/admin/privacy/retention/run', {}, ADMIN_HEADERS).then(json);
+      assert.ok(run.cutoff > `${oldDay}T` && run.cutoff < `${keptDay}T`, `unexpected cutoff ${run.cutoff}`);
+      const left = db.prepare(`SELECT id FROM visits WHERE id IN (?, ?)`).all(`purge-old-${seed}`, `purge-kept-${seed}`).map((r) => r.id);
+      assert.deepEqual(left, [`purge-kept-${seed}`]);
+      const days = db.prepare(`SELECT day, visits_purged_at FROM rollup_days WHERE day IN (?, ?) ORDER BY day`).all(oldDay, keptDay);
+      assert.equal(days.length, 2);
+      assert.ok(days[0].visits_purged_at, 'the purged day should be marked');
+      assert.equal(days[1].visits_purged_at, null);
+      const rolled = db.prepare(`SELECT visits FROM visit_rollups WHERE day = ? AND dimension = 'country' AND value = 'Local'`).get(oldDay);
+      assert.equal(rolled.visits, 1);
+    } finally {
+      await server.stop();
+      db.prepare(`DELETE FROM visits WHERE id IN (?, ?)`).run(`purge-old-${seed}`, `purge-kept-${seed}`);
+      for (const table of ['visit_rollups', 'event_rollups', 'rollup_days']) {
+        db.prepare(`DELETE FROM ${table} WHERE day IN (?, ?)`).run(oldDay, keptDay);
+      }
+      db.close();
+    }
+  });
+
+  test('viewers and editors get 403 from owner-only routes', async () => {
+    const seed = Date.now();
+    const users = [];
+    try {
+      for (const role of ['viewer', 'editor']) {
+        const user = await post('/api/admin/users', { username: `${role}-owner-${seed}`, password: 'role-pass-123', role }, ADMIN_HEADERS).then(json);
+        users.push(user);
+        const cookie = sessionCookie(await post('/api/admin/session', { username: user.username, password: 'role-pass-123' }));
+        const denied = [
+          await post('/api/admin/privacy/retention/run', {}, { cookie }),
+          await post('/api/admin/rollups/rebuild', {}, { cookie }),
+          await patch('/api/admin/gamification', { enabled: true }, { cookie }),
+          await get('/api/admin/webhooks', { cookie }),
+          await get('/api/admin/audit', { cookie }),
+          await get('/api/admin/users', { cookie }),
+          await get('/api/admin/tokens', { cookie }),
+        ];
+        assert.deepEqual(denied.map((r) => r.status), denied.map(() => 403), `${role} reached an owner-only route`);
+      }
+    } finally {
+      for (const user of users) await del(`/api/admin/users/${user.id}`, {}, ADMIN_HEADERS);
+    }
+  });
+});
+
+describe('Analytics rollups', () => {
+  test('rebuilding rollups leaves the dashboard and downloads report unchanged', async () => {
+    const stats = () => get('/api/admin/analytics?days=30', ADMIN_HEADERS).then(json);
+    const downloads = () => get('/api/admin/download-data?limit=1', ADMIN_HEADERS).then(json);
+    const pick = (s) => ({
+      visits: s.visits, unique_sessions: s.unique_sessions, downloads: s.downloads,
+      by_page: s.by_page, by_country: s.by_country, top_downloads: s.top_downloads,
+    });
+    const before = [pick(await stats()), await downloads()];
+
+    const res = await post('/api/admin/rollups/rebuild', {}, ADMIN_HEADERS);
+    assert.equal(res.status, 200);
+    const { days } = await json(res);
+    assert.ok(Array.isArray(days));
+    assert.ok(!days.includes(new Date().toISOString().slice(0, 10)), 'today is never rolled up');
+
+    const after = [pick(await stats()), await downloads()];
+    assert.deepEqual(after[0], before[0]);
+    assert.equal(after[1].total, before[1].total);
+    assert.deepEqual(after[1].by_day, before[1].by_day);
+  });
+
+  test('rebuild validates its range and is owner-only', async () => {
+    assert.equal((await post('/api/admin/rollups/rebuild', { from: 'yesterday' }, ADMIN_HEADERS)).status, 400);
+    assert.equal((await post('/api/admin/rollups/rebuild', { from: '2026-02-02', to: '2026-02-01' }, ADMIN_HEADERS)).status, 400);
+    assert.equal((await post('/api/admin/rollups/rebuild', {})).status, 401);
+  });
+
+  test('a session crossing midnight counts once, from raw rows and from rollups', async () => {
+    const seed = Date.now();
+    const day = (n) => new Date(Date.now() - n * 86400000).toISOString().slice(0, 10);
+    const [d1, d2] = [day(3), day(2)];
+    const stats = () => get('/api/admin/analytics?days=7', ADMIN_HEADERS).then(json);
+    const rebuild = () => post('/api/admin/rollups/rebuild', { from: d1, to: d2 }, ADMIN_HEADERS);
+    const db = openDb();
+    try {
+      assert.equal((await rebuild()).status, 200);
+      const before = await stats();
+      const insert = db.prepare(`INSERT INTO visits (id, session_id, ts, page) VALUES (?, ?, ?, '/stl')`);
+      insert.run(`midnight-1-${seed}`, `midnight-${seed}`, `${d1}T23:59:30.000Z`);
+      insert.run(`midnight-2-${seed}`, `midnight-${seed}`, `${d2}T00:00:30.000Z`);
+      for (const table of ['visit_rollups', 'event_rollups', 'rollup_days']) {
+        db.prepare(`DELETE FROM ${table} WHERE day IN (?, ?)`).run(d1, d2);
+      }
+      const raw = await stats();
+      assert.equal((await rebuild()).status, 200);
+      const rolled = await stats();
+      for (const after of [raw, rolled]) {
+        assert.equal(after.visits - before.visits, 2);
+        assert.equal(after.unique_sessions - before.unique_sessions, 1);
+        assert.equal(after.new_vs_returning.new_sessions - before.new_vs_returning.new_sessions, 1);
+      }
+    } finally {
+      db.prepare(`DELETE FROM visits WHERE session_id = ?`).run(`midnight-${seed}`);
+      db.close();
+      await rebuild();
+    }
+  });
+
+  test('a returning visitor stays returning after retention purged their first visit', async () => {
+    const seed = Date.now();
+    const oldDay = '2001-02-03';
+    const vid = `first-seen-${seed}`;
+    const db = openDb();
+    try {
+      db.prepare(`INSERT INTO visits (id, session_id, visitor_id, ts, page) VALUES (?, ?, ?, ?, '/stl')`)
+        .run(`first-seen-${seed}`, `first-seen-sid-${seed}`, vid, `${oldDay}T10:00:00.000Z`);
+      const seen = db.prepare(`INSERT INTO visitor_first_seen (vkey, first_ts) VALUES (?, ?)`);
+      seen.run(vid, `${oldDay}T10:00:00.000Z`);
+      seen.run(`session:first-seen-sid-${seed}`, `${oldDay}T11:00:00.000Z`);
+      assert.equal((await post('/api/admin/rollups/rebuild', { from: oldDay, to: oldDay }, ADMIN_HEADERS)).status, 200);
+      const server = await startServer({ VISIT_RETENTION_DAYS: '3650' });
+      try {
+        assert.equal((await server.post('/api/admin/privacy/retention/run', {}, ADMIN_HEADERS)).status, 200);
+      } finally {
+        await server.stop();
+      }
+      assert.equal(db.prepare(`SELECT COUNT(*) n FROM visits WHERE visitor_id = ?`).get(vid).n, 0);
+      const firstSeen = db.prepare(`SELECT vkey, first_ts FROM visitor_first_seen WHERE vkey IN (?, ?, ?)`);
+      assert.deepEqual(firstSeen.all(vid, `session:first-seen-sid-${seed}`, `fresh-${seed}`), [{ vkey: vid, first_ts: `${oldDay}T10:00:00.000Z` }]);
+
+      const before = await get('/api/admin/analytics?days=1', ADMIN_HEADERS).then(json);
+      await post('/api/track', { type: 'pageview', page: '/stl', sid: `first-seen-back-${seed}`, vid });
+      await post('/api/track', { type: 'pageview', page: '/stl', sid: `first-seen-new-${seed}`, vid: `fresh-${seed}` });
+      let after;
+      for (let i = 0; i < 20; i++) {
+        after = await get('/api/admin/analytics?days=1', ADMIN_HEADERS).then(json);
+        if (after.unique_sessions - before.unique_sessions >= 2) break;
+        await new Promise((r) => setTimeout(r, 100));
+      }
+      assert.equal(after.unique_visitors - before.unique_visitors, 2);
+      assert.equal(after.new_visitors - before.new_visitors, 1);
+      assert.equal(after.returning_visitors - before.returning_visitors, 1);
+      assert.equal(after.new_vs_returning.returning_sessions - before.new_vs_returning.returning_sessions, 1);
+      const fresh = firstSeen.all(vid, `session:first-seen-sid-${seed}`, `fresh-${seed}`).find((r) => r.vkey === `fresh-${seed}`);
+      assert.equal(fresh.first_ts.slice(0, 10), new Date().toISOString().slice(0, 10));
+    } finally {
+      db.prepare(`DELETE FROM visitor_first_seen WHERE vkey IN (?, ?)`).run(vid, `fresh-${seed}`);
+      for (const table of ['visit_rollups', 'event_rollups', 'rollup_days']) db.prepare(`DELETE FROM ${table} WHERE day = ?`).run(oldDay);
+      db.close();
+    }
+  });
+});
+
+describe('Download funnel', () => {
+  test('sessions move from page visit to modal to download per category', async () => {
+    const seed = Date.now();
+    const funnel = () => get('/api/admin/funnel?days=1', ADMIN_HEADERS).then(json);
+    const sessions = (data) => {
+      const row = data.categories.find((c) => c.category === 'ebook');
+      return row ? row.steps.map((s) => s.sessions) : [0, 0, 0];
+    };
+    const before = sessions(await funnel());
+
+    const probe = await createTrackedAsset('Funnel Probe', 'ebook');
+    const asset = { asset_id: probe.id, asset_title: 'Funnel Probe', asset_category: 'ebook' };
+    await post('/api/track', { type: 'pageview', sid: `funnel-a-${seed}`, page: '/ebook' });
+    await post('/api/track', { type: 'pageview', sid: `funnel-b-${seed}`, page: '/ebook' });
+    await post('/api/track', { type: 'modal_open', sid: `funnel-a-${seed}`, ...asset });
+    await post('/api/track', { type: 'download', sid: `funnel-a-${seed}`, ...asset });
+
+    let data;
+    for (let i = 0; i < 20; i++) {
+      data = await funnel();
+      if (sessions(data)[0] - before[0] >= 2) break;
+      await new Promise((r) => setTimeout(r, 100));
+    }
+    assert.deepEqual(sessions(data).map((n, i) => n - before[i]), [2, 1, 1]);
+    const ebook = data.categories.find((c) => c.category === 'ebook');
+    assert.equal(typeof ebook.steps[1].median_seconds, 'number');
+    assert.ok(ebook.conversion_rate > 0 && ebook.conversion_rate <= 1);
+    await removeTrackedAsset(probe);
+  });
+
+  test('requires an admin', async () => {
+    assert.equal((await get('/api/admin/funnel')).status, 401);
+  });
+});
+
+describe('Campaign attribution', () => {
+  test('credits a download to the first and the last campaign of the visitor', async () => {
+    const seed = Date.now();
+    const vid = `attr-vid-${seed}`;
+    const first = `attr-first-${seed}`;
+    const last = `attr-last-${seed}`;
+    const pause = () => new Promise((r) => setTimeout(r, 50));
+    const asset = await createTrackedAsset('Attribution Probe');
+    await post('/api/track', { type: 'pageview', sid: `attr-a-${seed}`, vid, page: '/stl', utm: { source: first, campaign: 'launch' } });
+    await pause();
+    await post('/api/track', { type: 'pageview', sid: `attr-b-${seed}`, vid, page: '/stl', utm: { source: last, campaign: 'promo' } });
+    await pause();
+    await post('/api/track', { type: 'download', sid: `attr-b-${seed}`, vid, asset_id: asset.id, asset_title: 'Attribution Probe', asset_category: 'stl' });
+
+    const today = new Date().toISOString().slice(0, 10);
+    let report;
+    for (let i = 0; i < 20; i++) {
+      report = await get(`/api/admin/attribution?from=${today}&to=${today}`, ADMIN_HEADERS).then(json);
+      if (report.current.campaigns.filter((c) => c.utm_source === first || c.utm_source === last).length === 2) break;
+      await new Promise((r) => setTimeout(r, 100));
+    }
+    const find = (source) => report.current.campaigns.find((c) => c.utm_source === source);
+    assert.equal(find(first).utm_campaign, 'launch');
+    assert.equal(find(first).first_touch.downloads, 1);
+    assert.equal(find(first).last_touch.downloads, 0);
+    assert.equal(find(last).first_touch.downloads, 0);
+    assert.equal(find(last).last_touch.downloads, 1);
+    assert.equal(find(last).last_touch.conversion_rate, 1);
+    assert.equal(find(last).last_touch.downloads_per_visit, 1);
+    assert.equal(report.previous, null);
+    await removeTrackedAsset(asset);
+  });
+
+  test('compares two ranges and validates them', async () => {
+    const res = await get('/api/admin/attribution?from=2026-01-08&to=2026-01-14&compare_from=2026-01-01&compare_to=2026-01-07', ADMIN_HEADERS);
+    assert.equal(res.status, 200);
+    const { current, previous } = await json(res);
+    assert.equal(current.from, '2026-01-08');
+    assert.equal(previous.to, '2026-01-07');
+    assert.ok(Array.isArray(previous.campaigns));
+    assert.equal((await get('/api/admin/attribution?from=2026-01-14&to=2026-01-08', ADMIN_HEADERS)).status, 400);
+    assert.equal((await get('/api/admin/attribution?compare_from=2026-01-01', ADMIN_HEADERS)).status, 400);
+    const tooLong = await get('/api/admin/attribution?from=2025-01-01&to=2026-01-02', ADMIN_HEADERS);
+    assert.equal(tooLong.status, 400);
+    assert.match((await json(tooLong)).error, /366 days/);
+    assert.equal((await get('/api/admin/attribution?from=2025-01-01&to=2026-01-01', ADMIN_HEADERS)).status, 200);
+    const longCompare = await get('/api/admin/attribution?from=2026-01-08&to=2026-01-14&compare_from=2000-01-01&compare_to=2026-01-07', ADMIN_HEADERS);
+    assert.equal(longCompare.status, 400);
+    assert.match((await json(longCompare)).error, /^compare range: /);
+    assert.equal((await get('/api/admin/attribution')).status, 401);
+  });
+});
+
+describe('Raw analytics export', () => {
+  test('streams filtered events as CSV and visits as NDJSON', async () => {
+    const seed = Date.now();
+    const sid = `export-${seed}`;
+    const [a, b] = [await createTrackedAsset('Export A'), await createTrackedAsset('Export B')];
+    await post('/api/track', { type: 'pageview', sid, page: '/stl', utm: { source: `exp-${seed}` } });
+    await post('/api/track', { type: 'download', sid, asset_id: a.id, asset_title: 'Export, "quoted"', asset_category: 'stl' });
+    await post('/api/track', { type: 'download', sid, asset_id: b.id, asset_title: 'Export B', asset_category: 'stl' });
+
+    const csv = await get(`/api/admin/export/events?format=csv&session_id=${sid}&asset_id=${a.id}`, ADMIN_HEADERS);
+    assert.equal(csv.status, 200);
+    assert.match(csv.headers.get('content-type'), /text\/csv/);
+    assert.match(csv.headers.get('content-disposition'), /attachment; filename="events-.*\.csv"/);
+    const lines = (await csv.text()).trim().split('\r\n');
+    assert.equal(lines.length, 2);
+    assert.ok(lines[0].startsWith('id,session_id,visitor_id,ts,type,asset_id'));
+    assert.ok(lines[1].includes('"Export, ""quoted"""'));
+
+    // Text that spreadsheets would run as a formula comes back with a leading quote.
+    const formulas = [
+      ['=HYPERLINK("http://example.com")', `"'=HYPERLINK(""http://example.com"")"`],
+      ['+1+1', "'+1+1"],
+      ['-2+3', "'-2+3"],
+      ['@SUM(A1)', "'@SUM(A1)"],
+    ];
+    for (const [i, [title, cell]] of formulas.entries()) {
+      await post('/api/track', { type: 'download', sid: `${sid}-f${i}`, asset_id: a.id, asset_title: title, asset_category: 'stl' });
+      const text = await get(`/api/admin/export/events?format=csv&session_id=${sid}-f${i}`, ADMIN_HEADERS).then((r) => r.text());
+      assert.ok(text.includes(`,${a.id},${cell},stl,`), `${title} was not neutralized: ${text}`);
+    }
+
+    let visits = [];
+    for (let i = 0; i < 20 && !visits.length; i++) {
+      const res = await get(`/api/admin/export/visits?format=ndjson&utm_source=exp-${seed}&category=stl`, ADMIN_HEADERS);
+      assert.equal(res.status, 200);
+      visits = (await res.text()).split('\n').filter(Boolean).map((line) => JSON.parse(line));
+      if (!visits.length) await new Promise((r) => setTimeout(r, 100));
+    }
+    assert.equal(visits.length, 1);
+    assert.equal(visits[0].session_id, sid);
+    assert.equal(visits[0].page, '/stl');
+    await removeTrackedAsset(a);
+    await removeTrackedAsset(b);
+  });
+
+  test('rejects unknown tables, unknown formats and anonymous callers', async () => {
+    assert.equal((await get('/api/admin/export/users', ADMIN_HEADERS)).status, 404);
+    assert.equal((await get('/api/admin/export/events?format=xml', ADMIN_HEADERS)).status, 400);
+    assert.equal((await get('/api/admin/export/events')).status, 401);
+  });
+
+  test('is owner-only: viewers, editors and analytics:read tokens get 403, analytics:export tokens export', async () => {
+    const seed = Date.now();
+    const users = [];
+    const tokens = [];
+    try {
+      for (const role of ['viewer', 'editor']) {
+        const user = await post('/api/admin/users', { username: `${role}-export-${seed}`, password: 'export-pass-123', role }, ADMIN_HEADERS).then(json);
+        users.push(user);
+        const cookie = sessionCookie(await post('/api/admin/session', { username: user.username, password: 'export-pass-123' }));
+        assert.equal((await get('/api/admin/analytics?days=1', { cookie })).status, 200);
+        assert.equal((await get('/api/admin/export/visits?format=csv', { cookie })).status, 403);
+        assert.equal((await get('/api/admin/export/events?format=ndjson', { cookie })).status, 403);
+      }
+      const createToken = async (scope) => {
+        const token = await post('/api/admin/tokens', { name: `export-${scope}-${seed}`, scopes: [scope], expires_in_days: 1 }, ADMIN_HEADERS).then(json);
+        tokens.push(token);
+        return { Authorization: `Bearer ${token.token}` };
+      };
+      const reader = await createToken('analytics:read');
+      assert.equal((await get('/api/admin/analytics?days=1', reader)).status, 200);
+      assert.equal((await get(`/api/admin/export/events?format=ndjson&session_id=none-${seed}`, reader)).status, 403);
+      const exporter = await createToken('analytics:export');
+      const res = await get(`/api/admin/export/events?format=ndjson&session_id=none-${seed}`, exporter);
+      assert.equal(res.status, 200);
+      assert.equal(await res.text(), '');
+    } finally {
+      for (const user of users) await del(`/api/admin/users/${user.id}`, {}, ADMIN_HEADERS);
+      for (const token of tokens) await del(`/api/admin/tokens/${token.id}`, {}, ADMIN_HEADERS);
+    }
+  });
+});
+
+describe('Unlock webhooks', () => {
+  // A local stand-in for Discord: answers with the queued statuses, then 204.
+  async function startStandIn(statuses) {
+    const received = [];
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (c) => { body += c; });
+      req.on('end', () => {
+        received.push(JSON.parse(body));
+        res.statusCode = statuses.length ? statuses.shift() : 204;
+        res.end();
+      });
+    });
+    await new Promise((r) => server.listen(0, '127.0.0.1', r));
+    return { received, url: `http://127.0.0.1:${server.address().port}/api/webhooks/1/secret-token`, close: () => server.close() };
+  }
+
+  async function waitFor(check, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+      const value = await check();
+      if (value) return value;
+      if (Date.now() > deadline) throw new Error('timed out');
+      await new Promise((r) => setTimeout(r, 100));
+    }
+  }
+
+  test('posts a Discord message when an asset unlocks, retrying after a failure', async () => {
+    const standIn = await startStandIn([500]);
+    const { enabled } = await get('/api/admin/gamification', ADMIN_HEADERS).then(json);
+    await patch('/api/admin/gamification', { enabled: true }, ADMIN_HEADERS);
+    const hook = await post('/api/admin/webhooks', { name: 'Stand-in', url: standIn.url, kind: 'discord' }, ADMIN_HEADERS).then(json);
+    const asset = await post('/api/admin/downloads', {
+      title: 'Webhook Probe', category: 'stl', unlockThreshold: 9000000, variants: [], thumbnailUrl: 'https://example.com/probe.jpg',
+    }, ADMIN_HEADERS).then(json);
+    try {
+      assert.equal(hook.kind, 'discord');
+      assert.ok(!hook.url_preview.includes('secret-token'), 'the listing must not expose the webhook secret');
+      await new Promise((r) => setTimeout(r, 600));
+      await patch(`/api/admin/downloads/${asset.id}`, { unlockThreshold: 0 }, ADMIN_HEADERS);
+
+      const delivery = await waitFor(async () => {
+        const rows = await get('/api/admin/webhooks/deliveries', ADMIN_HEADERS).then(json);
+        return rows.find((d) => d.webhook_id === hook.id && d.target_id === asset.id && d.attempts > 0);
+      });
+      assert.equal(delivery.status, 'pending');
+      assert.equal(delivery.response_status, 500);
+      assert.ok(delivery.next_attempt_at, 'a failed send should be scheduled again');
+      const embed = standIn.received[0].embeds[0];
+      assert.equal(embed.title, 'Webhook Probe unlocked');
+      assert.deepEqual(embed.thumbnail, { url: 'https://example.com/probe.jpg' });
+
+      const retried = await post(`/api/admin/webhooks/deliveries/${delivery.id}/retry`, {}, ADMIN_HEADERS).then(json);
+      assert.equal(retried.status, 'delivered');
+      assert.equal(retried.attempts, 2);
+      assert.equal(standIn.received.length, 2);
+      const again = await post(`/api/admin/webhooks/deliveries/${delivery.id}/retry`, {}, ADMIN_HEADERS);
+      assert.equal(again.status, 409);
+      assert.equal(standIn.received.length, 2);
+    } finally {
+      await del('/api/admin/downloads', { id: asset.id }, ADMIN_HEADERS);
+      await del(`/api/admin/trash/${asset.id}`, {}, ADMIN_HEADERS);
+      await del(`/api/admin/webhooks/${hook.id}`, {}, ADMIN_HEADERS);
+      await patch('/api/admin/gamification', { enabled }, ADMIN_HEADERS);
+      standIn.close();
+    }
+  });
+
+  test('two instances seeing the same unlock post it once', async () => {
+    const standIn = await startStandIn([]);
+    const { enabled } = await get('/api/admin/gamification', ADMIN_HEADERS).then(json);
+    await patch('/api/admin/gamification', { enabled: true }, ADMIN_HEADERS);
+    const hook = await post('/api/admin/webhooks', { name: 'Stand-in Twice', url: standIn.url, kind: 'json' }, ADMIN_HEADERS).then(json);
+    const asset = await post('/api/admin/downloads', {
+      title: 'Webhook Twice', category: 'stl', unlockThreshold: 9000000, variants: [],
+    }, ADMIN_HEADERS).then(json);
+    const second = await startServer({});
+    try {
+      // Both feeds have to see the asset locked before it is opened up.
+      await new Promise((r) => setTimeout(r, 600));
+      await patch(`/api/admin/downloads/${asset.id}`, { unlockThreshold: 0 }, ADMIN_HEADERS);
+      await second.patch(`/api/admin/downloads/${asset.id}`, { unlockThreshold: 0 }, ADMIN_HEADERS);
+
+      await waitFor(() => standIn.received.length > 0);
+      await new Promise((r) => setTimeout(r, 1000));
+      assert.equal(standIn.received.length, 1);
+      assert.equal(standIn.received[0].data.id, asset.id);
+      const rows = await get('/api/admin/webhooks/deliveries', ADMIN_HEADERS).then(json);
+      assert.deepEqual(rows.filter((d) => d.webhook_id === hook.id).map((d) => d.status), ['delivered']);
+    } finally {
+      await second.stop();
+      await del('/api/admin/downloads', { id: asset.id }, ADMIN_HEADERS);
+      await del(`/api/admin/trash/${asset.id}`, {}, ADMIN_HEADERS);
+      await del(`/api/admin/webhooks/${hook.id}`, {}, ADMIN_HEADERS);
+      await patch('/api/admin/gamification', { enabled }, ADMIN_HEADERS);
+      standIn.close();
+    }
+  });
+
+  test('an asset locked again is announced again when it reopens', async () => {
+    const standIn = await startStandIn([]);
+    const { enabled } = await get('/api/admin/gamification', ADMIN_HEADERS).then(json);
+    await patch('/api/admin/gamification', { enabled: true }, ADMIN_HEADERS);
+    const hook = await post('/api/admin/webhooks', { name: 'Stand-in Again', url: standIn.url, kind: 'json' }, ADMIN_HEADERS).then(json);
+    const asset = await post('/api/admin/downloads', {
+      title: 'Webhook Again', category: 'stl', unlockThreshold: 9000000, variants: [],
+    }, ADMIN_HEADERS).then(json);
+    try {
+      await new Promise((r) => setTimeout(r, 600));
+      await patch(`/api/admin/downloads/${asset.id}`, { unlockThreshold: 0 }, ADMIN_HEADERS);
+      await waitFor(() => standIn.received.length === 1);
+      await patch(`/api/admin/downloads/${asset.id}`, { unlockThreshold: 9000000 }, ADMIN_HEADERS);
+      await new Promise((r) => setTimeout(r, 600));
+      await patch(`/api/admin/downloads/${asset.id}`, { unlockThreshold: 0 }, ADMIN_HEADERS);
+      await waitFor(() => standIn.received.length === 2);
+      assert.deepEqual(standIn.received.map((m) => m.data.id), [asset.id, asset.id]);
+      assert.equal(standIn.received[1].data.occurrence, standIn.received[0].data.occurrence + 1);
+      const rows = await get('/api/admin/webhooks/deliveries', ADMIN_HEADERS).then(json);
+      assert.deepEqual(rows.filter((d) => d.webhook_id === hook.id).map((d) => d.status), ['delivered', 'delivered']);
+    } finally {
+      await del('/api/admin/downloads', { id: asset.id }, ADMIN_HEADERS);
+      await del(`/api/admin/trash/${asset.id}`, {}, ADMIN_HEADERS);
+      await del(`/api/admin/webhooks/${hook.id}`, {}, ADMIN_HEADERS);
+      await patch('/api/admin/gamification', { enabled }, ADMIN_HEADERS);
+      standIn.close();
+    }
+  });
+
+  test('rejects webhooks without an http(s) url', async () => {
+    const res = await post('/api/admin/webhooks', { name: 'Bad', url: 'ftp://example.com/hook' }, ADMIN_HEADERS);
+    assert.equal(res.status, 400);
   });
 });
 